@@ -1,7 +1,7 @@
 import React from "react";
 import styles from "./AddTaskButtons.module.css";
 
-const AddTaskButtons = ({ onAddTask, className = "" }) => {
+const AddTaskButtons = ({ onAddTask, onAddSection, className = "" }) => {
   const handleAddTask = () => {
     if (onAddTask) {
       onAddTask();
@@ -18,6 +18,16 @@ const AddTaskButtons = ({ onAddTask, className = "" }) => {
       >
         + ADD TASK
       </button>
+      {onAddSection && (
+        <button
+          className={styles.addButton}
+          onClick={onAddSection}
+          type="button"
+          aria-label="Add new section"
+        >
+          + ADD SECTION
+        </button>
+      )}
     </div>
   );
 };
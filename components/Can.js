@@ -0,0 +1,16 @@
+"use client";
+import useCan from "@/hooks/useCan";
+
+/**
+ * Renders its children only when the user holds a capability
+ * (see src/lib/permissions.js for the capability list)
+ *
+ * @param {object} props - Component props
+ * @param {string|string[]} props.capability - Capability, or a list that must all be held
+ * @param {React.ReactNode} [props.fallback=null] - Rendered instead when not allowed
+ * @param {React.ReactNode} props.children - Rendered when allowed
+ */
+export default function Can({ capability, fallback = null, children }) {
+  const allowed = useCan(capability);
+  return <>{allowed ? children : fallback}</>;
+}
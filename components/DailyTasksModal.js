@@ -14,7 +14,7 @@ import styles from "./DailyTasksModal.module.css";
 /**
  * SortableDailyTaskRow - A sortable wrapper for daily task rows
  */
-const SortableDailyTaskRow = ({ task, onToggle, onDelete }) => {
+const SortableDailyTaskRow = ({ task, onToggle, onDelete, readOnly }) => {
   const {
     attributes,
     listeners,
@@ -22,7 +22,7 @@ const SortableDailyTaskRow = ({ task, onToggle, onDelete }) => {
     transform,
     transition,
     isDragging,
-  } = useSortable({ id: task.id });
+  } = useSortable({ id: task.id, disabled: readOnly });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -36,19 +36,22 @@ const SortableDailyTaskRow = ({ task, onToggle, onDelete }) => {
       style={style}
       className={`${styles.dailyTaskRow} ${isDragging ? styles.dragging : ""}`}
     >
-      <span
-        className={styles.dragHandle}
-        {...attributes}
-        {...listeners}
-        aria-label="Drag to reorder"
-      >
-        ⋮⋮
-      </span>
+      {!readOnly && (
+        <span
+          className={styles.dragHandle}
+          {...attributes}
+          {...listeners}
+          aria-label="Drag to reorder"
+        >
+          ⋮⋮
+        </span>
+      )}
       <input
         type="checkbox"
         className={`${styles.taskCheckbox} ${task.completed ? styles.completedCheckbox : ""}`}
         checked={task.completed}
         onChange={() => onToggle(task.id)}
+        disabled={readOnly}
         aria-label={`Mark "${task.description}" as ${task.completed ? "incomplete" : "complete"}`}
       />
       <span
@@ -56,14 +59,16 @@ const SortableDailyTaskRow = ({ task, onToggle, onDelete }) => {
       >
         {task.description}
       </span>
-      <button
-        className={styles.deleteButton}
-        onClick={() => onDelete(task.id)}
-        aria-label={`Delete task: ${task.description}`}
-        type="button"
-      >
-        ✕
-      </button>
+      {!readOnly && (
+        <button
+          className={styles.deleteButton}
+          onClick={() => onDelete(task.id)}
+          aria-label={`Delete task: ${task.description}`}
+          type="button"
+        >
+          ✕
+        </button>
+      )}
     </div>
   );
 };
@@ -103,6 +108,7 @@ const DailyTaskRowOverlay = ({ task }) => {
  * @param {function} onAddTask - Handler to add new task
  * @param {function} onDeleteTask - Handler to delete a task
  * @param {function} onReorderTasks - Handler to reorder tasks via drag-and-drop
+ * @param {boolean} [readOnly] - Shows the tasks without any way to change them
  */
 const DailyTasksModal = ({
   isOpen,
@@ -112,6 +118,7 @@ const DailyTasksModal = ({
   onAddTask,
   onDeleteTask,
   onReorderTasks,
+  readOnly = false,
 }) => {
   const router = useRouter();
   const [isAddingTask, setIsAddingTask] = useState(false);
@@ -276,6 +283,7 @@ const DailyTasksModal = ({
                     task={task}
                     onToggle={handleToggle}
                     onDelete={onDeleteTask}
+                    readOnly={readOnly}
                   />
                 ))}
               </SortableContext>
@@ -304,13 +312,15 @@ const DailyTasksModal = ({
 
         {/* Button Container */}
         <div className={styles.buttonContainer}>
-          <button
-            className={styles.addTaskButton}
-            onClick={handleAddTaskClick}
-            disabled={isAddingTask}
-          >
-            + Add Daily Task
-          </button>
+          {!readOnly && (
+            <button
+              className={styles.addTaskButton}
+              onClick={handleAddTaskClick}
+              disabled={isAddingTask}
+            >
+              + Add Daily Task
+            </button>
+          )}
           <button
             className={styles.dashboardButton}
             onClick={handleDashboardClick}
@@ -0,0 +1,35 @@
+"use client";
+import { usePathname } from "next/navigation";
+import useBackendHealth from "@/hooks/useBackendHealth";
+import styles from "./DegradedModeBanner.module.css";
+
+/**
+ * Persistent banner shown on every route while the backend is unreachable.
+ * Disappears on its own once the heartbeat recovers (see BackendHealthContext).
+ */
+export default function DegradedModeBanner() {
+  const pathname = usePathname();
+  const { isHealthy, isRetrying, retry } = useBackendHealth();
+
+  // The home page shows the full BackendErrorOverlay instead
+  if (isHealthy !== false || pathname === "/") {
+    return null;
+  }
+
+  return (
+    <div className={styles.banner} role="status" aria-live="polite">
+      <span className={styles.message}>
+        Server unreachable. Task and journal changes are kept on this device and
+        sync when it&apos;s back.
+      </span>
+      <button
+        type="button"
+        className={styles.retryButton}
+        onClick={retry}
+        disabled={isRetrying}
+      >
+        {isRetrying ? "Checking..." : "Retry now"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import DoneTaskList from "@/components/DoneTaskList";
+import ConfirmModal from "@/components/ConfirmModal";
+import TButton from "@/components/TButton";
+import { useDoneTasks } from "@/hooks/useDoneTasks";
+import styles from "./DoneArchiveModal.module.css";
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * DoneArchiveModal - Searchable archive of a list's completed tasks,
+ * with restore and permanent purge (one task, or the whole list)
+ *
+ * @param {boolean} isOpen - Controls modal visibility
+ * @param {function} onClose - Handler to close modal
+ * @param {string|null} userId - User whose archive to show
+ * @param {string} category - Task list id
+ * @param {string} categoryName - The list's name, for the title
+ * @param {boolean} [readOnly] - Hides restore and purge
+ */
+const DoneArchiveModal = ({
+  isOpen,
+  onClose,
+  userId,
+  category,
+  categoryName,
+  readOnly = false,
+}) => {
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  // Task being purged, or "all" for the whole list
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  const { tasks, isLoading, error, restoreTask, purgeTask, purgeAll } =
+    useDoneTasks(isOpen ? userId : null, category, { search });
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Handle escape key to close modal (the purge confirmation handles its own)
+  useEffect(() => {
+    if (!isOpen || purgeTarget) return undefined;
+    const handleEscape = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, purgeTarget, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const handleConfirmPurge = async () => {
+    const target = purgeTarget;
+    setPurgeTarget(null);
+    if (target === "all") {
+      await purgeAll();
+    } else {
+      await purgeTask(target.id);
+    }
+  };
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleBackdropClick}>
+      <div
+        className={styles.modal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="done-archive-title"
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="done-archive-title" className={styles.modalTitle}>
+            {categoryName} Done
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+            type="button"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className={styles.toolbar}>
+          <input
+            type="search"
+            className={styles.searchInput}
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search completed tasks..."
+            aria-label="Search completed tasks"
+          />
+          {!readOnly && (
+            <TButton
+              variant="danger"
+              onClick={() => setPurgeTarget("all")}
+              disabled={tasks.length === 0 || Boolean(search)}
+            >
+              Purge All
+            </TButton>
+          )}
+        </div>
+
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className={styles.taskList}>
+          {isLoading ? (
+            <div className={styles.loading}>Loading completed tasks...</div>
+          ) : (
+            <DoneTaskList
+              tasks={tasks}
+              onRestore={readOnly ? undefined : restoreTask}
+              onPurge={readOnly ? undefined : setPurgeTarget}
+              emptyText={
+                search
+                  ? "No completed tasks match your search."
+                  : "Nothing completed here yet."
+              }
+            />
+          )}
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={Boolean(purgeTarget)}
+        title="Purge Completed Tasks"
+        message={
+          purgeTarget === "all"
+            ? `Permanently delete every completed task in ${categoryName}? This cannot be undone.`
+            : `Permanently delete "${purgeTarget?.description}"${
+                purgeTarget?.subtasks?.length ? " and its subtasks" : ""
+              }? This cannot be undone.`
+        }
+        confirmLabel="Purge"
+        onConfirm={handleConfirmPurge}
+        onCancel={() => setPurgeTarget(null)}
+      />
+    </div>
+  );
+};
+
+export default DoneArchiveModal;
@@ -0,0 +1,76 @@
+/**
+ * DoneTaskList Component
+ * Archived TODO tasks, most recently completed first, each with its archived
+ * subtasks and restore / purge buttons. Used by the tasks page's "recently
+ * completed" list and by DoneArchiveModal.
+ */
+
+import React from "react";
+import TButton from "@/components/TButton";
+import { formatDateTime } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
+import styles from "./DoneTaskList.module.css";
+
+/**
+ * @param {object} props - Component props
+ * @param {import("@/src/lib/taskService").DoneTask[]} props.tasks - Archived tasks
+ * @param {Function} [props.onRestore] - Called with a task id; no restore button if omitted
+ * @param {Function} [props.onPurge] - Called with a task; no purge button if omitted
+ * @param {string} [props.emptyText] - Shown when there are no tasks
+ */
+const DoneTaskList = ({
+  tasks,
+  onRestore,
+  onPurge,
+  emptyText = "No completed tasks.",
+}) => {
+  useDateDisplayFormat();
+
+  if (!tasks || tasks.length === 0) {
+    return <div className={styles.emptyState}>{emptyText}</div>;
+  }
+
+  return (
+    <ul className={styles.list}>
+      {tasks.map((task) => (
+        <li key={task.id} className={styles.task}>
+          <div className={styles.info}>
+            <span className={styles.description}>{task.description}</span>
+            {task.subtasks?.length > 0 && (
+              <ul className={styles.subtasks}>
+                {task.subtasks.map((subtask) => (
+                  <li key={subtask.id}>{subtask.description}</li>
+                ))}
+              </ul>
+            )}
+            <span className={styles.completedAt}>
+              Completed {formatDateTime(task.completedAt)}
+            </span>
+          </div>
+          <div className={styles.actions}>
+            {onRestore && (
+              <TButton
+                variant="secondary"
+                onClick={() => onRestore(task.id)}
+                ariaLabel={`Restore task: ${task.description}`}
+              >
+                Restore
+              </TButton>
+            )}
+            {onPurge && (
+              <TButton
+                variant="danger"
+                onClick={() => onPurge(task)}
+                ariaLabel={`Permanently delete task: ${task.description}`}
+              >
+                Purge
+              </TButton>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default DoneTaskList;
@@ -12,11 +12,9 @@ const DRIVE_OPTIONS = [
 export default function DriveToggle({
   activeDrive = "myDrive",
   onDriveChange,
-  showAdminDrive = false,
+  allowedDrives = DRIVE_OPTIONS.map((d) => d.key),
 }) {
-  const drives = showAdminDrive
-    ? DRIVE_OPTIONS
-    : DRIVE_OPTIONS.filter((d) => d.key !== "adminDrive");
+  const drives = DRIVE_OPTIONS.filter((d) => allowedDrives.includes(d.key));
 
   return (
     <div className={styles.toggleContainer}>
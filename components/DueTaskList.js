@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import TaskDueEditor from "./TaskDueEditor";
+import { getCategoryName } from "@/src/lib/taskCategories";
+import { formatDateTime } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
+import styles from "./DueTaskList.module.css";
+
+const GROUPS = [
+  { key: "overdue", title: "Overdue" },
+  { key: "dueSoon", title: "Due Soon" },
+];
+
+/**
+ * DueTaskList - The "Due soon / Overdue" smart list, across lists
+ *
+ * @param {{overdue: Array, dueSoon: Array}} dueTasks - From useTaskManager
+ * @param {import("@/src/lib/taskCategories").TaskCategory[]} categories - The user's lists, for tags
+ * @param {function} onTaskComplete - Called with a task id
+ * @param {function} onTaskDueChange - Called with (id, { dueAt, reminders })
+ * @param {function} onCategorySelect - Called with a list id to open it
+ * @param {boolean} [readOnly] - Disables completing and due date edits
+ */
+const DueTaskList = ({
+  dueTasks,
+  categories = [],
+  onTaskComplete,
+  onTaskDueChange,
+  onCategorySelect,
+  readOnly = false,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  useDateDisplayFormat();
+
+  const isEmpty =
+    dueTasks.overdue.length === 0 && dueTasks.dueSoon.length === 0;
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Due Soon / Overdue</h2>
+
+      {isEmpty && (
+        <div className={styles.emptyState}>
+          Nothing overdue or due in the next 24 hours.
+        </div>
+      )}
+
+      {GROUPS.filter(({ key }) => dueTasks[key].length > 0).map(
+        ({ key, title }) => (
+          <section key={key} className={styles.group} aria-label={title}>
+            <h3 className={`${styles.groupTitle} ${styles[key]}`}>
+              {title} ({dueTasks[key].length})
+            </h3>
+            <ul className={styles.list}>
+              {dueTasks[key].map((task) => (
+                <li key={task.id} className={styles.task}>
+                  <input
+                    type="checkbox"
+                    className={styles.checkbox}
+                    checked={false}
+                    onChange={() => onTaskComplete(task.id)}
+                    disabled={readOnly}
+                    aria-label={`Complete task: ${task.description}`}
+                  />
+                  <span className={styles.description}>{task.description}</span>
+                  <button
+                    type="button"
+                    className={styles.categoryTag}
+                    onClick={() => onCategorySelect(task.category)}
+                    title={`Open ${getCategoryName(categories, task.category)}`}
+                  >
+                    {getCategoryName(categories, task.category)}
+                  </button>
+                  <button
+                    type="button"
+                    className={`${styles.dueChip} ${styles[key]}`}
+                    onClick={() =>
+                      setEditingId(editingId === task.id ? null : task.id)
+                    }
+                    disabled={readOnly}
+                    aria-label={`Due ${formatDateTime(task.dueAt)}, edit due date`}
+                  >
+                    {formatDateTime(task.dueAt)}
+                  </button>
+                  {editingId === task.id && (
+                    <TaskDueEditor
+                      task={task}
+                      onSave={(due) => {
+                        onTaskDueChange(task.id, due);
+                        setEditingId(null);
+                      }}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ),
+      )}
+    </div>
+  );
+};
+
+export default DueTaskList;
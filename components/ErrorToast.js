@@ -11,7 +11,7 @@ import styles from "./ErrorToast.module.css";
 const DEFAULT_DURATION = 5000;
 
 export default function ErrorToast({ toast, onDismiss }) {
-  const { id, message, type, duration = DEFAULT_DURATION } = toast;
+  const { id, message, type, duration = DEFAULT_DURATION, action } = toast;
 
   useEffect(() => {
     if (duration > 0) {
@@ -26,6 +26,11 @@ export default function ErrorToast({ toast, onDismiss }) {
     onDismiss(id);
   }, [id, onDismiss]);
 
+  const handleAction = useCallback(() => {
+    action.onClick();
+    onDismiss(id);
+  }, [action, id, onDismiss]);
+
   const handleKeyDown = useCallback(
     (e) => {
       if (e.key === "Enter" || e.key === " ") {
@@ -55,6 +60,15 @@ export default function ErrorToast({ toast, onDismiss }) {
         </span>
         <p className={styles.message}>{message}</p>
       </div>
+      {action && (
+        <button
+          className={styles.actionButton}
+          onClick={handleAction}
+          type="button"
+        >
+          {action.label}
+        </button>
+      )}
       <button
         className={styles.dismissButton}
         onClick={handleDismiss}
@@ -1,7 +1,8 @@
 "use client";
 import { useState, useEffect } from "react";
 import { usePathname, useRouter } from "next/navigation";
-import { formatStatusDate } from "@/utils/dateFormatter";
+import { formatStatusDate, formatClockTime } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import styles from "./HealthStatusBar.module.css";
 
 const ROUTE_TITLES = {
@@ -19,6 +20,7 @@ const ROUTE_TITLES = {
  * Right side: SYS:ONLINE + date + live clock.
  */
 export default function HealthStatusBar() {
+  useDateDisplayFormat();
   const pathname = usePathname();
   const router = useRouter();
   const [now, setNow] = useState(new Date());
@@ -33,12 +35,9 @@ export default function HealthStatusBar() {
   const title = ROUTE_TITLES[pathname] ?? ROUTE_TITLES[pathname + "/"] ?? null;
   const isHome = pathname === "/health/" || pathname === "/health";
 
-  const formatClock = (date) => {
-    const h = String(date.getHours()).padStart(2, "0");
-    const m = String(date.getMinutes()).padStart(2, "0");
-    const s = String(date.getSeconds()).padStart(2, "0");
-    return `${h}:${m}:${s}`;
-  };
+  // 24-hour HH:MM:SS unless the user picked a clock style
+  const formatClock = (date) =>
+    formatClockTime(date, { seconds: true, defaultFormat: "24h" });
 
   const handleBack = () => {
     router.push("/health/");
@@ -0,0 +1,26 @@
+"use client";
+import { useAuth } from "@/src/context/AuthContext";
+import IdleLockScreen from "./IdleLockScreen";
+
+/**
+ * Hides the app behind the lock screen while AuthContext is locked.
+ * The page stays mounted underneath (unsaved edits survive) but is inert, so
+ * it cannot be focused, clicked or read by assistive technology.
+ */
+export default function IdleLockGate({ children }) {
+  const { isAuthenticated, isLocked } = useAuth();
+  const locked = isAuthenticated && isLocked;
+
+  return (
+    <>
+      <div
+        style={{ display: "contents" }}
+        inert={locked ? "" : undefined}
+        aria-hidden={locked || undefined}
+      >
+        {children}
+      </div>
+      {locked && <IdleLockScreen />}
+    </>
+  );
+}
@@ -0,0 +1,130 @@
+"use client";
+import { useState, useEffect } from "react";
+import { FaLock } from "react-icons/fa";
+import { useAuth } from "@/src/context/AuthContext";
+import { getPinStatus } from "@/src/lib/lockService";
+import styles from "./IdleLockScreen.module.css";
+
+/**
+ * Full-screen lock shown after inactivity (see IdleLockGate).
+ * Unlocks with the user's PIN when one is set, or with their password.
+ */
+export default function IdleLockScreen() {
+  const { username, unlock, logout } = useAuth();
+  const [hasPin, setHasPin] = useState(false);
+  const [usePin, setUsePin] = useState(false);
+  const [value, setValue] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Offer the PIN first when the user has one
+  useEffect(() => {
+    let cancelled = false;
+    getPinStatus()
+      .then((status) => {
+        if (!cancelled && status.enabled) {
+          setHasPin(true);
+          setUsePin(true);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    const result = await unlock(usePin ? { pin: value } : { password: value });
+    if (!result.success) {
+      setError(result.error);
+      setValue("");
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchMethod = () => {
+    setUsePin((current) => !current);
+    setValue("");
+    setError(null);
+  };
+
+  return (
+    <div
+      className={styles.lockOverlay}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="idle-lock-title"
+    >
+      <form className={styles.lockPanel} onSubmit={handleSubmit}>
+        <FaLock className={styles.lockIcon} aria-hidden="true" />
+        <h2 id="idle-lock-title" className={styles.title}>
+          Locked
+        </h2>
+        <p className={styles.text}>
+          Signed in as <span className={styles.username}>{username}</span>.
+          Locked after a period of inactivity.
+        </p>
+
+        <label className={styles.label} htmlFor="idle-lock-input">
+          {usePin ? "PIN" : "Password"}
+        </label>
+        <input
+          key={usePin ? "pin" : "password"}
+          id="idle-lock-input"
+          type="password"
+          className={styles.input}
+          value={value}
+          onChange={(e) =>
+            setValue(
+              usePin ? e.target.value.replace(/\D/g, "") : e.target.value,
+            )
+          }
+          inputMode={usePin ? "numeric" : undefined}
+          autoComplete={usePin ? "off" : "current-password"}
+          maxLength={usePin ? 8 : undefined}
+          disabled={isSubmitting}
+          required
+          autoFocus
+        />
+
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          className={styles.unlockButton}
+          disabled={isSubmitting || !value}
+        >
+          {isSubmitting ? "Unlocking..." : "Unlock"}
+        </button>
+
+        <div className={styles.links}>
+          {hasPin && (
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={switchMethod}
+              disabled={isSubmitting}
+            >
+              {usePin ? "Use password" : "Use PIN"}
+            </button>
+          )}
+          <button
+            type="button"
+            className={styles.linkButton}
+            onClick={logout}
+            disabled={isSubmitting}
+          >
+            Log out
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
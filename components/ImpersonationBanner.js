@@ -0,0 +1,47 @@
+"use client";
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useImpersonation } from "@/src/context/ImpersonationContext";
+import styles from "./ImpersonationBanner.module.css";
+
+/**
+ * Banner and screen frame shown on every route while an admin is viewing the
+ * app as another user, with the way back to their own view.
+ */
+export default function ImpersonationBanner() {
+  const router = useRouter();
+  const { impersonation, stopImpersonation } = useImpersonation();
+  const [isStopping, setIsStopping] = useState(false);
+
+  if (!impersonation) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setIsStopping(true);
+    await stopImpersonation();
+    setIsStopping(false);
+    router.push("/admin");
+  };
+
+  return (
+    <>
+      <div className={styles.frame} aria-hidden="true" />
+      <div className={styles.banner} role="status" aria-live="polite">
+        <span className={styles.message}>
+          Viewing as <strong>{impersonation.username}</strong>
+          {" · "}
+          {impersonation.allowWrites ? "changes allowed" : "read-only"}
+        </span>
+        <button
+          type="button"
+          className={styles.stopButton}
+          onClick={handleStop}
+          disabled={isStopping}
+        >
+          {isStopping ? "Stopping..." : "Stop"}
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,32 @@
+"use client";
+import { useEffect, useState } from "react";
+
+// Started while this module loads. The condition is inlined at build time, so
+// without the flag the mock backend is never part of a bundle.
+const mockBackendReady =
+  process.env.NEXT_PUBLIC_USE_MOCK_BACKEND === "true" &&
+  typeof window !== "undefined"
+    ? import("@/src/mocks/mockBackend").then(({ installMockBackend }) => {
+        installMockBackend();
+      })
+    : null;
+
+/**
+ * Switches the app over to the in-browser mock backend when it is enabled at
+ * build time (see src/mocks/mockBackend.js). Wraps the providers in the root
+ * layout and holds them back until the mock is installed, so no request
+ * reaches the real backend first.
+ */
+export default function MockBackendLoader({ children }) {
+  const [ready, setReady] = useState(
+    process.env.NEXT_PUBLIC_USE_MOCK_BACKEND !== "true",
+  );
+
+  useEffect(() => {
+    if (!ready && mockBackendReady) {
+      mockBackendReady.then(() => setReady(true));
+    }
+  }, [ready]);
+
+  return ready ? children : null;
+}
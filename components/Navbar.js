@@ -11,12 +11,14 @@ import { SiLetsencrypt } from "react-icons/si";
 import VersionModal from "@/components/VersionModal";
 import NotificationIcon from "@/components/NotificationIcon";
 import { useUnreadStatus } from "@/hooks/useUnreadStatus";
+import { useOfflineSync } from "@/hooks/useOfflineSync";
 import versionData from "@/data/versionData";
 import styles from "./Navbar.module.css";
 
 const Navbar = forwardRef(function Navbar(_props, ref) {
   const pathname = usePathname();
   const { hasUnread } = useUnreadStatus();
+  const { pendingCount, isSyncing } = useOfflineSync();
 
   const pages = [
     { name: "Task Management", href: "/tasks/" },
@@ -33,6 +35,15 @@ const Navbar = forwardRef(function Navbar(_props, ref) {
     openMenu: () => setMenuOpen(true),
   }));
 
+  // Changes made while the backend was unreachable (see offlineQueue.js)
+  const pendingSync = pendingCount > 0 && (
+    <span className={styles.pendingSync} role="status">
+      {isSyncing
+        ? "Syncing changes…"
+        : `${pendingCount} ${pendingCount === 1 ? "change" : "changes"} pending sync`}
+    </span>
+  );
+
   return (
     <>
       <nav className={styles.navbar}>
@@ -71,6 +82,7 @@ const Navbar = forwardRef(function Navbar(_props, ref) {
           >
             <SiLetsencrypt />
           </a>
+          {pendingSync}
           <NotificationIcon hasUnread={hasUnread} />
           <span
             className={styles.version}
@@ -83,6 +95,7 @@ const Navbar = forwardRef(function Navbar(_props, ref) {
 
         {/* Mobile Controls: Version & Hamburger Icon */}
         <div className={styles.mobileControls}>
+          {pendingSync}
           <span
             className={styles.version}
             onClick={() => setShowVersionModal(true)}
@@ -0,0 +1,49 @@
+"use client";
+import {
+  checkPassword,
+  getPasswordStrength,
+  STRENGTH_LABELS,
+} from "@/src/lib/passwordPolicy";
+import styles from "./PasswordStrengthMeter.module.css";
+
+/**
+ * Live strength bar and policy checklist shown under a new-password field.
+ * The rules come from src/lib/passwordPolicy, which the backend enforces too.
+ *
+ * @param {object} props
+ * @param {string} props.password - Password being typed
+ * @param {string} [props.username] - Account the password is for
+ */
+export default function PasswordStrengthMeter({ password, username }) {
+  if (!password) return null;
+
+  const { score, label } = getPasswordStrength(password, { username });
+  const { rules } = checkPassword(password, { username });
+
+  return (
+    <div className={styles.meter} aria-live="polite">
+      <div className={styles.bar}>
+        {STRENGTH_LABELS.slice(1).map((segment, index) => (
+          <span
+            key={segment}
+            className={`${styles.segment} ${
+              index < score ? styles[`level${score}`] : ""
+            }`}
+          />
+        ))}
+      </div>
+      <span className={styles.label}>Strength: {label}</span>
+      <ul className={styles.rules}>
+        {rules.map((rule) => (
+          <li
+            key={rule.id}
+            className={rule.passed ? styles.rulePassed : styles.ruleFailed}
+          >
+            <span aria-hidden="true">{rule.passed ? "✓" : "✗"}</span>{" "}
+            {rule.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
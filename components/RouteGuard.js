@@ -10,6 +10,7 @@
 import { useEffect, useState } from "react";
 import { useRouter, usePathname } from "next/navigation";
 import { useAuth } from "../src/context/AuthContext";
+import { hasCapabilities } from "../src/lib/permissions";
 
 // Key for storing intended destination in sessionStorage
 const REDIRECT_KEY = "auth_redirect_destination";
@@ -44,18 +45,20 @@ export function getRedirectDestination() {
  * @param {object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render if authorized
  * @param {string[]} [props.requiredRoles] - Optional array of roles required to access the route
- * @param {string} [props.fallbackPath="/"] - Path to redirect to if unauthorized (has auth but lacks roles)
+ * @param {string[]} [props.requiredCapabilities] - Optional array of capabilities required (see lib/permissions)
+ * @param {string} [props.fallbackPath="/"] - Path to redirect to if unauthorized (has auth but lacks roles or capabilities)
  * @param {string} [props.loginPath="/login"] - Path to redirect to if unauthenticated
  */
 export default function RouteGuard({
   children,
   requiredRoles = [],
+  requiredCapabilities = [],
   fallbackPath = "/",
   loginPath = "/login",
 }) {
   const router = useRouter();
   const pathname = usePathname();
-  const { isAuthenticated, isLoading, roles } = useAuth();
+  const { isAuthenticated, isLoading, roles, capabilities } = useAuth();
   const [authorized, setAuthorized] = useState(false);
 
   useEffect(() => {
@@ -90,13 +93,25 @@ export default function RouteGuard({
       }
     }
 
-    // User is authenticated and has required roles
+    // Check capabilities the same way, against the resolved list
+    if (
+      requiredCapabilities.length > 0 &&
+      !hasCapabilities(capabilities, requiredCapabilities)
+    ) {
+      setAuthorized(false);
+      router.push(fallbackPath);
+      return;
+    }
+
+    // User is authenticated and has required roles and capabilities
     setAuthorized(true);
   }, [
     isAuthenticated,
     isLoading,
     roles,
     requiredRoles,
+    capabilities,
+    requiredCapabilities,
     router,
     pathname,
     fallbackPath,
@@ -119,6 +134,7 @@ export default function RouteGuard({
  * @param {React.ComponentType} WrappedComponent - Component to wrap
  * @param {object} options - Guard options
  * @param {string[]} [options.requiredRoles] - Required roles
+ * @param {string[]} [options.requiredCapabilities] - Required capabilities
  * @param {string} [options.fallbackPath] - Fallback path for unauthorized
  * @param {string} [options.loginPath] - Login path for unauthenticated
  * @returns {React.ComponentType} Wrapped component with route guard
@@ -126,6 +142,7 @@ export default function RouteGuard({
 export function withRouteGuard(WrappedComponent, options = {}) {
   const {
     requiredRoles = [],
+    requiredCapabilities = [],
     fallbackPath = "/",
     loginPath = "/login",
   } = options;
@@ -134,6 +151,7 @@ export function withRouteGuard(WrappedComponent, options = {}) {
     return (
       <RouteGuard
         requiredRoles={requiredRoles}
+        requiredCapabilities={requiredCapabilities}
         fallbackPath={fallbackPath}
         loginPath={loginPath}
       >
@@ -0,0 +1,84 @@
+/**
+ * SessionList Component
+ * Active sign-ins for one account, each with a revoke button. Used by the
+ * sessions page and the admin panel's per-user sessions view.
+ */
+
+import React from "react";
+import { formatDateTime } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
+import styles from "./SessionList.module.css";
+
+/**
+ * @param {object} props - Component props
+ * @param {import("@/src/lib/sessionService").Session[]} props.sessions - Sessions to list
+ * @param {string|null} [props.currentSessionId] - This device's session (`sid` claim)
+ * @param {number|null} [props.currentIssuedAt] - When this device's token was issued (ms)
+ * @param {Function} props.onRevoke - Called with a session
+ * @param {string|null} [props.revokingId] - Session being revoked
+ * @param {string} [props.emptyText] - Shown when there are no sessions
+ */
+const SessionList = ({
+  sessions,
+  currentSessionId = null,
+  currentIssuedAt = null,
+  onRevoke,
+  revokingId = null,
+  emptyText = "No active sessions.",
+}) => {
+  useDateDisplayFormat();
+
+  if (!sessions || sessions.length === 0) {
+    return <div className={styles.emptyState}>{emptyText}</div>;
+  }
+
+  return (
+    <ul className={styles.list}>
+      {sessions.map((session) => {
+        const isCurrent =
+          session.current ||
+          (currentSessionId && session.id === currentSessionId);
+        const isRevoking = revokingId === session.id;
+        return (
+          <li
+            key={session.id}
+            className={`${styles.session} ${isCurrent ? styles.current : ""}`}
+          >
+            <div className={styles.info}>
+              <div className={styles.device} title={session.userAgent}>
+                {session.device || "Unknown device"}
+                {isCurrent && (
+                  <span className={styles.currentBadge}>This device</span>
+                )}
+              </div>
+              <dl className={styles.details}>
+                <dt>IP</dt>
+                <dd>{session.ipAddress || "Unknown"}</dd>
+                <dt>Signed in</dt>
+                <dd>{formatDateTime(session.createdAt)}</dd>
+                <dt>Last seen</dt>
+                <dd>{formatDateTime(session.lastSeenAt)}</dd>
+                {isCurrent && currentIssuedAt && (
+                  <>
+                    <dt>Token issued</dt>
+                    <dd>{formatDateTime(currentIssuedAt)}</dd>
+                  </>
+                )}
+              </dl>
+            </div>
+            <button
+              type="button"
+              className={styles.revokeButton}
+              onClick={() => onRevoke(session)}
+              disabled={Boolean(revokingId)}
+            >
+              {isRevoking ? "Revoking..." : isCurrent ? "Sign out" : "Revoke"}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SessionList;
@@ -11,14 +11,11 @@ import {
   arrayMove,
 } from "@dnd-kit/sortable";
 import { useDndSensors } from "@/hooks/useDndSensors";
+import { getSubtaskIds } from "@/src/lib/taskTree";
 import TaskRow from "./TaskRow";
 import AddTaskButtons from "./AddTaskButtons";
 import styles from "./TaskContainer.module.css";
 
-// Helper to determine if a task acts as a section (has children)
-const isSection = (task, allTasks) =>
-  allTasks.some((t) => t.parentId === task.id);
-
 // Simplified DropZone for hierarchical nesting
 const DropZone = ({ taskId, isVisible }) => {
   const { setNodeRef, isOver } = useDroppable({ id: `dropzone-${taskId}` });
@@ -42,8 +39,17 @@ const TaskContainer = ({
   onTaskComplete,
   onTaskReorder,
   onTaskRename,
+  onTaskDueChange,
+  onTaskMove,
+  onTaskIndent,
+  onTaskOutdent,
+  onTaskSectionChange,
+  onTaskCollapsedChange,
+  categories,
   onAddTask,
+  onAddSection,
   newTaskId,
+  readOnly = false, // Shows the tasks without any way to change them
   className = "",
 }) => {
   const [activeId, setActiveId] = useState(null);
@@ -53,13 +59,19 @@ const TaskContainer = ({
   // Dnd-kit requires a flat list of IDs for the SortableContext
   const sortableIds = useMemo(() => {
     const ids = tasks.map((t) => t.id);
-    // Add virtual IDs for drop zones to allow nesting on all root tasks
-    tasks.forEach((t) => {
-      if (!t.parentId) ids.push(`dropzone-${t.id}`);
-    });
+    // Add virtual IDs for drop zones to allow nesting on any task
+    tasks.forEach((t) => ids.push(`dropzone-${t.id}`));
     return ids;
   }, [tasks]);
 
+  // A task can't be nested under itself or one of its own subtasks
+  const draggedSubtreeIds = useMemo(() => {
+    if (!activeId) return new Set();
+    const ids = getSubtaskIds(tasks, activeId);
+    ids.add(activeId);
+    return ids;
+  }, [tasks, activeId]);
+
   const handleDragEnd = (event) => {
     const { active, over } = event;
     setActiveId(null);
@@ -75,6 +87,9 @@ const TaskContainer = ({
     const newIndex = tasks.findIndex((t) => t.id === targetId);
 
     if (oldIndex === -1 || newIndex === -1) return;
+    if (isNestingAction && getSubtaskIds(tasks, draggedId).has(targetId)) {
+      return;
+    }
 
     const draggedTask = tasks[oldIndex];
 
@@ -130,20 +145,29 @@ const TaskContainer = ({
           >
             <div className={styles.taskList}>
               {tasks.map((task) => {
-                const taskIsSection = isSection(task, tasks);
                 return (
                   <div key={task.id} className={styles.taskWrapper}>
                     <TaskRow
                       task={task}
                       onComplete={onTaskComplete}
                       onRename={onTaskRename}
-                      isSection={taskIsSection}
-                      indentLevel={task.parentId ? 1 : 0}
+                      isSection={task.isSection === true}
+                      indentLevel={task.depth ?? 0}
+                      progress={task.progress}
+                      hasChildren={task.hasChildren}
+                      onCollapsedChange={onTaskCollapsedChange}
+                      onSectionChange={onTaskSectionChange}
+                      onIndent={onTaskIndent}
+                      onOutdent={onTaskOutdent}
                       isNewTask={newTaskId === task.id}
                       isFromNotification={task.createdFromNotification === true}
+                      onDueChange={onTaskDueChange}
+                      categories={categories}
+                      onMove={onTaskMove}
+                      readOnly={readOnly}
                     />
-                    {/* Nesting Helper: Show for all root tasks to allow nesting */}
-                    {!task.parentId && activeId && activeId !== task.id && (
+                    {/* Nesting Helper: Show on every task the dragged one can nest under */}
+                    {activeId && !draggedSubtreeIds.has(task.id) && (
                       <DropZone taskId={task.id} isVisible={true} />
                     )}
                   </div>
@@ -166,7 +190,9 @@ const TaskContainer = ({
         </DndContext>
       )}
 
-      <AddTaskButtons onAddTask={onAddTask} />
+      {!readOnly && (
+        <AddTaskButtons onAddTask={onAddTask} onAddSection={onAddSection} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  REMINDER_OPTIONS,
+  describeReminder,
+  toDateTimeInputValue,
+} from "@/src/lib/taskDueDates";
+import styles from "./TaskDueEditor.module.css";
+
+/**
+ * TaskDueEditor - Inline editor for a TODO task's due date and reminders
+ *
+ * @param {Object} task - Task being edited (dueAt, reminders)
+ * @param {function} onSave - Called with { dueAt, reminders }; dueAt is null
+ *   when the due date is cleared
+ * @param {function} onCancel - Closes the editor without saving
+ */
+const TaskDueEditor = ({ task, onSave, onCancel }) => {
+  const [dueValue, setDueValue] = useState(toDateTimeInputValue(task.dueAt));
+  // A new due date reminds at the due time unless the user picks otherwise
+  const [reminders, setReminders] = useState(
+    task.dueAt ? task.reminders || [] : [0],
+  );
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const toggleReminder = (minutes) => {
+    setReminders((current) =>
+      current.includes(minutes)
+        ? current.filter((m) => m !== minutes)
+        : [...current, minutes].sort((a, b) => a - b),
+    );
+  };
+
+  const handleSave = () => {
+    if (!dueValue) return;
+    onSave({ dueAt: new Date(dueValue).toISOString(), reminders });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") onCancel();
+    if (e.key === "Enter") handleSave();
+  };
+
+  return (
+    <div
+      className={styles.editor}
+      onKeyDown={handleKeyDown}
+      role="group"
+      aria-label={`Due date for ${task.description}`}
+    >
+      <label className={styles.field}>
+        <span className={styles.label}>Due</span>
+        <input
+          ref={inputRef}
+          type="datetime-local"
+          className={styles.dateInput}
+          value={dueValue}
+          onChange={(e) => setDueValue(e.target.value)}
+        />
+      </label>
+
+      <fieldset className={styles.reminders}>
+        <legend className={styles.label}>Remind me</legend>
+        {REMINDER_OPTIONS.map((minutes) => (
+          <label key={minutes} className={styles.reminderOption}>
+            <input
+              type="checkbox"
+              checked={reminders.includes(minutes)}
+              onChange={() => toggleReminder(minutes)}
+            />
+            {describeReminder(minutes)}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.saveButton}
+          onClick={handleSave}
+          disabled={!dueValue}
+        >
+          Save
+        </button>
+        {task.dueAt && (
+          <button
+            type="button"
+            className={styles.button}
+            onClick={() => onSave({ dueAt: null, reminders: [] })}
+          >
+            Clear
+          </button>
+        )}
+        <button type="button" className={styles.button} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskDueEditor;
@@ -0,0 +1,302 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import ColorPicker from "@/components/ColorPicker";
+import TButton from "@/components/TButton";
+import {
+  DEFAULT_CATEGORY_COLOR,
+  MAX_CATEGORY_NAME_LENGTH,
+  validateCategory,
+} from "@/src/lib/taskCategories";
+import styles from "./TaskListsModal.module.css";
+
+// Delete choice that removes a list's tasks along with it
+const DELETE_TASKS = "";
+
+/**
+ * TaskListsModal - Create, rename, recolor, reorder and delete task lists
+ *
+ * @param {boolean} isOpen - Controls modal visibility
+ * @param {function} onClose - Handler to close modal
+ * @param {import("@/src/lib/taskCategories").TaskCategory[]} categories - The user's lists, in order
+ * @param {function} onCreate - Called with { name, color }
+ * @param {function} onUpdate - Called with (id, { name?, color? })
+ * @param {function} onReorder - Called with every list id in the new order
+ * @param {function} onDelete - Called with (id, { moveTasksTo? })
+ */
+const TaskListsModal = ({
+  isOpen,
+  onClose,
+  categories,
+  onCreate,
+  onUpdate,
+  onReorder,
+  onDelete,
+}) => {
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(DEFAULT_CATEGORY_COLOR);
+  // Inline editors: one list (or "new") at a time
+  const [renaming, setRenaming] = useState(null);
+  const [pickingColor, setPickingColor] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [moveTasksTo, setMoveTasksTo] = useState(DELETE_TASKS);
+  const [error, setError] = useState(null);
+
+  // Handle escape key to close modal
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleEscape = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const invalid = validateCategory(
+      { name: newName, color: newColor },
+      categories,
+    );
+    setError(invalid);
+    if (invalid) return;
+    onCreate({ name: newName, color: newColor });
+    setNewName("");
+    setNewColor(DEFAULT_CATEGORY_COLOR);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const invalid = validateCategory(
+      { name: renaming.name },
+      categories,
+      renaming.id,
+    );
+    setError(invalid);
+    if (invalid) return;
+    onUpdate(renaming.id, { name: renaming.name });
+    setRenaming(null);
+  };
+
+  const handleMove = (index, offset) => {
+    const ids = categories.map((c) => c.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    onReorder(ids);
+  };
+
+  const startDelete = (category) => {
+    setDeleting(category.id);
+    setMoveTasksTo(categories.find((c) => c.id !== category.id).id);
+  };
+
+  const handleDelete = () => {
+    onDelete(deleting, moveTasksTo ? { moveTasksTo } : {});
+    setDeleting(null);
+  };
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleBackdropClick}>
+      <div
+        className={styles.modal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="task-lists-title"
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="task-lists-title" className={styles.modalTitle}>
+            Task Lists
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+            type="button"
+          >
+            ✕
+          </button>
+        </div>
+
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        <ul className={styles.lists}>
+          {categories.map((category, index) => (
+            <li key={category.id} className={styles.listRow}>
+              <div className={styles.colorCell}>
+                <button
+                  type="button"
+                  className={styles.swatch}
+                  style={{ backgroundColor: category.color }}
+                  onClick={() =>
+                    setPickingColor(
+                      pickingColor === category.id ? null : category.id,
+                    )
+                  }
+                  aria-label={`Change color of ${category.name}`}
+                />
+                {pickingColor === category.id && (
+                  <div className={styles.pickerPopover}>
+                    <ColorPicker
+                      onSelectColor={(color) =>
+                        onUpdate(category.id, { color })
+                      }
+                      onClose={() => setPickingColor(null)}
+                    />
+                  </div>
+                )}
+              </div>
+
+              {renaming?.id === category.id ? (
+                <form className={styles.renameForm} onSubmit={handleRename}>
+                  <input
+                    className={styles.nameInput}
+                    value={renaming.name}
+                    maxLength={MAX_CATEGORY_NAME_LENGTH}
+                    onChange={(e) =>
+                      setRenaming({ ...renaming, name: e.target.value })
+                    }
+                    aria-label={`New name for ${category.name}`}
+                    autoFocus
+                  />
+                  <button type="submit" className={styles.textButton}>
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.textButton}
+                    onClick={() => setRenaming(null)}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <button
+                  type="button"
+                  className={styles.name}
+                  style={{ color: category.color }}
+                  onClick={() => {
+                    setError(null);
+                    setRenaming({ id: category.id, name: category.name });
+                  }}
+                  title="Rename"
+                >
+                  {category.name}
+                </button>
+              )}
+
+              <div className={styles.rowActions}>
+                <button
+                  type="button"
+                  className={styles.iconButton}
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${category.name} up`}
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  className={styles.iconButton}
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === categories.length - 1}
+                  aria-label={`Move ${category.name} down`}
+                >
+                  ▼
+                </button>
+                <button
+                  type="button"
+                  className={styles.iconButton}
+                  onClick={() => startDelete(category)}
+                  disabled={categories.length === 1}
+                  aria-label={`Delete ${category.name}`}
+                  title={
+                    categories.length === 1
+                      ? "You need at least one task list"
+                      : "Delete"
+                  }
+                >
+                  ✕
+                </button>
+              </div>
+
+              {deleting === category.id && (
+                <div className={styles.deletePanel} role="group">
+                  <label className={styles.deleteLabel}>
+                    Delete &quot;{category.name}&quot; and
+                    <select
+                      className={styles.select}
+                      value={moveTasksTo}
+                      onChange={(e) => setMoveTasksTo(e.target.value)}
+                    >
+                      {categories
+                        .filter((c) => c.id !== category.id)
+                        .map((c) => (
+                          <option key={c.id} value={c.id}>
+                            move its tasks to {c.name}
+                          </option>
+                        ))}
+                      <option value={DELETE_TASKS}>delete its tasks</option>
+                    </select>
+                  </label>
+                  <div className={styles.deleteActions}>
+                    <TButton variant="danger" onClick={handleDelete}>
+                      Delete List
+                    </TButton>
+                    <TButton variant="ghost" onClick={() => setDeleting(null)}>
+                      Cancel
+                    </TButton>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <form className={styles.createForm} onSubmit={handleCreate}>
+          <div className={styles.colorCell}>
+            <button
+              type="button"
+              className={styles.swatch}
+              style={{ backgroundColor: newColor }}
+              onClick={() =>
+                setPickingColor(pickingColor === "new" ? null : "new")
+              }
+              aria-label="Choose a color for the new list"
+            />
+            {pickingColor === "new" && (
+              <div className={styles.pickerPopover}>
+                <ColorPicker
+                  onSelectColor={setNewColor}
+                  onClose={() => setPickingColor(null)}
+                />
+              </div>
+            )}
+          </div>
+          <input
+            className={styles.nameInput}
+            value={newName}
+            maxLength={MAX_CATEGORY_NAME_LENGTH}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New list name..."
+            aria-label="New list name"
+          />
+          <TButton type="submit" variant="primary">
+            Add List
+          </TButton>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TaskListsModal;
@@ -1,23 +1,38 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import TaskDueEditor from "./TaskDueEditor";
+import { describeReminder, getDueStatus } from "@/src/lib/taskDueDates";
+import { formatDateTime } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import styles from "./TaskRow.module.css";
 
 const TaskRow = ({
   task,
   onComplete,
   onRename,
-  isSection = false,
-  indentLevel = 0,
+  isSection = false, // Section heading: shown in ALL CAPS
+  indentLevel = 0, // Nesting depth (0 for top-level tasks)
   isNewTask = false,
   className = "",
   isOverlay = false, // Added to handle the DragOverlay look
   isDailyTask = false, // Enables daily task styling mode
   isCompleted = false, // For daily tasks: shows green completed state
   isFromNotification = false, // Enables blue text styling for notification-originated tasks
+  onDueChange, // Enables the due date chip and inline editor: (id, { dueAt, reminders })
+  categories = [], // The user's lists, for the "Move to" menu
+  onMove, // Enables the "Move to" menu: (id, categoryId)
+  progress = null, // { done, total } over direct subtasks, shown as "3/5"
+  hasChildren = false, // Shows the collapse/expand toggle
+  onCollapsedChange, // (id, collapsed)
+  onSectionChange, // Enables the section toggle: (id, isSection)
+  onIndent, // Tab while editing: (id)
+  onOutdent, // Shift+Tab while editing: (id)
+  readOnly = false, // No completing, editing or dragging; optional handlers are ignored
 }) => {
   const [isRemoving, setIsRemoving] = useState(false);
   const [isEditing, setIsEditing] = useState(isNewTask);
+  const [isEditingDue, setIsEditingDue] = useState(false);
   const [editValue, setEditValue] = useState(task?.description ?? "");
   const inputRef = useRef(null);
 
@@ -30,9 +45,18 @@ const TaskRow = ({
     isDragging,
   } = useSortable({
     id: task?.id ?? "temp-id",
-    disabled: isRemoving || isEditing || isOverlay || isDailyTask,
+    disabled:
+      isRemoving ||
+      isEditing ||
+      isEditingDue ||
+      isOverlay ||
+      isDailyTask ||
+      readOnly,
   });
 
+  // Due dates follow the user's date format preference
+  useDateDisplayFormat();
+
   // Focus management for editing
   useEffect(() => {
     if (isEditing && inputRef.current) {
@@ -72,7 +96,22 @@ const TaskRow = ({
     setIsEditing(false);
   };
 
+  const handleDueSave = (due) => {
+    onDueChange(task.id, due);
+    setIsEditingDue(false);
+  };
+
   const handleKeyDown = (e) => {
+    if (e.key === "Tab" && (e.shiftKey ? onOutdent : onIndent)) {
+      // Indent / outdent, keeping any edit made so far
+      e.preventDefault();
+      const trimmed = editValue.trim();
+      if (trimmed && trimmed !== task.description) {
+        onRename(task.id, trimmed);
+      }
+      (e.shiftKey ? onOutdent : onIndent)(task.id);
+      return;
+    }
     if (e.key === "Enter") handleSave();
     if (e.key === "Escape") {
       setEditValue(task.description);
@@ -91,10 +130,28 @@ const TaskRow = ({
     ? isCompleted
     : (task?.completed ?? false);
 
+  const isCollapsed = task?.collapsed === true;
+  // Read-only rows still show a due date, without the editor
+  const showDueDate =
+    (readOnly ? Boolean(task?.dueAt) : Boolean(onDueChange)) &&
+    !isDailyTask &&
+    !isOverlay;
+  const dueStatus = task ? getDueStatus(task) : null;
+  const moveTargets = categories.filter((c) => c.id !== task?.category);
+  const showMove =
+    Boolean(onMove) &&
+    !readOnly &&
+    moveTargets.length > 0 &&
+    !isDailyTask &&
+    !isOverlay;
+  const dueTitle = task?.reminders?.length
+    ? `Reminders: ${task.reminders.map(describeReminder).join(", ")}`
+    : "No reminders";
+
   return (
     <div
       ref={setNodeRef}
-      style={style}
+      style={{ ...style, "--indent-level": indentLevel }}
       className={`
         ${styles.taskRow} 
         ${isSection ? styles.sectionRow : ""} 
@@ -103,11 +160,13 @@ const TaskRow = ({
         ${isEditing ? styles.editing : ""} 
         ${isDailyTask ? styles.dailyTaskRow : ""}
         ${isDailyTask && isCompleted ? styles.dailyTaskCompleted : ""}
+        ${dueStatus ? styles[`${dueStatus}Row`] : ""}
+        ${isEditingDue ? styles.dueEditorOpen : ""}
         ${className}
       `.trim()}
     >
       {/* Hide drag handle for daily tasks */}
-      {!isDailyTask && (
+      {!isDailyTask && !readOnly && (
         <div
           className={styles.dragHandle}
           {...attributes}
@@ -118,12 +177,25 @@ const TaskRow = ({
         </div>
       )}
 
+      {!isDailyTask && !isOverlay && (
+        <button
+          type="button"
+          className={`${styles.collapseToggle} ${hasChildren ? "" : styles.collapseToggleEmpty}`}
+          onClick={() => onCollapsedChange?.(task.id, !isCollapsed)}
+          aria-expanded={hasChildren ? !isCollapsed : undefined}
+          aria-label={isCollapsed ? "Expand subtasks" : "Collapse subtasks"}
+          disabled={!hasChildren || !onCollapsedChange || readOnly}
+        >
+          {isCollapsed ? "▸" : "▾"}
+        </button>
+      )}
+
       <input
         type="checkbox"
         className={`${styles.checkbox} ${isDailyTask && isCompleted ? styles.dailyCheckboxCompleted : ""}`}
         checked={effectiveCompleted}
         onChange={handleComplete}
-        disabled={isNewTask || isRemoving}
+        disabled={isNewTask || isRemoving || readOnly}
       />
 
       {isEditing ? (
@@ -135,15 +207,91 @@ const TaskRow = ({
           onBlur={handleSave}
           onKeyDown={handleKeyDown}
           placeholder="Task name..."
+          title={onIndent ? "Tab to indent, Shift+Tab to outdent" : undefined}
         />
       ) : (
         <span
-          className={`${styles.taskText} ${styles.clickableText} ${isDailyTask && isCompleted ? styles.dailyTextCompleted : ""} ${isFromNotification ? styles.notificationTaskText : ""}`}
-          onClick={() => !isRemoving && setIsEditing(true)}
+          className={`${styles.taskText} ${readOnly ? "" : styles.clickableText} ${isDailyTask && isCompleted ? styles.dailyTextCompleted : ""} ${isFromNotification ? styles.notificationTaskText : ""}`}
+          onClick={() => !isRemoving && !readOnly && setIsEditing(true)}
         >
           {displayDescription || "Untitled Task"}
         </span>
       )}
+
+      {progress && !isDailyTask && (
+        <span
+          className={`${styles.progress} ${progress.done === progress.total ? styles.progressDone : ""}`}
+          aria-label={`${progress.done} of ${progress.total} subtasks done`}
+        >
+          {progress.done}/{progress.total}
+        </span>
+      )}
+
+      {onSectionChange &&
+        !readOnly &&
+        !isDailyTask &&
+        !isOverlay &&
+        !isEditing && (
+          <button
+            type="button"
+            className={`${styles.sectionToggle} ${isSection ? styles.sectionToggleOn : ""}`}
+            onClick={() => onSectionChange(task.id, !isSection)}
+            aria-pressed={isSection}
+            title={isSection ? "Turn back into a task" : "Make this a section"}
+            disabled={isRemoving}
+          >
+            §
+          </button>
+        )}
+
+      {showDueDate && !isEditing && (
+        <button
+          type="button"
+          className={`${styles.dueChip} ${task.dueAt ? "" : styles.dueChipEmpty} ${dueStatus ? styles[dueStatus] : ""}`}
+          onClick={() => setIsEditingDue((open) => !open)}
+          title={task.dueAt ? dueTitle : "Set a due date"}
+          aria-label={
+            task.dueAt
+              ? `Due ${formatDateTime(task.dueAt)}, edit due date`
+              : "Set a due date"
+          }
+          disabled={isRemoving || readOnly}
+        >
+          {task.dueAt
+            ? `${dueStatus === "overdue" ? "Overdue · " : ""}${formatDateTime(task.dueAt)}`
+            : "+ Due"}
+        </button>
+      )}
+
+      {showMove && !isEditing && (
+        <select
+          className={styles.moveSelect}
+          value=""
+          onChange={(e) => e.target.value && onMove(task.id, e.target.value)}
+          aria-label={`Move "${task.description}" to another list`}
+          title={
+            isSection
+              ? "Move this section and its tasks to another list"
+              : "Move to another list"
+          }
+          disabled={isRemoving}
+        >
+          <option value="">Move to…</option>
+          {moveTargets.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {showDueDate && isEditingDue && (
+        <TaskDueEditor
+          task={task}
+          onSave={handleDueSave}
+          onCancel={() => setIsEditingDue(false)}
+        />
+      )}
     </div>
   );
 };
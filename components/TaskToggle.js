@@ -1,31 +1,71 @@
 "use client";
 import React from "react";
+import { DEFAULT_TASK_CATEGORIES } from "@/src/lib/taskCategories";
 import styles from "./TaskToggle.module.css";
 
+/**
+ * List switcher for the tasks page. Each of the user's lists is shown in its
+ * own color; smart lists (e.g. "Due") are views across lists and are
+ * selected through onCategoryChange by their id.
+ *
+ * @param {import("@/src/lib/taskCategories").TaskCategory[]} categories - The user's lists, in order
+ * @param {string} activeCategory - Selected list or smart list id
+ * @param {function} onCategoryChange - Called with a list or smart list id
+ * @param {{id: string, label: string}[]} [smartLists] - Shown after the lists
+ * @param {function} [onManageLists] - Shows a "Lists" button that calls it
+ */
 export default function TaskToggle({
-  activeCategory = "personal",
+  categories = DEFAULT_TASK_CATEGORIES,
+  activeCategory = categories[0]?.id,
   onCategoryChange,
+  smartLists = [],
+  onManageLists,
   className = "",
 }) {
-  const categories = ["personal", "work"];
-
   return (
     <div className={`${styles.toggleContainer} ${className}`.trim()}>
       {categories.map((cat) => (
         <button
-          key={cat}
+          key={cat.id}
           type="button"
           className={`
             ${styles.toggleButton} 
-            ${activeCategory === cat ? styles.active : styles.inactive}
+            ${activeCategory === cat.id ? styles.active : styles.inactive}
           `.trim()}
-          onClick={() => onCategoryChange?.(cat)}
-          aria-pressed={activeCategory === cat}
-          disabled={activeCategory === cat}
+          style={{ "--list-color": cat.color }}
+          onClick={() => onCategoryChange?.(cat.id)}
+          aria-pressed={activeCategory === cat.id}
+          disabled={activeCategory === cat.id}
         >
-          {cat.charAt(0).toUpperCase() + cat.slice(1)}
+          {cat.name}
         </button>
       ))}
+      {smartLists.map((list) => (
+        <button
+          key={list.id}
+          type="button"
+          className={`
+            ${styles.toggleButton} 
+            ${styles.smartList} 
+            ${activeCategory === list.id ? styles.active : styles.inactive}
+          `.trim()}
+          onClick={() => onCategoryChange?.(list.id)}
+          aria-pressed={activeCategory === list.id}
+          disabled={activeCategory === list.id}
+        >
+          {list.label}
+        </button>
+      ))}
+      {onManageLists && (
+        <button
+          type="button"
+          className={`${styles.toggleButton} ${styles.manageButton} ${styles.inactive}`}
+          onClick={onManageLists}
+          title="Create, rename, recolor, reorder or delete lists"
+        >
+          Lists…
+        </button>
+      )}
     </div>
   );
 }
@@ -13,10 +13,15 @@ import React, {
   useMemo,
 } from "react";
 import ErrorToast from "./ErrorToast";
+import { isAbortError } from "@/src/lib/apiClient";
+import { toAppError } from "@/src/lib/errors";
 import styles from "./ToastContainer.module.css";
 
 const ToastContext = createContext(null);
 
+// Toasts offering "Retry" stay up longer so there's time to click it
+const RETRY_TOAST_DURATION = 10000;
+
 export function useToast() {
   const context = useContext(ToastContext);
   if (!context) {
@@ -33,8 +38,8 @@ export function ToastProvider({ children, maxToasts = 5 }) {
   }, []);
 
   const showToast = useCallback(
-    (message, type = "error", duration) => {
-      const newToast = { id: generateId(), message, type, duration };
+    (message, type = "error", duration, action) => {
+      const newToast = { id: generateId(), message, type, duration, action };
       setToasts((prev) => {
         const updated = [...prev, newToast];
         if (updated.length > maxToasts) return updated.slice(-maxToasts);
@@ -65,6 +70,29 @@ export function ToastProvider({ children, maxToasts = 5 }) {
     [showToast],
   );
 
+  /**
+   * Shows any caught error using the shared error catalog (see errors.js).
+   * Retryable errors get a "Retry" button when `onRetry` is given.
+   * Cancelled requests are ignored.
+   */
+  const showAppError = useCallback(
+    (error, { onRetry, duration } = {}) => {
+      if (isAbortError(error)) return;
+      const appError = toAppError(error);
+      const action =
+        appError.retryable && onRetry
+          ? { label: "Retry", onClick: onRetry }
+          : undefined;
+      showToast(
+        appError.message,
+        appError.severity,
+        duration ?? (action ? RETRY_TOAST_DURATION : undefined),
+        action,
+      );
+    },
+    [showToast],
+  );
+
   const dismissToast = useCallback((id) => {
     setToasts((prev) => prev.filter((toast) => toast.id !== id));
   }, []);
@@ -77,6 +105,7 @@ export function ToastProvider({ children, maxToasts = 5 }) {
       showError,
       showSuccess,
       showWarning,
+      showAppError,
       dismissToast,
       clearAllToasts,
     }),
@@ -85,6 +114,7 @@ export function ToastProvider({ children, maxToasts = 5 }) {
       showError,
       showSuccess,
       showWarning,
+      showAppError,
       dismissToast,
       clearAllToasts,
     ],
@@ -0,0 +1,328 @@
+"use client";
+import { useState, useEffect, useCallback } from "react";
+import PrimaryButton from "./PrimaryButton";
+import {
+  parseUserImport,
+  validateImportRows,
+  importUsers,
+} from "@/src/lib/userImport";
+import { PASSWORD_POLICY } from "@/src/lib/passwordPolicy";
+import styles from "./UserImportModal.module.css";
+
+const RESULT_LABELS = {
+  created: "Created",
+  valid: "Would be created",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+
+const roleNames = (roles) =>
+  roles.map((role) => role.replace(/^ROLE_/, "")).join(", ");
+
+/**
+ * Bulk user import for the admin panel: choose or paste a CSV/JSON file,
+ * review every row with its problems, then import (or dry-run) the valid ones
+ * and get a result for each row.
+ *
+ * @param {object} props - Component props
+ * @param {string[]} props.existingUsernames - Usernames already taken
+ * @param {string[]} [props.knownRoles] - Roles rows may use, custom included
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onImported - Called after users were created
+ */
+export default function UserImportModal({
+  existingUsernames,
+  knownRoles,
+  onClose,
+  onImported,
+}) {
+  const [text, setText] = useState("");
+  const [rows, setRows] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [results, setResults] = useState(null);
+  const [resultWasDryRun, setResultWasDryRun] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleKeyDown = useCallback(
+    (e) => {
+      if (e.key === "Escape" && !isSubmitting) onClose();
+    },
+    [onClose, isSubmitting],
+  );
+
+  useEffect(() => {
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [handleKeyDown]);
+
+  const loadText = (value) => {
+    setText(value);
+    setResults(null);
+    setSubmitError(null);
+    if (!value.trim()) {
+      setRows(null);
+      setParseError(null);
+      return;
+    }
+    try {
+      setRows(
+        validateImportRows(
+          parseUserImport(value),
+          existingUsernames,
+          knownRoles,
+        ),
+      );
+      setParseError(null);
+    } catch (err) {
+      setRows(null);
+      setParseError(err.message);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      loadText(await file.text());
+    }
+    // Choosing the same file again should reload it
+    e.target.value = "";
+  };
+
+  const validRows = rows?.filter((row) => row.errors.length === 0) ?? [];
+  const invalidRows = rows?.filter((row) => row.errors.length > 0) ?? [];
+
+  const runImport = async (asDryRun) => {
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      const response = await importUsers(validRows, { dryRun: asDryRun });
+      // Rows that failed the checks here were never sent
+      const skipped = invalidRows.map((row) => ({
+        row: row.row,
+        username: row.username,
+        status: "skipped",
+        error: row.errors.join("; "),
+      }));
+      setResults(
+        [...response.results, ...skipped].sort((a, b) => a.row - b.row),
+      );
+      setResultWasDryRun(asDryRun);
+      if (!asDryRun && response.results.some((r) => r.status === "created")) {
+        onImported();
+      }
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !isSubmitting) onClose();
+  };
+
+  const count = (status) =>
+    results?.filter((result) => result.status === status).length ?? 0;
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleOverlayClick}>
+      <div
+        className={styles.modal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-import-title"
+      >
+        <h2 id="user-import-title" className={styles.modalTitle}>
+          Import Users
+        </h2>
+
+        {results ? (
+          <>
+            <p className={styles.summary} role="status">
+              {resultWasDryRun
+                ? `Dry run: ${count("valid")} would be created, ${count("failed") + count("skipped")} would fail. Nothing was changed.`
+                : `${count("created")} created, ${count("failed") + count("skipped")} not imported.`}
+            </p>
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th scope="col">Row</th>
+                    <th scope="col">Username</th>
+                    <th scope="col">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((result) => (
+                    <tr key={result.row}>
+                      <td>{result.row}</td>
+                      <td>{result.username || "—"}</td>
+                      <td
+                        className={
+                          result.error ? styles.rowError : styles.rowOk
+                        }
+                      >
+                        {RESULT_LABELS[result.status] ?? result.status}
+                        {result.error && `: ${result.error}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {submitError && (
+              <div className={styles.error} role="alert">
+                {submitError}
+              </div>
+            )}
+            <div className={styles.actions}>
+              {resultWasDryRun && count("valid") > 0 && (
+                <PrimaryButton
+                  onClick={() => runImport(false)}
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting
+                    ? "Importing..."
+                    : `Import ${count("valid")} ${count("valid") === 1 ? "user" : "users"}`}
+                </PrimaryButton>
+              )}
+              {resultWasDryRun && (
+                <button
+                  type="button"
+                  className={styles.cancelButton}
+                  onClick={() => setResults(null)}
+                  disabled={isSubmitting}
+                >
+                  Back
+                </button>
+              )}
+              <button
+                type="button"
+                className={styles.cancelButton}
+                onClick={onClose}
+                disabled={isSubmitting}
+              >
+                {resultWasDryRun ? "Cancel" : "Done"}
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className={styles.hint}>
+              CSV with a header row (
+              <code>username,password,roles,enabled</code>; roles separated by{" "}
+              <code>;</code>) or a JSON array of users. Passwords must meet the
+              password policy: at least {PASSWORD_POLICY.minLength} characters
+              mixing {PASSWORD_POLICY.minCharacterClasses} of lowercase,
+              uppercase, digits and symbols, not a common password, and not
+              containing the username.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              className={styles.fileInput}
+              onChange={handleFile}
+              aria-label="Import file"
+            />
+            <textarea
+              className={styles.textarea}
+              value={text}
+              onChange={(e) => loadText(e.target.value)}
+              placeholder={
+                "username,password,roles\ngrandma,correct-horse-9,USER"
+              }
+              rows={5}
+              aria-label="Or paste CSV or JSON"
+              spellCheck={false}
+            />
+
+            {parseError && (
+              <div className={styles.error} role="alert">
+                {parseError}
+              </div>
+            )}
+
+            {rows && (
+              <>
+                <p className={styles.summary}>
+                  {validRows.length} ready
+                  {invalidRows.length > 0 &&
+                    `, ${invalidRows.length} with problems (skipped)`}
+                </p>
+                <div className={styles.tableWrapper}>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th scope="col">Row</th>
+                        <th scope="col">Username</th>
+                        <th scope="col">Roles</th>
+                        <th scope="col">Status</th>
+                        <th scope="col">Check</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row) => (
+                        <tr key={row.row}>
+                          <td>{row.row}</td>
+                          <td>{row.username || "—"}</td>
+                          <td>{roleNames(row.roles)}</td>
+                          <td>{row.enabled ? "Active" : "Disabled"}</td>
+                          <td
+                            className={
+                              row.errors.length ? styles.rowError : styles.rowOk
+                            }
+                          >
+                            {row.errors.length ? row.errors.join("; ") : "OK"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            {submitError && (
+              <div className={styles.error} role="alert">
+                {submitError}
+              </div>
+            )}
+
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={dryRun}
+                onChange={(e) => setDryRun(e.target.checked)}
+                disabled={isSubmitting}
+              />
+              <span>Dry run (check only, create nothing)</span>
+            </label>
+
+            <div className={styles.actions}>
+              <PrimaryButton
+                onClick={() => runImport(dryRun)}
+                disabled={isSubmitting || validRows.length === 0}
+              >
+                {isSubmitting
+                  ? "Checking..."
+                  : dryRun
+                    ? "Run dry run"
+                    : `Import ${validRows.length} ${validRows.length === 1 ? "user" : "users"}`}
+              </PrimaryButton>
+              <button
+                type="button"
+                className={styles.cancelButton}
+                onClick={onClose}
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,11 +5,20 @@ import { useEffect } from "react";
 import versionData from "@/data/versionData";
 import styles from "./VersionModal.module.css";
 import { useAuth } from "../src/context/AuthContext";
-import { FaSignOutAlt, FaUserShield } from "react-icons/fa";
+import { usePreferences } from "../src/context/PreferencesContext";
+import { Capability } from "../src/lib/permissions";
+import {
+  FaDesktop,
+  FaLock,
+  FaSignOutAlt,
+  FaUser,
+  FaUserShield,
+} from "react-icons/fa";
 import Link from "next/link";
 
 export default function VersionModal({ onClose }) {
-  const { isAuthenticated, isAdmin, logout, username } = useAuth();
+  const { isAuthenticated, can, logout, username } = useAuth();
+  const { displayName } = usePreferences();
 
   useEffect(() => {
     // Optional: logging or animations
@@ -31,7 +40,7 @@ export default function VersionModal({ onClose }) {
           <h2 className={styles.modalTitle}>Site Changelog</h2>
           {isAuthenticated && (
             <div className={styles.authIconsContainer}>
-              {isAdmin() && (
+              {can(Capability.ADMIN_PANEL) && (
                 <Link
                   href="/admin"
                   onClick={handleAdminClick}
@@ -41,6 +50,30 @@ export default function VersionModal({ onClose }) {
                   <FaUserShield />
                 </Link>
               )}
+              <Link
+                href="/profile"
+                onClick={onClose}
+                className={styles.authIcon}
+                aria-label="Profile"
+              >
+                <FaUser />
+              </Link>
+              <Link
+                href="/security"
+                onClick={onClose}
+                className={styles.authIcon}
+                aria-label="Account Security"
+              >
+                <FaLock />
+              </Link>
+              <Link
+                href="/sessions"
+                onClick={onClose}
+                className={styles.authIcon}
+                aria-label="Sessions"
+              >
+                <FaDesktop />
+              </Link>
               <button
                 onClick={handleLogoutClick}
                 className={styles.authIcon}
@@ -52,7 +85,9 @@ export default function VersionModal({ onClose }) {
           )}
         </div>
         <div className={styles.userStatus}>
-          {isAuthenticated ? `Signed in as: ${username}` : "NOT SIGNED IN"}
+          {isAuthenticated
+            ? `Signed in as: ${displayName ? `${displayName} (${username})` : username}`
+            : "NOT SIGNED IN"}
         </div>
         <div className={styles.modalContent}>
           {versionData.map(({ version, releaseDate, notes }) => (
@@ -1,9 +1,10 @@
-import { useState, useEffect, useCallback } from "react";
-import apiClient from "@/src/lib/apiClient";
+import { useContext } from "react";
+import { BackendHealthContext } from "@/src/context/BackendHealthContext";
 
 /**
  * Custom hook for backend health check functionality
- * Checks the /heartbeat endpoint to determine if the backend is operational
+ * Reads the app-wide heartbeat monitor (see BackendHealthContext.js), which
+ * polls the /heartbeat endpoint to determine if the backend is operational
  *
  * Requirements: 1.1, 1.2, 1.3, 1.4, 4.1, 4.4
  *
@@ -11,59 +12,20 @@ import apiClient from "@/src/lib/apiClient";
  * @returns {boolean|null} isHealthy - null = checking, true = healthy, false = down
  * @returns {boolean} isLoading - true while initial health check is in progress
  * @returns {boolean} isRetrying - true while retry is in progress
+ * @returns {number|null} lastCheckedAt - Time of the last completed check (ms)
  * @returns {Function} checkHealth - Function to trigger health check
  * @returns {Function} retry - Function to retry health check
  */
 export function useBackendHealth() {
-  const [isHealthy, setIsHealthy] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isRetrying, setIsRetrying] = useState(false);
+  const context = useContext(BackendHealthContext);
 
-  /**
-   * Performs the health check by calling the /heartbeat endpoint
-   * Sets isHealthy to true on 200 OK, false on any error or non-200 response
-   */
-  const checkHealth = useCallback(async () => {
-    try {
-      await apiClient.get("/heartbeat");
-      // 200 OK response - backend is healthy
-      setIsHealthy(true);
-    } catch {
-      // Non-200 response or network error - backend is down
-      setIsHealthy(false);
-    }
-  }, []);
+  if (context === null) {
+    throw new Error(
+      "useBackendHealth must be used within a BackendHealthProvider",
+    );
+  }
 
-  /**
-   * Retries the health check
-   * Sets isRetrying to true during the retry attempt
-   */
-  const retry = useCallback(async () => {
-    setIsRetrying(true);
-    try {
-      await checkHealth();
-    } finally {
-      setIsRetrying(false);
-    }
-  }, [checkHealth]);
-
-  // Auto-call checkHealth on mount
-  useEffect(() => {
-    const performInitialCheck = async () => {
-      await checkHealth();
-      setIsLoading(false);
-    };
-
-    performInitialCheck();
-  }, [checkHealth]);
-
-  return {
-    isHealthy,
-    isLoading,
-    isRetrying,
-    checkHealth,
-    retry,
-  };
+  return context;
 }
 
 export default useBackendHealth;
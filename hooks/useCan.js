@@ -0,0 +1,16 @@
+import { useAuth } from "@/src/context/AuthContext";
+
+/**
+ * Custom hook for capability checks
+ * Answers from the signed-in user's capabilities (see src/lib/permissions.js),
+ * so components ask what the user may do rather than which roles they hold
+ *
+ * @param {string|string[]} capability - Capability, or a list that must all be held
+ * @returns {boolean} True if the user holds every capability asked for
+ */
+export function useCan(capability) {
+  const { can } = useAuth();
+  return can(capability);
+}
+
+export default useCan;
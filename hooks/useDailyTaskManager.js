@@ -1,5 +1,9 @@
-import { useReducer, useMemo, useCallback, useEffect } from "react";
-import { TaskService } from "@/src/lib/taskService";
+import { useReducer, useMemo, useCallback, useEffect, useRef } from "react";
+import { TaskService, getTasksQueryKey } from "@/src/lib/taskService";
+import { MutationType, sendOrQueue } from "@/src/lib/offlineQueue";
+import { invalidateQueries } from "@/src/lib/queryCache";
+import { useImpersonation } from "@/src/context/ImpersonationContext";
+import { useQuery } from "@/hooks/useQuery";
 import { generateUUID } from "@/utils/uuid";
 
 /**
@@ -48,13 +52,14 @@ const INITIAL_DAILY_TASKS = [
  * Reducer action types
  */
 const ActionTypes = {
-  SET_LOADING: "SET_LOADING",
   SET_ERROR: "SET_ERROR",
   CLEAR_ERROR: "CLEAR_ERROR",
   SET_TASKS: "SET_TASKS",
   TOGGLE_TASK: "TOGGLE_TASK",
+  SET_COMPLETED: "SET_COMPLETED",
   ADD_TASK: "ADD_TASK",
   DELETE_TASK: "DELETE_TASK",
+  RESTORE_TASK: "RESTORE_TASK",
   RESET_ALL: "RESET_ALL",
   ROLLBACK: "ROLLBACK",
   REORDER_TASKS: "REORDER_TASKS",
@@ -65,9 +70,6 @@ const ActionTypes = {
  */
 const dailyTaskReducer = (state, action) => {
   switch (action.type) {
-    case ActionTypes.SET_LOADING:
-      return { ...state, isLoading: action.payload };
-
     case ActionTypes.SET_ERROR:
       return { ...state, error: action.payload };
 
@@ -78,7 +80,6 @@ const dailyTaskReducer = (state, action) => {
       return {
         ...state,
         tasks: action.payload,
-        isLoading: false,
         error: null,
       };
 
@@ -99,6 +100,16 @@ const dailyTaskReducer = (state, action) => {
       };
     }
 
+    case ActionTypes.SET_COMPLETED: {
+      const { id, completed } = action.payload;
+      return {
+        ...state,
+        tasks: state.tasks.map((task) =>
+          task.id === id ? { ...task, completed } : task,
+        ),
+      };
+    }
+
     case ActionTypes.ADD_TASK: {
       const { id, description } = action.payload;
 
@@ -134,6 +145,18 @@ const dailyTaskReducer = (state, action) => {
       };
     }
 
+    case ActionTypes.RESTORE_TASK: {
+      // Undo a delete: put the task back in its place
+      const restored = action.payload;
+      if (state.tasks.some((task) => task.id === restored.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        tasks: [...state.tasks, restored].sort((a, b) => a.order - b.order),
+      };
+    }
+
     case ActionTypes.RESET_ALL: {
       return {
         ...state,
@@ -158,40 +181,112 @@ const dailyTaskReducer = (state, action) => {
  *
  * @param {string} userId - User identifier for API calls (optional, enables backend sync)
  * @param {Array} initialTasks - Optional initial tasks array (defaults to INITIAL_DAILY_TASKS)
+ * @param {Object} [options]
+ * @param {Object} [options.history] - From useUndoHistory; toggling,
+ *   deleting and reordering are recorded there so they can be undone
  * @returns {Object} Daily task state and action handlers
  */
 export function useDailyTaskManager(
   userId,
   initialTasks = INITIAL_DAILY_TASKS,
+  { history } = {},
 ) {
-  const [state, dispatch] = useReducer(dailyTaskReducer, {
-    tasks: userId ? [] : initialTasks, // Start empty if userId provided (will fetch from backend)
-    isLoading: !!userId, // Start loading if userId provided
+  // Cached tasks render immediately; a background request refreshes them
+  // (shares the getAllTasks request with useTaskManager)
+  const {
+    data,
+    error: loadError,
+    isLoading,
+  } = useQuery(userId ? getTasksQueryKey(userId) : null, (options) =>
+    TaskService.getAllTasks(userId, options),
+  );
+
+  const [state, dispatch] = useReducer(dailyTaskReducer, data, (cached) => ({
+    // Start empty if userId provided (will fetch from backend)
+    tasks: cached ? cached.dailyTasks : userId ? [] : initialTasks,
     error: null,
+  }));
+
+  // Optimistic changes still waiting for the backend
+  const pendingMutations = useRef(0);
+
+  // Latest state, for undo/redo steps recorded by earlier renders
+  const stateRef = useRef(state);
+  useEffect(() => {
+    stateRef.current = state;
   });
 
-  // Fetch daily tasks from backend on mount when userId is provided
+  // Adopt server data (including revalidations after a mutation, or after
+  // queued offline changes replay) unless it would undo a pending change
   useEffect(() => {
-    if (!userId) {
-      dispatch({ type: ActionTypes.SET_LOADING, payload: false });
-      return;
+    if (data && pendingMutations.current === 0) {
+      dispatch({ type: ActionTypes.SET_TASKS, payload: data.dailyTasks });
     }
+  }, [data]);
 
-    const fetchDailyTasks = async () => {
-      dispatch({ type: ActionTypes.SET_LOADING, payload: true });
-      dispatch({ type: ActionTypes.CLEAR_ERROR });
+  useEffect(() => {
+    if (loadError) {
+      dispatch({ type: ActionTypes.SET_ERROR, payload: loadError.message });
+    }
+  }, [loadError]);
+
+  const { impersonation } = useImpersonation();
+  const isImpersonating = Boolean(impersonation);
 
+  /**
+   * Sends a mutation, tracking it as pending until it settles
+   * Queued while the backend is unreachable (see offlineQueue.js), except
+   * while impersonating: then it fails and the change is rolled back.
+   */
+  const sendMutation = useCallback(
+    async (type, payload, options) => {
+      pendingMutations.current++;
       try {
-        const response = await TaskService.getAllTasks(userId);
-        dispatch({ type: ActionTypes.SET_TASKS, payload: response.dailyTasks });
-      } catch (error) {
-        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
-        dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+        return await sendOrQueue(userId, type, payload, {
+          ...options,
+          queue: !isImpersonating,
+        });
+      } finally {
+        pendingMutations.current--;
       }
-    };
+    },
+    [userId, isImpersonating],
+  );
 
-    fetchDailyTasks();
-  }, [userId]);
+  /**
+   * Applies an undo/redo step: an optimistic reducer action, then the
+   * compensating mutations in order
+   * @param {object} action - Reducer action
+   * @param {Array} mutations - [MutationType, payload] pairs
+   * @throws {Error} After rolling back, if a mutation fails
+   */
+  const applyChange = useCallback(
+    async (action, mutations) => {
+      // Save previous state for rollback
+      const previousTasks = [...stateRef.current.tasks];
+
+      // Optimistic update
+      dispatch(action);
+
+      // If no userId, skip API call (local-only mode)
+      if (!userId) return;
+
+      try {
+        for (const [type, payload] of mutations) {
+          await sendMutation(type, payload);
+        }
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: ActionTypes.ROLLBACK,
+          payload: previousTasks,
+          error: error.message,
+        });
+        throw error;
+      }
+    },
+    [userId, sendMutation],
+  );
 
   // Calculate completed count
   const completedCount = useMemo(
@@ -224,13 +319,33 @@ export function useDailyTaskManager(
       // Optimistic update
       dispatch({ type: ActionTypes.TOGGLE_TASK, payload: taskId });
 
+      const setCompleted = (completed) => () =>
+        applyChange(
+          {
+            type: ActionTypes.SET_COMPLETED,
+            payload: { id: taskId, completed },
+          },
+          [[MutationType.DAILY_UPDATE, { taskId, updates: { completed } }]],
+        );
+      const entry = history && {
+        label: `${task.completed ? "Unchecked" : "Checked"} "${task.description}"`,
+        undo: setCompleted(task.completed),
+        redo: setCompleted(!task.completed),
+      };
+
       // If no userId, skip API call (local-only mode)
-      if (!userId) return;
+      if (!userId) {
+        if (entry) history.push(entry);
+        return;
+      }
 
       try {
-        await TaskService.updateDailyTask(userId, taskId, {
-          completed: !task.completed,
+        await sendMutation(MutationType.DAILY_UPDATE, {
+          taskId,
+          updates: { completed: !task.completed },
         });
+        // Recorded once sent, so an undo can't reach the backend first
+        if (entry) history.push(entry);
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -240,7 +355,7 @@ export function useDailyTaskManager(
         });
       }
     },
-    [userId, state.tasks],
+    [userId, state.tasks, sendMutation, history, applyChange],
   );
 
   /**
@@ -280,7 +395,7 @@ export function useDailyTaskManager(
           order: maxOrder + 1,
         };
 
-        await TaskService.createDailyTask(userId, taskData);
+        await sendMutation(MutationType.DAILY_CREATE, { task: taskData });
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -290,26 +405,60 @@ export function useDailyTaskManager(
         });
       }
     },
-    [userId, state.tasks],
+    [userId, state.tasks, sendMutation],
   );
 
   /**
    * Delete a daily task with optimistic update
+   * Undo re-creates it with the same id, which brings back its completion
+   * history (checked again if it was checked today).
    * @param {string} taskId - Task ID to delete
    */
   const deleteTask = useCallback(
     async (taskId) => {
       // Save previous state for rollback
       const previousTasks = [...state.tasks];
+      const task = state.tasks.find((t) => t.id === taskId);
 
       // Optimistic update
       dispatch({ type: ActionTypes.DELETE_TASK, payload: taskId });
 
+      const entry =
+        history && task
+          ? {
+              label: `Deleted "${task.description}"`,
+              destructive: true,
+              undo: () =>
+                applyChange({ type: ActionTypes.RESTORE_TASK, payload: task }, [
+                  [
+                    MutationType.DAILY_CREATE,
+                    {
+                      task: {
+                        id: task.id,
+                        description: task.description,
+                        order: task.order,
+                      },
+                    },
+                  ],
+                ]),
+              redo: () =>
+                applyChange(
+                  { type: ActionTypes.DELETE_TASK, payload: taskId },
+                  [[MutationType.DAILY_DELETE, { taskId }]],
+                ),
+            }
+          : undefined;
+
       // If no userId, skip API call (local-only mode)
-      if (!userId) return;
+      if (!userId) {
+        if (entry) history.push(entry);
+        return;
+      }
 
       try {
-        await TaskService.deleteDailyTask(userId, taskId);
+        await sendMutation(MutationType.DAILY_DELETE, { taskId });
+        // Recorded once sent, so an undo can't reach the backend first
+        if (entry) history.push(entry);
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -319,7 +468,7 @@ export function useDailyTaskManager(
         });
       }
     },
-    [userId, state.tasks],
+    [userId, state.tasks, sendMutation, history, applyChange],
   );
 
   /**
@@ -331,13 +480,14 @@ export function useDailyTaskManager(
   }, []);
 
   /**
-   * Reorder daily tasks with optimistic update
+   * Saves new order values with optimistic update
    * @param {Array} reorderedTasks - Array of tasks with updated order values
+   * @throws {Error} After rolling back, if the backend rejects a change
    */
-  const reorderTasks = useCallback(
+  const saveOrder = useCallback(
     async (reorderedTasks) => {
       // Save previous state for rollback
-      const previousTasks = [...state.tasks];
+      const previousTasks = [...stateRef.current.tasks];
 
       // Identify tasks with changed order values
       const changedTasks = reorderedTasks.filter((newTask) => {
@@ -355,7 +505,11 @@ export function useDailyTaskManager(
         // Update each task with changed order on the backend
         await Promise.all(
           changedTasks.map((task) =>
-            TaskService.updateDailyTask(userId, task.id, { order: task.order }),
+            sendMutation(
+              MutationType.DAILY_UPDATE,
+              { taskId: task.id, updates: { order: task.order } },
+              { invalidate: false },
+            ),
           ),
         );
       } catch (error) {
@@ -365,9 +519,42 @@ export function useDailyTaskManager(
           payload: previousTasks,
           error: error.message,
         });
+        throw error;
+      } finally {
+        // Refetch once for the whole batch, including a partly saved one
+        invalidateQueries(getTasksQueryKey(userId));
+      }
+    },
+    [userId, sendMutation],
+  );
+
+  /**
+   * Reorder daily tasks with optimistic update
+   * @param {Array} reorderedTasks - Array of tasks with updated order values
+   */
+  const reorderTasks = useCallback(
+    async (reorderedTasks) => {
+      // Undo/redo apply the saved orders to whatever tasks exist by then
+      const withOrders = (orders) => () =>
+        saveOrder(
+          stateRef.current.tasks
+            .map((t) => ({ ...t, order: orders.get(t.id) ?? t.order }))
+            .sort((a, b) => a.order - b.order),
+        );
+      const oldOrders = new Map(state.tasks.map((t) => [t.id, t.order]));
+
+      try {
+        await saveOrder(reorderedTasks);
+        history?.push({
+          label: "Reordered daily tasks",
+          undo: withOrders(oldOrders),
+          redo: withOrders(new Map(reorderedTasks.map((t) => [t.id, t.order]))),
+        });
+      } catch {
+        // saveOrder rolled back; nothing to undo
       }
     },
-    [userId, state.tasks],
+    [state.tasks, history, saveOrder],
   );
 
   return {
@@ -375,7 +562,7 @@ export function useDailyTaskManager(
     completedCount,
     totalCount,
     progressPercentage,
-    isLoading: state.isLoading,
+    isLoading,
     error: state.error,
     toggleTask,
     addTask,
@@ -0,0 +1,29 @@
+import { useSyncExternalStore } from "react";
+import {
+  getDateDisplayFormat,
+  subscribeToDateDisplayFormat,
+} from "@/utils/dateFormatter";
+
+// Static export pre-renders with the default format
+const SERVER_FORMAT = Object.freeze({
+  dateFormat: "MDY",
+  timeFormat: "default",
+});
+const getServerFormat = () => SERVER_FORMAT;
+
+/**
+ * Custom hook for components that show formatted dates
+ * Re-renders the component when the user's date or time format preference
+ * changes, so dates from utils/dateFormatter never go stale
+ *
+ * @returns {{dateFormat: string, timeFormat: string}} Current display format
+ */
+export function useDateDisplayFormat() {
+  return useSyncExternalStore(
+    subscribeToDateDisplayFormat,
+    getDateDisplayFormat,
+    getServerFormat,
+  );
+}
+
+export default useDateDisplayFormat;
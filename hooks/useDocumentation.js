@@ -1,5 +1,10 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
-import { fetchDocsTree, fetchDocsFile } from "@/src/lib/docsService";
+import {
+  DOCS_TREE_QUERY_KEY,
+  fetchDocsTree,
+  fetchDocsFile,
+} from "@/src/lib/docsService";
+import { useQuery } from "@/hooks/useQuery";
 
 /**
  * Recursively builds a lookup map from file display names to their full paths.
@@ -31,12 +36,19 @@ function buildFileLookup(node, map = {}) {
  * Fetches the file tree on mount and loads file content when a path is selected.
  */
 export function useDocumentation() {
-  const [tree, setTree] = useState(null);
+  // Tree comes from the query cache (cached on revisit, revalidated in the
+  // background); the request is aborted if the page unmounts first
+  const {
+    data: tree = null,
+    error: treeLoadError,
+    isLoading: isTreeLoading,
+  } = useQuery(DOCS_TREE_QUERY_KEY, fetchDocsTree);
+  const treeError = treeLoadError
+    ? treeLoadError.message || "Failed to load documentation tree"
+    : null;
   const [selectedPath, setSelectedPath] = useState(null);
   const [content, setContent] = useState(null);
-  const [isTreeLoading, setIsTreeLoading] = useState(true);
   const [isContentLoading, setIsContentLoading] = useState(false);
-  const [treeError, setTreeError] = useState(null);
   const [contentError, setContentError] = useState(null);
 
   // Build a name→path lookup map whenever the tree changes
@@ -45,30 +57,6 @@ export function useDocumentation() {
     return buildFileLookup(tree);
   }, [tree]);
 
-  // Fetch tree on mount
-  useEffect(() => {
-    let cancelled = false;
-
-    async function loadTree() {
-      setIsTreeLoading(true);
-      setTreeError(null);
-      try {
-        const data = await fetchDocsTree();
-        if (!cancelled) setTree(data);
-      } catch (err) {
-        if (!cancelled)
-          setTreeError(err.message || "Failed to load documentation tree");
-      } finally {
-        if (!cancelled) setIsTreeLoading(false);
-      }
-    }
-
-    loadTree();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
-
   // Fetch file content when selectedPath changes
   useEffect(() => {
     if (!selectedPath) {
@@ -77,27 +65,28 @@ export function useDocumentation() {
       return;
     }
 
-    let cancelled = false;
+    // Selecting another file (or unmounting) aborts the previous request
+    const controller = new AbortController();
 
     async function loadFile() {
       setIsContentLoading(true);
       setContentError(null);
       setContent(null);
       try {
-        const markdown = await fetchDocsFile(selectedPath);
-        if (!cancelled) setContent(markdown);
+        const markdown = await fetchDocsFile(selectedPath, {
+          signal: controller.signal,
+        });
+        setContent(markdown);
       } catch (err) {
-        if (!cancelled)
+        if (!controller.signal.aborted)
           setContentError(err.message || "Failed to load document");
       } finally {
-        if (!cancelled) setIsContentLoading(false);
+        if (!controller.signal.aborted) setIsContentLoading(false);
       }
     }
 
     loadFile();
-    return () => {
-      cancelled = true;
-    };
+    return () => controller.abort();
   }, [selectedPath]);
 
   const selectFile = useCallback((path) => {
@@ -0,0 +1,71 @@
+import { useState, useCallback } from "react";
+import { TaskService, getDoneTasksQueryKey } from "@/src/lib/taskService";
+import { useQuery } from "@/hooks/useQuery";
+
+const NO_TASKS = [];
+
+/**
+ * Custom hook for a category's Done archive (TODO tasks completed through
+ * useTaskManager). Restoring or purging revalidates both the archive and the
+ * open task list, since the archive's query key is nested under the tasks key.
+ *
+ * @param {string|null} userId - User identifier; null while auth is loading
+ * @param {string} category - Task list id
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Matches the task's or a subtask's description
+ * @param {string} [filters.since] - ISO 8601; only tasks completed since then
+ * @returns {Object} Archive state and actions
+ * @returns {import("@/src/lib/taskService").DoneTask[]} tasks - Most recent first
+ * @returns {boolean} isLoading - Loading with nothing cached to show yet
+ * @returns {string|null} error - Last load or action error message
+ * @returns {Function} restoreTask - (id) => Promise<void>
+ * @returns {Function} purgeTask - (id) => Promise<void>, permanently deletes
+ * @returns {Function} purgeAll - () => Promise<void>, the whole category
+ */
+export function useDoneTasks(userId, category, { search, since } = {}) {
+  const filters = { category, search: search?.trim(), since };
+  const {
+    data,
+    error: loadError,
+    isLoading,
+  } = useQuery(
+    userId ? getDoneTasksQueryKey(userId, filters) : null,
+    (options) => TaskService.getDoneTasks(userId, filters, options),
+  );
+  const [actionError, setActionError] = useState(null);
+
+  const runAction = useCallback(async (action) => {
+    setActionError(null);
+    try {
+      await action();
+    } catch (error) {
+      setActionError(error.message);
+    }
+  }, []);
+
+  const restoreTask = useCallback(
+    (id) => runAction(() => TaskService.restoreTodoTask(userId, id)),
+    [runAction, userId],
+  );
+
+  const purgeTask = useCallback(
+    (id) => runAction(() => TaskService.deleteTodoTask(userId, id)),
+    [runAction, userId],
+  );
+
+  const purgeAll = useCallback(
+    () => runAction(() => TaskService.purgeDoneTasks(userId, category)),
+    [runAction, userId, category],
+  );
+
+  return {
+    tasks: data ?? NO_TASKS,
+    isLoading,
+    error: actionError || loadError?.message || null,
+    restoreTask,
+    purgeTask,
+    purgeAll,
+  };
+}
+
+export default useDoneTasks;
@@ -0,0 +1,44 @@
+import { useCallback } from "react";
+import { useAuth } from "@/src/context/AuthContext";
+import { useImpersonation } from "@/src/context/ImpersonationContext";
+import { hasCapabilities } from "@/src/lib/permissions";
+
+/**
+ * Custom hook for pages that load per-user data (tasks, drives, health)
+ * Answers with the impersonated user while an admin is viewing as them, and
+ * with the signed-in user otherwise, so the page shows what that user sees
+ *
+ * @returns {Object} Effective user
+ * @returns {string|null} userId - Username to load data for; null while auth
+ *   or a stored impersonation is still loading
+ * @returns {Function} can - Capability check for the effective user
+ * @returns {boolean} isImpersonating - An admin is viewing as someone else
+ * @returns {boolean} isReadOnly - Changes to the user's data are refused;
+ *   pages hide their edit controls
+ * @returns {boolean} isLoading - The effective user isn't known yet
+ */
+export function useEffectiveUser() {
+  const { username, isLoading: authLoading, can: authCan } = useAuth();
+  const { impersonation, isLoading: impersonationLoading } = useImpersonation();
+
+  const isLoading = authLoading || impersonationLoading;
+  const impersonatedCapabilities = impersonation?.capabilities;
+
+  const can = useCallback(
+    (capability) =>
+      impersonatedCapabilities
+        ? hasCapabilities(impersonatedCapabilities, capability)
+        : authCan(capability),
+    [impersonatedCapabilities, authCan],
+  );
+
+  return {
+    userId: isLoading ? null : (impersonation?.username ?? username ?? null),
+    can,
+    isImpersonating: Boolean(impersonation),
+    isReadOnly: Boolean(impersonation && !impersonation.allowWrites),
+    isLoading,
+  };
+}
+
+export default useEffectiveUser;
@@ -0,0 +1,21 @@
+import { useEffect } from "react";
+import { useAuth } from "@/src/context/AuthContext";
+
+/**
+ * Custom hook for a stricter inactivity lock
+ * While the calling component is mounted, the app locks after `timeoutMs`
+ * of inactivity if that is shorter than the user's own idle period
+ *
+ * @param {number} timeoutMs - Milliseconds; 0 leaves the user's period alone
+ */
+export function useIdleTimeout(timeoutMs) {
+  const { registerIdleTimeout } = useAuth();
+
+  useEffect(() => {
+    if (timeoutMs > 0) {
+      return registerIdleTimeout(timeoutMs);
+    }
+  }, [timeoutMs, registerIdleTimeout]);
+}
+
+export default useIdleTimeout;
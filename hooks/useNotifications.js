@@ -3,10 +3,14 @@
  * Custom hook for managing notification state and operations.
  */
 
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useMemo } from "react";
 import notificationService, {
   NotificationError,
+  getNotificationsQueryKey,
 } from "@/services/notificationService";
+import { useQuery } from "@/hooks/useQuery";
+
+const NO_NOTIFICATIONS = [];
 
 /**
  * Sorts notifications: unread first, then by createdAt descending (newest first)
@@ -26,41 +30,53 @@ export function sortNotifications(notifications) {
 export function useNotifications(options = {}) {
   const { includeExpired = false, sortByUnread = true } = options;
 
-  const [notifications, setNotifications] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  // Cached list renders immediately and revalidates in the background;
+  // optimistic updates write through setNotifications
+  const {
+    data,
+    error: loadError,
+    isLoading,
+    refetch: revalidate,
+    setData: setNotifications,
+  } = useQuery(getNotificationsQueryKey(includeExpired), (requestOptions) =>
+    notificationService.getNotifications(includeExpired, requestOptions),
+  );
+  const notifications = useMemo(() => {
+    if (!data) return NO_NOTIFICATIONS;
+    return sortByUnread ? sortNotifications(data) : data;
+  }, [data, sortByUnread]);
   const [error, setError] = useState(null);
+  // Last failure as { error, retry } so pages can offer "Retry" (see errors.js)
+  const [failure, setFailure] = useState(null);
+
+  const reportFailure = useCallback((err, fallbackMessage, retry) => {
+    setError(err instanceof NotificationError ? err.message : fallbackMessage);
+    setFailure({ error: err, retry });
+  }, []);
 
   const refetch = useCallback(async () => {
-    setIsLoading(true);
     setError(null);
-
+    setFailure(null);
     try {
-      const data = await notificationService.getNotifications(includeExpired);
-      const sorted = sortByUnread ? sortNotifications(data) : data;
-      setNotifications(sorted);
-    } catch (err) {
-      const message =
-        err instanceof NotificationError
-          ? err.message
-          : "Failed to fetch notifications";
-      setError(message);
-    } finally {
-      setIsLoading(false);
+      await revalidate();
+    } catch {
+      // Reported through loadError below
     }
-  }, [includeExpired, sortByUnread]);
+  }, [revalidate]);
 
   useEffect(() => {
-    refetch();
-  }, [refetch]);
+    if (loadError) {
+      reportFailure(loadError, "Failed to fetch notifications", refetch);
+    }
+  }, [loadError, reportFailure, refetch]);
 
   const toggleReadStatus = useCallback(
     async (id, isRead) => {
       const previousNotifications = [...notifications];
 
-      setNotifications((prev) => {
-        const updated = prev.map((n) => (n.id === id ? { ...n, isRead } : n));
-        return sortByUnread ? sortNotifications(updated) : updated;
-      });
+      setNotifications((prev) =>
+        prev.map((n) => (n.id === id ? { ...n, isRead } : n)),
+      );
 
       try {
         if (isRead) {
@@ -71,14 +87,12 @@ export function useNotifications(options = {}) {
       } catch (err) {
         setNotifications(previousNotifications);
         const action = isRead ? "read" : "unread";
-        const message =
-          err instanceof NotificationError
-            ? err.message
-            : `Failed to mark notification as ${action}`;
-        setError(message);
+        reportFailure(err, `Failed to mark notification as ${action}`, () =>
+          toggleReadStatus(id, isRead),
+        );
       }
     },
-    [notifications, sortByUnread],
+    [notifications, setNotifications, reportFailure],
   );
 
   const markAsRead = useCallback(
@@ -103,14 +117,12 @@ export function useNotifications(options = {}) {
         await notificationService.createAction(id);
       } catch (err) {
         setNotifications(previousNotifications);
-        const message =
-          err instanceof NotificationError
-            ? err.message
-            : "Failed to create TODO from notification";
-        setError(message);
+        reportFailure(err, "Failed to create TODO from notification", () =>
+          createAction(id),
+        );
       }
     },
-    [notifications],
+    [notifications, setNotifications, reportFailure],
   );
 
   const deleteNotification = useCallback(
@@ -123,20 +135,19 @@ export function useNotifications(options = {}) {
         await notificationService.deleteNotification(id);
       } catch (err) {
         setNotifications(previousNotifications);
-        const message =
-          err instanceof NotificationError
-            ? err.message
-            : "Failed to delete notification";
-        setError(message);
+        reportFailure(err, "Failed to delete notification", () =>
+          deleteNotification(id),
+        );
       }
     },
-    [notifications],
+    [notifications, setNotifications, reportFailure],
   );
 
   return {
     notifications,
     isLoading,
     error,
+    failure,
     refetch,
     markAsRead,
     markAsUnread,
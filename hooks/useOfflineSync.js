@@ -0,0 +1,73 @@
+/**
+ * useOfflineSync Hook
+ * Tracks the offline outbox and replays it once the backend is reachable.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "@/src/context/AuthContext";
+import useBackendHealth from "@/hooks/useBackendHealth";
+import {
+  getPendingMutations,
+  replayOutbox,
+  subscribeToOutbox,
+} from "@/src/lib/offlineQueue";
+
+/**
+ * Custom hook for the offline outbox
+ * While the signed-in user has queued mutations, they are replayed in order as
+ * soon as the heartbeat monitor (BackendHealthContext) reports healthy.
+ * Only the signed-in user's outbox is replayed, so changes made while viewing
+ * as another user are never queued (see sendOrQueue's `queue` option).
+ *
+ * @returns {Object} pendingCount - queued mutations, isSyncing - replay in progress
+ */
+export function useOfflineSync() {
+  const { username } = useAuth();
+  const { isHealthy, lastCheckedAt } = useBackendHealth();
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const refreshCount = useCallback(async () => {
+    if (!username) {
+      setPendingCount(0);
+      return;
+    }
+    const pending = await getPendingMutations(username);
+    setPendingCount(pending.length);
+  }, [username]);
+
+  useEffect(() => {
+    refreshCount();
+    return subscribeToOutbox((event) => {
+      if (event.type === "change") {
+        refreshCount();
+      }
+    });
+  }, [refreshCount]);
+
+  const replay = useCallback(async () => {
+    if (!username) {
+      return;
+    }
+    setIsSyncing(true);
+    try {
+      await replayOutbox(username);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [username]);
+
+  const hasPending = pendingCount > 0;
+
+  // Replay as soon as the heartbeat reports healthy, and retry a replay that
+  // stopped early (e.g. a dropped request) on every later healthy heartbeat
+  useEffect(() => {
+    if (hasPending && isHealthy) {
+      replay();
+    }
+  }, [hasPending, isHealthy, lastCheckedAt, replay]);
+
+  return { pendingCount, isSyncing };
+}
+
+export default useOfflineSync;
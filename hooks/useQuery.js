@@ -0,0 +1,95 @@
+/**
+ * useQuery Hook
+ * Reads an endpoint through the shared query cache (src/lib/queryCache.js):
+ * cached data renders immediately and is revalidated in the background.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+import {
+  fetchQuery,
+  getQueryState,
+  setQueryData,
+  subscribeToQuery,
+} from "@/src/lib/queryCache";
+
+const DISABLED_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  isFetching: false,
+  updatedAt: 0,
+});
+
+const noop = () => {};
+
+/**
+ * Custom hook for cached reads
+ *
+ * @param {string|null} key - Query key (the endpoint); null disables the query
+ * @param {Function} fetcher - ({ signal }) => Promise<data>
+ * @param {Object} [options]
+ * @param {boolean} [options.fetchOnMount=true] - Revalidate when the component
+ *   mounts; when false the query only loads through refetch()
+ * @returns {Object} Query state and actions
+ * @returns {any} data - Cached data (undefined until the first load)
+ * @returns {Error|null} error - Last load error
+ * @returns {boolean} isLoading - Loading with nothing cached to show yet
+ * @returns {boolean} isFetching - A request is in flight
+ * @returns {Function} refetch - Revalidates now; resolves with the data
+ * @returns {Function} setData - Writes data (or an updater) into the cache
+ */
+export function useQuery(key, fetcher, { fetchOnMount = true } = {}) {
+  // Always call the latest fetcher without making it an effect dependency
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback(
+    (listener) => (key ? subscribeToQuery(key, listener) : noop),
+    [key],
+  );
+  const state = useSyncExternalStore(
+    subscribe,
+    () => (key ? getQueryState(key) : DISABLED_STATE),
+    () => DISABLED_STATE,
+  );
+
+  const refetch = useCallback(() => {
+    if (!key) {
+      return Promise.resolve(undefined);
+    }
+    return fetchQuery(key, (options) => fetcherRef.current(options));
+  }, [key]);
+
+  const setData = useCallback(
+    (updater) => {
+      if (key) {
+        setQueryData(key, updater);
+      }
+    },
+    [key],
+  );
+
+  // Serve cached data now, revalidate in the background
+  useEffect(() => {
+    if (fetchOnMount) {
+      refetch().catch(() => {
+        // Reported through state.error
+      });
+    }
+  }, [fetchOnMount, refetch]);
+
+  const isLoading =
+    Boolean(key) &&
+    state.data === undefined &&
+    (state.isFetching || (fetchOnMount && !state.error));
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading,
+    isFetching: state.isFetching,
+    refetch,
+    setData,
+  };
+}
+
+export default useQuery;
@@ -1,5 +1,27 @@
-import { useReducer, useMemo, useCallback, useEffect } from "react";
-import { TaskService } from "@/src/lib/taskService";
+import {
+  useReducer,
+  useMemo,
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { TaskService, getTasksQueryKey } from "@/src/lib/taskService";
+import { MutationType, sendOrQueue } from "@/src/lib/offlineQueue";
+import { invalidateQueries } from "@/src/lib/queryCache";
+import { useImpersonation } from "@/src/context/ImpersonationContext";
+import { getDueTasks } from "@/src/lib/taskDueDates";
+import {
+  DEFAULT_TASK_CATEGORIES,
+  sortCategories,
+} from "@/src/lib/taskCategories";
+import {
+  flattenTaskTree,
+  getSubtaskIds,
+  indentInTree,
+  outdentInTree,
+} from "@/src/lib/taskTree";
+import { useQuery } from "@/hooks/useQuery";
 import { generateUUID } from "@/utils/uuid";
 
 /**
@@ -7,7 +29,12 @@ import { generateUUID } from "@/utils/uuid";
  * These run only when data is first loaded or modified, keeping performance high.
  */
 
-const createSafeTask = (task, index = 0, defaultCategory = "personal") => {
+const createSafeTask = (
+  task,
+  index = 0,
+  defaultCategory = "personal",
+  categoryIds = [defaultCategory],
+) => {
   // 1. Repair ID
   const safeId =
     typeof task.id === "string" && task.id.trim().length > 0
@@ -20,8 +47,8 @@ const createSafeTask = (task, index = 0, defaultCategory = "personal") => {
       ? task.description.trim()
       : "Untitled Task";
 
-  // 3. Repair Category
-  const safeCategory = ["personal", "work"].includes(task.category)
+  // 3. Repair Category (must be one of the user's lists)
+  const safeCategory = categoryIds.includes(task.category)
     ? task.category
     : defaultCategory;
 
@@ -30,77 +57,172 @@ const createSafeTask = (task, index = 0, defaultCategory = "personal") => {
     description: safeDescription,
     category: safeCategory,
     completed: typeof task.completed === "boolean" ? task.completed : false,
+    completedAt:
+      typeof task.completedAt === "string" ? task.completedAt : undefined,
     order:
       typeof task.order === "number" && isFinite(task.order)
         ? task.order
         : index + 1,
     parentId: typeof task.parentId === "string" ? task.parentId : undefined,
+    isSection: task.isSection === true,
+    collapsed: task.collapsed === true,
+    completedSubtasks:
+      typeof task.completedSubtasks === "number" ? task.completedSubtasks : 0,
+    dueAt: typeof task.dueAt === "string" ? task.dueAt : null,
+    reminders: Array.isArray(task.reminders) ? task.reminders : [],
     createdAt: task.createdAt instanceof Date ? task.createdAt : new Date(),
     createdFromNotification: task.createdFromNotification === true,
   };
 };
 
-const sanitizeInitialData = (data) => {
-  const safeData = { personal: [], work: [] };
+const sanitizeCategories = (categories) =>
+  Array.isArray(categories) && categories.length > 0
+    ? sortCategories(categories)
+    : DEFAULT_TASK_CATEGORIES;
 
-  // Safely process personal tasks
-  if (Array.isArray(data?.personal)) {
-    safeData.personal = data.personal.map((t, i) =>
-      createSafeTask(t, i, "personal"),
-    );
-  }
+const sanitizeInitialData = (data, categories) => {
+  const categoryIds = categories.map((c) => c.id);
+  const safeData = {};
 
-  // Safely process work tasks
-  if (Array.isArray(data?.work)) {
-    safeData.work = data.work.map((t, i) => createSafeTask(t, i, "work"));
-  }
+  // Safely process each list's tasks (every list gets an entry)
+  categoryIds.forEach((id) => {
+    safeData[id] = Array.isArray(data?.[id])
+      ? data[id].map((t, i) => createSafeTask(t, i, id, categoryIds))
+      : [];
+  });
 
   return safeData;
 };
 
+// Keep the active list if it still exists, otherwise open the first one
+const keepCategory = (category, categories) =>
+  categories.some((c) => c.id === category) ? category : categories[0].id;
+
+// Next order for a top-level task in a list
+const nextRootOrder = (tasks) =>
+  Math.max(0, ...tasks.filter((t) => !t.parentId).map((t) => t.order)) + 1;
+
+// The category holding a task (tasks can be changed from the due list, which
+// spans categories)
+const findTaskCategory = (tasks, taskId) =>
+  Object.keys(tasks).find((cat) => tasks[cat].some((t) => t.id === taskId));
+
+// How often the due list re-checks what is overdue
+const DUE_REFRESH_MS = 60 * 1000;
+
 /**
  * --- CORE REDUCER LOGIC ---
  * Guaranteed consistency. No invalid state can pass through here.
  */
 const taskReducer = (state, action) => {
   const { category } = state;
-  const currentTasks = state.tasks[category];
+  const currentTasks = state.tasks[category] ?? [];
 
   switch (action.type) {
-    case "SET_LOADING":
-      return { ...state, isLoading: action.payload };
-
     case "SET_ERROR":
       return { ...state, error: action.payload };
 
     case "CLEAR_ERROR":
       return { ...state, error: null };
 
-    case "SET_TASKS":
+    case "SET_TASKS": {
+      const categories = sanitizeCategories(action.payload?.categories);
       return {
         ...state,
-        tasks: sanitizeInitialData(action.payload),
-        isLoading: false,
+        categories,
+        category: keepCategory(category, categories),
+        tasks: sanitizeInitialData(action.payload?.todoTasks, categories),
         error: null,
       };
+    }
 
     case "ROLLBACK":
       return {
         ...state,
         tasks: action.payload,
+        categories: action.categories ?? state.categories,
+        category: keepCategory(category, action.categories ?? state.categories),
         error: action.error || null,
       };
 
     case "SET_CATEGORY":
-      if (!["personal", "work"].includes(action.payload)) {
+      if (!state.categories.some((c) => c.id === action.payload)) {
         console.warn(`Attempted to set invalid category: ${action.payload}`);
         return state;
       }
       return { ...state, category: action.payload };
 
+    case "SET_CATEGORIES": {
+      // Added, renamed, recolored or reordered lists; new lists start empty
+      const categories = sortCategories(action.payload);
+      const tasks = { ...state.tasks };
+      categories.forEach(({ id }) => {
+        tasks[id] ??= [];
+      });
+      return { ...state, categories, tasks };
+    }
+
+    case "DELETE_CATEGORY": {
+      const { id, moveTasksTo } = action.payload;
+      const categories = state.categories.filter((c) => c.id !== id);
+      if (categories.length === state.categories.length || !categories.length)
+        return state;
+      const { [id]: removedTasks = [], ...tasks } = state.tasks;
+      if (moveTasksTo && tasks[moveTasksTo]) {
+        // Appended after the target list's own top-level tasks
+        const offset = nextRootOrder(tasks[moveTasksTo]);
+        tasks[moveTasksTo] = [
+          ...tasks[moveTasksTo],
+          ...removedTasks.map((t) => ({
+            ...t,
+            category: moveTasksTo,
+            order: t.parentId ? t.order : t.order + offset,
+          })),
+        ];
+      }
+      return {
+        ...state,
+        categories,
+        tasks,
+        category:
+          category === id
+            ? moveTasksTo || categories[0].id
+            : keepCategory(category, categories),
+      };
+    }
+
+    case "MOVE_TASK": {
+      // Logic: Move a task (and its subtasks) to another list; a subtask
+      // moved on its own becomes a top-level task there
+      const { id, category: target } = action.payload;
+      const source = findTaskCategory(state.tasks, id);
+      if (!source || source === target || !state.tasks[target]) return state;
+      const subtaskIds = getSubtaskIds(state.tasks[source], id);
+      const moving = state.tasks[source].filter(
+        (t) => t.id === id || subtaskIds.has(t.id),
+      );
+      const order = nextRootOrder(state.tasks[target]);
+      return {
+        ...state,
+        newTaskId: null,
+        tasks: {
+          ...state.tasks,
+          [source]: state.tasks[source].filter((t) => !moving.includes(t)),
+          [target]: [
+            ...state.tasks[target],
+            ...moving.map((t) =>
+              t.id === id
+                ? { ...t, category: target, parentId: undefined, order }
+                : { ...t, category: target },
+            ),
+          ],
+        },
+      };
+    }
+
     case "ADD_TASK": {
       // Logic: Calculate order based on siblings
-      const { description, parentId, id } = action.payload;
+      const { description, parentId, id, isSection } = action.payload;
       const tasksInLevel = parentId
         ? currentTasks.filter((t) => t.parentId === parentId)
         : currentTasks.filter((t) => !t.parentId);
@@ -111,14 +233,19 @@ const taskReducer = (state, action) => {
           : 0;
 
       // Logic: Create perfectly valid task object immediately
-      const newTask = createSafeTask({
-        id: id || generateUUID(),
-        description,
+      const newTask = createSafeTask(
+        {
+          id: id || generateUUID(),
+          description,
+          category,
+          completed: false,
+          order: maxOrder + 1,
+          parentId,
+          isSection,
+        },
+        0,
         category,
-        completed: false,
-        order: maxOrder + 1,
-        parentId,
-      });
+      );
 
       return {
         ...state,
@@ -132,58 +259,125 @@ const taskReducer = (state, action) => {
 
     case "COMPLETE_TASK": {
       const taskId = action.payload;
-      const taskToDelete = currentTasks.find((t) => t.id === taskId);
-      if (!taskToDelete) return state;
-
-      // Logic: Remove task AND its children (if section)
-      let updatedList = currentTasks.filter(
-        (t) => t.id !== taskId && t.parentId !== taskId,
-      );
+      const taskCategory = findTaskCategory(state.tasks, taskId);
+      if (!taskCategory) return state;
+      const categoryTasks = state.tasks[taskCategory];
+      const taskToDelete = categoryTasks.find((t) => t.id === taskId);
+      const subtaskIds = getSubtaskIds(categoryTasks, taskId);
 
-      // Logic: Convert empty sections back to normal tasks
-      if (taskToDelete.parentId) {
-        const remainingSiblings = updatedList.some(
-          (t) => t.parentId === taskToDelete.parentId,
+      // Logic: Move task AND its subtasks to the Done archive; the parent's
+      // progress count goes up by one
+      const updatedList = categoryTasks
+        .filter((t) => t.id !== taskId && !subtaskIds.has(t.id))
+        .map((t) =>
+          t.id === taskToDelete.parentId
+            ? { ...t, completedSubtasks: t.completedSubtasks + 1 }
+            : t,
         );
-        if (!remainingSiblings) {
-          updatedList = updatedList.map((t) => {
-            if (t.id === taskToDelete.parentId) {
-              // Convert ALL CAPS section to Title Case task
-              return {
-                ...t,
-                description: t.description
-                  .toLowerCase()
-                  .replace(/\b\w/g, (s) => s.toUpperCase()),
-              };
-            }
-            return t;
-          });
-        }
-      }
 
       return {
         ...state,
         newTaskId: null,
-        tasks: { ...state.tasks, [category]: updatedList },
+        tasks: { ...state.tasks, [taskCategory]: updatedList },
+      };
+    }
+
+    case "RESTORE_TASKS": {
+      // Logic: Undo a completion - put the task and its subtasks back, and
+      // take them off the parent's progress count
+      const { tasks: restored } = action.payload;
+      const target = state.tasks[action.payload.category]
+        ? action.payload.category
+        : state.categories[0].id;
+      const list = state.tasks[target];
+      const missing = restored.filter((r) => !list.some((t) => t.id === r.id));
+      if (missing.length === 0) return state;
+      const parentId = restored[0].parentId;
+      return {
+        ...state,
+        tasks: {
+          ...state.tasks,
+          [target]: [
+            ...list.map((t) =>
+              t.id === parentId
+                ? {
+                    ...t,
+                    completedSubtasks: Math.max(0, t.completedSubtasks - 1),
+                  }
+                : t,
+            ),
+            ...missing.map((t) => ({ ...t, category: target })),
+          ],
+        },
+      };
+    }
+
+    case "SET_DUE_DATE": {
+      const { id, dueAt, reminders } = action.payload;
+      const taskCategory = findTaskCategory(state.tasks, id);
+      if (!taskCategory) return state;
+      return {
+        ...state,
+        tasks: {
+          ...state.tasks,
+          [taskCategory]: state.tasks[taskCategory].map((t) =>
+            t.id === id ? { ...t, dueAt, reminders } : t,
+          ),
+        },
       };
     }
 
     case "REORDER_TASKS": {
       if (!Array.isArray(action.payload)) return state;
+      // Only order and nesting change; subtasks of collapsed tasks may be
+      // missing from the payload and keep their place. Undo names the list,
+      // which may no longer be the active one.
+      const listCategory = action.category ?? category;
+      if (!state.tasks[listCategory]) return state;
+      const moved = new Map(action.payload.map((t) => [t.id, t]));
       return {
         ...state,
-        tasks: { ...state.tasks, [category]: action.payload },
+        tasks: {
+          ...state.tasks,
+          [listCategory]: state.tasks[listCategory].map((t) =>
+            moved.has(t.id)
+              ? {
+                  ...t,
+                  order: moved.get(t.id).order,
+                  parentId: moved.get(t.id).parentId,
+                }
+              : t,
+          ),
+        },
+      };
+    }
+
+    case "SET_TASK_FLAGS": {
+      // Logic: isSection / collapsed
+      const { id, flags } = action.payload;
+      const taskCategory = findTaskCategory(state.tasks, id);
+      if (!taskCategory) return state;
+      return {
+        ...state,
+        tasks: {
+          ...state.tasks,
+          [taskCategory]: state.tasks[taskCategory].map((t) =>
+            t.id === id ? { ...t, ...flags } : t,
+          ),
+        },
       };
     }
 
     case "RENAME_TASK": {
       if (!action.payload.description.trim()) return state; // validation check
+      const taskCategory = findTaskCategory(state.tasks, action.payload.id);
+      if (!taskCategory) return state;
       return {
         ...state,
         newTaskId: null,
         tasks: {
           ...state.tasks,
-          [category]: currentTasks.map((t) =>
+          [taskCategory]: state.tasks[taskCategory].map((t) =>
             t.id === action.payload.id
               ? { ...t, description: action.payload.description }
               : t,
@@ -200,55 +394,129 @@ const taskReducer = (state, action) => {
 /**
  * --- MAIN HOOK ---
  * @param {string} userId - User identifier for API calls
+ * @param {Object} [options]
+ * @param {Object} [options.history] - From useUndoHistory; completing,
+ *   renaming and reordering are recorded there so they can be undone
  */
-export function useTaskManager(userId) {
-  const [state, dispatch] = useReducer(taskReducer, {
-    tasks: { personal: [], work: [] },
-    category: "personal",
-    newTaskId: null,
-    isLoading: true,
-    error: null,
+export function useTaskManager(userId, { history } = {}) {
+  // Cached tasks render immediately; a background request refreshes them
+  const {
+    data,
+    error: loadError,
+    isLoading,
+  } = useQuery(userId ? getTasksQueryKey(userId) : null, (options) =>
+    TaskService.getAllTasks(userId, options),
+  );
+
+  const [state, dispatch] = useReducer(taskReducer, data, (cached) => {
+    const categories = sanitizeCategories(cached?.categories);
+    return {
+      tasks: sanitizeInitialData(cached?.todoTasks, categories),
+      categories,
+      category: categories[0].id,
+      newTaskId: null,
+      error: null,
+    };
   });
 
-  // Fetch tasks on mount when userId is provided
+  // Optimistic changes still waiting for the backend
+  const pendingMutations = useRef(0);
+
+  // Latest state, for undo/redo steps recorded by earlier renders
+  const stateRef = useRef(state);
   useEffect(() => {
-    if (!userId) {
-      dispatch({ type: "SET_LOADING", payload: false });
-      return;
+    stateRef.current = state;
+  });
+
+  // Adopt server data (including revalidations after a mutation, or after
+  // queued offline changes replay) unless it would undo a pending change
+  useEffect(() => {
+    if (data && pendingMutations.current === 0) {
+      dispatch({ type: "SET_TASKS", payload: data });
+    }
+  }, [data]);
+
+  useEffect(() => {
+    if (loadError) {
+      dispatch({ type: "SET_ERROR", payload: loadError.message });
     }
+  }, [loadError]);
 
-    const fetchTasks = async () => {
-      dispatch({ type: "SET_LOADING", payload: true });
-      dispatch({ type: "CLEAR_ERROR" });
+  const { impersonation } = useImpersonation();
+  const isImpersonating = Boolean(impersonation);
 
+  /**
+   * Sends a mutation, tracking it as pending until it settles
+   * Queued while the backend is unreachable (see offlineQueue.js), except
+   * while impersonating: then it fails and the change is rolled back.
+   */
+  const sendMutation = useCallback(
+    async (type, payload, options) => {
+      pendingMutations.current++;
       try {
-        const response = await TaskService.getAllTasks(userId);
-        dispatch({ type: "SET_TASKS", payload: response.todoTasks });
-      } catch (error) {
-        dispatch({ type: "SET_ERROR", payload: error.message });
-        dispatch({ type: "SET_LOADING", payload: false });
+        return await sendOrQueue(userId, type, payload, {
+          ...options,
+          queue: !isImpersonating,
+        });
+      } finally {
+        pendingMutations.current--;
       }
-    };
+    },
+    [userId, isImpersonating],
+  );
+
+  /**
+   * Applies an undo/redo step: an optimistic reducer action, then the
+   * compensating mutations in order
+   * @param {object} action - Reducer action
+   * @param {Array} mutations - [MutationType, payload] pairs
+   * @throws {Error} After rolling back, if a mutation fails
+   */
+  const applyChange = useCallback(
+    async (action, mutations) => {
+      // Save previous state for rollback
+      const previousTasks = { ...stateRef.current.tasks };
+
+      // Optimistic update
+      dispatch(action);
 
-    fetchTasks();
-  }, [userId]);
+      // If no userId, skip API call (local-only mode)
+      if (!userId) return;
+
+      try {
+        for (const [type, payload] of mutations) {
+          await sendMutation(type, payload);
+        }
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: "ROLLBACK",
+          payload: previousTasks,
+          error: error.message,
+        });
+        throw error;
+      }
+    },
+    [userId, sendMutation],
+  );
 
   // 2. Memoized Hierarchy Calculation (Performance Optimization)
-  const hierarchicalTasks = useMemo(() => {
-    const tasks = state.tasks[state.category];
-
-    // Validate hierarchy integrity
-    const rootTasks = tasks
-      .filter((t) => !t.parentId)
-      .sort((a, b) => a.order - b.order);
-
-    return rootTasks.flatMap((root) => {
-      const children = tasks
-        .filter((t) => t.parentId === root.id)
-        .sort((a, b) => a.order - b.order);
-      return [root, ...children];
-    });
-  }, [state.tasks, state.category]);
+  // Depth-first display order with depth and progress; see taskTree.js
+  const hierarchicalTasks = useMemo(
+    () => flattenTaskTree(state.tasks[state.category] ?? []),
+    [state.tasks, state.category],
+  );
+
+  // "Due soon / Overdue" list across categories, re-checked every minute
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), DUE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+  const dueTasks = useMemo(
+    () => getDueTasks(state.tasks, now),
+    [state.tasks, now],
+  );
 
   // 3. Stable Action Dispatchers with Optimistic Updates
   const setCategory = useCallback(
@@ -260,9 +528,10 @@ export function useTaskManager(userId) {
    * Add a new task with optimistic update
    * @param {string} description - Task description
    * @param {string} [parentId] - Optional parent task ID
+   * @param {{isSection?: boolean}} [options] - Add a section heading
    */
   const addTask = useCallback(
-    async (description, parentId) => {
+    async (description, parentId, { isSection = false } = {}) => {
       // Save previous state for rollback
       const previousTasks = { ...state.tasks };
       const newTaskId = generateUUID();
@@ -270,7 +539,7 @@ export function useTaskManager(userId) {
       // Optimistic update
       dispatch({
         type: "ADD_TASK",
-        payload: { description, parentId, id: newTaskId },
+        payload: { description, parentId, id: newTaskId, isSection },
       });
 
       // If no userId, skip API call (local-only mode)
@@ -294,9 +563,10 @@ export function useTaskManager(userId) {
           category,
           order: maxOrder + 1,
           parentId,
+          isSection,
         };
 
-        await TaskService.createTodoTask(userId, taskData);
+        await sendMutation(MutationType.TASK_CREATE, { task: taskData });
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -306,26 +576,75 @@ export function useTaskManager(userId) {
         });
       }
     },
-    [userId, state.tasks, state.category],
+    [userId, state.tasks, state.category, sendMutation],
   );
 
   /**
-   * Complete (delete) a task with optimistic update
-   * @param {string} id - Task ID to complete/delete
+   * Complete a task with optimistic update
+   * The backend archives it (and its subtasks) with a completedAt timestamp;
+   * see useDoneTasks for browsing, restoring and purging the archive.
+   * @param {string} id - Task ID to complete
    */
   const completeTask = useCallback(
     async (id) => {
       // Save previous state for rollback
       const previousTasks = { ...state.tasks };
+      const taskCategory = findTaskCategory(state.tasks, id);
+      if (!taskCategory) return;
+      const subtaskIds = getSubtaskIds(state.tasks[taskCategory], id);
+      // The task first, then its subtasks (see RESTORE_TASKS)
+      const completed = [
+        state.tasks[taskCategory].find((t) => t.id === id),
+        ...state.tasks[taskCategory].filter((t) => subtaskIds.has(t.id)),
+      ];
 
       // Optimistic update
       dispatch({ type: "COMPLETE_TASK", payload: id });
 
+      // Undo restores it (a discarded new, unnamed task isn't recorded)
+      const entry =
+        history && id !== state.newTaskId
+          ? {
+              label: `Completed "${completed[0].description}"${
+                subtaskIds.size > 0 ? ` and ${subtaskIds.size} subtasks` : ""
+              }`,
+              destructive: true,
+              undo: () =>
+                applyChange(
+                  {
+                    type: "RESTORE_TASKS",
+                    payload: { category: taskCategory, tasks: completed },
+                  },
+                  [
+                    [
+                      MutationType.TASK_UPDATE,
+                      { taskId: id, updates: { completed: false } },
+                    ],
+                  ],
+                ),
+              redo: () =>
+                applyChange({ type: "COMPLETE_TASK", payload: id }, [
+                  [
+                    MutationType.TASK_UPDATE,
+                    { taskId: id, updates: { completed: true } },
+                  ],
+                ]),
+            }
+          : undefined;
+
       // If no userId, skip API call (local-only mode)
-      if (!userId) return;
+      if (!userId) {
+        if (entry) history.push(entry);
+        return;
+      }
 
       try {
-        await TaskService.deleteTodoTask(userId, id);
+        await sendMutation(MutationType.TASK_UPDATE, {
+          taskId: id,
+          updates: { completed: true },
+        });
+        // Recorded once sent, so an undo can't reach the backend first
+        if (entry) history.push(entry);
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -335,22 +654,23 @@ export function useTaskManager(userId) {
         });
       }
     },
-    [userId, state.tasks],
+    [userId, state.tasks, state.newTaskId, sendMutation, history, applyChange],
   );
 
   /**
-   * Reorder tasks with optimistic update
-   * @param {Array} tasks - Reordered tasks array
+   * Saves a list's new order and nesting with optimistic update
+   * @param {string} category - List id
+   * @param {Array} tasks - The list's tasks with their new order/parentId
+   * @throws {Error} After rolling back, if the backend rejects a change
    */
-  const reorderTasks = useCallback(
-    async (tasks) => {
+  const saveOrder = useCallback(
+    async (category, tasks) => {
       // Save previous state for rollback
-      const previousTasks = { ...state.tasks };
-      const currentCategory = state.category;
-      const oldTasks = state.tasks[currentCategory];
+      const previousTasks = { ...stateRef.current.tasks };
+      const oldTasks = previousTasks[category] ?? [];
 
       // Optimistic update
-      dispatch({ type: "REORDER_TASKS", payload: tasks });
+      dispatch({ type: "REORDER_TASKS", payload: tasks, category });
 
       // If no userId, skip API call (local-only mode)
       if (!userId) return;
@@ -373,7 +693,11 @@ export function useTaskManager(userId) {
               order: task.order,
               parentId: task.parentId || null,
             };
-            return TaskService.updateTodoTask(userId, task.id, updates);
+            return sendMutation(
+              MutationType.TASK_UPDATE,
+              { taskId: task.id, updates },
+              { invalidate: false },
+            );
           }
           return Promise.resolve();
         });
@@ -386,9 +710,36 @@ export function useTaskManager(userId) {
           payload: previousTasks,
           error: error.message,
         });
+        throw error;
+      } finally {
+        // Refetch once for the whole batch, including a partly saved one
+        invalidateQueries(getTasksQueryKey(userId));
+      }
+    },
+    [userId, sendMutation],
+  );
+
+  /**
+   * Reorder tasks with optimistic update
+   * @param {Array} tasks - Reordered tasks array
+   */
+  const reorderTasks = useCallback(
+    async (tasks) => {
+      const category = state.category;
+      const oldTasks = state.tasks[category] ?? [];
+
+      try {
+        await saveOrder(category, tasks);
+        history?.push({
+          label: "Reordered tasks",
+          undo: () => saveOrder(category, oldTasks),
+          redo: () => saveOrder(category, tasks),
+        });
+      } catch {
+        // saveOrder rolled back; nothing to undo
       }
     },
-    [userId, state.tasks, state.category],
+    [state.tasks, state.category, history, saveOrder],
   );
 
   /**
@@ -400,15 +751,133 @@ export function useTaskManager(userId) {
     async (id, description) => {
       // Save previous state for rollback
       const previousTasks = { ...state.tasks };
+      const taskCategory = findTaskCategory(state.tasks, id);
+      const previous = state.tasks[taskCategory]?.find((t) => t.id === id);
 
       // Optimistic update
       dispatch({ type: "RENAME_TASK", payload: { id, description } });
 
+      // Naming a new task isn't recorded; undo would leave it unnamed
+      const rename = (text) => () =>
+        applyChange(
+          { type: "RENAME_TASK", payload: { id, description: text } },
+          [
+            [
+              MutationType.TASK_UPDATE,
+              { taskId: id, updates: { description: text } },
+            ],
+          ],
+        );
+      const entry =
+        history && previous && id !== state.newTaskId
+          ? {
+              label: `Renamed "${previous.description}"`,
+              undo: rename(previous.description),
+              redo: rename(description),
+            }
+          : undefined;
+
+      // If no userId, skip API call (local-only mode)
+      if (!userId) {
+        if (entry) history.push(entry);
+        return;
+      }
+
+      try {
+        await sendMutation(MutationType.TASK_UPDATE, {
+          taskId: id,
+          updates: { description },
+        });
+        // Recorded once sent, so an undo can't reach the backend first
+        if (entry) history.push(entry);
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: "ROLLBACK",
+          payload: previousTasks,
+          error: error.message,
+        });
+      }
+    },
+    [userId, state.tasks, state.newTaskId, sendMutation, history, applyChange],
+  );
+
+  /**
+   * Set or clear a task's due date and reminders with optimistic update
+   * @param {string} id - Task ID
+   * @param {{dueAt: string|null, reminders: number[]}} due - ISO 8601 due
+   *   date (null clears it) and reminder offsets in minutes
+   */
+  const setDueDate = useCallback(
+    async (id, { dueAt, reminders }) => {
+      // Save previous state for rollback
+      const previousTasks = { ...state.tasks };
+
+      // Optimistic update
+      dispatch({ type: "SET_DUE_DATE", payload: { id, dueAt, reminders } });
+
+      // If no userId, skip API call (local-only mode)
+      if (!userId) return;
+
+      try {
+        await sendMutation(MutationType.TASK_UPDATE, {
+          taskId: id,
+          updates: { dueAt, reminders },
+        });
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: "ROLLBACK",
+          payload: previousTasks,
+          error: error.message,
+        });
+      }
+    },
+    [userId, state.tasks, sendMutation],
+  );
+
+  /**
+   * Indent a task under the task above it, or outdent it out of its parent
+   * Saved like a drag and drop reorder.
+   * @param {string} id - Task ID
+   */
+  const indentTask = useCallback(
+    (id) => {
+      const tasks = indentInTree(state.tasks[state.category] ?? [], id);
+      if (tasks) reorderTasks(tasks);
+    },
+    [state.tasks, state.category, reorderTasks],
+  );
+
+  const outdentTask = useCallback(
+    (id) => {
+      const tasks = outdentInTree(state.tasks[state.category] ?? [], id);
+      if (tasks) reorderTasks(tasks);
+    },
+    [state.tasks, state.category, reorderTasks],
+  );
+
+  /**
+   * Set a task's section flag or collapse state with optimistic update
+   * @param {string} id - Task ID
+   * @param {{isSection?: boolean, collapsed?: boolean}} flags
+   */
+  const setTaskFlags = useCallback(
+    async (id, flags) => {
+      // Save previous state for rollback
+      const previousTasks = { ...state.tasks };
+
+      // Optimistic update
+      dispatch({ type: "SET_TASK_FLAGS", payload: { id, flags } });
+
       // If no userId, skip API call (local-only mode)
       if (!userId) return;
 
       try {
-        await TaskService.updateTodoTask(userId, id, { description });
+        await sendMutation(MutationType.TASK_UPDATE, {
+          taskId: id,
+          updates: flags,
+        });
       } catch (error) {
         // Rollback on failure
         dispatch({
@@ -418,19 +887,190 @@ export function useTaskManager(userId) {
         });
       }
     },
-    [userId, state.tasks],
+    [userId, state.tasks, sendMutation],
+  );
+
+  const setSection = useCallback(
+    (id, isSection) => setTaskFlags(id, { isSection }),
+    [setTaskFlags],
+  );
+
+  const setCollapsed = useCallback(
+    (id, collapsed) => setTaskFlags(id, { collapsed }),
+    [setTaskFlags],
+  );
+
+  /**
+   * Move a task (with its subtasks) to another list with optimistic update
+   * @param {string} id - Task ID
+   * @param {string} category - Target list id
+   */
+  const moveTask = useCallback(
+    async (id, category) => {
+      // Save previous state for rollback
+      const previousTasks = { ...state.tasks };
+
+      // Optimistic update
+      dispatch({ type: "MOVE_TASK", payload: { id, category } });
+
+      // If no userId, skip API call (local-only mode)
+      if (!userId) return;
+
+      try {
+        await sendMutation(MutationType.TASK_UPDATE, {
+          taskId: id,
+          updates: { category },
+        });
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: "ROLLBACK",
+          payload: previousTasks,
+          error: error.message,
+        });
+      }
+    },
+    [userId, state.tasks, sendMutation],
+  );
+
+  /**
+   * Applies a list change optimistically, then saves it
+   * List changes are not queued offline: they fail (and roll back) while
+   * the backend is unreachable.
+   * @param {object} action - Reducer action for the optimistic update
+   * @param {Function} save - () => Promise, the TaskService call
+   */
+  const changeCategories = useCallback(
+    async (action, save) => {
+      // Save previous state for rollback
+      const previousTasks = { ...state.tasks };
+      const previousCategories = state.categories;
+
+      // Optimistic update
+      dispatch(action);
+
+      // If no userId, skip API call (local-only mode)
+      if (!userId) return;
+
+      pendingMutations.current++;
+      try {
+        await save();
+      } catch (error) {
+        // Rollback on failure
+        dispatch({
+          type: "ROLLBACK",
+          payload: previousTasks,
+          categories: previousCategories,
+          error: error.message,
+        });
+      } finally {
+        pendingMutations.current--;
+      }
+    },
+    [userId, state.tasks, state.categories],
+  );
+
+  /**
+   * Create a task list
+   * @param {{name: string, color: string}} list - Validated with validateCategory
+   * @returns {string} The new list's id
+   */
+  const addCategory = useCallback(
+    ({ name, color }) => {
+      const category = {
+        id: generateUUID(),
+        name: name.trim(),
+        color,
+        order: Math.max(-1, ...state.categories.map((c) => c.order)) + 1,
+      };
+      changeCategories(
+        { type: "SET_CATEGORIES", payload: [...state.categories, category] },
+        () => TaskService.createTaskCategory(userId, category),
+      );
+      return category.id;
+    },
+    [userId, state.categories, changeCategories],
+  );
+
+  /**
+   * Rename and/or recolor a task list
+   * @param {string} id - List id
+   * @param {{name?: string, color?: string}} updates
+   */
+  const updateCategory = useCallback(
+    (id, updates) => {
+      const saved = updates.name
+        ? { ...updates, name: updates.name.trim() }
+        : updates;
+      return changeCategories(
+        {
+          type: "SET_CATEGORIES",
+          payload: state.categories.map((c) =>
+            c.id === id ? { ...c, ...saved } : c,
+          ),
+        },
+        () => TaskService.updateTaskCategory(userId, id, saved),
+      );
+    },
+    [userId, state.categories, changeCategories],
+  );
+
+  /**
+   * Reorder the task lists
+   * @param {string[]} ids - Every list id, in the new order
+   */
+  const reorderCategories = useCallback(
+    (ids) =>
+      changeCategories(
+        {
+          type: "SET_CATEGORIES",
+          payload: state.categories.map((c) => ({
+            ...c,
+            order: ids.indexOf(c.id),
+          })),
+        },
+        () => TaskService.reorderTaskCategories(userId, ids),
+      ),
+    [userId, state.categories, changeCategories],
+  );
+
+  /**
+   * Delete a task list
+   * @param {string} id - List id
+   * @param {{moveTasksTo?: string}} [options] - List to move its tasks to;
+   *   they are deleted with the list if omitted
+   */
+  const deleteCategory = useCallback(
+    (id, { moveTasksTo } = {}) =>
+      changeCategories(
+        { type: "DELETE_CATEGORY", payload: { id, moveTasksTo } },
+        () => TaskService.deleteTaskCategory(userId, id, { moveTasksTo }),
+      ),
+    [userId, changeCategories],
   );
 
   return {
     currentTasks: hierarchicalTasks,
+    dueTasks,
+    categories: state.categories,
     activeCategory: state.category,
     newTaskId: state.newTaskId,
-    isLoading: state.isLoading,
+    isLoading,
     error: state.error,
     setCategory,
     addTask,
     completeTask,
     reorderTasks,
     renameTask,
+    setDueDate,
+    indentTask,
+    outdentTask,
+    setSection,
+    setCollapsed,
+    moveTask,
+    addCategory,
+    updateCategory,
+    reorderCategories,
+    deleteCategory,
   };
 }
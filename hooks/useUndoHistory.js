@@ -0,0 +1,56 @@
+import { useState, useEffect, useSyncExternalStore } from "react";
+import { createUndoHistory } from "@/src/lib/undoHistory";
+
+// Text fields keep the browser's own undo
+const isTextField = (el) =>
+  el?.isContentEditable ||
+  el?.tagName === "TEXTAREA" ||
+  (el?.tagName === "INPUT" &&
+    !["checkbox", "radio", "button", "submit"].includes(el.type));
+
+/**
+ * Custom hook for a page's undo/redo history (see undoHistory.js)
+ * Pass `history` to useTaskManager / useDailyTaskManager to record their
+ * operations. Binds Ctrl+Z to undo and Ctrl+Shift+Z / Ctrl+Y to redo (Cmd on
+ * macOS), except while typing in a text field.
+ *
+ * @param {string|null} userId - The history starts over when this changes
+ * @returns {Object} History and state
+ * @returns {Object} history - From createUndoHistory()
+ * @returns {boolean} canUndo
+ * @returns {boolean} canRedo
+ * @returns {import("@/src/lib/undoHistory").UndoEntry|null} lastEntry - The
+ *   most recently recorded operation
+ */
+export function useUndoHistory(userId) {
+  const [history] = useState(() => createUndoHistory());
+  const snapshot = useSyncExternalStore(
+    history.subscribe,
+    history.getSnapshot,
+    history.getSnapshot,
+  );
+
+  useEffect(() => {
+    history.clear();
+  }, [history, userId]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        history.redo();
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [history]);
+
+  return { history, ...snapshot };
+}
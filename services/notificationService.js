@@ -4,98 +4,47 @@
  */
 
 import apiClient from "@/src/lib/apiClient";
+import { AppError, toAppError } from "@/src/lib/errors";
+import { invalidateQueries } from "@/src/lib/queryCache";
 
 /**
- * Custom error class for notification-specific errors
+ * Notification-specific AppError, so hooks can tell service failures apart
  */
-export class NotificationError extends Error {
-  constructor(message, code, status) {
-    super(message);
+export class NotificationError extends AppError {
+  constructor(message, details) {
+    super(message, details);
     this.name = "NotificationError";
-    this.code = code;
-    this.status = status;
   }
 }
 
+// Notification-specific wording for catalog codes
+const NOTIFICATION_ERROR_MESSAGES = {
+  NOT_FOUND: "Notification not found. It may have been deleted.",
+};
+
 /**
- * Transforms API errors into user-friendly NotificationError instances
+ * Maps API errors into NotificationError instances (see errors.js)
  */
 function handleApiError(error, operation) {
-  if (error instanceof TypeError && error.message === "Failed to fetch") {
-    return new NotificationError(
-      "Unable to connect to server. Please check your network connection.",
-      undefined,
-      0,
-    );
-  }
-
-  const apiError = error;
-
-  if (apiError.status === 404) {
-    return new NotificationError(
-      "Notification not found. It may have been deleted.",
-      "NOTIFICATION_NOT_FOUND",
-      404,
-    );
-  }
-
-  if (apiError.status === 400) {
-    const code = apiError.data?.code;
-    if (code === "ACTION_ALREADY_CREATED") {
-      return new NotificationError(
-        "A TODO has already been created from this notification.",
-        "ACTION_ALREADY_CREATED",
-        400,
-      );
-    }
-    if (code === "NOTIFICATION_EXPIRED") {
-      return new NotificationError(
-        "Cannot perform this action on an expired notification.",
-        "NOTIFICATION_EXPIRED",
-        400,
-      );
-    }
-    return new NotificationError(
-      apiError.message || "Invalid request.",
-      "VALIDATION_ERROR",
-      400,
-    );
-  }
-
-  if (apiError.status === 401) {
-    return new NotificationError(
-      "Session expired. Please log in again.",
-      "UNAUTHORIZED",
-      401,
-    );
-  }
-
-  if (apiError.status === 403) {
-    return new NotificationError(
-      "You do not have permission to perform this action.",
-      "UNAUTHORIZED",
-      403,
-    );
-  }
-
-  if (apiError.status && apiError.status >= 500) {
-    return new NotificationError(
-      "Server error. Please try again later.",
-      undefined,
-      apiError.status,
-    );
-  }
-
-  return new NotificationError(
-    `Failed to ${operation}. Please try again.`,
-    undefined,
-    apiError.status,
-  );
+  return toAppError(error, {
+    operation,
+    messages: NOTIFICATION_ERROR_MESSAGES,
+    ErrorClass: NotificationError,
+  });
 }
 
 const NOTIFICATIONS_BASE = "/api/notifications";
 const USERS_BASE = "/admin/users";
 
+/**
+ * Query cache key for the notification list (see queryCache.js)
+ */
+export function getNotificationsQueryKey(includeExpired = false) {
+  return includeExpired
+    ? `${NOTIFICATIONS_BASE}?includeExpired=true`
+    : NOTIFICATIONS_BASE;
+}
+
 export const notificationService = {
   async getUsers() {
     try {
@@ -106,12 +55,10 @@ export const notificationService = {
       throw handleApiError(error, "fetch users");
     }
   },
-  async getNotifications(includeExpired = false) {
+  async getNotifications(includeExpired = false, options = {}) {
     try {
-      const endpoint = includeExpired
-        ? `${NOTIFICATIONS_BASE}?includeExpired=true`
-        : NOTIFICATIONS_BASE;
-      const data = await apiClient.get(endpoint);
+      const endpoint = getNotificationsQueryKey(includeExpired);
+      const data = await apiClient.get(endpoint, options);
       return data;
     } catch (error) {
       throw handleApiError(error, "fetch notifications");
@@ -130,6 +77,7 @@ export const notificationService = {
   async markAsRead(id) {
     try {
       await apiClient.post(`${NOTIFICATIONS_BASE}/${id}/read`, {});
+      invalidateQueries(NOTIFICATIONS_BASE);
     } catch (error) {
       throw handleApiError(error, "mark notification as read");
     }
@@ -138,6 +86,7 @@ export const notificationService = {
   async markAsUnread(id) {
     try {
       await apiClient.post(`${NOTIFICATIONS_BASE}/${id}/unread`, {});
+      invalidateQueries(NOTIFICATIONS_BASE);
     } catch (error) {
       throw handleApiError(error, "mark notification as unread");
     }
@@ -146,6 +95,7 @@ export const notificationService = {
   async createAction(id) {
     try {
       await apiClient.post(`${NOTIFICATIONS_BASE}/${id}/action`, {});
+      invalidateQueries(NOTIFICATIONS_BASE);
     } catch (error) {
       throw handleApiError(error, "create TODO from notification");
     }
@@ -154,6 +104,7 @@ export const notificationService = {
   async createNotification(request) {
     try {
       const data = await apiClient.post(NOTIFICATIONS_BASE, request);
+      invalidateQueries(NOTIFICATIONS_BASE);
       return data;
     } catch (error) {
       throw handleApiError(error, "create notification");
@@ -163,6 +114,7 @@ export const notificationService = {
   async deleteNotification(id) {
     try {
       await apiClient.delete(`${NOTIFICATIONS_BASE}/${id}`);
+      invalidateQueries(NOTIFICATIONS_BASE);
     } catch (error) {
       throw handleApiError(error, "delete notification");
     }
@@ -183,6 +135,7 @@ export const notificationService = {
         `${NOTIFICATIONS_BASE}/process-recurring`,
         {},
       );
+      invalidateQueries(NOTIFICATIONS_BASE);
       return data;
     } catch (error) {
       throw handleApiError(error, "process recurring notifications");
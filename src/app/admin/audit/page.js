@@ -0,0 +1,234 @@
+"use client";
+
+/**
+ * Audit Log Page
+ * Every admin action on user accounts - who did what to whom, and when -
+ * filterable by actor, target and action, with CSV export of what is shown.
+ */
+
+import { useState } from "react";
+import Link from "next/link";
+import RouteGuard from "@/components/RouteGuard";
+import Navbar from "@/components/Navbar";
+import Background from "@/components/Background";
+import PrimaryButton from "@/components/PrimaryButton";
+import { useQuery } from "@/hooks/useQuery";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
+import { Capability } from "@/src/lib/permissions";
+import {
+  AUDIT_ACTIONS,
+  describeAuditDetails,
+  exportAuditLogCSV,
+  listAuditEntries,
+} from "@/src/lib/auditService";
+import { triggerDownload } from "@/utils/csvExporter";
+import { formatDateTime } from "@/utils/dateFormatter";
+import styles from "./audit.module.css";
+
+const EMPTY_FILTERS = { actor: "", target: "", action: "" };
+
+function toQueryKey(filters) {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value),
+  ).toString();
+  return `/admin/audit${params ? `?${params}` : ""}`;
+}
+
+function AuditLogPanel() {
+  useDateDisplayFormat();
+  // Typed filters apply on submit; the action select applies immediately
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const {
+    data: entries,
+    error,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useQuery(toQueryKey(filters), (options) =>
+    listAuditEntries(filters, options),
+  );
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFilters({
+      actor: form.actor.trim(),
+      target: form.target.trim(),
+      action: form.action,
+    });
+  };
+
+  const handleActionChange = (action) => {
+    updateField("action", action);
+    setFilters((prev) => ({ ...prev, action }));
+  };
+
+  const handleClear = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    triggerDownload(exportAuditLogCSV(entries), `audit_log_${date}.csv`);
+  };
+
+  return (
+    <div className={styles.auditPage}>
+      <div className={styles.pageBackground}>
+        <Background />
+      </div>
+      <Navbar />
+      <div className={styles.auditContainer}>
+        <h1 className={styles.title}>Audit Log</h1>
+
+        <form className={styles.filters} onSubmit={handleSubmit}>
+          <div className={styles.inputGroup}>
+            <label className={styles.label} htmlFor="audit-actor">
+              Actor
+            </label>
+            <input
+              id="audit-actor"
+              type="text"
+              className={styles.input}
+              value={form.actor}
+              onChange={(e) => updateField("actor", e.target.value)}
+              placeholder="Admin username"
+              autoComplete="off"
+            />
+          </div>
+          <div className={styles.inputGroup}>
+            <label className={styles.label} htmlFor="audit-target">
+              Target
+            </label>
+            <input
+              id="audit-target"
+              type="text"
+              className={styles.input}
+              value={form.target}
+              onChange={(e) => updateField("target", e.target.value)}
+              placeholder="Affected username"
+              autoComplete="off"
+            />
+          </div>
+          <div className={styles.inputGroup}>
+            <label className={styles.label} htmlFor="audit-action">
+              Action
+            </label>
+            <select
+              id="audit-action"
+              className={styles.input}
+              value={form.action}
+              onChange={(e) => handleActionChange(e.target.value)}
+            >
+              <option value="">All actions</option>
+              {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+                <option key={action} value={action}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.filterActions}>
+            <PrimaryButton type="submit" disabled={isFetching}>
+              Filter
+            </PrimaryButton>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={handleClear}
+            >
+              Clear
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.actionBar}>
+          <Link href="/admin" className={styles.backLink}>
+            ← Users
+          </Link>
+          <span className={styles.count}>
+            {entries
+              ? `${entries.length} ${entries.length === 1 ? "entry" : "entries"}`
+              : ""}
+          </span>
+          <button
+            type="button"
+            className={styles.secondaryButton}
+            onClick={handleExport}
+            disabled={!entries?.length}
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {error && !entries && (
+          <div className={styles.errorContainer} role="alert">
+            <p className={styles.errorMessage}>{error.message}</p>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => refetch().catch(() => {})}
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className={styles.loadingText}>Loading audit log...</div>
+        ) : entries?.length === 0 ? (
+          <div className={styles.emptyState}>No matching actions</div>
+        ) : (
+          entries && (
+            <div className={styles.tableWrapper}>
+              <table className={styles.auditTable}>
+                <thead>
+                  <tr>
+                    <th scope="col">Time</th>
+                    <th scope="col">Actor</th>
+                    <th scope="col">Action</th>
+                    <th scope="col">Target</th>
+                    <th scope="col">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>
+                        <time dateTime={entry.timestamp}>
+                          {formatDateTime(entry.timestamp)}
+                        </time>
+                      </td>
+                      <td>{entry.actor}</td>
+                      <td>{AUDIT_ACTIONS[entry.action] ?? entry.action}</td>
+                      <td>{entry.target}</td>
+                      <td className={styles.details}>
+                        {describeAuditDetails(entry)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function AuditLogPage() {
+  return (
+    <RouteGuard
+      requiredCapabilities={[Capability.ADMIN_PANEL]}
+      fallbackPath="/"
+    >
+      <AuditLogPanel />
+    </RouteGuard>
+  );
+}
@@ -7,19 +7,52 @@
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
 import RouteGuard from "../../../components/RouteGuard";
 import Navbar from "../../../components/Navbar";
 import Background from "../../../components/Background";
 import PrimaryButton from "../../../components/PrimaryButton";
+import SessionList from "../../../components/SessionList";
+import UserImportModal from "../../../components/UserImportModal";
+import PasswordStrengthMeter from "../../../components/PasswordStrengthMeter";
+import { useDateDisplayFormat } from "../../../hooks/useDateDisplayFormat";
+import { useAuth } from "../../context/AuthContext";
+import { useImpersonation } from "../../context/ImpersonationContext";
 import { get, post, put, del, ApiError } from "../../lib/apiClient";
+import {
+  BUILT_IN_ROLES,
+  Capability,
+  formatRoleName,
+} from "../../lib/permissions";
+import * as sessionService from "../../lib/sessionService";
+import { listRoles } from "../../lib/roleService";
+import {
+  AUDIT_ACTIONS,
+  describeAuditDetails,
+  listAuditEntries,
+} from "../../lib/auditService";
+import { exportUsersCSV } from "../../lib/userImport";
+import { checkPassword } from "../../lib/passwordPolicy";
+import { formatDateTime } from "../../../utils/dateFormatter";
+import { triggerDownload } from "../../../utils/csvExporter";
 import styles from "./admin.module.css";
 
+// Recent audit entries fetched for the inline per-user history
+const RECENT_AUDIT_LIMIT = 200;
+const RECENT_ACTIONS_PER_USER = 3;
+
 /**
  * User Management Admin Panel
  * Displays list of users and provides CRUD operations
  */
 function AdminPanel() {
+  useDateDisplayFormat();
+  const router = useRouter();
+  const { logout, username: currentUsername } = useAuth();
+  const { startImpersonation } = useImpersonation();
+
   // User list state
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -35,10 +68,15 @@ function AdminPanel() {
   const [createError, setCreateError] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
 
+  // Bulk import modal state
+  const [showImportModal, setShowImportModal] = useState(false);
+
   // Password reset modal state
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [passwordResetUser, setPasswordResetUser] = useState(null);
   const [newPassword, setNewPassword] = useState("");
+  // Temporary password: the user must choose their own at next login
+  const [requirePasswordChange, setRequirePasswordChange] = useState(true);
   const [passwordError, setPasswordError] = useState(null);
   const [isResettingPassword, setIsResettingPassword] = useState(false);
 
@@ -49,6 +87,18 @@ function AdminPanel() {
   const [roleError, setRoleError] = useState(null);
   const [isUpdatingRoles, setIsUpdatingRoles] = useState(false);
 
+  // View-as modal state
+  const [viewAsUser, setViewAsUser] = useState(null);
+  const [viewAsAllowWrites, setViewAsAllowWrites] = useState(false);
+  const [viewAsError, setViewAsError] = useState(null);
+  const [isStartingViewAs, setIsStartingViewAs] = useState(false);
+
+  // Sessions modal state
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [userSessions, setUserSessions] = useState(null);
+  const [sessionsError, setSessionsError] = useState(null);
+  const [revokingSessionId, setRevokingSessionId] = useState(null);
+
   // Delete confirmation state
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteUser, setDeleteUser] = useState(null);
@@ -57,6 +107,47 @@ function AdminPanel() {
   // Success message state
   const [successMessage, setSuccessMessage] = useState(null);
 
+  // Latest audit entries, shown under each user
+  const [recentActions, setRecentActions] = useState([]);
+
+  // Role names offered in the create and role modals, custom roles included
+  const [roleNames, setRoleNames] = useState(BUILT_IN_ROLES);
+
+  /**
+   * Loads the role list, built-in and custom
+   * On failure the built-in roles are still offered.
+   */
+  const fetchRoleNames = useCallback(async () => {
+    try {
+      setRoleNames((await listRoles()).map((role) => role.name));
+    } catch {
+      setRoleNames(BUILT_IN_ROLES);
+    }
+  }, []);
+
+  /**
+   * Loads recent audit entries for the per-user history
+   * The history is secondary, so a failure just leaves it empty.
+   */
+  const fetchRecentActions = useCallback(async () => {
+    try {
+      setRecentActions(await listAuditEntries({ limit: RECENT_AUDIT_LIMIT }));
+    } catch {
+      setRecentActions([]);
+    }
+  }, []);
+
+  const recentActionsByUser = useMemo(() => {
+    const byUser = {};
+    recentActions.forEach((entry) => {
+      const list = (byUser[entry.targetId] ??= []);
+      if (list.length < RECENT_ACTIONS_PER_USER) {
+        list.push(entry);
+      }
+    });
+    return byUser;
+  }, [recentActions]);
+
   /**
    * Fetches the list of users from the backend
    * Requirement 6.1: Display list of all users
@@ -67,12 +158,14 @@ function AdminPanel() {
     try {
       const response = await get("/admin/users");
       setUsers(response.users || response || []);
+      fetchRecentActions();
+      fetchRoleNames();
     } catch (err) {
       setError(err instanceof ApiError ? err.message : "Failed to load users");
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [fetchRecentActions, fetchRoleNames]);
 
   // Load users on mount
   useEffect(() => {
@@ -93,6 +186,13 @@ function AdminPanel() {
    */
   const handleCreateUser = async (e) => {
     e.preventDefault();
+    const [policyError] = checkPassword(createForm.password, {
+      username: createForm.username.trim(),
+    }).errors;
+    if (policyError) {
+      setCreateError(policyError);
+      return;
+    }
     setIsCreating(true);
     setCreateError(null);
 
@@ -119,17 +219,27 @@ function AdminPanel() {
     e.preventDefault();
     if (!passwordResetUser) return;
 
+    const [policyError] = checkPassword(newPassword, {
+      username: passwordResetUser.username,
+    }).errors;
+    if (policyError) {
+      setPasswordError(policyError);
+      return;
+    }
+
     setIsResettingPassword(true);
     setPasswordError(null);
 
     try {
       await put(`/admin/users/${passwordResetUser.id}/password`, {
         newPassword: newPassword,
+        requireChange: requirePasswordChange,
       });
       setSuccessMessage("Password reset successfully");
       setShowPasswordModal(false);
       setPasswordResetUser(null);
       setNewPassword("");
+      fetchRecentActions();
     } catch (err) {
       setPasswordError(
         err instanceof ApiError ? err.message : "Failed to reset password",
@@ -209,10 +319,76 @@ function AdminPanel() {
     }
   };
 
+  /**
+   * Loads a user's active sessions into the sessions modal
+   */
+  const openSessionsModal = async (user) => {
+    setSessionsUser(user);
+    setUserSessions(null);
+    setSessionsError(null);
+    try {
+      setUserSessions(await sessionService.listUserSessions(user.id));
+    } catch (err) {
+      setSessionsError(err.message);
+    }
+  };
+
+  /**
+   * Ends one session; ending the admin's own current session logs out here
+   */
+  const handleRevokeSession = async (session) => {
+    setRevokingSessionId(session.id);
+    setSessionsError(null);
+    try {
+      await sessionService.revokeUserSession(sessionsUser.id, session.id);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setUserSessions((list) => list.filter((s) => s.id !== session.id));
+      fetchRecentActions();
+    } catch (err) {
+      setSessionsError(err.message);
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  /**
+   * Signs a user out on every device
+   */
+  const handleRevokeAllSessions = async () => {
+    setRevokingSessionId("all");
+    setSessionsError(null);
+    try {
+      await sessionService.revokeAllUserSessions(sessionsUser.id);
+      if (userSessions?.some((s) => s.current)) {
+        logout();
+        return;
+      }
+      setUserSessions([]);
+      setSuccessMessage(`${sessionsUser.username} signed out everywhere`);
+      fetchRecentActions();
+    } catch (err) {
+      setSessionsError(err.message);
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  /**
+   * Downloads the user list (roles and status, no passwords) as CSV
+   */
+  const handleExportUsers = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    triggerDownload(exportUsersCSV(users), `users_${date}.csv`);
+  };
+
   // Modal openers
   const openPasswordModal = (user) => {
     setPasswordResetUser(user);
     setNewPassword("");
+    setRequirePasswordChange(true);
     setPasswordError(null);
     setShowPasswordModal(true);
   };
@@ -224,6 +400,32 @@ function AdminPanel() {
     setShowRoleModal(true);
   };
 
+  const openViewAsModal = (user) => {
+    setViewAsUser(user);
+    setViewAsAllowWrites(false);
+    setViewAsError(null);
+  };
+
+  /**
+   * Starts viewing the app as the chosen user, then leaves the admin panel
+   * for the home page, where their tasks, drives and health data open
+   */
+  const handleStartViewAs = async () => {
+    setIsStartingViewAs(true);
+    setViewAsError(null);
+    try {
+      await startImpersonation(viewAsUser.id, {
+        allowWrites: viewAsAllowWrites,
+      });
+      setViewAsUser(null);
+      router.push("/");
+    } catch (err) {
+      setViewAsError(err.message);
+    } finally {
+      setIsStartingViewAs(false);
+    }
+  };
+
   const openDeleteConfirm = (user) => {
     setDeleteUser(user);
     setShowDeleteConfirm(true);
@@ -280,9 +482,24 @@ function AdminPanel() {
           <PrimaryButton onClick={() => setShowCreateModal(true)}>
             Create User
           </PrimaryButton>
+          <PrimaryButton onClick={() => setShowImportModal(true)}>
+            Import Users
+          </PrimaryButton>
+          <PrimaryButton
+            onClick={handleExportUsers}
+            disabled={isLoading || users.length === 0}
+          >
+            Export Users
+          </PrimaryButton>
           <PrimaryButton onClick={fetchUsers} disabled={isLoading}>
             {isLoading ? "Loading..." : "Refresh"}
           </PrimaryButton>
+          <Link href="/admin/roles" className={styles.auditLink}>
+            Roles
+          </Link>
+          <Link href="/admin/audit" className={styles.auditLink}>
+            Audit Log
+          </Link>
         </div>
 
         {/* User List */}
@@ -306,7 +523,7 @@ function AdminPanel() {
                           role === "ROLE_ADMIN" ? styles.adminRole : ""
                         }`}
                       >
-                        {role.replace("ROLE_", "")}
+                        {formatRoleName(role)}
                       </span>
                     ))}
                   </div>
@@ -333,6 +550,22 @@ function AdminPanel() {
                   >
                     Roles
                   </button>
+                  <button
+                    className={styles.actionButton}
+                    onClick={() => openSessionsModal(user)}
+                    title="Active Sessions"
+                  >
+                    Sessions
+                  </button>
+                  {user.username !== currentUsername && (
+                    <button
+                      className={styles.actionButton}
+                      onClick={() => openViewAsModal(user)}
+                      title="See the app as this user sees it"
+                    >
+                      View As
+                    </button>
+                  )}
                   <button
                     className={`${styles.actionButton} ${
                       user.enabled ? styles.disableButton : styles.enableButton
@@ -350,6 +583,24 @@ function AdminPanel() {
                     Delete
                   </button>
                 </div>
+                {recentActionsByUser[user.id] && (
+                  <ul
+                    className={styles.recentActions}
+                    aria-label={`Recent actions on ${user.username}`}
+                  >
+                    {recentActionsByUser[user.id].map((entry) => (
+                      <li key={entry.id}>
+                        <time dateTime={entry.timestamp}>
+                          {formatDateTime(entry.timestamp)}
+                        </time>{" "}
+                        {AUDIT_ACTIONS[entry.action] ?? entry.action} by{" "}
+                        <strong>{entry.actor}</strong>
+                        {describeAuditDetails(entry) &&
+                          ` (${describeAuditDetails(entry)})`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             ))}
           </div>
@@ -404,28 +655,25 @@ function AdminPanel() {
                   disabled={isCreating}
                   autoComplete="new-password"
                 />
+                <PasswordStrengthMeter
+                  password={createForm.password}
+                  username={createForm.username.trim()}
+                />
               </div>
               <div className={styles.inputGroup}>
                 <label className={styles.label}>Roles</label>
                 <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      checked={createForm.roles.includes("ROLE_USER")}
-                      onChange={() => handleCreateRoleToggle("ROLE_USER")}
-                      disabled={isCreating}
-                    />
-                    <span>USER</span>
-                  </label>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      checked={createForm.roles.includes("ROLE_ADMIN")}
-                      onChange={() => handleCreateRoleToggle("ROLE_ADMIN")}
-                      disabled={isCreating}
-                    />
-                    <span>ADMIN</span>
-                  </label>
+                  {roleNames.map((role) => (
+                    <label key={role} className={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        checked={createForm.roles.includes(role)}
+                        onChange={() => handleCreateRoleToggle(role)}
+                        disabled={isCreating}
+                      />
+                      <span>{formatRoleName(role)}</span>
+                    </label>
+                  ))}
                 </div>
               </div>
               <div className={styles.modalActions}>
@@ -446,6 +694,16 @@ function AdminPanel() {
         </div>
       )}
 
+      {/* Bulk Import Modal */}
+      {showImportModal && (
+        <UserImportModal
+          existingUsernames={users.map((user) => user.username)}
+          knownRoles={roleNames}
+          onClose={() => setShowImportModal(false)}
+          onImported={fetchUsers}
+        />
+      )}
+
       {/* Password Reset Modal */}
       {showPasswordModal && passwordResetUser && (
         <div className={styles.modalOverlay}>
@@ -473,7 +731,20 @@ function AdminPanel() {
                   disabled={isResettingPassword}
                   autoComplete="new-password"
                 />
+                <PasswordStrengthMeter
+                  password={newPassword}
+                  username={passwordResetUser.username}
+                />
               </div>
+              <label className={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={requirePasswordChange}
+                  onChange={(e) => setRequirePasswordChange(e.target.checked)}
+                  disabled={isResettingPassword}
+                />
+                <span>Require a new password at next login</span>
+              </label>
               <div className={styles.modalActions}>
                 <PrimaryButton type="submit" disabled={isResettingPassword}>
                   {isResettingPassword ? "Resetting..." : "Reset Password"}
@@ -507,24 +778,17 @@ function AdminPanel() {
               <div className={styles.inputGroup}>
                 <label className={styles.label}>Roles</label>
                 <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      checked={selectedRoles.includes("ROLE_USER")}
-                      onChange={() => handleRoleToggle("ROLE_USER")}
-                      disabled={isUpdatingRoles}
-                    />
-                    <span>USER</span>
-                  </label>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      checked={selectedRoles.includes("ROLE_ADMIN")}
-                      onChange={() => handleRoleToggle("ROLE_ADMIN")}
-                      disabled={isUpdatingRoles}
-                    />
-                    <span>ADMIN</span>
-                  </label>
+                  {roleNames.map((role) => (
+                    <label key={role} className={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        checked={selectedRoles.includes(role)}
+                        onChange={() => handleRoleToggle(role)}
+                        disabled={isUpdatingRoles}
+                      />
+                      <span>{formatRoleName(role)}</span>
+                    </label>
+                  ))}
                 </div>
               </div>
               <div className={styles.modalActions}>
@@ -545,6 +809,95 @@ function AdminPanel() {
         </div>
       )}
 
+      {/* Sessions Modal */}
+      {sessionsUser && (
+        <div className={styles.modalOverlay}>
+          <div className={`${styles.modal} ${styles.sessionsModal}`}>
+            <h2 className={styles.modalTitle}>Active Sessions</h2>
+            <p className={styles.modalSubtitle}>
+              Sessions for: <strong>{sessionsUser.username}</strong>
+            </p>
+            {sessionsError && (
+              <div className={styles.modalError}>{sessionsError}</div>
+            )}
+            {userSessions ? (
+              <SessionList
+                sessions={userSessions}
+                onRevoke={handleRevokeSession}
+                revokingId={revokingSessionId}
+                emptyText="This user is not signed in anywhere."
+              />
+            ) : (
+              !sessionsError && (
+                <div className={styles.emptyState}>Loading sessions...</div>
+              )
+            )}
+            <div className={styles.modalActions}>
+              <button
+                className={`${styles.actionButton} ${styles.deleteButton}`}
+                onClick={handleRevokeAllSessions}
+                disabled={!userSessions?.length || Boolean(revokingSessionId)}
+              >
+                Sign out everywhere
+              </button>
+              <button
+                type="button"
+                className={styles.cancelButton}
+                onClick={() => setSessionsUser(null)}
+                disabled={Boolean(revokingSessionId)}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* View-as Modal */}
+      {viewAsUser && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <h2 className={styles.modalTitle}>View As User</h2>
+            <p className={styles.modalSubtitle}>
+              See tasks, drives and health data as{" "}
+              <strong>{viewAsUser.username}</strong> sees them.
+            </p>
+            {viewAsError && (
+              <div className={styles.modalError}>{viewAsError}</div>
+            )}
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={viewAsAllowWrites}
+                onChange={(e) => setViewAsAllowWrites(e.target.checked)}
+                disabled={isStartingViewAs}
+              />
+              <span>Allow changes to their data</span>
+            </label>
+            <p className={styles.warningText}>
+              Starting, stopping{viewAsAllowWrites ? " and every change" : ""}{" "}
+              are recorded in the audit log.
+            </p>
+            <div className={styles.modalActions}>
+              <PrimaryButton
+                onClick={handleStartViewAs}
+                disabled={isStartingViewAs}
+              >
+                {isStartingViewAs ? "Starting..." : "Start Viewing"}
+              </PrimaryButton>
+              <button
+                type="button"
+                className={styles.cancelButton}
+                onClick={() => setViewAsUser(null)}
+                disabled={isStartingViewAs}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && deleteUser && (
         <div className={styles.modalOverlay}>
@@ -580,12 +933,16 @@ function AdminPanel() {
 }
 
 /**
- * Admin Page wrapped with RouteGuard requiring ROLE_ADMIN
+ * Admin Page wrapped with RouteGuard requiring the admin panel capability
  * Requirement 6.1: Admin panel accessible only to users with ROLE_ADMIN
+ * (or a token whose permissions claim grants admin:users)
  */
 export default function AdminPage() {
   return (
-    <RouteGuard requiredRoles={["ROLE_ADMIN"]} fallbackPath="/">
+    <RouteGuard
+      requiredCapabilities={[Capability.ADMIN_PANEL]}
+      fallbackPath="/"
+    >
       <AdminPanel />
     </RouteGuard>
   );
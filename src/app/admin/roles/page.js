@@ -0,0 +1,544 @@
+"use client";
+
+/**
+ * Roles Page
+ * Custom roles for the admin panel: define what each role grants (drives,
+ * portals, notification abilities), see which users hold which roles in a
+ * users × roles matrix, and assign or revoke a role for several users at once.
+ * Built-in roles are listed for reference but can't be edited.
+ */
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import RouteGuard from "@/components/RouteGuard";
+import Navbar from "@/components/Navbar";
+import Background from "@/components/Background";
+import PrimaryButton from "@/components/PrimaryButton";
+import { useQuery } from "@/hooks/useQuery";
+import { useAuth } from "@/src/context/AuthContext";
+import { get } from "@/src/lib/apiClient";
+import {
+  Capability,
+  GRANTABLE_CAPABILITIES,
+  formatRoleName,
+  resolveCapabilities,
+  toRoleName,
+} from "@/src/lib/permissions";
+import * as roleService from "@/src/lib/roleService";
+import styles from "./roles.module.css";
+
+const USERS_QUERY_KEY = "/admin/users";
+
+const EMPTY_FORM = { name: "", description: "", capabilities: [] };
+
+// Every signed-in user has these, whatever their roles
+const EVERYONE_CAPABILITIES = resolveCapabilities([]);
+
+const CAPABILITY_GROUPS = [
+  ...new Set(GRANTABLE_CAPABILITIES.map((entry) => entry.group)),
+];
+
+function capabilityLabel(capability) {
+  return (
+    GRANTABLE_CAPABILITIES.find((entry) => entry.capability === capability)
+      ?.label ?? capability
+  );
+}
+
+async function listUsers(options) {
+  const data = await get(USERS_QUERY_KEY, options);
+  return data.users || [];
+}
+
+/**
+ * Create or edit a custom role; editing keeps the name
+ */
+function RoleEditor({ role, onSaved, onCancel, onError }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load the role being edited, or start blank
+  useEffect(() => {
+    setForm(
+      role
+        ? {
+            name: role.name,
+            description: role.description,
+            capabilities: role.capabilities,
+          }
+        : EMPTY_FORM,
+    );
+  }, [role]);
+
+  const roleName = role ? role.name : toRoleName(form.name);
+
+  const toggleCapability = (capability) =>
+    setForm((prev) => ({
+      ...prev,
+      capabilities: prev.capabilities.includes(capability)
+        ? prev.capabilities.filter((c) => c !== capability)
+        : [...prev.capabilities, capability],
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const changes = {
+        description: form.description.trim(),
+        capabilities: form.capabilities,
+      };
+      if (role) {
+        await roleService.updateRole(role.name, changes);
+      } else {
+        await roleService.createRole({ name: form.name, ...changes });
+      }
+      setForm(EMPTY_FORM);
+      onSaved(`Role ${formatRoleName(roleName)} saved`);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className={styles.card} onSubmit={handleSubmit}>
+      <h2 className={styles.cardTitle}>
+        {role ? `Edit ${formatRoleName(role.name)}` : "New role"}
+      </h2>
+      <div className={styles.fieldRow}>
+        <div className={styles.inputGroup}>
+          <label className={styles.label} htmlFor="role-name">
+            Name
+          </label>
+          <input
+            id="role-name"
+            type="text"
+            className={styles.input}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Family"
+            maxLength={40}
+            required
+            disabled={Boolean(role) || isSubmitting}
+            autoComplete="off"
+          />
+          {!role && roleName && (
+            <span className={styles.hint}>Saved as {roleName}</span>
+          )}
+        </div>
+        <div className={styles.inputGroup}>
+          <label className={styles.label} htmlFor="role-description">
+            Description
+          </label>
+          <input
+            id="role-description"
+            type="text"
+            className={styles.input}
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Who this role is for"
+            maxLength={200}
+            disabled={isSubmitting}
+            autoComplete="off"
+          />
+        </div>
+      </div>
+      <div className={styles.capabilityGroups}>
+        {CAPABILITY_GROUPS.map((group) => (
+          <fieldset key={group} className={styles.capabilityGroup}>
+            <legend className={styles.label}>{group}</legend>
+            {GRANTABLE_CAPABILITIES.filter(
+              (entry) => entry.group === group,
+            ).map(({ capability, label }) => {
+              const everyone = EVERYONE_CAPABILITIES.includes(capability);
+              return (
+                <label key={capability} className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={everyone || form.capabilities.includes(capability)}
+                    onChange={() => toggleCapability(capability)}
+                    disabled={everyone || isSubmitting}
+                  />
+                  <span>
+                    {label}
+                    {everyone && (
+                      <span className={styles.hint}> (everyone)</span>
+                    )}
+                  </span>
+                </label>
+              );
+            })}
+          </fieldset>
+        ))}
+      </div>
+      <div className={styles.actions}>
+        <PrimaryButton type="submit" disabled={isSubmitting || !roleName}>
+          {isSubmitting ? "Saving..." : role ? "Save Role" : "Create Role"}
+        </PrimaryButton>
+        {role && (
+          <button
+            type="button"
+            className={styles.secondaryButton}
+            onClick={onCancel}
+            disabled={isSubmitting}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Every role with what it grants; custom roles can be edited or deleted
+ */
+function RoleList({ roles, onEdit, onDeleted, onError }) {
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleDelete = async (role) => {
+    setIsDeleting(true);
+    try {
+      await roleService.deleteRole(role.name);
+      setPendingDelete(null);
+      onDeleted(`Role ${formatRoleName(role.name)} deleted`);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <ul className={styles.roleList}>
+      {roles.map((role) => (
+        <li key={role.name} className={styles.roleItem}>
+          <div className={styles.roleInfo}>
+            <span className={styles.roleName}>
+              {formatRoleName(role.name)}
+              {role.builtIn && (
+                <span className={styles.builtInBadge}>Built-in</span>
+              )}
+            </span>
+            {role.description && (
+              <span className={styles.roleDescription}>{role.description}</span>
+            )}
+            <span className={styles.roleGrants}>
+              {role.capabilities.length > 0
+                ? role.capabilities.map(capabilityLabel).join(", ")
+                : "Grants nothing extra"}{" "}
+              · {role.userCount} {role.userCount === 1 ? "user" : "users"}
+            </span>
+          </div>
+          {!role.builtIn &&
+            (pendingDelete === role.name ? (
+              <div className={styles.roleActions}>
+                <span className={styles.warningText}>
+                  Remove from {role.userCount}{" "}
+                  {role.userCount === 1 ? "user" : "users"}?
+                </span>
+                <button
+                  type="button"
+                  className={`${styles.secondaryButton} ${styles.dangerButton}`}
+                  onClick={() => handleDelete(role)}
+                  disabled={isDeleting}
+                >
+                  {isDeleting ? "Deleting..." : "Delete"}
+                </button>
+                <button
+                  type="button"
+                  className={styles.secondaryButton}
+                  onClick={() => setPendingDelete(null)}
+                  disabled={isDeleting}
+                >
+                  Keep
+                </button>
+              </div>
+            ) : (
+              <div className={styles.roleActions}>
+                <button
+                  type="button"
+                  className={styles.secondaryButton}
+                  onClick={() => onEdit(role)}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className={`${styles.secondaryButton} ${styles.dangerButton}`}
+                  onClick={() => setPendingDelete(role.name)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Users × roles matrix; selected users can be given or lose a role in bulk
+ */
+function RoleMatrix({ roles, users, onUpdated, onError }) {
+  const { username } = useAuth();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkRole, setBulkRole] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Forget selections of users that no longer exist
+  useEffect(() => {
+    setSelectedIds((prev) =>
+      prev.filter((id) => users.some((user) => user.id === id)),
+    );
+  }, [users]);
+
+  const allSelected = users.length > 0 && selectedIds.length === users.length;
+
+  const toggleUser = (id) =>
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((u) => u !== id) : [...prev, id],
+    );
+
+  const toggleAll = () =>
+    setSelectedIds(allSelected ? [] : users.map((user) => user.id));
+
+  const handleBulk = async (action) => {
+    setIsSubmitting(true);
+    try {
+      const { updated } = await roleService.bulkUpdateUserRoles(selectedIds, {
+        [action]: [bulkRole],
+      });
+      const verb = action === "add" ? "assigned to" : "revoked from";
+      onUpdated(
+        `${formatRoleName(bulkRole)} ${verb} ${updated.length} ${
+          updated.length === 1 ? "user" : "users"
+        }`,
+      );
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canSubmit = !isSubmitting && bulkRole && selectedIds.length > 0;
+
+  return (
+    <div className={styles.card}>
+      <h2 className={styles.cardTitle}>Assignments</h2>
+      <div className={styles.bulkBar}>
+        <span className={styles.count}>{selectedIds.length} selected</span>
+        <select
+          aria-label="Role to assign or revoke"
+          className={`${styles.input} ${styles.select}`}
+          value={bulkRole}
+          onChange={(e) => setBulkRole(e.target.value)}
+          disabled={isSubmitting}
+        >
+          <option value="">Choose a role</option>
+          {roles.map((role) => (
+            <option key={role.name} value={role.name}>
+              {formatRoleName(role.name)}
+            </option>
+          ))}
+        </select>
+        <PrimaryButton onClick={() => handleBulk("add")} disabled={!canSubmit}>
+          Assign
+        </PrimaryButton>
+        <button
+          type="button"
+          className={`${styles.secondaryButton} ${styles.dangerButton}`}
+          onClick={() => handleBulk("remove")}
+          disabled={!canSubmit}
+        >
+          Revoke
+        </button>
+      </div>
+      <div className={styles.tableWrapper}>
+        <table className={styles.matrix}>
+          <thead>
+            <tr>
+              <th scope="col">
+                <label className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    aria-label="Select all users"
+                  />
+                </label>
+              </th>
+              <th scope="col">User</th>
+              {roles.map((role) => (
+                <th key={role.name} scope="col" title={role.description}>
+                  {formatRoleName(role.name)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr
+                key={user.id}
+                className={
+                  selectedIds.includes(user.id) ? styles.selectedRow : ""
+                }
+              >
+                <td>
+                  <label className={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(user.id)}
+                      onChange={() => toggleUser(user.id)}
+                      aria-label={`Select ${user.username}`}
+                    />
+                  </label>
+                </td>
+                <th scope="row">
+                  {user.username}
+                  {user.username === username && (
+                    <span className={styles.hint}> (you)</span>
+                  )}
+                </th>
+                {roles.map((role) => (
+                  <td key={role.name} className={styles.matrixCell}>
+                    {user.roles.includes(role.name) ? (
+                      <span className={styles.hasRole} title="Has role">
+                        ✓
+                      </span>
+                    ) : (
+                      <span className={styles.noRole} aria-label="No role">
+                        ·
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function RolesPanel() {
+  const [editingRole, setEditingRole] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const rolesQuery = useQuery(roleService.ROLES_QUERY_KEY, (options) =>
+    roleService.listRoles(options),
+  );
+  const usersQuery = useQuery(USERS_QUERY_KEY, listUsers);
+
+  // Auto-hide success message
+  useEffect(() => {
+    if (successMessage) {
+      const timer = setTimeout(() => setSuccessMessage(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [successMessage]);
+
+  // Role changes move user counts and assignments, so reload both
+  const handleChange = (message) => {
+    setError(null);
+    setSuccessMessage(message);
+    setEditingRole(null);
+    rolesQuery.refetch().catch(() => {});
+    usersQuery.refetch().catch(() => {});
+  };
+
+  const loadError = rolesQuery.error || usersQuery.error;
+  const roles = rolesQuery.data;
+  const users = usersQuery.data;
+
+  return (
+    <div className={styles.rolesPage}>
+      <div className={styles.pageBackground}>
+        <Background />
+      </div>
+      <Navbar />
+      <div className={styles.rolesContainer}>
+        <h1 className={styles.title}>Roles</h1>
+
+        <div className={styles.actionBar}>
+          <Link href="/admin" className={styles.backLink}>
+            ← Users
+          </Link>
+        </div>
+
+        {successMessage && (
+          <div className={styles.successMessage} role="status">
+            {successMessage}
+          </div>
+        )}
+
+        {(error || (loadError && !(roles && users))) && (
+          <div className={styles.errorContainer} role="alert">
+            <p className={styles.errorMessage}>{error ?? loadError.message}</p>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => {
+                setError(null);
+                rolesQuery.refetch().catch(() => {});
+                usersQuery.refetch().catch(() => {});
+              }}
+            >
+              {error ? "Dismiss" : "Retry"}
+            </button>
+          </div>
+        )}
+
+        <RoleEditor
+          role={editingRole}
+          onSaved={handleChange}
+          onCancel={() => setEditingRole(null)}
+          onError={setError}
+        />
+
+        {rolesQuery.isLoading || usersQuery.isLoading ? (
+          <div className={styles.loadingText}>Loading roles...</div>
+        ) : (
+          roles &&
+          users && (
+            <>
+              <div className={styles.card}>
+                <h2 className={styles.cardTitle}>All roles</h2>
+                <RoleList
+                  roles={roles}
+                  onEdit={setEditingRole}
+                  onDeleted={handleChange}
+                  onError={setError}
+                />
+              </div>
+              <RoleMatrix
+                roles={roles}
+                users={users}
+                onUpdated={handleChange}
+                onError={setError}
+              />
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function RolesPage() {
+  return (
+    <RouteGuard
+      requiredCapabilities={[Capability.ADMIN_PANEL]}
+      fallbackPath="/"
+    >
+      <RolesPanel />
+    </RouteGuard>
+  );
+}
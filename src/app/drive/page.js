@@ -13,7 +13,10 @@ import PlexUploadModal from "@/components/PlexUploadModal";
 import ConfirmModal from "@/components/ConfirmModal";
 import * as driveService from "@/src/lib/driveService";
 import { buildBreadcrumbPath, collectDescendants } from "@/src/lib/driveUtils";
-import { useAuth } from "@/src/context/AuthContext";
+import { useEffectiveUser } from "@/hooks/useEffectiveUser";
+import { usePreferences } from "@/src/context/PreferencesContext";
+import { getDriveCapability } from "@/src/lib/permissions";
+import { useQuery } from "@/hooks/useQuery";
 import styles from "./drive.module.css";
 
 const DRIVE_LABELS = {
@@ -24,9 +27,17 @@ const DRIVE_LABELS = {
 };
 
 export default function DrivePage() {
-  const { isAdmin, isLoading: authLoading, username } = useAuth();
-  const [driveData, setDriveData] = useState(null);
-  const [activeDrive, setActiveDrive] = useState("myDrive");
+  // The signed-in user's drives, or those of the user an admin is viewing as
+  const {
+    can,
+    isLoading: authLoading,
+    userId: username,
+    isReadOnly,
+  } = useEffectiveUser();
+  const { preferences, isLoading: preferencesLoading } = usePreferences();
+  const [activeDrive, setActiveDrive] = useState(preferences.defaultDrive);
+  // Set once the user's default drive has been opened or they picked one
+  const defaultDriveApplied = useRef(!preferencesLoading);
   const [currentFolderId, setCurrentFolderId] = useState("root");
   const [breadcrumbPath, setBreadcrumbPath] = useState([
     { id: "root", name: "My Drive" },
@@ -40,55 +51,69 @@ export default function DrivePage() {
   const [moveConfirm, setMoveConfirm] = useState(null);
   const [breadcrumbDragOverId, setBreadcrumbDragOverId] = useState(null);
   const [moveMode, setMoveMode] = useState(null); // { itemId, itemName } when move mode is active
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
 
   const isMediaCache = activeDrive === "mediaCache";
+  // The media cache is always read-only; other drives are while an admin
+  // views as a user without changes allowed
+  const isReadOnlyDrive = isMediaCache || isReadOnly;
+
+  // Each drive is gated by its own capability (drive:<key>)
+  const allowedDrives = Object.keys(DRIVE_LABELS).filter((key) =>
+    can(getDriveCapability(key)),
+  );
+  const canOpenActiveDrive = allowedDrives.includes(activeDrive);
+  const fallbackDrive = allowedDrives[0];
 
   const colorPickerTransition = useRef(false);
 
-  // Fetch drive contents on mount and when activeDrive changes
+  // Drive listing through the query cache: a previously opened drive renders
+  // immediately while it revalidates. Switching drives or unmounting aborts
+  // the in-flight listing request. Local edits write through setDriveData.
+  const {
+    data: driveData,
+    error: loadError, // AppError from listing the drive
+    isLoading: listingLoading,
+    refetch: refetchDrive,
+    setData: setDriveData,
+  } = useQuery(
+    authLoading || preferencesLoading || !username || !canOpenActiveDrive
+      ? null
+      : driveService.getDriveQueryKey(username, activeDrive),
+    (options) => driveService.listDriveContents(username, activeDrive, options),
+  );
+  const loading = authLoading || preferencesLoading || listingLoading;
+
+  // Open the user's default drive once their preferences arrive
   useEffect(() => {
-    if (authLoading || !username) return;
-    let cancelled = false;
-    async function fetchDrive() {
-      setLoading(true);
-      setError(null);
-      try {
-        const data = await driveService.listDriveContents(
-          username,
-          activeDrive,
-        );
-        if (!cancelled) {
-          setDriveData(data);
-          setCurrentFolderId("root");
-          if (data["root"]) {
-            setBreadcrumbPath([{ id: "root", name: data["root"].name }]);
-          }
-        }
-      } catch (err) {
-        if (!cancelled) {
-          setError(driveService.getErrorMessage(err));
-        }
-      } finally {
-        if (!cancelled) {
-          setLoading(false);
-        }
-      }
+    if (!preferencesLoading && !defaultDriveApplied.current) {
+      defaultDriveApplied.current = true;
+      setActiveDrive(preferences.defaultDrive);
     }
-    fetchDrive();
-    return () => {
-      cancelled = true;
-    };
-  }, [activeDrive, authLoading, username]);
+  }, [preferencesLoading, preferences.defaultDrive]);
+
+  // Each drive opens at its root once its listing is available
+  const rootName = driveData?.root?.name;
+  useEffect(() => {
+    setCurrentFolderId("root");
+    if (rootName) {
+      setBreadcrumbPath([{ id: "root", name: rootName }]);
+    }
+  }, [activeDrive, rootName]);
+
+  // Users without access to the default drive start on one they can open
+  useEffect(() => {
+    if (!authLoading && !canOpenActiveDrive && fallbackDrive) {
+      setActiveDrive(fallbackDrive);
+    }
+  }, [authLoading, canOpenActiveDrive, fallbackDrive]);
 
   // Re-fetch current drive contents (used on DRIVE_ITEM_NOT_FOUND)
   async function refreshDriveContents() {
     try {
-      const data = await driveService.listDriveContents(username, activeDrive);
-      setDriveData(data);
+      await refetchDrive();
     } catch {
       /* refresh is best-effort */
     }
@@ -119,6 +144,7 @@ export default function DrivePage() {
   }
 
   function switchDrive(driveKey) {
+    defaultDriveApplied.current = true;
     setActiveDrive(driveKey);
     closeContextMenu();
     setNewFolderMode(false);
@@ -243,7 +269,7 @@ export default function DrivePage() {
   function handleContextMenu(event, itemId) {
     event.preventDefault();
     event.stopPropagation();
-    if (isMediaCache) return;
+    if (isReadOnlyDrive) return;
     if (!driveData[itemId]) return;
     setContextMenu({ x: event.clientX, y: event.clientY, itemId });
     setShowColorPicker(false);
@@ -477,20 +503,9 @@ export default function DrivePage() {
         return prev;
       });
     } catch (err) {
-      const status = err?.status;
-      if (status === 404) {
-        setError("This item no longer exists.");
+      setError(driveService.getErrorMessage(err));
+      if (err?.status === 404) {
         await refreshDriveContents();
-      } else if (status === 409) {
-        setError(
-          "An item with that name already exists in the destination folder, or the move would create a circular reference.",
-        );
-      } else if (status === 400) {
-        setError("The root folder cannot be moved.");
-      } else if (status === 403) {
-        setError("You do not have permission to move this item.");
-      } else {
-        setError(driveService.getErrorMessage(err));
       }
     }
 
@@ -507,16 +522,16 @@ export default function DrivePage() {
         <h1 className={styles.title}>{DRIVE_LABELS[activeDrive]}</h1>
         <DriveToolbar
           onNewFolder={() => {
-            if (!isMediaCache) setNewFolderMode(true);
+            if (!isReadOnlyDrive) setNewFolderMode(true);
           }}
           onUploadFile={handleFileUpload}
           onPlexUpload={() => setPlexModalOpen(true)}
-          isMediaCache={isMediaCache}
+          isMediaCache={isReadOnlyDrive}
         />
         <DriveToggle
           activeDrive={activeDrive}
           onDriveChange={switchDrive}
-          showAdminDrive={isAdmin()}
+          allowedDrives={allowedDrives}
         />
         <BreadcrumbBar
           path={breadcrumbPath}
@@ -530,13 +545,27 @@ export default function DrivePage() {
             handleDropOnBreadcrumb(segmentId, segmentName);
           }}
           dragOverSegmentId={breadcrumbDragOverId}
-          isMediaCache={isMediaCache}
+          isMediaCache={isReadOnlyDrive}
           moveMode={moveMode}
           onMoveTarget={handleMoveTarget}
         />
         {loading && (
           <p className={styles.loadingText}>Loading drive contents…</p>
         )}
+        {loadError && (
+          <p className={styles.errorText}>
+            {driveService.getErrorMessage(loadError)}
+            {loadError.retryable && (
+              <button
+                type="button"
+                className={styles.retryButton}
+                onClick={refreshDriveContents}
+              >
+                Retry
+              </button>
+            )}
+          </p>
+        )}
         {error && <p className={styles.errorText}>{error}</p>}
         {moveMode && (
           <div className={styles.moveModeBar}>
@@ -560,7 +589,7 @@ export default function DrivePage() {
             newFolderMode={newFolderMode}
             onNewFolderSubmit={createFolder}
             onNewFolderCancel={() => setNewFolderMode(false)}
-            isMediaCache={isMediaCache}
+            isMediaCache={isReadOnlyDrive}
             dragSourceId={dragSourceId}
             onDragStart={handleDragStart}
             onDragEnd={handleDragEnd}
@@ -18,9 +18,11 @@ import TTextarea from "@/components/TTextarea";
 import HealthModal from "@/components/HealthModal";
 import { SPECIALTIES } from "@/utils/healthConstants";
 import { formatShortDate } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import styles from "./appointments.module.css";
 
 export default function AppointmentsPage() {
+  useDateDisplayFormat();
   const {
     appointments,
     appointmentsLoading,
@@ -34,6 +36,7 @@ export default function AppointmentsPage() {
     fetchReminders,
     createReminder,
     deleteReminder,
+    isReadOnly,
   } = useHealth();
 
   // --- State ---
@@ -204,9 +207,11 @@ export default function AppointmentsPage() {
           <span className={styles.titleIcon} aria-hidden="true">ⓘ</span>
           APPOINTMENTS
         </h1>
-        <TButton variant="primary" onClick={handleOpenAddAppt}>
-          + ADD VISIT
-        </TButton>
+        {!isReadOnly && (
+          <TButton variant="primary" onClick={handleOpenAddAppt}>
+            + ADD VISIT
+          </TButton>
+        )}
       </div>
 
       {/* Error banners */}
@@ -273,14 +278,16 @@ export default function AppointmentsPage() {
             {displayedAppts.map((appt) => (
               <TCard key={appt.id} accentColor={borderColor}>
                 <div className={styles.apptCard}>
-                  <button
-                    type="button"
-                    className={styles.deleteIconBtn}
-                    onClick={() => setDeleteApptTarget(appt)}
-                    aria-label={`Delete appointment with ${appt.doctor}`}
-                  >
-                    ✕
-                  </button>
+                  {!isReadOnly && (
+                    <button
+                      type="button"
+                      className={styles.deleteIconBtn}
+                      onClick={() => setDeleteApptTarget(appt)}
+                      aria-label={`Delete appointment with ${appt.doctor}`}
+                    >
+                      ✕
+                    </button>
+                  )}
                   <div className={styles.apptDoctor}>
                     {appt.doctor.toUpperCase()}
                   </div>
@@ -314,9 +321,11 @@ export default function AppointmentsPage() {
             <span className={styles.remindersTitleIcon} aria-hidden="true">⚠</span>
             MAINTENANCE REMINDERS
           </h2>
-          <TButton variant="secondary" onClick={handleOpenAddReminder}>
-            + ADD
-          </TButton>
+          {!isReadOnly && (
+            <TButton variant="secondary" onClick={handleOpenAddReminder}>
+              + ADD
+            </TButton>
+          )}
         </div>
 
         {remindersLoading && (
@@ -334,14 +343,16 @@ export default function AppointmentsPage() {
             {reminders.map((reminder) => (
               <TCard key={reminder.id} accentColor="#ffaa00">
                 <div className={styles.reminderCard}>
-                  <button
-                    type="button"
-                    className={styles.deleteIconBtn}
-                    onClick={() => setDeleteReminderTarget(reminder)}
-                    aria-label={`Delete reminder: ${reminder.text}`}
-                  >
-                    ✕
-                  </button>
+                  {!isReadOnly && (
+                    <button
+                      type="button"
+                      className={styles.deleteIconBtn}
+                      onClick={() => setDeleteReminderTarget(reminder)}
+                      aria-label={`Delete reminder: ${reminder.text}`}
+                    >
+                      ✕
+                    </button>
+                  )}
                   <span className={styles.reminderIcon} aria-hidden="true">⏰</span>
                   <div className={styles.reminderBody}>
                     <div className={styles.reminderText}>
@@ -16,10 +16,12 @@ import TButton from "@/components/TButton";
 import HealthModal from "@/components/HealthModal";
 import { DOC_CATEGORIES } from "@/utils/healthConstants";
 import { formatShortDate } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import { exportDocumentsCSV, triggerDownload } from "@/utils/csvExporter";
 import styles from "./documents.module.css";
 
 export default function DocumentsPage() {
+  useDateDisplayFormat();
   const {
     documents,
     documentsLoading,
@@ -28,6 +30,7 @@ export default function DocumentsPage() {
     uploadDocument,
     downloadDocument,
     deleteDocument,
+    isReadOnly,
   } = useHealth();
 
   // State
@@ -215,57 +218,59 @@ export default function DocumentsPage() {
         </div>
       )}
 
-      {/* Upload Zone */}
-      <div
-        className={`${styles.uploadZone} ${dragActive ? styles.uploadZoneActive : ""}`}
-        role="button"
-        tabIndex={0}
-        aria-label="Upload health document"
-        onClick={handleUploadClick}
-        onKeyDown={handleUploadKeyDown}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-        onDrop={handleDrop}
-      >
-        <input
-          ref={fileInputRef}
-          type="file"
-          multiple
-          style={{ display: "none" }}
-          onChange={handleFileChange}
-          aria-hidden="true"
-          tabIndex={-1}
-        />
-        <p className={styles.uploadText}>
-          {uploading
-            ? "Uploading..."
-            : "Drag & drop files here, or click to browse"}
-        </p>
-
-        {/* Inline category selector */}
+      {/* Upload Zone (hidden while viewing as another user read-only) */}
+      {!isReadOnly && (
         <div
-          className={styles.categorySelector}
-          onClick={(e) => e.stopPropagation()}
-          onKeyDown={(e) => e.stopPropagation()}
+          className={`${styles.uploadZone} ${dragActive ? styles.uploadZoneActive : ""}`}
+          role="button"
+          tabIndex={0}
+          aria-label="Upload health document"
+          onClick={handleUploadClick}
+          onKeyDown={handleUploadKeyDown}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
         >
-          {DOC_CATEGORIES.map((cat) => (
-            <button
-              key={cat.label}
-              type="button"
-              className={`${styles.categorySelectorBtn} ${
-                uploadCategory === cat.label ? styles.categorySelectorBtnActive : ""
-              }`}
-              onClick={(e) => {
-                e.stopPropagation();
-                setUploadCategory(cat.label);
-              }}
-              aria-pressed={uploadCategory === cat.label}
-            >
-              {cat.icon} {cat.label}
-            </button>
-          ))}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            style={{ display: "none" }}
+            onChange={handleFileChange}
+            aria-hidden="true"
+            tabIndex={-1}
+          />
+          <p className={styles.uploadText}>
+            {uploading
+              ? "Uploading..."
+              : "Drag & drop files here, or click to browse"}
+          </p>
+
+          {/* Inline category selector */}
+          <div
+            className={styles.categorySelector}
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            {DOC_CATEGORIES.map((cat) => (
+              <button
+                key={cat.label}
+                type="button"
+                className={`${styles.categorySelectorBtn} ${
+                  uploadCategory === cat.label ? styles.categorySelectorBtnActive : ""
+                }`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setUploadCategory(cat.label);
+                }}
+                aria-pressed={uploadCategory === cat.label}
+              >
+                {cat.icon} {cat.label}
+              </button>
+            ))}
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Category Filter Bar */}
       <div className={styles.filterBar} role="group" aria-label="Filter by category">
@@ -341,13 +346,15 @@ export default function DocumentsPage() {
                     >
                       ⬇
                     </TButton>
-                    <TButton
-                      variant="danger"
-                      onClick={() => handleDeleteClick(doc)}
-                      ariaLabel={`Delete ${doc.name}`}
-                    >
-                      ✕
-                    </TButton>
+                    {!isReadOnly && (
+                      <TButton
+                        variant="danger"
+                        onClick={() => handleDeleteClick(doc)}
+                        ariaLabel={`Delete ${doc.name}`}
+                      >
+                        ✕
+                      </TButton>
+                    )}
                   </div>
                 </div>
               </TCard>
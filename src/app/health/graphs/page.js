@@ -20,6 +20,7 @@ import HealthModal from "@/components/HealthModal";
 import HealthChartWrapper from "@/components/HealthChartWrapper";
 import { calculateSleepHours } from "@/utils/sleepCalculator";
 import { formatShortDate } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import styles from "./graphs.module.css";
 
 const SLEEP_METRIC_ID = "__sleep_hours__";
@@ -142,10 +143,17 @@ export default function GraphsPage() {
     deleteDataPoint,
     journalEntries,
     fetchJournalEntries,
+    isReadOnly,
   } = useHealth();
-
-  // Synthetic Sleep Hours metric derived from journal entries
-  const sleepMetric = useMemo(() => buildSleepMetric(journalEntries), [journalEntries]);
+  const { dateFormat } = useDateDisplayFormat();
+
+  // Synthetic Sleep Hours metric derived from journal entries. Its labels
+  // come from formatShortDate, which reads the date format set in
+  // utils/dateFormatter, so `dateFormat` is listed to rebuild them on a change
+  const sleepMetric = useMemo(
+    () => buildSleepMetric(journalEntries),
+    [journalEntries, dateFormat],
+  );
 
   // Combined list: synthetic Sleep Hours first, then user metrics
   const displayedMetrics = useMemo(
@@ -457,7 +465,7 @@ export default function GraphsPage() {
       }
       closePointModal();
     } catch (err) {
-      if (err.errorCode === "HEALTH_VALIDATION_FAILED") {
+      if (err.code === "HEALTH_VALIDATION_FAILED") {
         setPointErrors((prev) => ({ ...prev, api: err.message }));
       }
       // For other errors, error is already set in context
@@ -535,15 +543,17 @@ export default function GraphsPage() {
           </div>
         ))}
 
-        <div className={styles.addMetricSlot}>
-          <TButton
-            variant="secondary"
-            onClick={openAddMetric}
-            ariaLabel="Add new metric"
-          >
-            + Add Metric
-          </TButton>
-        </div>
+        {!isReadOnly && (
+          <div className={styles.addMetricSlot}>
+            <TButton
+              variant="secondary"
+              onClick={openAddMetric}
+              ariaLabel="Add new metric"
+            >
+              + Add Metric
+            </TButton>
+          </div>
+        )}
       </aside>
 
       {/* Main content */}
@@ -571,7 +581,7 @@ export default function GraphsPage() {
                   {selectedMetric.derived ? " · derived from journal" : ""}
                 </span>
               </div>
-              {!selectedMetric.derived && (
+              {!selectedMetric.derived && !isReadOnly && (
                 <div className={styles.chartActions}>
                   <TButton
                     variant="primary"
@@ -650,24 +660,26 @@ export default function GraphsPage() {
                               </span>
                               <span className={styles.pointValues}>{valueText}</span>
                             </div>
-                            <div className={styles.pointActions}>
-                              <TButton
-                                variant="ghost"
-                                onClick={() => openEditPoint(point)}
-                                ariaLabel={`Edit data point for ${formatShortDate(point.label)}`}
-                              >
-                                ✎
-                              </TButton>
-                              <TButton
-                                variant="danger"
-                                onClick={() =>
-                                  setDeletePointTarget({ index: point.index, label: point.label })
-                                }
-                                ariaLabel={`Delete data point for ${formatShortDate(point.label)}`}
-                              >
-                                ✕
-                              </TButton>
-                            </div>
+                            {!isReadOnly && (
+                              <div className={styles.pointActions}>
+                                <TButton
+                                  variant="ghost"
+                                  onClick={() => openEditPoint(point)}
+                                  ariaLabel={`Edit data point for ${formatShortDate(point.label)}`}
+                                >
+                                  ✎
+                                </TButton>
+                                <TButton
+                                  variant="danger"
+                                  onClick={() =>
+                                    setDeletePointTarget({ index: point.index, label: point.label })
+                                  }
+                                  ariaLabel={`Delete data point for ${formatShortDate(point.label)}`}
+                                >
+                                  ✕
+                                </TButton>
+                              </div>
+                            )}
                           </div>
                         </TCard>
                       );
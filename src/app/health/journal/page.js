@@ -20,6 +20,7 @@ import HealthModal from "@/components/HealthModal";
 import { calculateSleepDuration } from "@/utils/sleepCalculator";
 import { ENERGY_LEVELS } from "@/utils/healthConstants";
 import { formatShortDate } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import { exportJournalCSV, triggerDownload } from "@/utils/csvExporter";
 import styles from "./journal.module.css";
 
@@ -34,6 +35,7 @@ const INITIAL_FORM = {
 };
 
 export default function JournalPage() {
+  useDateDisplayFormat();
   const {
     journalEntries,
     journalLoading,
@@ -41,10 +43,12 @@ export default function JournalPage() {
     fetchJournalEntries,
     saveJournalEntry,
     deleteJournalEntry,
+    isReadOnly,
   } = useHealth();
 
-  // View state: "form" or "history"
-  const [view, setView] = useState("form");
+  // View state: "form" or "history" (history only while read-only)
+  const [selectedView, setView] = useState("form");
+  const view = isReadOnly ? "history" : selectedView;
 
   // Form state
   const [form, setForm] = useState(INITIAL_FORM);
@@ -118,8 +122,8 @@ export default function JournalPage() {
         mood: form.mood !== "" ? Number(form.mood) : null,
         thoughts: form.thoughts,
       };
-      await saveJournalEntry(entry);
-      setSuccessMsg("✓ ENTRY SAVED");
+      const { queued } = await saveJournalEntry(entry);
+      setSuccessMsg(queued ? "✓ SAVED OFFLINE — WILL SYNC" : "✓ ENTRY SAVED");
       setForm(INITIAL_FORM);
       setTimeout(() => {
         setSuccessMsg("");
@@ -170,13 +174,15 @@ export default function JournalPage() {
       <div className={styles.header}>
         <h1 className={styles.title}>DAILY JOURNAL</h1>
         <div className={styles.viewToggle}>
-          <TButton
-            variant={view === "form" ? "primary" : "ghost"}
-            onClick={() => setView("form")}
-            ariaLabel="Switch to entry form"
-          >
-            Entry
-          </TButton>
+          {!isReadOnly && (
+            <TButton
+              variant={view === "form" ? "primary" : "ghost"}
+              onClick={() => setView("form")}
+              ariaLabel="Switch to entry form"
+            >
+              Entry
+            </TButton>
+          )}
           <TButton
             variant={view === "history" ? "primary" : "ghost"}
             onClick={() => setView("history")}
@@ -415,15 +421,17 @@ export default function JournalPage() {
                             </span>
                           </div>
                         )}
-                        <div className={styles.actions}>
-                          <TButton
-                            variant="danger"
-                            onClick={() => handleDeleteClick(entry)}
-                            ariaLabel={`Delete entry for ${formatShortDate(entry.date)}`}
-                          >
-                            DELETE
-                          </TButton>
-                        </div>
+                        {!isReadOnly && (
+                          <div className={styles.actions}>
+                            <TButton
+                              variant="danger"
+                              onClick={() => handleDeleteClick(entry)}
+                              ariaLabel={`Delete entry for ${formatShortDate(entry.date)}`}
+                            >
+                              DELETE
+                            </TButton>
+                          </div>
+                        )}
                       </div>
                     )}
                   </TCard>
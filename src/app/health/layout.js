@@ -3,13 +3,17 @@
 /**
  * Health Portal Layout
  * Wraps all /health/* routes with shared chrome, auth protection,
- * and the HealthContext provider.
+ * and the HealthContext provider. Health records lock after a shorter
+ * period of inactivity than the rest of the app.
  *
  * Requirements: 1.7, 1.4, 10.1, 10.5, 10.7
  */
 
 import RouteGuard from "@/components/RouteGuard";
 import { HealthProvider } from "@/src/context/HealthContext";
+import { Capability } from "@/src/lib/permissions";
+import { HEALTH_IDLE_TIMEOUT_MS } from "@/src/lib/idleLock";
+import useIdleTimeout from "@/hooks/useIdleTimeout";
 import HealthStatusBar from "@/components/HealthStatusBar";
 import ParticleBackground from "@/components/ParticleBackground";
 import CustomCursor from "@/components/CustomCursor";
@@ -22,8 +26,10 @@ import styles from "./health.module.css";
  * @param {React.ReactNode} props.children - Page content
  */
 export default function HealthLayout({ children }) {
+  useIdleTimeout(HEALTH_IDLE_TIMEOUT_MS);
+
   return (
-    <RouteGuard>
+    <RouteGuard requiredCapabilities={[Capability.HEALTH_PORTAL]}>
       <HealthProvider>
         <div className={styles.healthRoot}>
           <ParticleBackground />
@@ -10,6 +10,7 @@
 import Link from "next/link";
 import TCard from "@/components/TCard";
 import { formatLongDate } from "@/utils/dateFormatter";
+import { useDateDisplayFormat } from "@/hooks/useDateDisplayFormat";
 import styles from "./home.module.css";
 
 function DiamondIcon({ color }) {
@@ -101,6 +102,7 @@ const TILES = [
 ];
 
 export default function HealthHome() {
+  useDateDisplayFormat();
   const todayISO = new Date().toISOString().slice(0, 10);
 
   return (
@@ -1,6 +1,13 @@
 import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
 import { AuthProvider } from "../context/AuthContext";
+import { BackendHealthProvider } from "../context/BackendHealthContext";
+import { ImpersonationProvider } from "../context/ImpersonationContext";
+import { PreferencesProvider } from "../context/PreferencesContext";
+import DegradedModeBanner from "@/components/DegradedModeBanner";
+import ImpersonationBanner from "@/components/ImpersonationBanner";
+import IdleLockGate from "@/components/IdleLockGate";
+import MockBackendLoader from "@/components/MockBackendLoader";
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -25,7 +32,21 @@ export default function RootLayout({ children }) {
   return (
     <html lang="en">
       <body className={`${geistSans.variable} ${geistMono.variable}`}>
-        <AuthProvider>{children}</AuthProvider>
+        <MockBackendLoader>
+          <AuthProvider>
+            <BackendHealthProvider>
+              <PreferencesProvider>
+                <ImpersonationProvider>
+                  <IdleLockGate>
+                    {children}
+                    <DegradedModeBanner />
+                    <ImpersonationBanner />
+                  </IdleLockGate>
+                </ImpersonationProvider>
+              </PreferencesProvider>
+            </BackendHealthProvider>
+          </AuthProvider>
+        </MockBackendLoader>
       </body>
     </html>
   );
@@ -3,6 +3,10 @@
 /**
  * Login Page Component
  * Provides a login form with Tron retro styling for user authentication.
+ * Accounts with two-factor authentication get a second step asking for an
+ * authenticator code (or a recovery code) once the password is accepted.
+ * A temporary password that has expired must be replaced first; the new one
+ * has to meet the password policy, and logging in then continues with it.
  *
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5
  */
@@ -11,6 +15,8 @@ import { useState, useEffect, useCallback } from "react";
 import { useRouter } from "next/navigation";
 import { useAuth } from "../../context/AuthContext";
 import { getRedirectDestination } from "../../../components/RouteGuard";
+import PasswordStrengthMeter from "../../../components/PasswordStrengthMeter";
+import { checkPassword } from "../../lib/passwordPolicy";
 import styles from "./login.module.css";
 
 /**
@@ -19,7 +25,13 @@ import styles from "./login.module.css";
  */
 export default function LoginPage() {
   const router = useRouter();
-  const { login, isAuthenticated, isLoading: authLoading } = useAuth();
+  const {
+    login,
+    verifyMfa,
+    changeExpiredPassword,
+    isAuthenticated,
+    isLoading: authLoading,
+  } = useAuth();
 
   // Form state
   const [username, setUsername] = useState("");
@@ -27,6 +39,16 @@ export default function LoginPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
 
+  // Second-factor step: set once the password is accepted for an MFA account
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Expired-password step: set when the backend answers PASSWORD_EXPIRED
+  const [passwordChangeToken, setPasswordChangeToken] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
   // Redirect if already authenticated
   useEffect(() => {
     if (!authLoading && isAuthenticated) {
@@ -35,6 +57,33 @@ export default function LoginPage() {
     }
   }, [isAuthenticated, authLoading, router]);
 
+  /**
+   * Acts on a login result: redirect, or move to the MFA or
+   * expired-password step, or show the error
+   */
+  const handleLoginResult = useCallback(
+    (result) => {
+      if (result.success) {
+        // Requirement 4.4: Redirect to intended destination or home on success
+        const destination = getRedirectDestination() || "/";
+        router.push(destination);
+      } else if (result.passwordExpired) {
+        setPasswordChangeToken(result.passwordChangeToken);
+        setNewPassword("");
+        setConfirmPassword("");
+      } else if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        setMfaCode("");
+        setUseRecoveryCode(false);
+      } else {
+        // Requirement 4.3: Display generic error message
+        // The AuthContext already returns generic messages
+        setError(result.error || "Invalid username or password");
+      }
+    },
+    [router],
+  );
+
   /**
    * Handle form submission
    * Requirement 4.2: Display loading indicator during submission
@@ -58,27 +107,134 @@ export default function LoginPage() {
       setIsSubmitting(true);
 
       try {
-        const result = await login(username.trim(), password);
+        handleLoginResult(await login(username.trim(), password));
+      } catch {
+        // Requirement 4.3: Generic error message for unexpected errors
+        setError("An unexpected error occurred. Please try again.");
+      } finally {
+        setIsSubmitting(false);
+      }
+    },
+    [username, password, login, handleLoginResult],
+  );
+
+  /**
+   * Handle the expired-password form
+   * The new password replaces the old one, then logging in continues with it
+   * (an MFA account still gets its second step).
+   */
+  const handlePasswordChangeSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setError(null);
+
+      const [policyError] = checkPassword(newPassword, {
+        username: username.trim(),
+      }).errors;
+      if (policyError) {
+        setError(policyError);
+        return;
+      }
+      if (newPassword !== confirmPassword) {
+        setError("Passwords do not match");
+        return;
+      }
+
+      setIsSubmitting(true);
+
+      try {
+        const result = await changeExpiredPassword(
+          passwordChangeToken,
+          newPassword,
+        );
+        if (result.success) {
+          setPasswordChangeToken(null);
+          setPassword("");
+          handleLoginResult(await login(username.trim(), newPassword));
+        } else {
+          if (result.expired) {
+            setPasswordChangeToken(null);
+            setPassword("");
+          }
+          setError(result.error);
+        }
+      } catch {
+        setError("An unexpected error occurred. Please try again.");
+      } finally {
+        setIsSubmitting(false);
+      }
+    },
+    [
+      username,
+      newPassword,
+      confirmPassword,
+      passwordChangeToken,
+      changeExpiredPassword,
+      login,
+      handleLoginResult,
+    ],
+  );
+
+  /**
+   * Handle the second-factor form
+   * An expired challenge sends the user back to the password step.
+   */
+  const handleMfaSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setError(null);
+
+      const value = mfaCode.trim();
+      if (!value) {
+        setError(
+          useRecoveryCode
+            ? "Please enter a recovery code"
+            : "Please enter the code from your authenticator app",
+        );
+        return;
+      }
+
+      setIsSubmitting(true);
+
+      try {
+        const result = await verifyMfa(
+          mfaToken,
+          useRecoveryCode ? { recoveryCode: value } : { code: value },
+        );
 
         if (result.success) {
-          // Requirement 4.4: Redirect to intended destination or home on success
           const destination = getRedirectDestination() || "/";
           router.push(destination);
         } else {
-          // Requirement 4.3: Display generic error message
-          // The AuthContext already returns generic messages
-          setError(result.error || "Invalid username or password");
+          if (result.expired) {
+            setMfaToken(null);
+            setPassword("");
+          }
+          setMfaCode("");
+          setError(result.error);
         }
       } catch {
-        // Requirement 4.3: Generic error message for unexpected errors
         setError("An unexpected error occurred. Please try again.");
       } finally {
         setIsSubmitting(false);
       }
     },
-    [username, password, login, router],
+    [mfaCode, mfaToken, useRecoveryCode, verifyMfa, router],
   );
 
+  /**
+   * Leave the second-factor or expired-password step and start over
+   */
+  const startOver = useCallback(() => {
+    setMfaToken(null);
+    setMfaCode("");
+    setPasswordChangeToken(null);
+    setNewPassword("");
+    setConfirmPassword("");
+    setPassword("");
+    setError(null);
+  }, []);
+
   /**
    * Handle Enter key press for form submission
    * Requirement 4.5: Support keyboard navigation
@@ -111,78 +267,245 @@ export default function LoginPage() {
   return (
     <div className={styles.loginPage}>
       <div className={styles.loginContainer}>
-        <h1 className={styles.title}>Login</h1>
-
-        <form className={styles.form} onSubmit={handleSubmit} noValidate>
-          {/* Error message display */}
-          {error && (
-            <div
-              className={styles.errorContainer}
-              role="alert"
-              aria-live="polite"
-            >
-              <p className={styles.errorMessage}>{error}</p>
+        <h1 className={styles.title}>
+          {passwordChangeToken
+            ? "New Password"
+            : mfaToken
+              ? "Verification"
+              : "Login"}
+        </h1>
+
+        {passwordChangeToken ? (
+          <form
+            className={styles.form}
+            onSubmit={handlePasswordChangeSubmit}
+            noValidate
+          >
+            <p className={styles.notice}>
+              Your password has expired. Choose a new one to continue.
+            </p>
+
+            {error && (
+              <div
+                className={styles.errorContainer}
+                role="alert"
+                aria-live="polite"
+              >
+                <p className={styles.errorMessage}>{error}</p>
+              </div>
+            )}
+
+            <div className={styles.inputGroup}>
+              <label htmlFor="newPassword" className={styles.label}>
+                New password
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                className={styles.input}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                disabled={isSubmitting}
+                autoComplete="new-password"
+                autoFocus
+                aria-required="true"
+              />
+              <PasswordStrengthMeter
+                password={newPassword}
+                username={username.trim()}
+              />
             </div>
-          )}
-
-          {/* Username input */}
-          <div className={styles.inputGroup}>
-            <label htmlFor="username" className={styles.label}>
-              Username
-            </label>
-            <input
-              id="username"
-              type="text"
-              className={styles.input}
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              onKeyDown={handleKeyDown}
-              placeholder="Enter username"
+
+            <div className={styles.inputGroup}>
+              <label htmlFor="confirmPassword" className={styles.label}>
+                Confirm password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                className={styles.input}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={isSubmitting}
+                autoComplete="new-password"
+                aria-required="true"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className={styles.submitButton}
               disabled={isSubmitting}
-              autoComplete="username"
-              autoFocus
-              aria-required="true"
-              aria-invalid={error ? "true" : "false"}
-            />
-          </div>
-
-          {/* Password input */}
-          <div className={styles.inputGroup}>
-            <label htmlFor="password" className={styles.label}>
-              Password
-            </label>
-            <input
-              id="password"
-              type="password"
-              className={styles.input}
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              onKeyDown={handleKeyDown}
-              placeholder="Enter password"
+              aria-busy={isSubmitting}
+            >
+              {isSubmitting ? (
+                <span className={styles.loading}>
+                  <span className={styles.spinner} aria-hidden="true" />
+                  Saving...
+                </span>
+              ) : (
+                "Change Password"
+              )}
+            </button>
+
+            <div className={styles.mfaLinks}>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={startOver}
+                disabled={isSubmitting}
+              >
+                Back to login
+              </button>
+            </div>
+          </form>
+        ) : mfaToken ? (
+          <form className={styles.form} onSubmit={handleMfaSubmit} noValidate>
+            {error && (
+              <div
+                className={styles.errorContainer}
+                role="alert"
+                aria-live="polite"
+              >
+                <p className={styles.errorMessage}>{error}</p>
+              </div>
+            )}
+
+            <div className={styles.inputGroup}>
+              <label htmlFor="mfaCode" className={styles.label}>
+                {useRecoveryCode ? "Recovery code" : "Authenticator code"}
+              </label>
+              <input
+                key={useRecoveryCode ? "recovery" : "totp"}
+                id="mfaCode"
+                type="text"
+                className={styles.input}
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                placeholder={useRecoveryCode ? "xxxx-xxxx" : "6-digit code"}
+                disabled={isSubmitting}
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                maxLength={useRecoveryCode ? 9 : 6}
+                autoFocus
+                aria-required="true"
+                aria-invalid={error ? "true" : "false"}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className={styles.submitButton}
               disabled={isSubmitting}
-              autoComplete="current-password"
-              aria-required="true"
-              aria-invalid={error ? "true" : "false"}
-            />
-          </div>
-
-          {/* Submit button */}
-          <button
-            type="submit"
-            className={styles.submitButton}
-            disabled={isSubmitting}
-            aria-busy={isSubmitting}
-          >
-            {isSubmitting ? (
-              <span className={styles.loading}>
-                <span className={styles.spinner} aria-hidden="true" />
-                Logging in...
-              </span>
-            ) : (
-              "Login"
+              aria-busy={isSubmitting}
+            >
+              {isSubmitting ? (
+                <span className={styles.loading}>
+                  <span className={styles.spinner} aria-hidden="true" />
+                  Verifying...
+                </span>
+              ) : (
+                "Verify"
+              )}
+            </button>
+
+            <div className={styles.mfaLinks}>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={() => {
+                  setUseRecoveryCode((value) => !value);
+                  setMfaCode("");
+                  setError(null);
+                }}
+                disabled={isSubmitting}
+              >
+                {useRecoveryCode
+                  ? "Use authenticator code"
+                  : "Use a recovery code"}
+              </button>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={startOver}
+                disabled={isSubmitting}
+              >
+                Back to login
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form className={styles.form} onSubmit={handleSubmit} noValidate>
+            {/* Error message display */}
+            {error && (
+              <div
+                className={styles.errorContainer}
+                role="alert"
+                aria-live="polite"
+              >
+                <p className={styles.errorMessage}>{error}</p>
+              </div>
             )}
-          </button>
-        </form>
+
+            {/* Username input */}
+            <div className={styles.inputGroup}>
+              <label htmlFor="username" className={styles.label}>
+                Username
+              </label>
+              <input
+                id="username"
+                type="text"
+                className={styles.input}
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Enter username"
+                disabled={isSubmitting}
+                autoComplete="username"
+                autoFocus
+                aria-required="true"
+                aria-invalid={error ? "true" : "false"}
+              />
+            </div>
+
+            {/* Password input */}
+            <div className={styles.inputGroup}>
+              <label htmlFor="password" className={styles.label}>
+                Password
+              </label>
+              <input
+                id="password"
+                type="password"
+                className={styles.input}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Enter password"
+                disabled={isSubmitting}
+                autoComplete="current-password"
+                aria-required="true"
+                aria-invalid={error ? "true" : "false"}
+              />
+            </div>
+
+            {/* Submit button */}
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={isSubmitting}
+              aria-busy={isSubmitting}
+            >
+              {isSubmitting ? (
+                <span className={styles.loading}>
+                  <span className={styles.spinner} aria-hidden="true" />
+                  Logging in...
+                </span>
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -13,20 +13,28 @@ import NotificationAdminList from "@/components/NotificationAdminList";
 import NotificationForm from "@/components/NotificationForm";
 import RouteGuard from "@/components/RouteGuard";
 import { ToastProvider, useToast } from "@/components/ToastContainer";
+import { useCan } from "@/hooks/useCan";
 import { useNotifications } from "@/hooks/useNotifications";
 import { useAuth } from "@/src/context/AuthContext";
+import { Capability } from "@/src/lib/permissions";
 import notificationService from "@/services/notificationService";
 import styles from "./manage.module.css";
 
 function NotificationManagerContent() {
-  const { notifications, isLoading, error, refetch, deleteNotification } =
-    useNotifications({ includeExpired: true, sortByUnread: false });
+  const {
+    notifications,
+    isLoading,
+    error,
+    failure,
+    refetch,
+    deleteNotification,
+  } = useNotifications({ includeExpired: true, sortByUnread: false });
 
-  const { showError, showSuccess } = useToast();
-  const { isAdmin, username } = useAuth();
+  const { showError, showSuccess, showAppError } = useToast();
+  const { username } = useAuth();
 
-  // Cache isAdmin result to avoid re-running effects
-  const isAdminUser = isAdmin();
+  // Targeting other users and running recurring processing need broadcast
+  const canBroadcast = useCan(Capability.NOTIFICATIONS_BROADCAST);
 
   const [deletingId, setDeletingId] = useState(undefined);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -37,7 +45,7 @@ function NotificationManagerContent() {
 
   // Fetch users for admin user selection - only once on mount
   useEffect(() => {
-    if (isAdminUser) {
+    if (canBroadcast) {
       setUsersLoading(true);
       notificationService
         .getUsers()
@@ -45,13 +53,13 @@ function NotificationManagerContent() {
         .catch(() => setUsers([]))
         .finally(() => setUsersLoading(false));
     }
-  }, [isAdminUser]);
+  }, [canBroadcast]);
 
   useEffect(() => {
-    if (error) {
-      showError(error);
+    if (failure) {
+      showAppError(failure.error, { onRetry: failure.retry });
     }
-  }, [error, showError]);
+  }, [failure, showAppError]);
 
   const handleDelete = useCallback(
     async (id) => {
@@ -126,7 +134,7 @@ function NotificationManagerContent() {
       </motion.div>
 
       <section className={styles.content}>
-        {isAdminUser && (
+        {canBroadcast && (
           <div className={styles.section}>
             <h2 className={styles.sectionTitle}>Admin Actions</h2>
             <div className={styles.adminActions}>
@@ -188,7 +196,7 @@ function NotificationManagerContent() {
           <NotificationForm
             onSubmit={handleCreateNotification}
             isSubmitting={isSubmitting}
-            isAdmin={isAdminUser}
+            isAdmin={canBroadcast}
             currentUserId={username}
             users={users}
             usersLoading={usersLoading}
@@ -201,7 +209,7 @@ function NotificationManagerContent() {
 
 export default function NotificationManagerPage() {
   return (
-    <RouteGuard requiredRoles={["ROLE_ADMIN"]}>
+    <RouteGuard requiredCapabilities={[Capability.NOTIFICATIONS_MANAGE]}>
       <ToastProvider>
         <NotificationManagerContent />
       </ToastProvider>
@@ -15,19 +15,19 @@ import { useNotifications } from "@/hooks/useNotifications";
 import styles from "./notifications.module.css";
 
 function NotificationReaderContent() {
-  const { notifications, isLoading, error, markAsRead, markAsUnread } =
+  const { notifications, isLoading, error, failure, markAsRead, markAsUnread } =
     useNotifications({ sortByUnread: true });
 
-  const { showError } = useToast();
+  const { showError, showAppError } = useToast();
 
   const [loadingActionId, setLoadingActionId] = useState(undefined);
   const [loadingAction, setLoadingAction] = useState(null);
 
   useEffect(() => {
-    if (error) {
-      showError(error);
+    if (failure) {
+      showAppError(failure.error, { onRetry: failure.retry });
     }
-  }, [error, showError]);
+  }, [failure, showAppError]);
 
   const handleMarkRead = async (id) => {
     setLoadingActionId(id);
@@ -0,0 +1,339 @@
+"use client";
+
+/**
+ * Profile Page
+ * The signed-in user's own account settings: the name shown in the app,
+ * preferences that shape other pages (default task list and drive,
+ * date and time format), and changing their password.
+ */
+
+import { useState, useEffect } from "react";
+import RouteGuard from "@/components/RouteGuard";
+import Navbar from "@/components/Navbar";
+import Background from "@/components/Background";
+import PrimaryButton from "@/components/PrimaryButton";
+import PasswordStrengthMeter from "@/components/PasswordStrengthMeter";
+import * as profileService from "@/src/lib/profileService";
+import { useAuth } from "@/src/context/AuthContext";
+import { usePreferences } from "@/src/context/PreferencesContext";
+import { getDriveCapability } from "@/src/lib/permissions";
+import { checkPassword } from "@/src/lib/passwordPolicy";
+import { TaskService, getTasksQueryKey } from "@/src/lib/taskService";
+import { DEFAULT_TASK_CATEGORIES } from "@/src/lib/taskCategories";
+import { useQuery } from "@/hooks/useQuery";
+import { DATE_FORMATS, TIME_FORMATS } from "@/utils/dateFormatter";
+import styles from "./profile.module.css";
+
+const DRIVES = [
+  { key: "myDrive", label: "My Drive" },
+  { key: "sharedDrive", label: "Shared Drive" },
+  { key: "adminDrive", label: "Admin Drive" },
+  { key: "mediaCache", label: "Media Cache" },
+];
+
+/**
+ * Display name, shown in place of the username
+ */
+function DisplayNameCard({ onSuccess, onError }) {
+  const { username } = useAuth();
+  const { displayName, saveProfile } = usePreferences();
+  const [name, setName] = useState(displayName);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Pick up the saved name once the profile loads
+  useEffect(() => {
+    setName(displayName);
+  }, [displayName]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await saveProfile({ displayName: name });
+      onSuccess("Display name saved");
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className={styles.card} onSubmit={handleSubmit}>
+      <h2 className={styles.cardTitle}>Profile</h2>
+      <div className={styles.inputGroup}>
+        <label className={styles.label} htmlFor="profile-display-name">
+          Display name
+        </label>
+        <input
+          id="profile-display-name"
+          type="text"
+          className={styles.input}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={username}
+          maxLength={60}
+          disabled={isSubmitting}
+        />
+        <span className={styles.hint}>
+          Leave empty to show your username ({username}).
+        </span>
+      </div>
+      <div className={styles.actions}>
+        <PrimaryButton
+          type="submit"
+          disabled={isSubmitting || name.trim() === displayName}
+        >
+          {isSubmitting ? "Saving..." : "Save"}
+        </PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Defaults and formats applied across the app; each change saves at once
+ */
+function PreferencesCard({ onSuccess, onError }) {
+  const { can, username } = useAuth();
+  const { preferences, saveProfile } = usePreferences();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const drives = DRIVES.filter(({ key }) => can(getDriveCapability(key)));
+
+  // The user's own task lists (shared with the tasks page's cache)
+  const { data: tasks } = useQuery(
+    username ? getTasksQueryKey(username) : null,
+    (options) => TaskService.getAllTasks(username, options),
+  );
+  const taskLists = (tasks?.categories ?? DEFAULT_TASK_CATEGORIES).map((c) => ({
+    key: c.id,
+    label: c.name,
+  }));
+
+  const handleChange = async (key, value) => {
+    setIsSubmitting(true);
+    try {
+      await saveProfile({ preferences: { [key]: value } });
+      onSuccess("Preferences saved");
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderSelect = (id, key, label, options) => (
+    <div className={styles.inputGroup}>
+      <label className={styles.label} htmlFor={id}>
+        {label}
+      </label>
+      <select
+        id={id}
+        className={`${styles.input} ${styles.select}`}
+        value={preferences[key]}
+        onChange={(e) => handleChange(key, e.target.value)}
+        disabled={isSubmitting}
+      >
+        {options.map((option) => (
+          <option key={option.key} value={option.key}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className={styles.card}>
+      <h2 className={styles.cardTitle}>Preferences</h2>
+      <div className={styles.preferenceGrid}>
+        {renderSelect(
+          "pref-task-category",
+          "defaultTaskCategory",
+          "Default task list",
+          taskLists,
+        )}
+        {renderSelect("pref-drive", "defaultDrive", "Default drive", drives)}
+        {renderSelect(
+          "pref-date-format",
+          "dateFormat",
+          "Date format",
+          Object.entries(DATE_FORMATS).map(([key, example]) => ({
+            key,
+            label: example,
+          })),
+        )}
+        {renderSelect(
+          "pref-time-format",
+          "timeFormat",
+          "Time format",
+          Object.entries(TIME_FORMATS).map(([key, example]) => ({
+            key,
+            label: example,
+          })),
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Password change, confirmed with the current password
+ */
+function PasswordCard({ onSuccess, onError }) {
+  const { username } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const mismatch = confirmPassword !== "" && confirmPassword !== newPassword;
+  const canSubmit =
+    currentPassword &&
+    checkPassword(newPassword, { username }).valid &&
+    newPassword === confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await profileService.changePassword(
+        username,
+        currentPassword,
+        newPassword,
+      );
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      onSuccess("Password changed");
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className={styles.card} onSubmit={handleSubmit}>
+      <h2 className={styles.cardTitle}>Change password</h2>
+      <div className={styles.inputGroup}>
+        <label className={styles.label} htmlFor="current-password">
+          Current password
+        </label>
+        <input
+          id="current-password"
+          type="password"
+          className={styles.input}
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+          disabled={isSubmitting}
+        />
+      </div>
+      <div className={styles.inputGroup}>
+        <label className={styles.label} htmlFor="new-password">
+          New password
+        </label>
+        <input
+          id="new-password"
+          type="password"
+          className={styles.input}
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          autoComplete="new-password"
+          required
+          disabled={isSubmitting}
+        />
+        <PasswordStrengthMeter password={newPassword} username={username} />
+      </div>
+      <div className={styles.inputGroup}>
+        <label className={styles.label} htmlFor="confirm-password">
+          Confirm new password
+        </label>
+        <input
+          id="confirm-password"
+          type="password"
+          className={styles.input}
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          autoComplete="new-password"
+          required
+          disabled={isSubmitting}
+        />
+        {mismatch && (
+          <span className={styles.fieldError}>Passwords do not match</span>
+        )}
+      </div>
+      <div className={styles.actions}>
+        <PrimaryButton type="submit" disabled={isSubmitting || !canSubmit}>
+          {isSubmitting ? "Saving..." : "Change password"}
+        </PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+function ProfilePanel() {
+  const { isLoading } = usePreferences();
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  // Auto-hide success message
+  useEffect(() => {
+    if (successMessage) {
+      const timer = setTimeout(() => setSuccessMessage(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [successMessage]);
+
+  const handleSuccess = (message) => {
+    setError(null);
+    setSuccessMessage(message);
+  };
+
+  return (
+    <div className={styles.profilePage}>
+      <div className={styles.pageBackground}>
+        <Background />
+      </div>
+      <Navbar />
+      <div className={styles.profileContainer}>
+        <h1 className={styles.title}>Profile</h1>
+
+        {successMessage && (
+          <div className={styles.successMessage} role="status">
+            {successMessage}
+          </div>
+        )}
+
+        {error && (
+          <div className={styles.errorContainer} role="alert">
+            <p className={styles.errorMessage}>{error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className={styles.loadingContainer}>
+            <span className={styles.loadingText}>Loading profile...</span>
+          </div>
+        ) : (
+          <>
+            <DisplayNameCard onSuccess={handleSuccess} onError={setError} />
+            <PreferencesCard onSuccess={handleSuccess} onError={setError} />
+          </>
+        )}
+        <PasswordCard onSuccess={handleSuccess} onError={setError} />
+      </div>
+    </div>
+  );
+}
+
+export default function ProfilePage() {
+  return (
+    <RouteGuard>
+      <ProfilePanel />
+    </RouteGuard>
+  );
+}
@@ -0,0 +1,562 @@
+"use client";
+
+/**
+ * Account Security Page
+ * Two-factor authentication for the signed-in user: enroll an authenticator
+ * app by QR code, keep recovery codes, or turn MFA off again. Also sets how
+ * soon the app locks when idle and the PIN that unlocks it.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import RouteGuard from "@/components/RouteGuard";
+import Navbar from "@/components/Navbar";
+import Background from "@/components/Background";
+import PrimaryButton from "@/components/PrimaryButton";
+import MfaQrCode from "@/components/MfaQrCode";
+import * as mfaService from "@/src/lib/mfaService";
+import * as lockService from "@/src/lib/lockService";
+import { useAuth } from "@/src/context/AuthContext";
+import {
+  IDLE_TIMEOUT_OPTIONS,
+  HEALTH_IDLE_TIMEOUT_MS,
+} from "@/src/lib/idleLock";
+import styles from "./security.module.css";
+
+/**
+ * Input for a 6-digit authenticator code
+ */
+function CodeInput({ id, value, onChange, disabled }) {
+  return (
+    <div className={styles.inputGroup}>
+      <label className={styles.label} htmlFor={id}>
+        Authenticator code
+      </label>
+      <input
+        id={id}
+        type="text"
+        className={styles.input}
+        value={value}
+        onChange={(e) => onChange(e.target.value.replace(/\D/g, ""))}
+        placeholder="6-digit code"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        required
+        disabled={disabled}
+        autoFocus
+      />
+    </div>
+  );
+}
+
+/**
+ * Recovery codes, shown once after they are generated
+ */
+function RecoveryCodes({ codes, onDone }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "paradise-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={styles.card}>
+      <h2 className={styles.cardTitle}>Recovery codes</h2>
+      <p className={styles.text}>
+        Each code signs you in once if you lose your authenticator. Store them
+        somewhere safe; they will not be shown again.
+      </p>
+      <ul className={styles.recoveryCodes}>
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={handleCopy}
+        >
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={handleDownload}
+        >
+          Download
+        </button>
+        <PrimaryButton onClick={onDone}>I saved them</PrimaryButton>
+      </div>
+    </div>
+  );
+}
+
+function formatIdlePeriod(ms) {
+  return ms > 0 ? `${ms / 60000} minutes` : "Never";
+}
+
+/**
+ * Idle lock period and unlock PIN
+ */
+function LockSettings({ onSuccess, onError }) {
+  const { idleTimeout, setIdleTimeout } = useAuth();
+  const [pinEnabled, setPinEnabled] = useState(null);
+  const [isEditingPin, setIsEditingPin] = useState(false);
+  const [pin, setPin] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    lockService
+      .getPinStatus()
+      .then((status) => setPinEnabled(status.enabled))
+      .catch((err) => onError(err.message));
+  }, [onError]);
+
+  // Keep the user's custom period selectable even if it is not a preset
+  const options = IDLE_TIMEOUT_OPTIONS.includes(idleTimeout)
+    ? IDLE_TIMEOUT_OPTIONS
+    : [idleTimeout, ...IDLE_TIMEOUT_OPTIONS];
+
+  const closePinForm = () => {
+    setIsEditingPin(false);
+    setPin("");
+    setPassword("");
+  };
+
+  const handleSetPin = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await lockService.setPin(pin, password);
+      setPinEnabled(true);
+      closePinForm();
+      onSuccess("PIN saved");
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemovePin = async () => {
+    setIsSubmitting(true);
+    try {
+      await lockService.removePin();
+      setPinEnabled(false);
+      onSuccess("PIN removed");
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={`${styles.card} ${styles.lockSettings}`}>
+      <h2 className={styles.cardTitle}>Lock screen</h2>
+      <p className={styles.text}>
+        The app locks after a period of inactivity and asks for your PIN or
+        password; you stay signed in.
+        {HEALTH_IDLE_TIMEOUT_MS > 0 &&
+          ` Health records lock after ${formatIdlePeriod(
+            HEALTH_IDLE_TIMEOUT_MS,
+          )} at most.`}
+      </p>
+      <div className={styles.inputGroup}>
+        <label className={styles.label} htmlFor="idle-timeout">
+          Lock after
+        </label>
+        <select
+          id="idle-timeout"
+          className={`${styles.input} ${styles.select}`}
+          value={idleTimeout}
+          onChange={(e) => {
+            setIdleTimeout(Number(e.target.value));
+            onSuccess("Lock setting saved");
+          }}
+        >
+          {options.map((ms) => (
+            <option key={ms} value={ms}>
+              {formatIdlePeriod(ms)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isEditingPin ? (
+        <form onSubmit={handleSetPin} className={styles.form}>
+          <div className={styles.inputGroup}>
+            <label className={styles.label} htmlFor="lock-pin">
+              New PIN
+            </label>
+            <input
+              id="lock-pin"
+              type="password"
+              className={styles.input}
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, ""))}
+              placeholder="4-8 digits"
+              inputMode="numeric"
+              autoComplete="off"
+              minLength={4}
+              maxLength={8}
+              required
+              disabled={isSubmitting}
+              autoFocus
+            />
+          </div>
+          <div className={styles.inputGroup}>
+            <label className={styles.label} htmlFor="lock-password">
+              Current password
+            </label>
+            <input
+              id="lock-password"
+              type="password"
+              className={`${styles.input} ${styles.passwordInput}`}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+          <div className={styles.actions}>
+            <PrimaryButton
+              type="submit"
+              disabled={isSubmitting || pin.length < 4 || !password}
+            >
+              {isSubmitting ? "Saving..." : "Save PIN"}
+            </PrimaryButton>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={closePinForm}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        pinEnabled !== null && (
+          <div className={styles.actions}>
+            <span className={styles.text}>
+              <span className={pinEnabled ? styles.statusOn : styles.statusOff}>
+                {pinEnabled ? "PIN SET" : "NO PIN"}
+              </span>
+            </span>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => setIsEditingPin(true)}
+              disabled={isSubmitting}
+            >
+              {pinEnabled ? "Change PIN" : "Set PIN"}
+            </button>
+            {pinEnabled && (
+              <button
+                type="button"
+                className={`${styles.secondaryButton} ${styles.dangerButton}`}
+                onClick={handleRemovePin}
+                disabled={isSubmitting}
+              >
+                Remove PIN
+              </button>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+function SecurityPanel() {
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  // { secret, otpauthUri } while an enrollment awaits confirmation
+  const [enrollment, setEnrollment] = useState(null);
+  // Freshly generated codes to show once
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // "regenerate" | "disable" while asking for a code to confirm it
+  const [pendingAction, setPendingAction] = useState(null);
+  const [code, setCode] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setStatus(await mfaService.getMfaStatus());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // Auto-hide success message
+  useEffect(() => {
+    if (successMessage) {
+      const timer = setTimeout(() => setSuccessMessage(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [successMessage]);
+
+  /**
+   * Runs a request that needs the code field, keeping it on failure
+   */
+  const submit = async (call) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await call();
+      setCode("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartEnrollment = () =>
+    submit(async () => {
+      setEnrollment(await mfaService.startMfaEnrollment());
+    });
+
+  const handleConfirmEnrollment = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const result = await mfaService.confirmMfaEnrollment(code);
+      setEnrollment(null);
+      setRecoveryCodes(result.recoveryCodes);
+      setSuccessMessage("Two-factor authentication is on");
+      await fetchStatus();
+    });
+  };
+
+  const handleConfirmAction = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      if (pendingAction === "regenerate") {
+        const result = await mfaService.regenerateRecoveryCodes(code);
+        setRecoveryCodes(result.recoveryCodes);
+        setSuccessMessage("New recovery codes generated");
+      } else {
+        await mfaService.disableMfa(code);
+        setSuccessMessage("Two-factor authentication is off");
+      }
+      setPendingAction(null);
+      await fetchStatus();
+    });
+  };
+
+  const cancel = () => {
+    setEnrollment(null);
+    setPendingAction(null);
+    setCode("");
+    setError(null);
+  };
+
+  let content;
+  if (isLoading && !status) {
+    content = (
+      <div className={styles.loadingContainer}>
+        <span className={styles.loadingText}>Loading...</span>
+      </div>
+    );
+  } else if (recoveryCodes) {
+    content = (
+      <RecoveryCodes
+        codes={recoveryCodes}
+        onDone={() => setRecoveryCodes(null)}
+      />
+    );
+  } else if (enrollment) {
+    content = (
+      <div className={styles.card}>
+        <h2 className={styles.cardTitle}>Set up your authenticator</h2>
+        <p className={styles.text}>
+          Scan the code with an authenticator app, then enter the 6-digit code
+          it shows.
+        </p>
+        <div className={styles.qrRow}>
+          <MfaQrCode value={enrollment.otpauthUri} />
+          <div className={styles.secret}>
+            <span className={styles.label}>Or enter this key</span>
+            <code className={styles.secretValue}>
+              {enrollment.secret.match(/.{1,4}/g).join(" ")}
+            </code>
+          </div>
+        </div>
+        <form onSubmit={handleConfirmEnrollment} className={styles.form}>
+          <CodeInput
+            id="enroll-code"
+            value={code}
+            onChange={setCode}
+            disabled={isSubmitting}
+          />
+          <div className={styles.actions}>
+            <PrimaryButton
+              type="submit"
+              disabled={isSubmitting || code.length !== 6}
+            >
+              {isSubmitting ? "Verifying..." : "Turn on"}
+            </PrimaryButton>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={cancel}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  } else if (status?.enabled) {
+    content = (
+      <div className={styles.card}>
+        <h2 className={styles.cardTitle}>Two-factor authentication</h2>
+        <p className={styles.text}>
+          <span className={styles.statusOn}>ON</span> Signing in asks for a code
+          from your authenticator app. {status.recoveryCodesRemaining} recovery{" "}
+          {status.recoveryCodesRemaining === 1 ? "code" : "codes"} left.
+        </p>
+        {pendingAction ? (
+          <form onSubmit={handleConfirmAction} className={styles.form}>
+            <CodeInput
+              id="confirm-code"
+              value={code}
+              onChange={setCode}
+              disabled={isSubmitting}
+            />
+            <div className={styles.actions}>
+              <PrimaryButton
+                type="submit"
+                disabled={isSubmitting || code.length !== 6}
+              >
+                {pendingAction === "regenerate"
+                  ? "Generate new codes"
+                  : "Turn off"}
+              </PrimaryButton>
+              <button
+                type="button"
+                className={styles.secondaryButton}
+                onClick={cancel}
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className={styles.actions}>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => setPendingAction("regenerate")}
+            >
+              New recovery codes
+            </button>
+            <button
+              type="button"
+              className={`${styles.secondaryButton} ${styles.dangerButton}`}
+              onClick={() => setPendingAction("disable")}
+            >
+              Turn off
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  } else if (status) {
+    content = (
+      <div className={styles.card}>
+        <h2 className={styles.cardTitle}>Two-factor authentication</h2>
+        <p className={styles.text}>
+          <span className={styles.statusOff}>OFF</span> Add a second step to
+          signing in with an authenticator app, so your health records and drive
+          stay safe if your password leaks.
+        </p>
+        <div className={styles.actions}>
+          <PrimaryButton
+            onClick={handleStartEnrollment}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? "Starting..." : "Set up"}
+          </PrimaryButton>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.securityPage}>
+      <div className={styles.pageBackground}>
+        <Background />
+      </div>
+      <Navbar />
+      <div className={styles.securityContainer}>
+        <h1 className={styles.title}>Account Security</h1>
+
+        {successMessage && (
+          <div className={styles.successMessage} role="status">
+            {successMessage}
+          </div>
+        )}
+
+        {error && (
+          <div className={styles.errorContainer} role="alert">
+            <p className={styles.errorMessage}>{error}</p>
+            {!status && (
+              <button
+                type="button"
+                className={styles.secondaryButton}
+                onClick={fetchStatus}
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+
+        {content}
+
+        <LockSettings onSuccess={setSuccessMessage} onError={setError} />
+      </div>
+    </div>
+  );
+}
+
+export default function SecurityPage() {
+  return (
+    <RouteGuard>
+      <SecurityPanel />
+    </RouteGuard>
+  );
+}
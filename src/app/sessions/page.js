@@ -0,0 +1,153 @@
+"use client";
+
+/**
+ * Sessions Page
+ * Where the signed-in user is logged in, with per-device revoke and
+ * "sign out everywhere". Revoking this device's session logs out here too.
+ */
+
+import { useState, useEffect } from "react";
+import RouteGuard from "@/components/RouteGuard";
+import Navbar from "@/components/Navbar";
+import Background from "@/components/Background";
+import ConfirmModal from "@/components/ConfirmModal";
+import SessionList from "@/components/SessionList";
+import { useQuery } from "@/hooks/useQuery";
+import { useAuth } from "@/src/context/AuthContext";
+import * as sessionService from "@/src/lib/sessionService";
+import styles from "./sessions.module.css";
+
+function SessionsPanel() {
+  const { sessionId, issuedAt, logout } = useAuth();
+  const {
+    data: sessions,
+    error: loadError,
+    isLoading,
+    refetch,
+    setData: setSessions,
+  } = useQuery(sessionService.SESSIONS_QUERY_KEY, (options) =>
+    sessionService.listSessions(options),
+  );
+
+  const [revokingId, setRevokingId] = useState(null);
+  const [confirmSignOutAll, setConfirmSignOutAll] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  // Auto-hide success message
+  useEffect(() => {
+    if (successMessage) {
+      const timer = setTimeout(() => setSuccessMessage(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [successMessage]);
+
+  const handleRevoke = async (session) => {
+    setRevokingId(session.id);
+    setError(null);
+    try {
+      await sessionService.revokeSession(session.id);
+      if (session.current || session.id === sessionId) {
+        logout();
+        return;
+      }
+      setSessions((list) => list.filter((s) => s.id !== session.id));
+      setSuccessMessage(`Signed out of ${session.device}`);
+    } catch (err) {
+      setError(err.message);
+      refetch().catch(() => {});
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setConfirmSignOutAll(false);
+    setError(null);
+    try {
+      await sessionService.revokeAllSessions();
+      logout();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.sessionsPage}>
+      <div className={styles.pageBackground}>
+        <Background />
+      </div>
+      <Navbar />
+      <div className={styles.sessionsContainer}>
+        <h1 className={styles.title}>Sessions</h1>
+
+        <div className={styles.actionBar}>
+          <p className={styles.hint}>
+            Every device where you are signed in. Revoke any you do not
+            recognise.
+          </p>
+          <button
+            type="button"
+            className={styles.signOutAllButton}
+            onClick={() => setConfirmSignOutAll(true)}
+            disabled={!sessions?.length || Boolean(revokingId)}
+          >
+            Sign out everywhere
+          </button>
+        </div>
+
+        {successMessage && (
+          <div className={styles.successMessage} role="status">
+            {successMessage}
+          </div>
+        )}
+
+        {(error || (loadError && !sessions)) && (
+          <div className={styles.errorContainer} role="alert">
+            <p className={styles.errorMessage}>{error || loadError.message}</p>
+            {loadError && !sessions && (
+              <button
+                type="button"
+                className={styles.retryButton}
+                onClick={() => refetch().catch(() => {})}
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className={styles.loadingText}>Loading sessions...</div>
+        ) : (
+          sessions && (
+            <SessionList
+              sessions={sessions}
+              currentSessionId={sessionId}
+              currentIssuedAt={issuedAt}
+              onRevoke={handleRevoke}
+              revokingId={revokingId}
+            />
+          )
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmSignOutAll}
+        title="Sign Out Everywhere"
+        message="This signs you out on every device, including this one."
+        confirmLabel="Sign out"
+        onConfirm={handleSignOutEverywhere}
+        onCancel={() => setConfirmSignOutAll(false)}
+      />
+    </div>
+  );
+}
+
+export default function SessionsPage() {
+  return (
+    <RouteGuard>
+      <SessionsPanel />
+    </RouteGuard>
+  );
+}
@@ -7,18 +7,16 @@ import RouteGuard from "@/components/RouteGuard";
 import TaskSelector from "@/components/TaskSelector";
 import YearSelector from "@/components/YearSelector";
 import ContributionChart from "@/components/ContributionChart";
-import { useAuth } from "@/src/context/AuthContext";
+import { useEffectiveUser } from "@/hooks/useEffectiveUser";
 import { useDailyTaskManager } from "@/hooks/useDailyTaskManager";
 import { TaskService } from "@/src/lib/taskService";
 import { extractYears } from "@/src/lib/chartUtils";
 import styles from "./dashboard.module.css";
 
 export default function DashboardPage() {
-  // Auth context for userId
-  const { username, isLoading: isAuthLoading } = useAuth();
-
-  // Only use the userId once auth has finished loading
-  const userId = isAuthLoading ? null : username || null;
+  // The signed-in user, or the user an admin is viewing as; null until
+  // auth has finished loading
+  const { userId, isLoading: isAuthLoading } = useEffectiveUser();
 
   // Daily tasks from existing hook
   const {
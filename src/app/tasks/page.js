@@ -1,27 +1,64 @@
 "use client";
-import { useState } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import Navbar from "@/components/Navbar";
 import Background from "@/components/Background";
 import DailyProgressBar from "@/components/DailyProgressBar";
 import DailyTasksModal from "@/components/DailyTasksModal";
 import TaskToggle from "@/components/TaskToggle";
 import TaskContainer from "@/components/TaskContainer";
+import DueTaskList from "@/components/DueTaskList";
+import DoneTaskList from "@/components/DoneTaskList";
+import DoneArchiveModal from "@/components/DoneArchiveModal";
+import TaskListsModal from "@/components/TaskListsModal";
+import TButton from "@/components/TButton";
 import ErrorBoundary from "@/components/ErrorBoundary";
 import RouteGuard from "@/components/RouteGuard";
+import { ToastProvider, useToast } from "@/components/ToastContainer";
 import { useTaskManager } from "@/hooks/useTaskManager";
 import { useDailyTaskManager } from "@/hooks/useDailyTaskManager";
-import { useAuth } from "../../context/AuthContext";
+import { useDoneTasks } from "@/hooks/useDoneTasks";
+import { useUndoHistory } from "@/hooks/useUndoHistory";
+import { useEffectiveUser } from "@/hooks/useEffectiveUser";
+import { getCategoryName } from "@/src/lib/taskCategories";
+import { usePreferences } from "../../context/PreferencesContext";
 import styles from "./tasks.module.css";
 
-export default function TasksPage() {
-  // Get username and loading state from auth context for user-specific tasks
-  const { username, isLoading: isAuthLoading } = useAuth();
+// Smart list id for the "Due soon / Overdue" view (see TaskToggle)
+const DUE_LIST = "due";
+
+// "Recently completed" covers the past week
+const RECENT_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long the "Undo" toast stays up after completing or deleting a task
+const UNDO_TOAST_DURATION = 6000;
+
+function TasksContent() {
+  // The signed-in user's tasks, or those of the user an admin is viewing as
+  // (read-only unless the admin allowed changes: no edit controls then).
+  // The userId stays null until auth has finished loading to prevent race
+  // conditions on refresh, so we don't fetch tasks with a fallback userId
+  const {
+    userId: USER_ID,
+    isLoading: isAuthLoading,
+    isReadOnly,
+  } = useEffectiveUser();
+
+  // Undo/redo across TODO and daily tasks (Ctrl+Z / Ctrl+Shift+Z)
+  const { history, lastEntry } = useUndoHistory(USER_ID);
+  const { showToast } = useToast();
+  useEffect(() => {
+    if (lastEntry?.destructive) {
+      showToast(lastEntry.label, "success", UNDO_TOAST_DURATION, {
+        label: "Undo",
+        onClick: () => history.undo(lastEntry),
+      });
+    }
+  }, [lastEntry, history, showToast]);
 
-  // Only use the userId once auth has finished loading to prevent race conditions on refresh
-  // This ensures we don't fetch tasks with a fallback userId before the real one is available
-  const USER_ID = isAuthLoading ? null : username || null;
   const {
     currentTasks,
+    categories,
     activeCategory,
     newTaskId,
     isLoading: isTasksLoading,
@@ -31,7 +68,52 @@ export default function TasksPage() {
     completeTask,
     reorderTasks,
     renameTask,
-  } = useTaskManager(USER_ID);
+    dueTasks,
+    setDueDate,
+    indentTask,
+    outdentTask,
+    setSection,
+    setCollapsed,
+    moveTask,
+    addCategory,
+    updateCategory,
+    reorderCategories,
+    deleteCategory,
+  } = useTaskManager(USER_ID, { history });
+
+  // A smart list, when one is shown instead of the active category
+  const [activeList, setActiveList] = useState(null);
+  const dueCount = dueTasks.overdue.length + dueTasks.dueSoon.length;
+
+  // Open on the user's default list once their preferences and lists
+  // arrive, unless they already switched
+  const { preferences, isLoading: isPreferencesLoading } = usePreferences();
+  const defaultCategoryApplied = useRef(false);
+  useEffect(() => {
+    if (
+      !isPreferencesLoading &&
+      !isTasksLoading &&
+      !defaultCategoryApplied.current
+    ) {
+      defaultCategoryApplied.current = true;
+      setCategory(preferences.defaultTaskCategory);
+    }
+  }, [
+    isPreferencesLoading,
+    isTasksLoading,
+    preferences.defaultTaskCategory,
+    setCategory,
+  ]);
+
+  const handleCategoryChange = (category) => {
+    defaultCategoryApplied.current = true;
+    if (category === DUE_LIST) {
+      setActiveList(DUE_LIST);
+      return;
+    }
+    setActiveList(null);
+    setCategory(category);
+  };
 
   // Daily task management
   const {
@@ -43,7 +125,7 @@ export default function TasksPage() {
     addTask: addDailyTask,
     deleteTask: deleteDailyTask,
     reorderTasks: reorderDailyTasks,
-  } = useDailyTaskManager(USER_ID);
+  } = useDailyTaskManager(USER_ID, undefined, { history });
 
   // Modal open/close state
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -51,7 +133,27 @@ export default function TasksPage() {
   const handleOpenModal = () => setIsModalOpen(true);
   const handleCloseModal = () => setIsModalOpen(false);
 
-  const pageTitle = `${activeCategory.charAt(0).toUpperCase() + activeCategory.slice(1)} TODO`;
+  // Completed tasks: the past week inline on request, everything in the archive
+  const [showRecentlyCompleted, setShowRecentlyCompleted] = useState(false);
+  const [isArchiveOpen, setIsArchiveOpen] = useState(false);
+  const [recentSince] = useState(() =>
+    new Date(Date.now() - RECENT_DAYS * DAY_MS).toISOString(),
+  );
+  const {
+    tasks: recentlyCompleted,
+    error: recentError,
+    restoreTask,
+  } = useDoneTasks(showRecentlyCompleted ? USER_ID : null, activeCategory, {
+    since: recentSince,
+  });
+  const handleCloseArchive = useCallback(() => setIsArchiveOpen(false), []);
+
+  // Task list manager
+  const [isListsOpen, setIsListsOpen] = useState(false);
+  const handleCloseLists = useCallback(() => setIsListsOpen(false), []);
+
+  const activeCategoryName = getCategoryName(categories, activeCategory);
+  const pageTitle = `${activeCategoryName} TODO`;
 
   // Combined loading state - include auth loading to prevent flash of empty content
   const isLoading = isAuthLoading || isTasksLoading || isDailyLoading;
@@ -73,8 +175,30 @@ export default function TasksPage() {
 
           <ErrorBoundary title="Menu Error">
             <TaskToggle
-              activeCategory={activeCategory}
-              onCategoryChange={setCategory}
+              categories={categories}
+              activeCategory={activeList ?? activeCategory}
+              onCategoryChange={handleCategoryChange}
+              smartLists={[
+                {
+                  id: DUE_LIST,
+                  label: dueCount > 0 ? `Due (${dueCount})` : "Due",
+                },
+              ]}
+              onManageLists={
+                isReadOnly ? undefined : () => setIsListsOpen(true)
+              }
+            />
+          </ErrorBoundary>
+
+          <ErrorBoundary title="Task Lists Error">
+            <TaskListsModal
+              isOpen={isListsOpen}
+              onClose={handleCloseLists}
+              categories={categories}
+              onCreate={addCategory}
+              onUpdate={updateCategory}
+              onReorder={reorderCategories}
+              onDelete={deleteCategory}
             />
           </ErrorBoundary>
 
@@ -95,6 +219,7 @@ export default function TasksPage() {
               onAddTask={addDailyTask}
               onDeleteTask={deleteDailyTask}
               onReorderTasks={reorderDailyTasks}
+              readOnly={isReadOnly}
             />
           </ErrorBoundary>
 
@@ -113,8 +238,22 @@ export default function TasksPage() {
             </div>
           )}
 
+          {/* Due soon / Overdue smart list, across categories */}
+          {!isLoading && activeList === DUE_LIST && (
+            <ErrorBoundary title="Due List Error">
+              <DueTaskList
+                dueTasks={dueTasks}
+                categories={categories}
+                onTaskComplete={completeTask}
+                onTaskDueChange={setDueDate}
+                onCategorySelect={handleCategoryChange}
+                readOnly={isReadOnly}
+              />
+            </ErrorBoundary>
+          )}
+
           {/* Task List - only show when not loading */}
-          {!isLoading && (
+          {!isLoading && !activeList && (
             <ErrorBoundary title="Task List Error">
               <TaskContainer
                 title={pageTitle}
@@ -122,8 +261,17 @@ export default function TasksPage() {
                 onTaskComplete={completeTask}
                 onTaskReorder={reorderTasks}
                 onTaskRename={renameTask}
+                onTaskDueChange={setDueDate}
+                onTaskMove={moveTask}
+                onTaskIndent={indentTask}
+                onTaskOutdent={outdentTask}
+                onTaskSectionChange={setSection}
+                onTaskCollapsedChange={setCollapsed}
+                categories={categories}
                 onAddTask={() => addTask("")}
+                onAddSection={() => addTask("", undefined, { isSection: true })}
                 newTaskId={newTaskId}
+                readOnly={isReadOnly}
               />
 
               {/* Empty State Handling */}
@@ -134,8 +282,59 @@ export default function TasksPage() {
               )}
             </ErrorBoundary>
           )}
+
+          {!isLoading && !activeList && (
+            <ErrorBoundary title="Completed Tasks Error">
+              <div className={styles.doneControls}>
+                <label className={styles.doneToggle}>
+                  <input
+                    type="checkbox"
+                    checked={showRecentlyCompleted}
+                    onChange={(e) => setShowRecentlyCompleted(e.target.checked)}
+                  />
+                  Show recently completed
+                </label>
+                <TButton variant="ghost" onClick={() => setIsArchiveOpen(true)}>
+                  Done Archive
+                </TButton>
+              </div>
+
+              {showRecentlyCompleted && (
+                <section
+                  className={styles.recentlyCompleted}
+                  aria-label="Recently completed tasks"
+                >
+                  {recentError && (
+                    <p className={styles.errorMessage}>{recentError}</p>
+                  )}
+                  <DoneTaskList
+                    tasks={recentlyCompleted}
+                    onRestore={isReadOnly ? undefined : restoreTask}
+                    emptyText={`Nothing completed in the past ${RECENT_DAYS} days.`}
+                  />
+                </section>
+              )}
+
+              <DoneArchiveModal
+                isOpen={isArchiveOpen}
+                onClose={handleCloseArchive}
+                userId={USER_ID}
+                category={activeCategory}
+                categoryName={activeCategoryName}
+                readOnly={isReadOnly}
+              />
+            </ErrorBoundary>
+          )}
         </div>
       </div>
     </RouteGuard>
   );
 }
+
+export default function TasksPage() {
+  return (
+    <ToastProvider>
+      <TasksContent />
+    </ToastProvider>
+  );
+}
@@ -20,8 +20,38 @@ import {
   clearToken,
   decodeJWT,
   isTokenExpired,
+  setRefreshToken,
+  getRefreshToken,
+  reloadTokenFromStorage,
 } from "../lib/tokenStorage";
-import { setLogoutCallback, clearLogoutCallback } from "../lib/apiClient";
+import {
+  setLogoutCallback,
+  clearLogoutCallback,
+  setSessionRefreshedCallback,
+  clearSessionRefreshedCallback,
+  refreshSession,
+} from "../lib/apiClient";
+import {
+  SessionEvent,
+  broadcastSessionEvent,
+  subscribeToSessionEvents,
+} from "../lib/sessionSync";
+import { clearQueryCache, invalidateAllQueries } from "../lib/queryCache";
+import { ERROR_CATALOG } from "../lib/errors";
+import { hasCapabilities, resolveCapabilities } from "../lib/permissions";
+import {
+  ACTIVITY_EVENTS,
+  recordActivity,
+  getLastActivity,
+  isLockedStored,
+  setLockedStored,
+  getIdleTimeoutPreference,
+  setIdleTimeoutPreference,
+  getEffectiveIdleTimeout,
+  isIdleExpired,
+  subscribeToLockChanges,
+} from "../lib/idleLock";
+import * as lockService from "../lib/lockService";
 
 // Create the Auth Context
 const AuthContext = createContext(null);
@@ -29,6 +59,21 @@ const AuthContext = createContext(null);
 // API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
 
+// Refresh the access token this long before it expires
+const REFRESH_LEAD_TIME_MS = 60 * 1000;
+
+// Spread scheduled refreshes so several open tabs don't all refresh at once
+const REFRESH_JITTER_MS = 5 * 1000;
+
+// Wait this long before retrying a refresh that failed (e.g. server unreachable)
+const REFRESH_RETRY_DELAY_MS = 30 * 1000;
+
+// setTimeout cannot schedule further out than ~24.8 days
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// How often the idle timer compares the last activity with the idle period
+const IDLE_CHECK_INTERVAL_MS = 5 * 1000;
+
 /**
  * AuthProvider component that wraps the application and provides auth state
  * @param {object} props - Component props
@@ -38,7 +83,15 @@ export function AuthProvider({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [username, setUsername] = useState(null);
   const [roles, setRoles] = useState([]);
+  const [capabilities, setCapabilities] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [issuedAt, setIssuedAt] = useState(null);
+  const [isLocked, setIsLocked] = useState(false);
+  const [idleTimeout, setIdleTimeoutState] = useState(getIdleTimeoutPreference);
+  // Stricter idle periods requested by mounted pages (see useIdleTimeout)
+  const [idleTimeoutOverrides, setIdleTimeoutOverrides] = useState([]);
 
   /**
    * Extracts user info from a JWT token and updates state
@@ -78,21 +131,45 @@ export function AuthProvider({ children }) {
     }
 
     setRoles(extractedRoles);
+    // A `permissions` claim overrides the capabilities the roles would grant
+    setCapabilities(resolveCapabilities(extractedRoles, payload.permissions));
+    setTokenExpiresAt(
+      typeof payload.exp === "number" ? payload.exp * 1000 : null,
+    );
+    // Session id and sign-in time, shown on the sessions page
+    setSessionId(payload.sid || null);
+    setIssuedAt(typeof payload.iat === "number" ? payload.iat * 1000 : null);
     setIsAuthenticated(true);
     return true;
   }, []);
 
   /**
-   * Clears all authentication state
-   * Requirement 1.5: logout clears stored JWT and resets authentication state
+   * Resets authentication state without touching token storage
+   * Cached responses belong to the signed-out user and are dropped too.
    */
-  const clearAuthState = useCallback(() => {
-    clearToken();
+  const resetAuthState = useCallback(() => {
+    clearQueryCache();
     setIsAuthenticated(false);
     setUsername(null);
     setRoles([]);
+    setCapabilities([]);
+    setTokenExpiresAt(null);
+    setSessionId(null);
+    setIssuedAt(null);
+    setIsLocked(false);
   }, []);
 
+  /**
+   * Clears all authentication state and tells other tabs to do the same
+   * Requirement 1.5: logout clears stored JWT and resets authentication state
+   */
+  const clearAuthState = useCallback(() => {
+    clearToken();
+    setLockedStored(false);
+    resetAuthState();
+    broadcastSessionEvent(SessionEvent.LOGOUT);
+  }, [resetAuthState]);
+
   // Wire up the API client's 401 logout callback so expired tokens
   // trigger a full auth state reset (not just token clearance)
   useEffect(() => {
@@ -100,12 +177,197 @@ export function AuthProvider({ children }) {
     return () => clearLogoutCallback();
   }, [clearAuthState]);
 
+  // Any refresh (scheduled or triggered by a 401) updates state from the new
+  // token and is shared with the other open tabs
+  useEffect(() => {
+    setSessionRefreshedCallback((token) => {
+      if (updateStateFromToken(token)) {
+        broadcastSessionEvent(SessionEvent.REFRESH);
+      }
+    });
+    return () => clearSessionRefreshedCallback();
+  }, [updateStateFromToken]);
+
+  /**
+   * Cross-tab sync: apply logins, logouts and refreshes made in other tabs.
+   * The tokens themselves are re-read from localStorage, and nothing is
+   * re-broadcast so tabs don't echo events back and forth.
+   */
+  useEffect(() => {
+    return subscribeToSessionEvents((type) => {
+      const token = reloadTokenFromStorage();
+      if (type === SessionEvent.LOGOUT || !updateStateFromToken(token)) {
+        resetAuthState();
+      }
+    });
+  }, [updateStateFromToken, resetAuthState]);
+
+  /**
+   * Silent refresh: renew the access token shortly before it expires so a
+   * long-running edit (journal entry, notification form) isn't interrupted.
+   * Reschedules itself whenever a refresh yields a token with a new expiry.
+   */
+  useEffect(() => {
+    if (!isAuthenticated || !tokenExpiresAt || !getRefreshToken()) {
+      return;
+    }
+
+    let timer = null;
+
+    const schedule = (delay) => {
+      timer = setTimeout(
+        runRefresh,
+        Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS),
+      );
+    };
+
+    async function runRefresh() {
+      // Another tab may already have refreshed (and rotated the refresh token)
+      const storedToken = reloadTokenFromStorage();
+      const storedExp = storedToken && decodeJWT(storedToken)?.exp;
+      if (storedExp && storedExp * 1000 > tokenExpiresAt) {
+        updateStateFromToken(storedToken);
+        return;
+      }
+
+      const token = await refreshSession();
+      // On success the refreshed callback updates tokenExpiresAt, which
+      // re-runs this effect. On failure, try again while the token is valid;
+      // once it expires the next request's 401 logs the user out.
+      if (!token && Date.now() + REFRESH_RETRY_DELAY_MS < tokenExpiresAt) {
+        schedule(REFRESH_RETRY_DELAY_MS);
+      }
+    }
+
+    schedule(
+      tokenExpiresAt -
+        Date.now() -
+        REFRESH_LEAD_TIME_MS -
+        Math.random() * REFRESH_JITTER_MS,
+    );
+
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, tokenExpiresAt, updateStateFromToken]);
+
+  const effectiveIdleTimeout = getEffectiveIdleTimeout(
+    idleTimeout,
+    idleTimeoutOverrides,
+  );
+
+  /**
+   * Locks the app (in every tab) until unlock() succeeds. The session and its
+   * silent refresh carry on behind the lock screen, but the backend holds
+   * back health data until the unlock.
+   */
+  const lock = useCallback(() => {
+    setLockedStored(true);
+    setIsLocked(true);
+    lockService.lockSession().catch(() => {
+      // Offline: the lock screen still covers the app
+    });
+  }, []);
+
+  /**
+   * Idle timer: lock once no tab has seen activity for the idle period.
+   * Activity is shared through localStorage, so a tab left in the background
+   * stays unlocked while the user works in another one.
+   */
+  useEffect(() => {
+    if (!isAuthenticated || isLocked || effectiveIdleTimeout <= 0) {
+      return;
+    }
+
+    if (getLastActivity() === null) {
+      recordActivity(Date.now(), true);
+    }
+
+    const onActivity = () => recordActivity();
+    const check = () => {
+      if (isIdleExpired(getLastActivity(), effectiveIdleTimeout)) {
+        lock();
+      }
+    };
+
+    // Timers are throttled in background tabs; check again when shown
+    check();
+    const timer = setInterval(check, IDLE_CHECK_INTERVAL_MS);
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, onActivity, { passive: true }),
+    );
+    document.addEventListener("visibilitychange", check);
+
+    return () => {
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, onActivity),
+      );
+      document.removeEventListener("visibilitychange", check);
+    };
+  }, [isAuthenticated, isLocked, effectiveIdleTimeout, lock]);
+
+  // Locking or unlocking in one tab applies to all of them
+  useEffect(
+    () =>
+      subscribeToLockChanges((locked) => {
+        setIsLocked(locked);
+        if (!locked) invalidateAllQueries();
+      }),
+    [],
+  );
+
+  /**
+   * Stores the tokens from a successful login or MFA verification
+   * @param {object} data - Response body with `token` and optional `refreshToken`
+   * @returns {{success: boolean, error?: string}} Login result
+   */
+  const completeLogin = useCallback(
+    (data) => {
+      const token = data.token;
+
+      if (!token) {
+        return {
+          success: false,
+          error: "Invalid response from server",
+        };
+      }
+
+      // Store the token (Requirement 1.2, 1.3)
+      setToken(token);
+      if (data.refreshToken) {
+        setRefreshToken(data.refreshToken);
+      }
+
+      // Update state from token (Requirement 2.1)
+      const stateUpdated = updateStateFromToken(token);
+      if (!stateUpdated) {
+        clearToken();
+        return {
+          success: false,
+          error: "Invalid token received",
+        };
+      }
+
+      // A fresh sign-in starts unlocked with a full idle period
+      recordActivity(Date.now(), true);
+      setLockedStored(false);
+      setIsLocked(false);
+
+      broadcastSessionEvent(SessionEvent.LOGIN);
+      return { success: true };
+    },
+    [updateStateFromToken],
+  );
+
   /**
    * Login function - sends credentials to API and stores token on success
    * Requirement 1.1: POST request to /auth/login with username and password
+   * Accounts with two-factor authentication get `mfaRequired` and an
+   * `mfaToken` instead; pass the token to verifyMfa with the user's code.
+   * An expired password gets `passwordExpired` and a `passwordChangeToken`;
+   * pass it to changeExpiredPassword, then log in with the new password.
    * @param {string} userCredentials - Username
    * @param {string} password - Password
-   * @returns {Promise<{success: boolean, error?: string}>} Login result
+   * @returns {Promise<{success: boolean, error?: string, mfaRequired?: boolean, mfaToken?: string, passwordExpired?: boolean, passwordChangeToken?: string}>} Login result
    */
   const login = useCallback(
     async (userCredentials, password) => {
@@ -121,38 +383,35 @@ export function AuthProvider({ children }) {
           }),
         });
 
-        if (!response.ok) {
-          // Return generic error message (Requirement 4.3)
+        const data = await response.json().catch(() => ({}));
+
+        // Password accepted but temporary; the user must choose a new one
+        if (data.code === "PASSWORD_EXPIRED" && data.passwordChangeToken) {
           return {
             success: false,
-            error: "Invalid username or password",
+            passwordExpired: true,
+            passwordChangeToken: data.passwordChangeToken,
           };
         }
 
-        const data = await response.json();
-        const token = data.token;
-
-        if (!token) {
+        // Password accepted; the backend wants a second factor
+        if (data.code === "MFA_REQUIRED" && data.mfaToken) {
           return {
             success: false,
-            error: "Invalid response from server",
+            mfaRequired: true,
+            mfaToken: data.mfaToken,
           };
         }
 
-        // Store the token (Requirement 1.2, 1.3)
-        setToken(token);
-
-        // Update state from token (Requirement 2.1)
-        const stateUpdated = updateStateFromToken(token);
-        if (!stateUpdated) {
-          clearToken();
+        if (!response.ok) {
+          // Return generic error message (Requirement 4.3)
           return {
             success: false,
-            error: "Invalid token received",
+            error: "Invalid username or password",
           };
         }
 
-        return { success: true };
+        return completeLogin(data);
       } catch (error) {
         // Network or other errors - return generic message (Requirement 8.4)
         return {
@@ -161,17 +420,162 @@ export function AuthProvider({ children }) {
         };
       }
     },
-    [updateStateFromToken],
+    [completeLogin],
+  );
+
+  /**
+   * Completes a login that answered MFA_REQUIRED
+   * @param {string} mfaToken - Token from the login result
+   * @param {object} factor - `{ code }` (TOTP) or `{ recoveryCode }`
+   * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+   *   Login result; `expired` means the user must enter their password again
+   */
+  const verifyMfa = useCallback(
+    async (mfaToken, { code, recoveryCode } = {}) => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/mfa/verify`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(
+            recoveryCode ? { mfaToken, recoveryCode } : { mfaToken, code },
+          ),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          const expired = data.code === "MFA_CHALLENGE_EXPIRED";
+          return {
+            success: false,
+            expired,
+            error: expired
+              ? ERROR_CATALOG.MFA_CHALLENGE_EXPIRED.message
+              : ERROR_CATALOG.MFA_INVALID_CODE.message,
+          };
+        }
+
+        return completeLogin(data);
+      } catch {
+        return {
+          success: false,
+          error: "Unable to connect. Please try again.",
+        };
+      }
+    },
+    [completeLogin],
+  );
+
+  /**
+   * Replaces an expired password (see login); does not sign in
+   * @param {string} passwordChangeToken - Token from the login result
+   * @param {string} newPassword - Must meet the password policy
+   * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+   *   `expired` means the user must enter their old password again
+   */
+  const changeExpiredPassword = useCallback(
+    async (passwordChangeToken, newPassword) => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/password/expired`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ passwordChangeToken, newPassword }),
+        });
+
+        if (response.ok) {
+          return { success: true };
+        }
+
+        const data = await response.json().catch(() => ({}));
+        const expired = data.code === "PASSWORD_CHANGE_EXPIRED";
+        return {
+          success: false,
+          expired,
+          error: expired
+            ? ERROR_CATALOG.PASSWORD_CHANGE_EXPIRED.message
+            : data.message || "Unable to change password.",
+        };
+      } catch {
+        return {
+          success: false,
+          error: "Unable to connect. Please try again.",
+        };
+      }
+    },
+    [],
   );
 
   /**
    * Logout function - clears token and resets state
    * Requirement 1.5: Clear stored JWT and reset authentication state
+   * The session is also ended server-side so its refresh token stops working;
+   * that request is best-effort and the local logout never waits for it.
    */
   const logout = useCallback(() => {
+    const token = getToken();
+    if (token) {
+      // Not through apiClient: a 401 there would refresh the token and call
+      // logout again, and only a raw fetch can use keepalive, which lets the
+      // request finish while the page unloads or navigates to the login page
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        keepalive: true,
+      }).catch(() => {});
+    }
     clearAuthState();
   }, [clearAuthState]);
 
+  /**
+   * Unlocks the app with the account password or the user's PIN
+   * Too many wrong answers end the session server-side; the next request then
+   * logs the user out as usual.
+   * @param {object} credentials - `{ password }` or `{ pin }`
+   * @returns {Promise<{success: boolean, error?: string}>} Unlock result
+   */
+  const unlock = useCallback(async (credentials) => {
+    try {
+      await lockService.unlock(credentials);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    recordActivity(Date.now(), true);
+    setLockedStored(false);
+    setIsLocked(false);
+    // Reload what the backend refused while the session was locked
+    invalidateAllQueries();
+    return { success: true };
+  }, []);
+
+  /**
+   * Saves the user's idle period
+   * @param {number} timeoutMs - Milliseconds; 0 = never lock
+   */
+  const setIdleTimeout = useCallback((timeoutMs) => {
+    setIdleTimeoutPreference(timeoutMs);
+    setIdleTimeoutState(timeoutMs);
+  }, []);
+
+  /**
+   * Applies a stricter idle period until the returned function is called
+   * Used by sensitive areas such as the health portal (see useIdleTimeout).
+   * @param {number} timeoutMs - Milliseconds
+   * @returns {Function} Removes the period again
+   */
+  const registerIdleTimeout = useCallback((timeoutMs) => {
+    setIdleTimeoutOverrides((current) => [...current, timeoutMs]);
+    return () =>
+      setIdleTimeoutOverrides((current) => {
+        const index = current.indexOf(timeoutMs);
+        return index === -1
+          ? current
+          : [...current.slice(0, index), ...current.slice(index + 1)];
+      });
+  }, []);
+
   /**
    * Check if user has a specific role
    * @param {string} role - Role to check
@@ -192,35 +596,54 @@ export function AuthProvider({ children }) {
     return roles.includes("ROLE_ADMIN");
   }, [roles]);
 
+  /**
+   * Check if user holds a capability (see lib/permissions)
+   * @param {string|string[]} capability - Capability, or a list that must all be held
+   * @returns {boolean} True if every capability is granted
+   */
+  const can = useCallback(
+    (capability) => {
+      return hasCapabilities(capabilities, capability);
+    },
+    [capabilities],
+  );
+
   /**
    * Session restoration on mount
    * Requirement 2.2: Check for existing valid token and restore session
    * Requirement 7.4: Attempt to restore authentication state from Token_Storage
    */
   useEffect(() => {
-    const restoreSession = () => {
+    const restoreSession = async () => {
       setIsLoading(true);
 
       try {
         // Check if there's a stored token
-        const token = getToken();
+        let token = getToken();
 
         if (!token) {
           setIsLoading(false);
           return;
         }
 
-        // Check if token is expired (Requirement 2.3)
+        // Check if token is expired (Requirement 2.3); an expired access token
+        // can still be renewed if we hold a refresh token
         if (isTokenExpired()) {
-          clearAuthState();
-          setIsLoading(false);
-          return;
+          token = getRefreshToken() ? await refreshSession() : null;
+          if (!token) {
+            clearAuthState();
+            setIsLoading(false);
+            return;
+          }
         }
 
         // Restore state from valid token
         const restored = updateStateFromToken(token);
         if (!restored) {
           clearAuthState();
+        } else {
+          // A reload does not get past the lock screen
+          setIsLocked(isLockedStored());
         }
       } catch {
         clearAuthState();
@@ -238,12 +661,25 @@ export function AuthProvider({ children }) {
     isAuthenticated,
     username,
     roles,
+    capabilities,
+    sessionId,
+    issuedAt,
     isLoading,
+    isLocked,
+    idleTimeout,
+    effectiveIdleTimeout,
     // Functions (Requirement 7.3)
     login,
+    verifyMfa,
+    changeExpiredPassword,
     logout,
+    lock,
+    unlock,
+    setIdleTimeout,
+    registerIdleTimeout,
     hasRole,
     isAdmin,
+    can,
   };
 
   return (
@@ -276,11 +712,24 @@ export function createAuthState(overrides = {}) {
     isAuthenticated: false,
     username: null,
     roles: [],
+    capabilities: [],
+    sessionId: null,
+    issuedAt: null,
     isLoading: false,
+    isLocked: false,
+    idleTimeout: 0,
+    effectiveIdleTimeout: 0,
     login: async () => ({ success: false }),
+    verifyMfa: async () => ({ success: false }),
+    changeExpiredPassword: async () => ({ success: false }),
     logout: () => {},
+    lock: () => {},
+    unlock: async () => ({ success: false }),
+    setIdleTimeout: () => {},
+    registerIdleTimeout: () => () => {},
     hasRole: () => false,
     isAdmin: () => false,
+    can: () => false,
     ...overrides,
   };
 }
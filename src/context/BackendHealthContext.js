@@ -0,0 +1,165 @@
+"use client";
+
+/**
+ * Backend Health Context Module
+ * Monitors the backend for the whole app by polling the /heartbeat endpoint.
+ *
+ * While healthy the heartbeat is checked every 30 seconds; while unreachable it
+ * backs off from 5 seconds up to a minute. The browser coming back online, the
+ * tab becoming visible, or any request failing because the server could not be
+ * reached trigger an immediate check. Polling pauses while the tab is hidden.
+ *
+ * When the backend comes back, every cached query on screen revalidates (and
+ * useOfflineSync replays queued changes), so pages recover without a reload.
+ */
+
+import { createContext, useState, useEffect, useCallback, useRef } from "react";
+import apiClient, { addErrorInterceptor } from "../lib/apiClient";
+import { isOfflineError } from "../lib/errors";
+import { invalidateAllQueries } from "../lib/queryCache";
+
+const HEARTBEAT_ENDPOINT = "/heartbeat";
+const HEARTBEAT_TIMEOUT_MS = 5000;
+const HEALTHY_POLL_INTERVAL_MS = 30000;
+const UNHEALTHY_POLL_MIN_MS = 5000;
+const UNHEALTHY_POLL_MAX_MS = 60000;
+
+export const BackendHealthContext = createContext(null);
+
+/**
+ * Delay before the next heartbeat
+ * @param {number} failures - Consecutive failed checks
+ * @returns {number} Milliseconds
+ */
+export function getPollDelay(failures) {
+  if (failures === 0) {
+    return HEALTHY_POLL_INTERVAL_MS;
+  }
+  return Math.min(
+    UNHEALTHY_POLL_MIN_MS * 2 ** (failures - 1),
+    UNHEALTHY_POLL_MAX_MS,
+  );
+}
+
+/**
+ * BackendHealthProvider component that monitors the backend for its children
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function BackendHealthProvider({ children }) {
+  const [isHealthy, setIsHealthy] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRetrying, setIsRetrying] = useState(false);
+  const [lastCheckedAt, setLastCheckedAt] = useState(null);
+
+  const failuresRef = useRef(0);
+  const healthyRef = useRef(null);
+  const timerRef = useRef(null);
+  const inFlightRef = useRef(null);
+
+  const scheduleNextCheck = useCallback((check) => {
+    clearTimeout(timerRef.current);
+    // Hidden tabs don't poll; becoming visible checks right away
+    if (typeof document !== "undefined" && document.hidden) {
+      return;
+    }
+    timerRef.current = setTimeout(check, getPollDelay(failuresRef.current));
+  }, []);
+
+  /**
+   * Performs the health check by calling the /heartbeat endpoint
+   * Concurrent calls share one request. Reschedules the next poll.
+   * @returns {Promise<boolean>} The new health status
+   */
+  const checkHealth = useCallback(() => {
+    if (!inFlightRef.current) {
+      inFlightRef.current = apiClient
+        .get(HEARTBEAT_ENDPOINT, {
+          // No retries and a short timeout: report an outage promptly
+          retry: false,
+          timeout: HEARTBEAT_TIMEOUT_MS,
+        })
+        .then(
+          () => true,
+          () => false,
+        )
+        .then((healthy) => {
+          failuresRef.current = healthy ? 0 : failuresRef.current + 1;
+          // Back from an outage: refresh whatever is on screen
+          if (healthy && healthyRef.current === false) {
+            invalidateAllQueries();
+          }
+          healthyRef.current = healthy;
+          setIsHealthy(healthy);
+          setLastCheckedAt(Date.now());
+          setIsLoading(false);
+          inFlightRef.current = null;
+          scheduleNextCheck(checkHealth);
+          return healthy;
+        });
+    }
+    return inFlightRef.current;
+  }, [scheduleNextCheck]);
+
+  /**
+   * Retries the health check now
+   * Sets isRetrying to true during the retry attempt
+   */
+  const retry = useCallback(async () => {
+    setIsRetrying(true);
+    try {
+      await checkHealth();
+    } finally {
+      setIsRetrying(false);
+    }
+  }, [checkHealth]);
+
+  // Initial check, then poll; re-check on reconnect and when the tab is shown
+  useEffect(() => {
+    checkHealth();
+
+    const handleVisibility = () => {
+      if (document.hidden) {
+        clearTimeout(timerRef.current);
+      } else {
+        checkHealth();
+      }
+    };
+
+    window.addEventListener("online", checkHealth);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      clearTimeout(timerRef.current);
+      window.removeEventListener("online", checkHealth);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [checkHealth]);
+
+  // A request that couldn't reach the server is the earliest sign of an outage
+  useEffect(() => {
+    return addErrorInterceptor((error, config) => {
+      if (
+        config?.endpoint !== HEARTBEAT_ENDPOINT &&
+        healthyRef.current !== false &&
+        isOfflineError(error)
+      ) {
+        checkHealth();
+      }
+    });
+  }, [checkHealth]);
+
+  const value = {
+    isHealthy,
+    isLoading,
+    isRetrying,
+    lastCheckedAt,
+    checkHealth,
+    retry,
+  };
+
+  return (
+    <BackendHealthContext.Provider value={value}>
+      {children}
+    </BackendHealthContext.Provider>
+  );
+}
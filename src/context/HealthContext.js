@@ -8,6 +8,7 @@
  * Each domain has independent data, loading, and error state.
  * Data is fetched lazily — pages call fetch* on mount, context caches results.
  * Mutations: call healthService → update local state on success → set error on failure.
+ * In-flight fetches are aborted when the provider unmounts (leaving /health/*).
  *
  * Requirements: 2.2, 2.3, 2.6, 4.1, 4.5, 4.6, 5.3, 5.4, 5.7, 7.2, 7.5, 7.6, 8.2, 8.4, 8.5
  */
@@ -17,20 +18,36 @@ import {
   useContext,
   useState,
   useCallback,
+  useEffect,
+  useRef,
 } from "react";
-import { healthService } from "../lib/healthService";
-import { useAuth } from "../context/AuthContext";
+import { healthService, getHealthQueryKey } from "../lib/healthService";
+import { isAbortError } from "../lib/apiClient";
+import {
+  MutationType,
+  createTempId,
+  sendOrQueue,
+  subscribeToOutbox,
+} from "../lib/offlineQueue";
+import { useEffectiveUser } from "@/hooks/useEffectiveUser";
+import { useQuery } from "@/hooks/useQuery";
 
 // Create the Health Context
 const HealthContext = createContext(null);
 
+// Stable placeholder until metrics load, so memoized consumers don't recompute
+const NO_METRICS = [];
+
 /**
  * HealthProvider component that wraps health routes and provides data state
  * @param {object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  */
 export function HealthProvider({ children }) {
-  const { username } = useAuth();
+  // The signed-in user, or the user an admin is viewing as (read-only unless
+  // the admin allowed changes; pages hide their edit controls then). Changes
+  // made while viewing as someone aren't queued offline: they fail instead.
+  const { userId: username, isReadOnly, isImpersonating } = useEffectiveUser();
 
   // --- Journal State ---
   const [journalEntries, setJournalEntries] = useState([]);
@@ -38,8 +55,26 @@ export function HealthProvider({ children }) {
   const [journalError, setJournalError] = useState(null);
 
   // --- Metrics State ---
-  const [metrics, setMetrics] = useState([]);
-  const [metricsLoading, setMetricsLoading] = useState(false);
+  // Kept in the shared query cache: returning to the dashboard shows the last
+  // metrics immediately, and metric mutations revalidate them (see queryCache.js)
+  const {
+    data: cachedMetrics,
+    isLoading: metricsLoading,
+    refetch: refetchMetrics,
+    setData: setCachedMetrics,
+  } = useQuery(
+    username ? getHealthQueryKey(username, "metrics") : null,
+    (options) => healthService.getMetrics(username, options),
+    { fetchOnMount: false }
+  );
+  const metrics = cachedMetrics ?? NO_METRICS;
+  const setMetrics = useCallback(
+    (updater) =>
+      setCachedMetrics((prev) =>
+        typeof updater === "function" ? updater(prev ?? []) : updater
+      ),
+    [setCachedMetrics]
+  );
   const [metricsError, setMetricsError] = useState(null);
 
   // --- Documents State ---
@@ -57,6 +92,23 @@ export function HealthProvider({ children }) {
   const [remindersLoading, setRemindersLoading] = useState(false);
   const [remindersError, setRemindersError] = useState(null);
 
+  // Shared abort controller for fetches; aborted when the provider unmounts
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  /**
+   * Request options that tie a fetch to the provider's lifetime
+   * @returns {{ signal: AbortSignal|undefined }}
+   */
+  const getRequestOptions = () => ({
+    signal: abortControllerRef.current?.signal,
+  });
+
   // =====================
   // Journal Functions
   // =====================
@@ -70,9 +122,10 @@ export function HealthProvider({ children }) {
     setJournalLoading(true);
     setJournalError(null);
     try {
-      const data = await healthService.getJournalEntries(username);
+      const data = await healthService.getJournalEntries(username, getRequestOptions());
       setJournalEntries(data);
     } catch (error) {
+      if (isAbortError(error)) return;
       setJournalError(error.message);
     } finally {
       setJournalLoading(false);
@@ -83,40 +136,43 @@ export function HealthProvider({ children }) {
    * Saves a journal entry (upsert). If the entry has an id, updates it.
    * Otherwise, checks if an entry with the same date exists (upsert by date).
    * If no match, creates a new entry.
+   * While the backend is unreachable the save is queued (see offlineQueue.js)
+   * and the entry is shown locally until it syncs.
    * Requirements: 2.2, 2.6
+   * @returns {Promise<{ queued: boolean }>}
    */
   const saveJournalEntry = useCallback(async (entry) => {
     setJournalError(null);
     try {
-      let savedEntry;
-
-      if (entry.id) {
-        // Update existing entry by id
-        savedEntry = await healthService.updateJournalEntry(username, entry.id, entry);
-        setJournalEntries((prev) =>
-          prev.map((e) => (e.id === savedEntry.id ? savedEntry : e))
-        );
-      } else {
-        // Check if an entry with the same date already exists (upsert by date)
-        const existing = journalEntries.find((e) => e.date === entry.date);
-        if (existing) {
-          savedEntry = await healthService.updateJournalEntry(username, existing.id, entry);
-          setJournalEntries((prev) =>
-            prev.map((e) => (e.id === savedEntry.id ? savedEntry : e))
-          );
-        } else {
-          savedEntry = await healthService.createJournalEntry(username, entry);
-          setJournalEntries((prev) => [savedEntry, ...prev]);
-        }
-      }
+      // Upsert by date: reuse the id of an existing entry for the same day
+      const existing = entry.id
+        ? null
+        : journalEntries.find((e) => e.date === entry.date);
+      const id = entry.id || existing?.id || createTempId();
+
+      const { queued, result } = await sendOrQueue(
+        username,
+        MutationType.JOURNAL_SAVE,
+        { entry: { ...entry, id } },
+        { queue: !isImpersonating }
+      );
+      // Queued entries keep their (possibly temporary) id until the replay refetch
+      const savedEntry = queued ? { ...entry, id } : result;
+      setJournalEntries((prev) =>
+        prev.some((e) => e.id === id)
+          ? prev.map((e) => (e.id === id ? savedEntry : e))
+          : [savedEntry, ...prev]
+      );
+      return { queued };
     } catch (error) {
       setJournalError(error.message);
       throw error;
     }
-  }, [journalEntries]);
+  }, [journalEntries, username, isImpersonating]);
 
   /**
-   * Deletes a journal entry. Optimistic removal from local state, then API call.
+   * Deletes a journal entry. Optimistic removal from local state, then API call
+   * (queued while the backend is unreachable).
    * Requirement 2.6
    */
   const deleteJournalEntry = useCallback(async (id) => {
@@ -125,14 +181,29 @@ export function HealthProvider({ children }) {
     // Optimistic removal
     setJournalEntries((prev) => prev.filter((e) => e.id !== id));
     try {
-      await healthService.deleteJournalEntry(username, id);
+      await sendOrQueue(
+        username,
+        MutationType.JOURNAL_DELETE,
+        { id },
+        { queue: !isImpersonating }
+      );
     } catch (error) {
       // Rollback on failure
       setJournalEntries(previousEntries);
       setJournalError(error.message);
       throw error;
     }
-  }, [journalEntries]);
+  }, [journalEntries, username, isImpersonating]);
+
+  // Queued journal changes replaced temporary ids and may have lost conflicts:
+  // reload the server's copy once they have been replayed
+  useEffect(() => {
+    return subscribeToOutbox((event) => {
+      if (event.type === "replayed" && event.userId === username) {
+        fetchJournalEntries();
+      }
+    });
+  }, [username, fetchJournalEntries]);
 
   // =====================
   // Metrics Functions
@@ -143,17 +214,14 @@ export function HealthProvider({ children }) {
    * Requirement 4.1
    */
   const fetchMetrics = useCallback(async () => {
-    setMetricsLoading(true);
     setMetricsError(null);
     try {
-      const data = await healthService.getMetrics(username);
-      setMetrics(data);
+      await refetchMetrics();
     } catch (error) {
+      if (isAbortError(error)) return;
       setMetricsError(error.message);
-    } finally {
-      setMetricsLoading(false);
     }
-  }, []);
+  }, [refetchMetrics]);
 
   /**
    * Creates a new health metric.
@@ -168,7 +236,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, []);
+  }, [setMetrics]);
 
   /**
    * Adds a data point to an existing metric.
@@ -185,7 +253,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, []);
+  }, [setMetrics]);
 
   /**
    * Updates an existing metric's settings (name, unit, colors).
@@ -201,7 +269,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, []);
+  }, [setMetrics]);
 
   /**
    * Updates the data point at the given index on a metric.
@@ -218,7 +286,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, []);
+  }, [setMetrics]);
 
   /**
    * Deletes the data point at the given index on a metric.
@@ -235,7 +303,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, []);
+  }, [setMetrics]);
 
   /**
    * Deletes a whole metric. Optimistic removal from local state, rollback on failure.
@@ -253,7 +321,7 @@ export function HealthProvider({ children }) {
       setMetricsError(error.message);
       throw error;
     }
-  }, [metrics]);
+  }, [metrics, setMetrics]);
 
   // =====================
   // Documents Functions
@@ -267,9 +335,10 @@ export function HealthProvider({ children }) {
     setDocumentsLoading(true);
     setDocumentsError(null);
     try {
-      const data = await healthService.getDocuments(username);
+      const data = await healthService.getDocuments(username, getRequestOptions());
       setDocuments(data);
     } catch (error) {
+      if (isAbortError(error)) return;
       setDocumentsError(error.message);
     } finally {
       setDocumentsLoading(false);
@@ -337,9 +406,10 @@ export function HealthProvider({ children }) {
     setAppointmentsLoading(true);
     setAppointmentsError(null);
     try {
-      const data = await healthService.getAppointments(username);
+      const data = await healthService.getAppointments(username, getRequestOptions());
       setAppointments(data);
     } catch (error) {
+      if (isAbortError(error)) return;
       setAppointmentsError(error.message);
     } finally {
       setAppointmentsLoading(false);
@@ -392,9 +462,10 @@ export function HealthProvider({ children }) {
     setRemindersLoading(true);
     setRemindersError(null);
     try {
-      const data = await healthService.getReminders(username);
+      const data = await healthService.getReminders(username, getRequestOptions());
       setReminders(data);
     } catch (error) {
+      if (isAbortError(error)) return;
       setRemindersError(error.message);
     } finally {
       setRemindersLoading(false);
@@ -437,6 +508,8 @@ export function HealthProvider({ children }) {
 
   // Context value with all state and functions
   const contextValue = {
+    isReadOnly,
+
     // Journal
     journalEntries,
     journalLoading,
@@ -0,0 +1,146 @@
+"use client";
+
+/**
+ * Impersonation Context Module
+ * Holds the admin's current "view as user" impersonation, if any, and tags
+ * API requests with it (see impersonationService). Pages read the effective
+ * user through useEffectiveUser rather than useAuth's username.
+ *
+ * The impersonation survives a reload of the tab (sessionStorage), and ends
+ * when the admin signs out or another account signs in.
+ */
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { addRequestInterceptor } from "../lib/apiClient";
+import {
+  createImpersonationInterceptor,
+  endImpersonation,
+  startImpersonation as requestImpersonation,
+} from "../lib/impersonationService";
+
+const STORAGE_KEY = "paradise_impersonation";
+
+const ImpersonationContext = createContext(null);
+
+function readStored(adminUsername) {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return stored?.admin === adminUsername ? stored.impersonation : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStored(adminUsername, impersonation) {
+  try {
+    if (impersonation) {
+      sessionStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ admin: adminUsername, impersonation }),
+      );
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable - the impersonation just won't survive a reload
+  }
+}
+
+/**
+ * ImpersonationProvider component that tracks the admin's impersonation
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function ImpersonationProvider({ children }) {
+  const { isAuthenticated, isLoading: authLoading, username } = useAuth();
+  const [impersonation, setImpersonation] = useState(null);
+  // True until the stored impersonation (if any) has been restored
+  const [isRestoring, setIsRestoring] = useState(true);
+
+  // Restore after a reload; drop it once the admin is signed out
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    setImpersonation(isAuthenticated ? readStored(username) : null);
+    if (!isAuthenticated) {
+      writeStored(null, null);
+    }
+    setIsRestoring(false);
+  }, [authLoading, isAuthenticated, username]);
+
+  useEffect(() => {
+    if (!impersonation) {
+      return undefined;
+    }
+    return addRequestInterceptor(createImpersonationInterceptor(impersonation));
+  }, [impersonation]);
+
+  /**
+   * Starts viewing the app as a user
+   * @param {string} userId - Id of the user to impersonate
+   * @param {{allowWrites?: boolean}} [options]
+   * @returns {Promise<import("../lib/impersonationService").Impersonation>}
+   * @throws {AppError} If the backend refuses
+   */
+  const startImpersonation = useCallback(
+    async (userId, options) => {
+      const started = await requestImpersonation(userId, options);
+      writeStored(username, started);
+      setImpersonation(started);
+      return started;
+    },
+    [username],
+  );
+
+  /**
+   * Goes back to the admin's own view. The local state is cleared even if
+   * the backend can't be told, so the admin is never stuck impersonating.
+   */
+  const stopImpersonation = useCallback(async () => {
+    const current = impersonation;
+    writeStored(null, null);
+    setImpersonation(null);
+    if (current) {
+      await endImpersonation(current.id).catch(() => {});
+    }
+  }, [impersonation]);
+
+  const value = {
+    impersonation,
+    isImpersonating: Boolean(impersonation),
+    isLoading: isRestoring,
+    startImpersonation,
+    stopImpersonation,
+  };
+
+  return (
+    <ImpersonationContext.Provider value={value}>
+      {children}
+    </ImpersonationContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to access the admin's impersonation
+ * @returns {object} Impersonation context value
+ * @throws {Error} If used outside of ImpersonationProvider
+ */
+export function useImpersonation() {
+  const context = useContext(ImpersonationContext);
+
+  if (context === null) {
+    throw new Error(
+      "useImpersonation must be used within an ImpersonationProvider",
+    );
+  }
+
+  return context;
+}
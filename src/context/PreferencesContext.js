@@ -0,0 +1,92 @@
+"use client";
+
+/**
+ * Preferences Context Module
+ * Loads the signed-in user's profile (display name and preferences) and
+ * applies the preferences app-wide: the date and time format feed
+ * utils/dateFormatter, and the tasks and drive pages open on the user's
+ * default category and drive.
+ *
+ * The profile lives in the shared query cache, so saving it on the profile
+ * page updates every consumer. Signed out, the defaults apply.
+ */
+
+import { createContext, useContext, useEffect, useCallback } from "react";
+import { useAuth } from "./AuthContext";
+import { useQuery } from "@/hooks/useQuery";
+import {
+  DEFAULT_PREFERENCES,
+  getProfile,
+  getProfileQueryKey,
+  updateProfile,
+} from "../lib/profileService";
+import { setDateDisplayFormat } from "@/utils/dateFormatter";
+
+const PreferencesContext = createContext(null);
+
+/**
+ * PreferencesProvider component that loads and applies the user's preferences
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function PreferencesProvider({ children }) {
+  const { isAuthenticated, username } = useAuth();
+  const key = isAuthenticated && username ? getProfileQueryKey(username) : null;
+
+  const {
+    data: profile,
+    isLoading,
+    setData,
+  } = useQuery(key, (options) => getProfile(username, options));
+
+  const preferences = (key && profile?.preferences) || DEFAULT_PREFERENCES;
+  const { dateFormat, timeFormat } = preferences;
+
+  useEffect(() => {
+    setDateDisplayFormat({ dateFormat, timeFormat });
+  }, [dateFormat, timeFormat]);
+
+  /**
+   * Saves display name and/or preference changes and shares the result
+   * @param {{displayName?: string, preferences?: object}} changes
+   * @returns {Promise<import("../lib/profileService").Profile>}
+   * @throws {AppError} If the save fails
+   */
+  const saveProfile = useCallback(
+    async (changes) => {
+      const saved = await updateProfile(username, changes);
+      setData(saved);
+      return saved;
+    },
+    [username, setData],
+  );
+
+  const contextValue = {
+    displayName: (key && profile?.displayName) || "",
+    preferences,
+    // True until the first profile load, so pages can wait before applying defaults
+    isLoading: Boolean(key) && isLoading,
+    saveProfile,
+  };
+
+  return (
+    <PreferencesContext.Provider value={contextValue}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to access the signed-in user's preferences
+ * @returns {object} Preferences context value
+ * @throws {Error} If used outside of PreferencesProvider
+ */
+export function usePreferences() {
+  const context = useContext(PreferencesContext);
+
+  if (context === null) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+
+  return context;
+}
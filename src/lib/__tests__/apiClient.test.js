@@ -0,0 +1,458 @@
+/**
+ * apiClient tests
+ *
+ * Retry policy: idempotent requests (GET/PUT/DELETE) are retried on network
+ * failures and transient gateway errors, Retry-After is honored, and POST and
+ * explicit `retry: false` calls are never retried.
+ *
+ * Cancellation: every helper accepts an AbortSignal and a timeout; timeouts
+ * surface as TimeoutError and requests that never got out as NetworkError
+ * (both ApiError subclasses with status 0).
+ *
+ * Session refresh: a 401 triggers one refresh-token exchange and a replay;
+ * concurrent requests share a single in-flight refresh, which times out and
+ * can't hold back a caller's cancellation.
+ *
+ * Pipeline: request/response/error interceptors, text and blob responses,
+ * and multipart bodies that keep the browser-generated Content-Type.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import * as fc from "fast-check";
+import {
+  get,
+  post,
+  put,
+  del,
+  upload,
+  addRequestInterceptor,
+  addResponseInterceptor,
+  addErrorInterceptor,
+  parseRetryAfter,
+  computeBackoffDelay,
+  isAbortError,
+  ApiError,
+  TimeoutError,
+  NetworkError,
+  AuthenticationError,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_TIMEOUT_MS,
+  refreshSession,
+  setLogoutCallback,
+  clearLogoutCallback,
+} from "../apiClient";
+import {
+  setToken,
+  getToken,
+  setRefreshToken,
+  getRefreshToken,
+  clearToken,
+} from "../tokenStorage";
+
+// Zero delays keep the tests fast without fake timers
+const NO_DELAY = { baseDelayMs: 0 };
+
+function jsonResponse(status, body = {}, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+describe("apiClient retry policy", () => {
+  let savedFetch;
+
+  beforeEach(() => {
+    savedFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = savedFetch;
+    vi.restoreAllMocks();
+  });
+
+  it("retries a GET after a network failure and returns the eventual data", async () => {
+    global.fetch = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    await expect(get("/tasks", { retry: NO_DELAY })).resolves.toEqual({
+      ok: true,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("surfaces any browser's network failure as a NetworkError", async () => {
+    const failure = new TypeError("Load failed");
+    global.fetch = vi.fn().mockRejectedValue(failure);
+
+    const error = await post("/tasks", {}).catch((e) => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error).toMatchObject({ status: 0, cause: failure });
+  });
+
+  it("retries 502/503 responses up to the configured number of attempts", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(503, { message: "down" }));
+
+    await expect(
+      put("/tasks/1", { a: 1 }, { retry: { ...NO_DELAY, attempts: 4 } }),
+    ).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it("does not retry client errors", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(404, { message: "nope" }));
+
+    await expect(del("/tasks/1", { retry: NO_DELAY })).rejects.toMatchObject({
+      status: 404,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("never retries POST requests", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(503));
+
+    await expect(post("/tasks", {})).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets callers opt out with retry: false", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(502));
+
+    await expect(get("/heartbeat", { retry: false })).rejects.toMatchObject({
+      status: 502,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up immediately when Retry-After exceeds the maximum wait", async () => {
+    global.fetch = vi.fn(async () =>
+      jsonResponse(503, {}, { "Retry-After": "120" }),
+    );
+
+    await expect(get("/tasks")).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits for Retry-After before retrying", async () => {
+    vi.useFakeTimers();
+    try {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce(jsonResponse(503, {}, { "Retry-After": "2" }))
+        .mockResolvedValueOnce(jsonResponse(200, { done: true }));
+
+      const pending = get("/tasks");
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      await expect(pending).resolves.toEqual({ done: true });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("parses delta-seconds and HTTP dates", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("not a date")).toBeNull();
+
+    const future = new Date(Date.now() + 10000).toUTCString();
+    const delay = parseRetryAfter(future);
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+  });
+});
+
+describe("computeBackoffDelay", () => {
+  it("PBT: delay stays within [0, min(maxDelay, base * 2^(attempt-1))]", () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 20 }), (attempt) => {
+        const delay = computeBackoffDelay(attempt, DEFAULT_RETRY_POLICY);
+        const ceiling = Math.min(
+          DEFAULT_RETRY_POLICY.maxDelayMs,
+          DEFAULT_RETRY_POLICY.baseDelayMs * 2 ** (attempt - 1),
+        );
+        return delay >= 0 && delay <= ceiling;
+      }),
+      { numRuns: 50 },
+    );
+  });
+});
+
+/**
+ * A fetch stand-in that never settles on its own but rejects like the real
+ * fetch when its AbortSignal fires.
+ */
+function hangingFetch() {
+  return vi.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        if (signal.aborted) reject(signal.reason);
+        signal.addEventListener("abort", () => reject(signal.reason));
+      }),
+  );
+}
+
+describe("apiClient cancellation and timeouts", () => {
+  let savedFetch;
+
+  beforeEach(() => {
+    savedFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = savedFetch;
+    vi.useRealTimers();
+  });
+
+  it("rejects with an AbortError when the caller aborts", async () => {
+    global.fetch = hangingFetch();
+    const controller = new AbortController();
+
+    const pending = get("/drives/myDrive", { signal: controller.signal });
+    controller.abort();
+
+    const error = await pending.catch((e) => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects immediately when the signal is already aborted", async () => {
+    global.fetch = hangingFetch();
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await get("/docs/tree", { signal: controller.signal }).catch(
+      (e) => e,
+    );
+    expect(isAbortError(error)).toBe(true);
+  });
+
+  it("raises TimeoutError when the per-call timeout elapses", async () => {
+    vi.useFakeTimers();
+    global.fetch = hangingFetch();
+
+    const pending = post("/tasks", {}, { timeout: 1000 }).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    const error = await pending;
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.timeoutMs).toBe(1000);
+    expect(isAbortError(error)).toBe(false);
+  });
+
+  it("stops retrying once the caller aborts during backoff", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(503));
+    const controller = new AbortController();
+
+    const pending = get("/tasks", {
+      signal: controller.signal,
+      retry: { baseDelayMs: 60000, maxDelayMs: 60000 },
+    }).catch((e) => e);
+    await Promise.resolve();
+    controller.abort();
+
+    expect(isAbortError(await pending)).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("apiClient session refresh", () => {
+  let savedFetch;
+
+  beforeEach(() => {
+    savedFetch = global.fetch;
+    setToken("old-token");
+    setRefreshToken("refresh-1");
+  });
+
+  afterEach(() => {
+    global.fetch = savedFetch;
+    clearToken();
+    clearLogoutCallback();
+  });
+
+  /**
+   * Routes /auth/refresh to `refreshResponse` and everything else to 200 when
+   * sent with the new token, 401 otherwise.
+   */
+  function sessionFetch(refreshResponse) {
+    return vi.fn(async (url, options) => {
+      if (url.endsWith("/auth/refresh")) {
+        return refreshResponse();
+      }
+      return options.headers.Authorization === "Bearer new-token"
+        ? jsonResponse(200, { url })
+        : jsonResponse(401);
+    });
+  }
+
+  it("refreshes once on 401 and replays the request with the new token", async () => {
+    global.fetch = sessionFetch(() =>
+      jsonResponse(200, { token: "new-token", refreshToken: "refresh-2" }),
+    );
+
+    await expect(get("/tasks")).resolves.toEqual({ url: "/tasks" });
+    expect(getToken()).toBe("new-token");
+    expect(getRefreshToken()).toBe("refresh-2");
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("shares a single refresh between concurrent 401s", async () => {
+    global.fetch = sessionFetch(() =>
+      jsonResponse(200, { token: "new-token" }),
+    );
+
+    await Promise.all([get("/a"), get("/b"), refreshSession()]);
+
+    const refreshCalls = global.fetch.mock.calls.filter(([url]) =>
+      url.endsWith("/auth/refresh"),
+    );
+    expect(refreshCalls).toHaveLength(1);
+  });
+
+  it("logs out when the refresh is rejected", async () => {
+    const logout = vi.fn();
+    setLogoutCallback(logout);
+    global.fetch = sessionFetch(() => jsonResponse(401));
+
+    await expect(get("/tasks")).rejects.toBeInstanceOf(AuthenticationError);
+    expect(logout).toHaveBeenCalledTimes(1);
+    expect(getToken()).toBeNull();
+  });
+
+  /** A fetch that never answers, only rejecting when its signal aborts */
+  const hangingFetch = () =>
+    vi.fn(
+      (url, options) =>
+        new Promise((resolve, reject) => {
+          options.signal.addEventListener("abort", () =>
+            reject(options.signal.reason),
+          );
+        }),
+    );
+
+  it("gives up on a refresh that never answers", async () => {
+    vi.useFakeTimers();
+    try {
+      global.fetch = hangingFetch();
+      const refreshed = refreshSession();
+
+      await vi.advanceTimersByTimeAsync(DEFAULT_TIMEOUT_MS);
+
+      await expect(refreshed).resolves.toBeNull();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("lets callers cancel a request waiting on a refresh", async () => {
+    let answerRefresh;
+    global.fetch = vi.fn(
+      () =>
+        new Promise((resolve) => {
+          answerRefresh = resolve;
+        }),
+    );
+    const refreshed = refreshSession();
+    const controller = new AbortController();
+
+    const pending = get("/tasks", { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toSatisfy(isAbortError);
+    // Only the refresh went out
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    answerRefresh(jsonResponse(401));
+    await refreshed;
+  });
+});
+
+describe("apiClient interceptor pipeline", () => {
+  let savedFetch;
+
+  beforeEach(() => {
+    savedFetch = global.fetch;
+    setToken("test-token");
+  });
+
+  afterEach(() => {
+    global.fetch = savedFetch;
+    clearToken();
+  });
+
+  it("sends FormData as-is, without Content-Type, with the Bearer token", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(201, { id: "doc-1" }));
+    const formData = new FormData();
+    formData.append("category", "lab");
+
+    await expect(upload("/documents", formData)).resolves.toEqual({
+      id: "doc-1",
+    });
+
+    const [, options] = global.fetch.mock.calls[0];
+    expect(options.method).toBe("POST");
+    expect(options.body).toBe(formData);
+    expect(options.headers["Content-Type"]).toBeUndefined();
+    expect(options.headers["Authorization"]).toBe("Bearer test-token");
+  });
+
+  it("returns text and blob bodies when asked", async () => {
+    global.fetch = vi.fn(async () => new Response("# Title", { status: 200 }));
+
+    await expect(get("/docs/file", { responseType: "text" })).resolves.toBe(
+      "# Title",
+    );
+    const blob = await get("/download", { responseType: "blob" });
+    expect(blob.size).toBe(7);
+    expect(await blob.text()).toBe("# Title");
+  });
+
+  it("runs request interceptors in order and stops after removal", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(200));
+    const removeFirst = addRequestInterceptor((config) => {
+      config.headers["X-Trace"] = "a";
+    });
+    const removeSecond = addRequestInterceptor((config) => ({
+      ...config,
+      headers: {
+        ...config.headers,
+        "X-Trace": `${config.headers["X-Trace"]}b`,
+      },
+    }));
+
+    await get("/tasks");
+    removeFirst();
+    removeSecond();
+    await get("/tasks");
+
+    expect(global.fetch.mock.calls[0][1].headers["X-Trace"]).toBe("ab");
+    expect(global.fetch.mock.calls[1][1].headers["X-Trace"]).toBeUndefined();
+  });
+
+  it("passes responses and errors through their interceptors", async () => {
+    global.fetch = vi.fn(async () => jsonResponse(404, { message: "gone" }));
+    const seen = [];
+    const removeResponse = addResponseInterceptor((response, config) => {
+      seen.push(`${config.method} ${config.endpoint} ${response.status}`);
+    });
+    const removeError = addErrorInterceptor(
+      (error) => new Error(`mapped: ${error.message}`),
+    );
+
+    try {
+      await expect(get("/tasks/1")).rejects.toThrow("mapped: gone");
+      expect(seen).toEqual(["GET /tasks/1 404"]);
+    } finally {
+      removeResponse();
+      removeError();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Audit log export tests
+ *
+ * Actions export as their readable labels, role changes as "from → to", and
+ * usernames go through escapeCSVField like any other exported text.
+ */
+
+import { describe, it, expect } from "vitest";
+import { describeAuditDetails, exportAuditLogCSV } from "../auditService";
+
+const entry = (overrides) => ({
+  id: "1",
+  timestamp: "2026-05-01T10:00:00.000Z",
+  actor: "admin",
+  action: "PASSWORD_RESET",
+  targetId: "u1",
+  target: "demo",
+  details: {},
+  ...overrides,
+});
+
+describe("describeAuditDetails", () => {
+  it("summarises role changes and leaves other actions blank", () => {
+    expect(
+      describeAuditDetails(
+        entry({
+          action: "ROLES_CHANGED",
+          details: { from: ["ROLE_USER"], to: ["ROLE_USER", "ROLE_ADMIN"] },
+        }),
+      ),
+    ).toBe("USER → USER, ADMIN");
+    expect(describeAuditDetails(entry())).toBe("");
+  });
+});
+
+describe("exportAuditLogCSV", () => {
+  it("writes a header and one escaped row per entry", () => {
+    const csv = exportAuditLogCSV([
+      entry(),
+      entry({
+        id: "2",
+        action: "USER_CREATED",
+        target: 'o"brien, j',
+        details: { roles: ["ROLE_USER"] },
+      }),
+    ]);
+
+    expect(csv.split("\n")).toEqual([
+      "Time,Actor,Action,Target,Details",
+      "2026-05-01T10:00:00.000Z,admin,Reset password,demo,",
+      '2026-05-01T10:00:00.000Z,admin,Created user,"o""brien, j",Roles: USER',
+    ]);
+  });
+});
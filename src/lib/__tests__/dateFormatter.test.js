@@ -0,0 +1,121 @@
+/**
+ * Date formatter tests
+ *
+ * Every formatter follows the date order and clock style from the user's
+ * preferences; missing or unparseable input renders a placeholder instead
+ * of throwing or showing "NaN".
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  formatClockTime,
+  formatDateTime,
+  formatLongDate,
+  formatShortDate,
+  formatStatusDate,
+  getDateDisplayFormat,
+  setDateDisplayFormat,
+  subscribeToDateDisplayFormat,
+} from "@/utils/dateFormatter";
+
+const PLACEHOLDER = "—";
+
+// Local times, so the expectations hold in any timezone
+const AFTERNOON = new Date(2026, 3, 5, 15, 45, 7);
+const JUST_AFTER_MIDNIGHT = new Date(2026, 3, 5, 0, 5, 0);
+
+afterEach(() => {
+  setDateDisplayFormat();
+});
+
+describe("setDateDisplayFormat", () => {
+  it("notifies subscribers and falls back to the defaults for unknown values", () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToDateDisplayFormat(listener);
+
+    setDateDisplayFormat({ dateFormat: "DMY", timeFormat: "24h" });
+    expect(getDateDisplayFormat()).toEqual({
+      dateFormat: "DMY",
+      timeFormat: "24h",
+    });
+    setDateDisplayFormat({ dateFormat: "YMD", timeFormat: "36h" });
+    expect(getDateDisplayFormat()).toEqual({
+      dateFormat: "MDY",
+      timeFormat: "default",
+    });
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    setDateDisplayFormat({ dateFormat: "ISO" });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("date orders", () => {
+  it.each([
+    ["MDY", "Apr 21, 2026", "TUESDAY, APRIL 21, 2026", "04/05/26"],
+    ["DMY", "21 Apr 2026", "TUESDAY, 21 APRIL 2026", "05/04/26"],
+    ["ISO", "2026-04-21", "TUESDAY, 2026-04-21", "2026-04-05"],
+  ])("formats dates in %s order", (dateFormat, short, long, status) => {
+    setDateDisplayFormat({ dateFormat });
+    expect(formatShortDate("2026-04-21")).toBe(short);
+    expect(formatLongDate("2026-04-21")).toBe(long);
+    expect(formatStatusDate(AFTERNOON)).toBe(status);
+  });
+});
+
+describe("formatClockTime", () => {
+  it("uses the 12-hour clock unless the caller's default says otherwise", () => {
+    expect(formatClockTime(AFTERNOON)).toBe("3:45 PM");
+    expect(
+      formatClockTime(AFTERNOON, { seconds: true, defaultFormat: "24h" }),
+    ).toBe("15:45:07");
+  });
+
+  it("formats 12-hour times", () => {
+    setDateDisplayFormat({ timeFormat: "12h" });
+    expect(formatClockTime(AFTERNOON, { defaultFormat: "24h" })).toBe(
+      "3:45 PM",
+    );
+    expect(formatClockTime(AFTERNOON, { seconds: true })).toBe("3:45:07 PM");
+    expect(formatClockTime(JUST_AFTER_MIDNIGHT)).toBe("12:05 AM");
+  });
+
+  it("formats 24-hour times", () => {
+    setDateDisplayFormat({ timeFormat: "24h" });
+    expect(formatClockTime(AFTERNOON)).toBe("15:45");
+    expect(formatClockTime(AFTERNOON, { seconds: true })).toBe("15:45:07");
+    expect(formatClockTime(JUST_AFTER_MIDNIGHT)).toBe("00:05");
+  });
+});
+
+describe("formatDateTime", () => {
+  const lastYear = new Date().getFullYear() - 1;
+  const earlier = new Date(lastYear, 0, 2, 9, 5).getTime();
+
+  it("adds the year only when it isn't the current one", () => {
+    const thisYear = new Date(new Date().getFullYear(), 0, 2, 9, 5);
+    expect(formatDateTime(thisYear.toISOString())).toBe("Jan 2, 9:05 AM");
+    expect(formatDateTime(earlier)).toBe(`Jan 2, ${lastYear}, 9:05 AM`);
+  });
+
+  it.each([
+    ["DMY", "12h", `2 Jan ${lastYear}, 9:05 AM`],
+    ["DMY", "24h", `2 Jan ${lastYear}, 09:05`],
+    ["ISO", "24h", `${lastYear}-01-02, 09:05`],
+  ])("follows the %s order and %s clock", (dateFormat, timeFormat, text) => {
+    setDateDisplayFormat({ dateFormat, timeFormat });
+    expect(formatDateTime(earlier)).toBe(text);
+  });
+});
+
+describe("invalid input", () => {
+  it("renders a placeholder instead of throwing or showing NaN", () => {
+    expect(formatShortDate("not-a-date")).toBe(PLACEHOLDER);
+    expect(formatShortDate("2026-13-01")).toBe(PLACEHOLDER);
+    expect(formatLongDate(null)).toBe(PLACEHOLDER);
+    expect(formatLongDate("2026-04")).toBe(PLACEHOLDER);
+    expect(formatDateTime("not a timestamp")).toBe(PLACEHOLDER);
+    expect(formatDateTime(null)).toBe("Unknown");
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Error catalog tests
+ *
+ * toAppError maps network failures, timeouts, HTTP statuses and backend codes
+ * into AppErrors with stable codes; cancellations pass through untouched.
+ * withAppErrors applies the same mapping to a service call.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  AppError,
+  ErrorSeverity,
+  isOfflineError,
+  toAppError,
+  withAppErrors,
+} from "../errors";
+import { ApiError, NetworkError, TimeoutError } from "../apiClient";
+
+describe("toAppError", () => {
+  it("maps network failures to a retryable NETWORK_ERROR", () => {
+    const error = toAppError(new TypeError("Failed to fetch"));
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.code).toBe("NETWORK_ERROR");
+    expect(error.status).toBe(0);
+    expect(error.retryable).toBe(true);
+  });
+
+  it("recognizes network failures from every browser", () => {
+    [
+      new NetworkError(),
+      new TypeError("NetworkError when attempting to fetch resource."),
+      new TypeError("Load failed"),
+    ].forEach((failure) => {
+      expect(toAppError(failure).code).toBe("NETWORK_ERROR");
+    });
+    // Other TypeErrors are bugs, not an unreachable backend
+    expect(toAppError(new TypeError("x is undefined")).code).toBe("UNKNOWN");
+  });
+
+  it("maps timeouts to TIMEOUT with warning severity", () => {
+    const error = toAppError(new TimeoutError("slow", 1000));
+
+    expect(error.code).toBe("TIMEOUT");
+    expect(error.severity).toBe(ErrorSeverity.WARNING);
+  });
+
+  it("prefers a known backend code over the HTTP status", () => {
+    const error = toAppError(
+      new ApiError("gone", 404, { code: "DRIVE_ITEM_NOT_FOUND" }),
+    );
+
+    expect(error.code).toBe("DRIVE_ITEM_NOT_FOUND");
+    expect(error.message).toBe("This item no longer exists.");
+    expect(error.status).toBe(404);
+    expect(error.data).toEqual({ code: "DRIVE_ITEM_NOT_FOUND" });
+  });
+
+  it("shows the server's message for validation errors", () => {
+    const error = toAppError(
+      new ApiError("Bad", 400, {
+        errorCode: "HEALTH_VALIDATION_FAILED",
+        message: "Value must be positive",
+      }),
+    );
+
+    expect(error.code).toBe("HEALTH_VALIDATION_FAILED");
+    expect(error.message).toBe("Value must be positive");
+    expect(error.retryable).toBe(false);
+  });
+
+  it("applies per-code overrides and the operation fallback", () => {
+    expect(
+      toAppError(new ApiError("x", 404), {
+        messages: { NOT_FOUND: "Task not found." },
+      }).message,
+    ).toBe("Task not found.");
+    expect(
+      toAppError(new ApiError("x", 418), { operation: "fetch tasks" }).message,
+    ).toBe("Failed to fetch tasks. Please try again.");
+  });
+
+  it("returns aborts and existing AppErrors unchanged", () => {
+    const abort = new DOMException("Aborted", "AbortError");
+    const appError = new AppError("Already mapped", { code: "CONFLICT" });
+
+    expect(toAppError(abort)).toBe(abort);
+    expect(toAppError(appError)).toBe(appError);
+  });
+});
+
+describe("withAppErrors", () => {
+  it("returns the call's result and maps what it throws", async () => {
+    expect(await withAppErrors(async () => "ok")).toBe("ok");
+    await expect(
+      withAppErrors(
+        async () => {
+          throw new ApiError("x", 404);
+        },
+        { operation: "load roles", messages: { NOT_FOUND: "No such role." } },
+      ),
+    ).rejects.toMatchObject({ code: "NOT_FOUND", message: "No such role." });
+  });
+});
+
+describe("isOfflineError", () => {
+  it("separates an unreachable backend from rejected requests", () => {
+    expect(isOfflineError(new TypeError("Failed to fetch"))).toBe(true);
+    expect(isOfflineError(new TimeoutError("slow", 1000))).toBe(true);
+    expect(isOfflineError(new ApiError("Bad Gateway", 502))).toBe(true);
+    expect(isOfflineError(new ApiError("Bad", 400))).toBe(false);
+    expect(isOfflineError(new DOMException("Aborted", "AbortError"))).toBe(
+      false,
+    );
+  });
+});
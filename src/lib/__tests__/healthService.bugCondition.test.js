@@ -36,6 +36,10 @@ vi.mock("../apiClient", () => {
     capturedUrl = url;
     return undefined;
   });
+  const mockUpload = vi.fn(async (url) => {
+    capturedUrl = url;
+    return {};
+  });
 
   return {
     default: {
@@ -43,6 +47,7 @@ vi.mock("../apiClient", () => {
       post: mockPost,
       put: mockPut,
       delete: mockDel,
+      upload: mockUpload,
     },
     get: mockGet,
     post: mockPost,
@@ -51,6 +56,9 @@ vi.mock("../apiClient", () => {
     handleUnauthorized: vi.fn(),
     setLogoutCallback: vi.fn(),
     clearLogoutCallback: vi.fn(),
+    isAbortError: (error) => error?.name === "AbortError",
+    TimeoutError: class TimeoutError extends Error {},
+    NetworkError: class NetworkError extends Error {},
   };
 });
 
@@ -126,19 +134,15 @@ describe("Bug Condition Exploration — Health API URLs use user-scoped path", (
   /**
    * **Validates: Requirements 1.2**
    *
-   * Property: For any valid username, uploadDocument (which uses global fetch
-   * instead of apiClient) constructs a URL containing `/users/{username}/health/documents`.
+   * Property: For any valid username, uploadDocument (a multipart upload via
+   * apiClient.upload) constructs a URL containing `/users/{username}/health/documents`.
    */
-  it("Property 1: uploadDocument fetch URL uses /users/{username}/health/documents", () => {
+  it("Property 1: uploadDocument URL uses /users/{username}/health/documents", () => {
     fc.assert(
       fc.property(
         fc.stringMatching(/^[a-zA-Z][a-zA-Z0-9]{0,19}$/),
         async (username) => {
-          let fetchedUrl = "";
-          global.fetch = vi.fn(async (url) => {
-            fetchedUrl = url;
-            return { ok: true, json: async () => ({}) };
-          });
+          capturedUrl = "";
 
           await healthService.uploadDocument(
             username,
@@ -148,8 +152,8 @@ describe("Bug Condition Exploration — Health API URLs use user-scoped path", (
 
           const expectedPath = `/users/${username}/health/documents`;
           expect(
-            fetchedUrl.includes(expectedPath),
-            `uploadDocument: expected fetch URL "${fetchedUrl}" to contain "${expectedPath}"`
+            capturedUrl.includes(expectedPath),
+            `uploadDocument: expected URL "${capturedUrl}" to contain "${expectedPath}"`
           ).toBe(true);
         }
       ),
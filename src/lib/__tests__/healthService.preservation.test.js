@@ -5,7 +5,8 @@
  *
  * These tests verify that the health API path fix did NOT break existing behavior:
  *   - handleError() still transforms errors into user-friendly messages
- *   - uploadDocument still uses FormData, omits Content-Type, includes Authorization: Bearer
+ *   - uploadDocument still sends a FormData multipart body (through apiClient.upload,
+ *     which omits Content-Type and attaches the Bearer token - see apiClient.test.js)
  *   - apiClient.js module exports are unchanged and functional
  *
  * EXPECTED: All tests PASS (confirms baseline behavior is preserved after the fix).
@@ -26,6 +27,7 @@ vi.mock("../apiClient", () => {
   const mockPost = vi.fn();
   const mockPut = vi.fn();
   const mockDel = vi.fn();
+  const mockUpload = vi.fn();
 
   return {
     default: {
@@ -33,6 +35,7 @@ vi.mock("../apiClient", () => {
       post: mockPost,
       put: mockPut,
       delete: mockDel,
+      upload: mockUpload,
     },
     get: mockGet,
     post: mockPost,
@@ -41,6 +44,9 @@ vi.mock("../apiClient", () => {
     handleUnauthorized: vi.fn(),
     setLogoutCallback: vi.fn(),
     clearLogoutCallback: vi.fn(),
+    isAbortError: (error) => error?.name === "AbortError",
+    TimeoutError: class TimeoutError extends Error {},
+    NetworkError: class NetworkError extends Error {},
   };
 });
 
@@ -178,56 +184,33 @@ describe("Preservation — Error handling unchanged (Property 2)", () => {
 });
 
 describe("Preservation — uploadDocument multipart mechanics (Property 2)", () => {
-  let savedFetch;
-
   beforeEach(() => {
     vi.clearAllMocks();
-    savedFetch = global.fetch;
-    process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL = "https://api.example.com";
-  });
-
-  afterEach(() => {
-    global.fetch = savedFetch;
   });
 
   /**
    * **Validates: Requirements 3.4**
    *
-   * Test: uploadDocument constructs a FormData body, does not set Content-Type,
-   * and sets Authorization: Bearer {token}.
+   * Test: uploadDocument constructs a FormData body and sends it as a
+   * multipart upload to the user's documents endpoint.
    */
-  it("uploadDocument uses FormData body, omits Content-Type, includes Authorization: Bearer header", async () => {
-    let capturedUrl = "";
-    let capturedOptions = {};
-
-    global.fetch = vi.fn(async (url, options) => {
-      capturedUrl = url;
-      capturedOptions = options;
-      return { ok: true, json: async () => ({ id: "doc-1" }) };
-    });
+  it("uploadDocument sends a FormData body via apiClient.upload", async () => {
+    apiClient.upload.mockResolvedValueOnce({ id: "doc-1" });
 
     const file = new File(["test content"], "report.pdf", {
       type: "application/pdf",
     });
     await healthService.uploadDocument("alice", file, "lab");
 
-    // Verify FormData body
-    expect(capturedOptions.body).toBeInstanceOf(FormData);
-    expect(capturedOptions.body.get("file")).toBeInstanceOf(File);
-    expect(capturedOptions.body.get("file").name).toBe("report.pdf");
-    expect(capturedOptions.body.get("category")).toBe("lab");
-
-    // Verify NO Content-Type header (browser sets multipart boundary automatically)
-    expect(capturedOptions.headers).toBeDefined();
-    expect(capturedOptions.headers["Content-Type"]).toBeUndefined();
+    expect(apiClient.upload).toHaveBeenCalledTimes(1);
+    const [endpoint, body] = apiClient.upload.mock.calls[0];
+    expect(endpoint).toBe("/users/alice/health/documents");
 
-    // Verify Authorization: Bearer header
-    expect(capturedOptions.headers["Authorization"]).toBe(
-      "Bearer test-token-abc123"
-    );
-
-    // Verify method is POST
-    expect(capturedOptions.method).toBe("POST");
+    // Verify FormData body
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get("file")).toBeInstanceOf(File);
+    expect(body.get("file").name).toBe("report.pdf");
+    expect(body.get("category")).toBe("lab");
   });
 });
 
@@ -0,0 +1,39 @@
+/**
+ * Idle lock tests
+ *
+ * The shortest positive period wins (a page can only make the lock stricter,
+ * and 0 means "never"), and nothing locks before any activity was recorded.
+ */
+
+import { describe, it, expect } from "vitest";
+import { getEffectiveIdleTimeout, isIdleExpired } from "../idleLock";
+
+const MINUTE = 60 * 1000;
+
+describe("getEffectiveIdleTimeout", () => {
+  it("uses the shortest positive period", () => {
+    expect(getEffectiveIdleTimeout(15 * MINUTE)).toBe(15 * MINUTE);
+    expect(getEffectiveIdleTimeout(15 * MINUTE, [5 * MINUTE])).toBe(5 * MINUTE);
+    expect(getEffectiveIdleTimeout(5 * MINUTE, [30 * MINUTE])).toBe(5 * MINUTE);
+  });
+
+  it("treats 0 as never locking", () => {
+    expect(getEffectiveIdleTimeout(0)).toBe(0);
+    expect(getEffectiveIdleTimeout(0, [5 * MINUTE])).toBe(5 * MINUTE);
+    expect(getEffectiveIdleTimeout(15 * MINUTE, [0])).toBe(15 * MINUTE);
+  });
+});
+
+describe("isIdleExpired", () => {
+  const now = 1_000_000_000;
+
+  it("expires once the period has passed since the last activity", () => {
+    expect(isIdleExpired(now - 5 * MINUTE + 1, 5 * MINUTE, now)).toBe(false);
+    expect(isIdleExpired(now - 5 * MINUTE, 5 * MINUTE, now)).toBe(true);
+  });
+
+  it("never expires without a period or recorded activity", () => {
+    expect(isIdleExpired(now - 60 * MINUTE, 0, now)).toBe(false);
+    expect(isIdleExpired(null, 5 * MINUTE, now)).toBe(false);
+  });
+});
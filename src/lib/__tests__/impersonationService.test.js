@@ -0,0 +1,76 @@
+/**
+ * Impersonation service tests
+ *
+ * A read-only impersonation refuses every change to the impersonated user's
+ * data, however the service wrote the username into the path.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  IMPERSONATION_HEADER,
+  createImpersonationInterceptor,
+  isImpersonatedWrite,
+} from "../impersonationService";
+
+const impersonation = {
+  id: "imp-1",
+  username: "jo smith+test@example.com",
+  allowWrites: false,
+};
+
+describe("isImpersonatedWrite", () => {
+  it("matches raw and encoded usernames", () => {
+    const raw = `/users/${impersonation.username}/tasks/todo`;
+    const encoded = `/users/${encodeURIComponent(impersonation.username)}/tasks/todo`;
+
+    expect(
+      isImpersonatedWrite({ method: "POST", endpoint: raw }, impersonation),
+    ).toBe(true);
+    expect(
+      isImpersonatedWrite(
+        { method: "delete", endpoint: encoded },
+        impersonation,
+      ),
+    ).toBe(true);
+  });
+
+  it("ignores reads and other users' paths", () => {
+    const endpoint = `/users/${impersonation.username}/tasks`;
+
+    expect(
+      isImpersonatedWrite({ method: "GET", endpoint }, impersonation),
+    ).toBe(false);
+    expect(
+      isImpersonatedWrite(
+        { method: "PUT", endpoint: "/users/jo/tasks/1" },
+        impersonation,
+      ),
+    ).toBe(false);
+    expect(
+      isImpersonatedWrite(
+        { method: "POST", endpoint: "/admin/impersonation" },
+        impersonation,
+      ),
+    ).toBe(false);
+  });
+});
+
+describe("createImpersonationInterceptor", () => {
+  it("tags requests and refuses writes when read-only", () => {
+    const intercept = createImpersonationInterceptor(impersonation);
+    const read = intercept({
+      method: "GET",
+      endpoint: `/users/${impersonation.username}/tasks`,
+      headers: {},
+    });
+    expect(read.headers[IMPERSONATION_HEADER]).toBe("imp-1");
+
+    expect(() =>
+      intercept({
+        method: "PUT",
+        endpoint: `/users/${impersonation.username}/tasks/todo/1`,
+        headers: {},
+      }),
+    ).toThrow(expect.objectContaining({ status: 403 }));
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Offline queue tests
+ *
+ * Mutations that fail because the backend is unreachable are queued and
+ * replayed in order; queued updates lose to newer server changes. jsdom has
+ * no IndexedDB, so these run against the in-memory outbox.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { ApiError, NetworkError } from "../apiClient";
+
+const tasks = vi.hoisted(() => ({
+  getAllTasks: vi.fn(),
+  createTodoTask: vi.fn(),
+  updateTodoTask: vi.fn(),
+  deleteTodoTask: vi.fn(),
+}));
+const health = vi.hoisted(() => ({
+  getJournalEntries: vi.fn(),
+  createJournalEntry: vi.fn(),
+  updateJournalEntry: vi.fn(),
+}));
+
+vi.mock("../taskService", () => ({ TaskService: tasks }));
+vi.mock("../healthService", () => ({ healthService: health }));
+
+const offline = () => new TypeError("Failed to fetch");
+
+let queue;
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  // Fresh module = empty in-memory outbox
+  vi.resetModules();
+  queue = await import("../offlineQueue");
+  tasks.getAllTasks.mockResolvedValue({
+    todoTasks: { personal: [], work: [] },
+    dailyTasks: [],
+  });
+  health.getJournalEntries.mockResolvedValue([]);
+});
+
+describe("sendOrQueue", () => {
+  it("sends immediately while the backend is reachable", async () => {
+    tasks.createTodoTask.mockResolvedValue({ id: "t1" });
+
+    const outcome = await queue.sendOrQueue("alice", "task.create", {
+      task: { id: "t1" },
+    });
+
+    expect(outcome).toEqual({ queued: false, result: { id: "t1" } });
+    expect(await queue.getPendingMutations("alice")).toHaveLength(0);
+  });
+
+  it("queues on network failure and keeps later mutations behind it", async () => {
+    tasks.createTodoTask.mockRejectedValue(offline());
+
+    await queue.sendOrQueue("alice", "task.create", { task: { id: "t1" } });
+    await queue.sendOrQueue("alice", "task.update", {
+      taskId: "t1",
+      updates: { description: "Renamed" },
+    });
+
+    const pending = await queue.getPendingMutations("alice");
+    expect(pending.map((entry) => entry.type)).toEqual([
+      "task.create",
+      "task.update",
+    ]);
+    // The update was never attempted out of order
+    expect(tasks.updateTodoTask).not.toHaveBeenCalled();
+  });
+
+  it("queues on other browsers' network failures too", async () => {
+    tasks.createTodoTask
+      .mockRejectedValueOnce(
+        new TypeError("NetworkError when attempting to fetch resource."),
+      )
+      .mockRejectedValueOnce(new NetworkError());
+
+    const first = await queue.sendOrQueue("alice", "task.create", {
+      task: { id: "t1" },
+    });
+    // Another user's outbox is empty, so this one is attempted too
+    const second = await queue.sendOrQueue("bob", "task.create", {
+      task: { id: "t2" },
+    });
+
+    expect(tasks.createTodoTask).toHaveBeenCalledTimes(2);
+    expect(first.queued).toBe(true);
+    expect(second.queued).toBe(true);
+  });
+
+  it("passes executor options through without storing them", async () => {
+    const updates = { order: 2 };
+    tasks.updateTodoTask.mockResolvedValueOnce({ id: "t1" });
+    await queue.sendOrQueue(
+      "alice",
+      "task.update",
+      { taskId: "t1", updates },
+      { invalidate: false },
+    );
+    expect(tasks.updateTodoTask).toHaveBeenCalledWith("alice", "t1", updates, {
+      invalidate: false,
+    });
+
+    tasks.updateTodoTask.mockRejectedValueOnce(offline());
+    await queue.sendOrQueue(
+      "alice",
+      "task.update",
+      { taskId: "t1", updates },
+      { invalidate: false },
+    );
+    const [entry] = await queue.getPendingMutations("alice");
+    expect(entry.payload).toEqual({ taskId: "t1", updates });
+  });
+
+  it("rethrows errors the server returned", async () => {
+    tasks.deleteTodoTask.mockRejectedValue(new ApiError("Bad", 400));
+
+    await expect(
+      queue.sendOrQueue("alice", "task.delete", { taskId: "t1" }),
+    ).rejects.toThrow();
+    expect(await queue.getPendingMutations("alice")).toHaveLength(0);
+  });
+
+  it("throws instead of queueing with queue: false", async () => {
+    tasks.createTodoTask.mockRejectedValue(offline());
+    // Even behind the user's own queued changes, it's sent now
+    await queue.enqueueMutation("bob", "task.delete", { taskId: "t0" });
+
+    await expect(
+      queue.sendOrQueue(
+        "bob",
+        "task.create",
+        { task: { id: "t1" } },
+        { queue: false },
+      ),
+    ).rejects.toThrow("Failed to fetch");
+    expect(tasks.createTodoTask).toHaveBeenCalledWith("bob", { id: "t1" });
+    expect(await queue.getPendingMutations("bob")).toHaveLength(1);
+  });
+});
+
+describe("replayOutbox", () => {
+  it("replays in order and maps temporary journal ids", async () => {
+    const tempId = queue.createTempId();
+    await queue.enqueueMutation("alice", "journal.save", {
+      entry: { id: tempId, date: "2026-01-01", thoughts: "a" },
+    });
+    await queue.enqueueMutation("alice", "journal.save", {
+      entry: { id: tempId, date: "2026-01-01", thoughts: "b" },
+    });
+    health.createJournalEntry.mockResolvedValue({ id: "j1" });
+    health.updateJournalEntry.mockResolvedValue({ id: "j1" });
+
+    const result = await queue.replayOutbox("alice");
+
+    expect(result).toEqual({
+      replayed: 2,
+      conflicts: 0,
+      failed: 0,
+      remaining: 0,
+    });
+    expect(health.createJournalEntry).toHaveBeenCalledWith("alice", {
+      date: "2026-01-01",
+      thoughts: "a",
+    });
+    expect(health.updateJournalEntry).toHaveBeenCalledWith(
+      "alice",
+      "j1",
+      expect.objectContaining({ id: "j1", thoughts: "b" }),
+    );
+  });
+
+  it("drops updates when the server copy changed after they were queued", async () => {
+    await queue.enqueueMutation("alice", "task.update", {
+      taskId: "t1",
+      updates: { description: "Stale" },
+    });
+    tasks.getAllTasks.mockResolvedValue({
+      todoTasks: {
+        personal: [{ id: "t1", updatedAt: "2999-01-01T00:00:00Z" }],
+        work: [],
+      },
+      dailyTasks: [],
+    });
+
+    const result = await queue.replayOutbox("alice");
+
+    expect(result.conflicts).toBe(1);
+    expect(tasks.updateTodoTask).not.toHaveBeenCalled();
+    expect(await queue.getPendingMutations("alice")).toHaveLength(0);
+  });
+
+  it("stops at the first network failure and keeps the rest queued", async () => {
+    await queue.enqueueMutation("alice", "task.create", { task: { id: "t1" } });
+    await queue.enqueueMutation("alice", "task.delete", { taskId: "t1" });
+    tasks.createTodoTask.mockRejectedValue(offline());
+
+    const result = await queue.replayOutbox("alice");
+
+    expect(result).toEqual({
+      replayed: 0,
+      conflicts: 0,
+      failed: 0,
+      remaining: 2,
+    });
+    expect(await queue.getPendingMutations("alice")).toHaveLength(2);
+  });
+
+  it("keeps the queue when the conflict check can't load the server copy", async () => {
+    await queue.enqueueMutation("alice", "task.update", {
+      taskId: "t1",
+      updates: { description: "Offline edit" },
+    });
+    await queue.enqueueMutation("alice", "task.delete", { taskId: "t2" });
+    tasks.getAllTasks.mockRejectedValue(new ApiError("Server error", 500));
+
+    const result = await queue.replayOutbox("alice");
+
+    expect(result).toEqual({
+      replayed: 0,
+      conflicts: 0,
+      failed: 0,
+      remaining: 2,
+    });
+    expect(tasks.updateTodoTask).not.toHaveBeenCalled();
+    expect(await queue.getPendingMutations("alice")).toHaveLength(2);
+
+    // The next replay loads the snapshot again
+    tasks.getAllTasks.mockResolvedValue({
+      todoTasks: { personal: [{ id: "t1" }, { id: "t2" }] },
+      dailyTasks: [],
+    });
+    tasks.updateTodoTask.mockResolvedValue({});
+    tasks.deleteTodoTask.mockResolvedValue({});
+    expect((await queue.replayOutbox("alice")).replayed).toBe(2);
+  });
+});
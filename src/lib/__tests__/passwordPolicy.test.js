@@ -0,0 +1,55 @@
+/**
+ * Password policy tests
+ *
+ * Every rule is reported (so the meter can show a checklist), errors follow
+ * rule order, and a password that breaks the policy never scores above 0.
+ */
+
+import { describe, it, expect } from "vitest";
+import { checkPassword, getPasswordStrength } from "../passwordPolicy";
+
+const failedRules = (password, username) =>
+  checkPassword(password, { username })
+    .rules.filter((rule) => !rule.passed)
+    .map((rule) => rule.id);
+
+describe("checkPassword", () => {
+  it("accepts a long, mixed password", () => {
+    expect(checkPassword("Correct-horse-9")).toMatchObject({
+      valid: true,
+      errors: [],
+    });
+  });
+
+  it("needs the minimum length and three character classes", () => {
+    expect(failedRules("Ab1!")).toEqual(["length"]);
+    expect(failedRules("lowercaseonly")).toEqual(["classes"]);
+    expect(failedRules("lower-and-symbols")).toEqual(["classes"]);
+    expect(failedRules("Lower-and-symbols")).toEqual([]);
+  });
+
+  it("rejects common passwords, even with a suffix or other case", () => {
+    expect(failedRules("Password1!")).toEqual(["common"]);
+    expect(failedRules("QWERTY123")).toEqual(["classes", "common"]);
+  });
+
+  it("rejects passwords containing the username", () => {
+    expect(failedRules("Grandma-2026", "grandma")).toEqual(["username"]);
+    expect(failedRules("Grandma-2026", "ma")).toEqual([]);
+    expect(
+      checkPassword("Grandma-2026", { username: "grandma" }).errors,
+    ).toEqual(["Password must not contain the username"]);
+  });
+});
+
+describe("getPasswordStrength", () => {
+  it("scores 0 for policy failures and grows with length and variety", () => {
+    expect(getPasswordStrength("Password1!").score).toBe(0);
+    expect(getPasswordStrength("Tiny-pw1").score).toBe(2);
+    expect(getPasswordStrength("quite-long-pass1").score).toBe(3);
+    expect(getPasswordStrength("Quite-long-pass1")).toEqual({
+      score: 4,
+      label: "Strong",
+    });
+  });
+});
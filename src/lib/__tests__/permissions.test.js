@@ -0,0 +1,78 @@
+/**
+ * Permission model tests
+ *
+ * Capabilities come from roles unless the token carries a permissions claim,
+ * which then replaces them; unknown roles add nothing. Area and global
+ * wildcards cover what they name.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  Capability,
+  getDriveCapability,
+  hasCapabilities,
+  hasCapability,
+  resolveCapabilities,
+  toRoleName,
+} from "../permissions";
+
+describe("resolveCapabilities", () => {
+  it("gives every user the base set and admins the admin capabilities", () => {
+    const user = resolveCapabilities(["ROLE_USER"]);
+    const admin = resolveCapabilities(["ROLE_USER", "ROLE_ADMIN"]);
+
+    expect(user).toContain(Capability.HEALTH_PORTAL);
+    expect(user).toContain(getDriveCapability("myDrive"));
+    expect(user).not.toContain(Capability.ADMIN_PANEL);
+    expect(user).not.toContain(getDriveCapability("adminDrive"));
+    expect(admin).toContain(Capability.ADMIN_PANEL);
+    expect(admin).toContain(Capability.NOTIFICATIONS_MANAGE);
+    expect(admin).toContain(getDriveCapability("adminDrive"));
+  });
+
+  it("uses a permissions claim instead of the roles", () => {
+    expect(
+      resolveCapabilities(["ROLE_ADMIN"], ["drive:sharedDrive", "health:use"]),
+    ).toEqual(["drive:sharedDrive", "health:use"]);
+    expect(resolveCapabilities([], "health:use  drive:*")).toEqual([
+      "drive:*",
+      "health:use",
+    ]);
+  });
+
+  it("ignores roles it doesn't know", () => {
+    expect(resolveCapabilities(["ROLE_FAMILY"])).toEqual(
+      resolveCapabilities(["ROLE_USER"]),
+    );
+  });
+});
+
+describe("toRoleName", () => {
+  it("turns display names into role names", () => {
+    expect(toRoleName(" Family members ")).toBe("ROLE_FAMILY_MEMBERS");
+    expect(toRoleName("role_admin")).toBe("ROLE_ADMIN");
+    expect(toRoleName("--")).toBe("");
+  });
+});
+
+describe("hasCapability", () => {
+  it("matches exact capabilities and wildcards", () => {
+    expect(hasCapability(["health:use"], "health:use")).toBe(true);
+    expect(hasCapability(["health:use"], "admin:users")).toBe(false);
+    expect(hasCapability(["drive:*"], "drive:adminDrive")).toBe(true);
+    expect(hasCapability(["drive:*"], "admin:users")).toBe(false);
+    expect(hasCapability(["*"], "admin:users")).toBe(true);
+  });
+
+  it("requires every capability in a list", () => {
+    const granted = ["notifications:manage"];
+
+    expect(hasCapabilities(granted, "notifications:manage")).toBe(true);
+    expect(
+      hasCapabilities(granted, [
+        Capability.NOTIFICATIONS_MANAGE,
+        Capability.NOTIFICATIONS_BROADCAST,
+      ]),
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Query cache tests
+ *
+ * Reads are shared per key and kept for the next visit; invalidation refetches
+ * queries that are on screen, and requests nobody waits for are aborted.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  clearQueryCache,
+  fetchQuery,
+  getQueryState,
+  invalidateQueries,
+  setQueryData,
+  subscribeToQuery,
+} from "../queryCache";
+
+beforeEach(() => {
+  clearQueryCache();
+});
+
+describe("queryCache", () => {
+  it("shares one in-flight request per key and caches the result", async () => {
+    const fetcher = vi.fn().mockResolvedValue(["a"]);
+
+    const [first, second] = await Promise.all([
+      fetchQuery("/users/alice/tasks", fetcher),
+      fetchQuery("/users/alice/tasks", fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(getQueryState("/users/alice/tasks").data).toEqual(["a"]);
+  });
+
+  it("keeps cached data while revalidating", async () => {
+    setQueryData("/docs/tree", { name: "old" });
+    let resolve;
+    const pending = fetchQuery(
+      "/docs/tree",
+      () => new Promise((r) => (resolve = r)),
+    );
+
+    expect(getQueryState("/docs/tree")).toMatchObject({
+      data: { name: "old" },
+      isFetching: true,
+    });
+
+    resolve({ name: "new" });
+    await pending;
+    expect(getQueryState("/docs/tree").data).toEqual({ name: "new" });
+  });
+
+  it("refetches subscribed queries under an invalidated prefix", async () => {
+    const listing = vi.fn().mockResolvedValue({});
+    const other = vi.fn().mockResolvedValue({});
+    subscribeToQuery("/users/alice/drives/myDrive", () => {});
+    subscribeToQuery("/users/alice/drives/myDriveArchive", () => {});
+    await fetchQuery("/users/alice/drives/myDrive", listing);
+    await fetchQuery("/users/alice/drives/myDriveArchive", other);
+
+    invalidateQueries("/users/alice/drives/myDrive");
+
+    expect(listing).toHaveBeenCalledTimes(2);
+    expect(other).toHaveBeenCalledTimes(1);
+  });
+
+  it("aborts the request when the last subscriber leaves", () => {
+    let signal;
+    const unsubscribe = subscribeToQuery("/api/notifications", () => {});
+    fetchQuery("/api/notifications", (options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+
+    unsubscribe();
+
+    expect(signal.aborted).toBe(true);
+    expect(getQueryState("/api/notifications").isFetching).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Session service tests
+ *
+ * Each call goes to its /auth/sessions or /admin/users/{id}/sessions endpoint
+ * with session ids encoded, lists come back as arrays, and a session that
+ * has already ended is reported as such.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { ApiError } from "../apiClient";
+import {
+  SESSIONS_QUERY_KEY,
+  listSessions,
+  listUserSessions,
+  revokeAllSessions,
+  revokeAllUserSessions,
+  revokeSession,
+  revokeUserSession,
+} from "../sessionService";
+
+const api = vi.hoisted(() => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  del: vi.fn(),
+}));
+
+vi.mock("../apiClient", async (importOriginal) => ({
+  ...(await importOriginal()),
+  ...api,
+}));
+
+const SESSION = { id: "s1", device: "Firefox on Linux", current: true };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("the signed-in user's sessions", () => {
+  it("lists them, passing request options through", async () => {
+    const signal = new AbortController().signal;
+    api.get.mockResolvedValueOnce({ sessions: [SESSION] });
+    expect(await listSessions({ signal })).toEqual([SESSION]);
+    expect(api.get).toHaveBeenCalledWith(SESSIONS_QUERY_KEY, { signal });
+
+    api.get.mockResolvedValueOnce({});
+    expect(await listSessions()).toEqual([]);
+  });
+
+  it("revokes one with its id encoded, or all of them", async () => {
+    await revokeSession("a/b");
+    expect(api.del).toHaveBeenCalledWith("/auth/sessions/a%2Fb");
+
+    await revokeAllSessions();
+    expect(api.post).toHaveBeenCalledWith("/auth/sessions/revoke-all");
+  });
+
+  it("reports a session that has already ended", async () => {
+    api.del.mockRejectedValueOnce(new ApiError("Not found", 404));
+    await expect(revokeSession("s1")).rejects.toMatchObject({
+      code: "NOT_FOUND",
+      message: "That session has already ended.",
+    });
+  });
+});
+
+describe("another user's sessions (admin)", () => {
+  it("lists and revokes them under /admin/users/{id}/sessions", async () => {
+    api.get.mockResolvedValueOnce({ sessions: [SESSION] });
+    expect(await listUserSessions("u1")).toEqual([SESSION]);
+    expect(api.get).toHaveBeenCalledWith("/admin/users/u1/sessions", {});
+
+    await revokeUserSession("u1", "s 1");
+    expect(api.del).toHaveBeenCalledWith("/admin/users/u1/sessions/s%201");
+
+    await revokeAllUserSessions("u1");
+    expect(api.del).toHaveBeenLastCalledWith("/admin/users/u1/sessions");
+  });
+
+  it("maps other failures with the operation in the message", async () => {
+    api.get.mockRejectedValueOnce(new ApiError("Teapot", 418));
+    await expect(listUserSessions("u1")).rejects.toMatchObject({
+      code: "UNKNOWN",
+      message: "Failed to load sessions. Please try again.",
+    });
+  });
+});
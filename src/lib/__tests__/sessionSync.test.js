@@ -0,0 +1,120 @@
+/**
+ * Session sync tests
+ *
+ * Login, logout and refresh made in one tab reach the others, over a
+ * BroadcastChannel where there is one and otherwise through the `storage`
+ * event for the token write. Each tab is a fresh copy of the module.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { TOKEN_KEY } from "../tokenStorage";
+
+// Delivers messages to every other channel with the same name, like browsers do
+class FakeBroadcastChannel {
+  static open = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.listeners = new Set();
+    FakeBroadcastChannel.open.add(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.open.forEach((other) => {
+      if (other !== this && other.name === this.name) {
+        other.listeners.forEach((listener) => listener({ data }));
+      }
+    });
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.delete(listener);
+  }
+}
+
+/** A tab: its own copy of the module and a handler for what it receives */
+async function openTab() {
+  vi.resetModules();
+  const sync = await import("../sessionSync");
+  const handler = vi.fn();
+  const unsubscribe = sync.subscribeToSessionEvents(handler);
+  return { sync, handler, unsubscribe };
+}
+
+function writeToken(oldValue, newValue, key = TOKEN_KEY) {
+  window.dispatchEvent(
+    new StorageEvent("storage", { key, oldValue, newValue }),
+  );
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  FakeBroadcastChannel.open.clear();
+});
+
+describe("over BroadcastChannel", () => {
+  beforeEach(() => {
+    vi.stubGlobal("BroadcastChannel", FakeBroadcastChannel);
+  });
+
+  it("tells the other tabs about logins and logouts", async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    first.sync.broadcastSessionEvent(first.sync.SessionEvent.LOGIN);
+    first.sync.broadcastSessionEvent(first.sync.SessionEvent.LOGOUT);
+
+    expect(second.handler.mock.calls).toEqual([["login"], ["logout"]]);
+    // Not echoed back to the sender
+    expect(first.handler).not.toHaveBeenCalled();
+  });
+
+  it("ignores unknown messages and stops after unsubscribing", async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    first.sync.broadcastSessionEvent("wipe");
+    second.unsubscribe();
+    first.sync.broadcastSessionEvent(first.sync.SessionEvent.LOGOUT);
+
+    expect(second.handler).not.toHaveBeenCalled();
+  });
+});
+
+describe("over the storage event", () => {
+  beforeEach(() => {
+    vi.stubGlobal("BroadcastChannel", undefined);
+  });
+
+  it("infers logins, refreshes and logouts from the token write", async () => {
+    const tab = await openTab();
+
+    writeToken(null, "token-1");
+    writeToken("token-1", "token-2");
+    writeToken("token-2", null);
+    // localStorage.clear() in another tab
+    writeToken(null, null, null);
+
+    expect(tab.handler.mock.calls).toEqual([
+      ["login"],
+      ["refresh"],
+      ["logout"],
+      ["logout"],
+    ]);
+    tab.unsubscribe();
+  });
+
+  it("ignores other keys, and broadcasting is left to the token write", async () => {
+    const tab = await openTab();
+
+    writeToken(null, "dark", "paradise_theme");
+    tab.sync.broadcastSessionEvent(tab.sync.SessionEvent.LOGOUT);
+
+    expect(tab.handler).not.toHaveBeenCalled();
+    tab.unsubscribe();
+  });
+});
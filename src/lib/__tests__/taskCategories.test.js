@@ -0,0 +1,74 @@
+/**
+ * Task category tests
+ *
+ * List names are required, at most MAX_CATEGORY_NAME_LENGTH characters and
+ * unique per user regardless of case; colors are six-digit hex. Lists sort
+ * by their order, and lists that no longer exist show by id.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_TASK_CATEGORIES,
+  MAX_CATEGORY_NAME_LENGTH,
+  getCategoryName,
+  sortCategories,
+  validateCategory,
+} from "../taskCategories";
+
+const LISTS = [
+  { id: "work", name: "Work", color: "#ff6600", order: 1 },
+  { id: "home", name: "Home", color: "#f80206", order: 0 },
+];
+
+describe("validateCategory", () => {
+  it("accepts a new name and color", () => {
+    expect(
+      validateCategory({ name: " Groceries ", color: "#A0b1C2" }, LISTS),
+    ).toBeNull();
+    // Fields not being saved aren't checked
+    expect(validateCategory({}, LISTS)).toBeNull();
+  });
+
+  it("requires a name of at most the maximum length", () => {
+    expect(validateCategory({ name: "   " }, LISTS)).toBe(
+      "List name is required",
+    );
+    expect(validateCategory({ name: 42 }, LISTS)).toBe("List name is required");
+    expect(
+      validateCategory({ name: "x".repeat(MAX_CATEGORY_NAME_LENGTH) }, LISTS),
+    ).toBeNull();
+    expect(
+      validateCategory(
+        { name: "x".repeat(MAX_CATEGORY_NAME_LENGTH + 1) },
+        LISTS,
+      ),
+    ).toMatch(/at most/);
+  });
+
+  it("rejects another list's name in any case, but not the list's own", () => {
+    expect(validateCategory({ name: "work" }, LISTS)).toBe(
+      'You already have a list named "work"',
+    );
+    expect(validateCategory({ name: "WORK" }, LISTS, "work")).toBeNull();
+  });
+
+  it("rejects colors that aren't six-digit hex", () => {
+    ["red", "#fff", "#12345g", "f80206"].forEach((color) => {
+      expect(validateCategory({ color }, LISTS)).toBe("Invalid list color");
+    });
+  });
+});
+
+describe("sortCategories / getCategoryName", () => {
+  it("sorts a copy into switcher order", () => {
+    expect(sortCategories(LISTS).map((c) => c.id)).toEqual(["home", "work"]);
+    expect(LISTS[0].id).toBe("work");
+  });
+
+  it("names lists, falling back to the id of a missing one", () => {
+    expect(getCategoryName(DEFAULT_TASK_CATEGORIES, "personal")).toBe(
+      "Personal",
+    );
+    expect(getCategoryName(LISTS, "gone")).toBe("gone");
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Task due date tests
+ *
+ * Open tasks are overdue once their due time has passed and due soon within
+ * the next 24 hours; the due list spans categories, soonest due first.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  describeReminder,
+  getDueStatus,
+  getDueTasks,
+  validateDueDate,
+} from "../taskDueDates";
+
+const NOW = Date.parse("2026-05-01T12:00:00Z");
+const HOUR_MS = 60 * 60 * 1000;
+const dueIn = (hours) => new Date(NOW + hours * HOUR_MS).toISOString();
+
+describe("getDueStatus", () => {
+  it("sorts open tasks into overdue, due soon or neither", () => {
+    expect(getDueStatus({ dueAt: dueIn(-1) }, NOW)).toBe("overdue");
+    expect(getDueStatus({ dueAt: dueIn(23) }, NOW)).toBe("dueSoon");
+    expect(getDueStatus({ dueAt: dueIn(25) }, NOW)).toBeNull();
+    expect(getDueStatus({ dueAt: null }, NOW)).toBeNull();
+    expect(getDueStatus({ dueAt: dueIn(-1), completed: true }, NOW)).toBeNull();
+  });
+});
+
+describe("getDueTasks", () => {
+  it("lists due tasks across categories, soonest first", () => {
+    const due = getDueTasks(
+      {
+        personal: [
+          { id: "later", dueAt: dueIn(5) },
+          { id: "undated", dueAt: null },
+        ],
+        work: [
+          { id: "sooner", dueAt: dueIn(1) },
+          { id: "late", dueAt: dueIn(-2) },
+        ],
+      },
+      NOW,
+    );
+    expect(due.overdue.map((t) => t.id)).toEqual(["late"]);
+    expect(due.dueSoon.map((t) => t.id)).toEqual(["sooner", "later"]);
+  });
+});
+
+describe("reminders", () => {
+  it("describes offsets in the largest whole unit", () => {
+    expect(describeReminder(0)).toBe("At due time");
+    expect(describeReminder(60)).toBe("1 hour before");
+    expect(describeReminder(90)).toBe("90 minutes before");
+    expect(describeReminder(2 * 24 * 60)).toBe("2 days before");
+  });
+
+  it("rejects invalid due dates and reminder offsets", () => {
+    expect(validateDueDate(dueIn(1), [0, 15])).toBeNull();
+    expect(validateDueDate(null, [])).toBeNull();
+    expect(validateDueDate("next tuesday", [])).toBe("Invalid due date");
+    expect(validateDueDate(dueIn(1), [-5])).toMatch(/whole minutes/);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Task service parsing tests
+ *
+ * parseTasksResponse groups TODO tasks by list and maps data saved by older
+ * versions: tasks with subtasks and no `isSection` flag become sections, and
+ * tasks under lists that no longer exist show in the first list. Completed
+ * tasks stay in the Done archive.
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseTasksResponse } from "../taskService";
+
+const LISTS = [
+  { id: "home", name: "Home", order: 1 },
+  { id: "errands", name: "Errands", order: 2 },
+];
+
+describe("parseTasksResponse", () => {
+  it("groups TODO tasks by list in list order", () => {
+    const parsed = parseTasksResponse({
+      categories: [...LISTS].reverse(),
+      todoTasks: { home: [{ id: "a", order: 1 }] },
+      dailyTasks: [{ id: "d", order: 1 }],
+    });
+    expect(parsed.categories.map((c) => c.id)).toEqual(["home", "errands"]);
+    expect(parsed.todoTasks).toEqual({
+      home: [{ id: "a", order: 1 }],
+      errands: [],
+    });
+    expect(parsed.dailyTasks).toEqual([{ id: "d", order: 1 }]);
+  });
+
+  it("turns legacy parents into sections, leaving flagged tasks as they are", () => {
+    const parsed = parseTasksResponse({
+      categories: LISTS,
+      todoTasks: {
+        home: [
+          { id: "legacy", order: 1 },
+          { id: "legacy-child", order: 1, parentId: "legacy" },
+          { id: "parent", order: 2, isSection: false },
+          { id: "parent-child", order: 1, parentId: "parent" },
+          { id: "single", order: 3 },
+        ],
+      },
+    });
+    const byId = Object.fromEntries(
+      parsed.todoTasks.home.map((t) => [t.id, t]),
+    );
+    expect(byId.legacy.isSection).toBe(true);
+    expect(byId.parent.isSection).toBe(false);
+    expect(byId.single.isSection).toBeUndefined();
+    expect(byId["legacy-child"].isSection).toBeUndefined();
+  });
+
+  it("moves tasks under unknown lists to the end of the first list", () => {
+    const parsed = parseTasksResponse({
+      categories: LISTS,
+      todoTasks: {
+        home: [{ id: "a", order: 4, category: "home" }],
+        personal: [
+          { id: "p", order: 0, category: "personal" },
+          { id: "p1", order: 0, parentId: "p", category: "personal" },
+        ],
+        work: [{ id: "w", order: 0, category: "work" }],
+      },
+    });
+    expect(Object.keys(parsed.todoTasks)).toEqual(["home", "errands"]);
+    expect(
+      parsed.todoTasks.home.map(({ id, order, category }) => [
+        id,
+        order,
+        category,
+      ]),
+    ).toEqual([
+      ["a", 4, "home"],
+      ["p", 5, "home"],
+      ["p1", 0, "home"],
+      ["w", 6, "home"],
+    ]);
+  });
+
+  it("leaves out completed tasks", () => {
+    const parsed = parseTasksResponse({
+      categories: LISTS,
+      todoTasks: {
+        home: [
+          { id: "open", order: 1, completed: false },
+          {
+            id: "done",
+            order: 2,
+            completed: true,
+            completedAt: "2026-04-21T09:00:00.000Z",
+          },
+        ],
+        gone: [{ id: "done-orphan", order: 1, completed: true }],
+      },
+    });
+    expect(parsed.todoTasks.home.map((t) => t.id)).toEqual(["open"]);
+  });
+
+  it("gives responses without lists the built-in ones", () => {
+    const parsed = parseTasksResponse({
+      todoTasks: { work: [{ id: "w", order: 1 }] },
+    });
+    expect(parsed.categories.map((c) => c.id)).toEqual(["personal", "work"]);
+    expect(parsed.todoTasks).toEqual({
+      personal: [],
+      work: [{ id: "w", order: 1 }],
+    });
+    expect(parsed.dailyTasks).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Task tree tests
+ *
+ * Subtasks nest to any depth and show under their parent in order, unless
+ * the parent is collapsed. Indent and outdent re-parent a task among its
+ * neighbours.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  flattenTaskTree,
+  getSubtaskIds,
+  indentInTree,
+  outdentInTree,
+} from "../taskTree";
+
+const TASKS = [
+  { id: "b", order: 2 },
+  { id: "a", order: 1, completedSubtasks: 1 },
+  { id: "a1", order: 1, parentId: "a" },
+  { id: "a1x", order: 1, parentId: "a1" },
+  { id: "a2", order: 2, parentId: "a" },
+  { id: "orphan", order: 3, parentId: "gone" },
+];
+
+const byId = (tasks) => Object.fromEntries(tasks.map((t) => [t.id, t]));
+
+describe("flattenTaskTree", () => {
+  it("lists subtasks depth-first under their parent with progress", () => {
+    const flat = flattenTaskTree(TASKS);
+    expect(flat.map((t) => [t.id, t.depth])).toEqual([
+      ["a", 0],
+      ["a1", 1],
+      ["a1x", 2],
+      ["a2", 1],
+      ["b", 0],
+      ["orphan", 0],
+    ]);
+    expect(byId(flat).a.progress).toEqual({ done: 1, total: 3 });
+    expect(byId(flat).a1.progress).toEqual({ done: 0, total: 1 });
+    expect(byId(flat).b.progress).toBeNull();
+  });
+
+  it("hides the subtasks of collapsed tasks", () => {
+    const tasks = TASKS.map((t) =>
+      t.id === "a" ? { ...t, collapsed: true } : t,
+    );
+    const flat = flattenTaskTree(tasks);
+    expect(flat.map((t) => t.id)).toEqual(["a", "b", "orphan"]);
+    expect(byId(flat).a.hasChildren).toBe(true);
+  });
+});
+
+describe("getSubtaskIds", () => {
+  it("collects subtasks at any depth", () => {
+    expect([...getSubtaskIds(TASKS, "a")].sort()).toEqual(["a1", "a1x", "a2"]);
+    expect(getSubtaskIds(TASKS, "b").size).toBe(0);
+  });
+});
+
+describe("indentInTree / outdentInTree", () => {
+  it("indents a task under the sibling above it, as its last subtask", () => {
+    const moved = byId(indentInTree(TASKS, "a2"));
+    expect(moved.a2).toMatchObject({ parentId: "a1", order: 2 });
+    expect(indentInTree(TASKS, "a1")).toBeNull();
+  });
+
+  it("outdents a task to just below its parent", () => {
+    const moved = byId(outdentInTree(TASKS, "a1"));
+    expect(moved.a1).toMatchObject({ parentId: undefined, order: 2 });
+    expect(moved.b.order).toBe(3);
+    expect(moved.a1x.parentId).toBe("a1");
+    expect(outdentInTree(TASKS, "b")).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Undo history tests
+ *
+ * Undo and redo move entries between the stacks in order, one at a time; a
+ * new operation clears the redo stack, and an entry whose step fails stays
+ * where it was.
+ */
+
+import { describe, it, expect } from "vitest";
+import { createUndoHistory } from "../undoHistory";
+
+// An entry that logs its undo/redo calls, failing when `fail.value` is set
+function createEntry(label, log, fail = { value: false }) {
+  const step = (direction) => async () => {
+    if (fail.value) throw new Error("Backend unavailable");
+    log.push(`${direction} ${label}`);
+  };
+  return { label, undo: step("undo"), redo: step("redo") };
+}
+
+describe("createUndoHistory", () => {
+  it("undoes and redoes entries in order", async () => {
+    const log = [];
+    const history = createUndoHistory();
+    history.push(createEntry("a", log));
+    history.push(createEntry("b", log));
+
+    await Promise.all([history.undo(), history.undo()]);
+    expect(log).toEqual(["undo b", "undo a"]);
+    expect(history.getSnapshot()).toMatchObject({
+      canUndo: false,
+      canRedo: true,
+    });
+
+    await history.redo();
+    expect(log).toEqual(["undo b", "undo a", "redo a"]);
+
+    history.push(createEntry("c", log));
+    expect(history.getSnapshot().canRedo).toBe(false);
+    expect(history.getSnapshot().lastEntry.label).toBe("c");
+  });
+
+  it("undoes a specific entry and skips discarded ones", async () => {
+    const log = [];
+    const history = createUndoHistory();
+    const first = history.push(createEntry("first", log));
+    const second = history.push(createEntry("second", log));
+
+    await history.undo(first);
+    history.discard(second);
+    expect(await history.undo()).toBeNull();
+    expect(log).toEqual(["undo first"]);
+  });
+
+  it("keeps an entry whose undo fails", async () => {
+    const log = [];
+    const fail = { value: true };
+    const history = createUndoHistory();
+    history.push(createEntry("a", log, fail));
+
+    expect(await history.undo()).toBeNull();
+    expect(history.getSnapshot().canUndo).toBe(true);
+
+    fail.value = false;
+    expect((await history.undo()).label).toBe("a");
+  });
+
+  it("drops the oldest entries past its limit", async () => {
+    const log = [];
+    const history = createUndoHistory({ limit: 2 });
+    ["a", "b", "c"].forEach((label) => history.push(createEntry(label, log)));
+
+    await Promise.all([history.undo(), history.undo(), history.undo()]);
+    expect(log).toEqual(["undo c", "undo b"]);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Bulk user import tests
+ *
+ * CSV and JSON parse to the same rows, every row is checked on its own, and
+ * an exported user list reads back in as the same usernames, roles and status.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  exportUsersCSV,
+  normalizeRoles,
+  parseUserImport,
+  validateImportRows,
+} from "../userImport";
+
+describe("parseUserImport", () => {
+  it("reads CSV by header name, with quoted fields and default roles", () => {
+    const rows = parseUserImport(
+      'password,username,roles\r\n"pa,ss""word",grandma,user; admin\n\nlong-password-1,kid,\n',
+    );
+
+    expect(rows).toEqual([
+      {
+        row: 1,
+        username: "grandma",
+        password: 'pa,ss"word',
+        roles: ["ROLE_USER", "ROLE_ADMIN"],
+        enabled: true,
+        errors: [],
+      },
+      {
+        row: 2,
+        username: "kid",
+        password: "long-password-1",
+        roles: ["ROLE_USER"],
+        enabled: true,
+        errors: [],
+      },
+    ]);
+  });
+
+  it("reads a JSON array or { users } and rejects unusable files", () => {
+    const [row] = parseUserImport(
+      '{"users":[{"username":"aunt","password":"x","roles":["ROLE_ADMIN"],"enabled":false}]}',
+    );
+    expect(row).toMatchObject({ username: "aunt", enabled: false });
+    expect(parseUserImport('[{"username":"a"}]')).toHaveLength(1);
+
+    expect(() => parseUserImport("name,password\nx,y")).toThrow(/username/);
+    expect(() => parseUserImport("[oops")).toThrow(/JSON/);
+    expect(() => parseUserImport("username\n")).toThrow(/no users/);
+  });
+});
+
+describe("validateImportRows", () => {
+  it("flags each problem on its own row", () => {
+    const rows = validateImportRows(
+      parseUserImport(
+        [
+          "username,password,roles",
+          "ok,long-enough-1,USER",
+          "Admin,long-enough-1,USER",
+          "twin,long-enough-1,USER",
+          "TWIN,long-enough-1,USER",
+          "boss,long-enough-1,ROOT",
+          "weak,short,USER",
+          "samename,samename-1,USER",
+          ",long-enough-1,USER",
+        ].join("\n"),
+      ),
+      ["admin", "demo"],
+    );
+
+    expect(rows.map((row) => row.errors)).toEqual([
+      [],
+      ["Username already exists"],
+      [],
+      ["Username appears more than once in the file"],
+      ["Unknown role: ROLE_ROOT"],
+      ["Password must be at least 8 characters"],
+      ["Password must not contain the username"],
+      ["Username is required"],
+    ]);
+  });
+});
+
+describe("exportUsersCSV", () => {
+  it("exports roles and status in the import format, without passwords", () => {
+    const users = [
+      { username: "admin", roles: ["ROLE_USER", "ROLE_ADMIN"], enabled: true },
+      { username: "o'neil, k", roles: ["ROLE_USER"], enabled: false },
+    ];
+    const csv = exportUsersCSV(users);
+
+    expect(csv.split("\n")[0]).toBe("username,roles,enabled");
+    expect(csv).not.toMatch(/password/);
+    expect(
+      parseUserImport(csv).map(({ username, roles, enabled }) => ({
+        username,
+        roles,
+        enabled,
+      })),
+    ).toEqual(users);
+    expect(normalizeRoles("admin|ROLE_ADMIN")).toEqual(["ROLE_ADMIN"]);
+  });
+});
@@ -1,11 +1,20 @@
 /**
  * API Client Module
  * Centralized HTTP client with automatic JWT token attachment and error handling.
+ * Every request (JSON, text, binary downloads and multipart uploads) goes through
+ * one pipeline: request interceptors -> fetch/XHR -> response interceptors ->
+ * status handling, with error interceptors seeing anything that is thrown.
  *
  * Requirements: 1.4, 1.6, 2.4, 5.1, 5.2, 5.3, 5.4, 5.5
  */
 
-import { getToken, clearToken } from "./tokenStorage";
+import {
+  getToken,
+  clearToken,
+  setToken,
+  getRefreshToken,
+  setRefreshToken,
+} from "./tokenStorage";
 
 // API base URL from environment variables (Requirement 5.5)
 const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
@@ -13,6 +22,39 @@ const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
 // Logout callback - will be set by AuthContext
 let logoutCallback = null;
 
+// Session-refreshed callback - will be set by AuthContext
+let sessionRefreshedCallback = null;
+
+// In-flight refresh shared by every caller (single-flight)
+let refreshPromise = null;
+
+// Interceptor chains, run in registration order
+const requestInterceptors = [];
+const responseInterceptors = [];
+const errorInterceptors = [];
+
+/**
+ * Default retry policy for idempotent requests (GET, PUT, DELETE).
+ * Network failures and transient gateway errors are retried with jittered
+ * exponential backoff; a Retry-After header from the server takes precedence.
+ * Callers can override any field per call, or pass `retry: false` to opt out.
+ */
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3, // Total attempts, including the first
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  maxRetryAfterMs: 30000, // Give up instead of waiting longer than this
+  retryOnStatus: [429, 502, 503, 504],
+};
+
+const IDEMPOTENT_METHODS = ["GET", "PUT", "DELETE"];
+
+/**
+ * Default time budget for a whole API call (all retry attempts included).
+ * Pass `timeout` per call to override, or `timeout: 0` to disable.
+ */
+export const DEFAULT_TIMEOUT_MS = 30000;
+
 /**
  * Sets the logout callback function to be called on 401 responses
  * This allows the API client to trigger logout without circular dependencies
@@ -29,6 +71,139 @@ export function clearLogoutCallback() {
   logoutCallback = null;
 }
 
+/**
+ * Sets the callback invoked with the new access token after a successful refresh
+ * @param {Function} callback - Receives the new JWT
+ */
+export function setSessionRefreshedCallback(callback) {
+  sessionRefreshedCallback = callback;
+}
+
+/**
+ * Clears the session-refreshed callback (useful for cleanup/testing)
+ */
+export function clearSessionRefreshedCallback() {
+  sessionRefreshedCallback = null;
+}
+
+function addInterceptor(chain, interceptor) {
+  chain.push(interceptor);
+  return () => {
+    const index = chain.indexOf(interceptor);
+    if (index !== -1) {
+      chain.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Registers a request interceptor
+ * Called with the request config (`url`, `endpoint`, `method`, `headers`,
+ * `body`, ...) before it is sent. It may mutate the config or return a
+ * replacement, synchronously or as a promise.
+ * @param {Function} interceptor - (config) => config | void
+ * @returns {Function} Removes the interceptor
+ */
+export function addRequestInterceptor(interceptor) {
+  return addInterceptor(requestInterceptors, interceptor);
+}
+
+/**
+ * Registers a response interceptor
+ * Called with every HTTP response (successful or not) before its status is
+ * handled. It may return a replacement Response.
+ * @param {Function} interceptor - (response, config) => Response | void
+ * @returns {Function} Removes the interceptor
+ */
+export function addResponseInterceptor(interceptor) {
+  return addInterceptor(responseInterceptors, interceptor);
+}
+
+/**
+ * Registers an error interceptor
+ * Called with any error a request is about to throw (network, HTTP status,
+ * timeout or abort). It may return a different error to throw instead.
+ * @param {Function} interceptor - (error, config) => Error | void
+ * @returns {Function} Removes the interceptor
+ */
+export function addErrorInterceptor(interceptor) {
+  return addInterceptor(errorInterceptors, interceptor);
+}
+
+/**
+ * Passes a value through an interceptor chain
+ * @param {Function[]} chain - Interceptors
+ * @param {any} value - Config, response or error
+ * @param {object} [config] - Request config, for response/error interceptors
+ * @returns {Promise<any>} The (possibly replaced) value
+ */
+async function runInterceptors(chain, value, config) {
+  let current = value;
+  for (const interceptor of [...chain]) {
+    const result = await interceptor(current, config);
+    if (result !== undefined) {
+      current = result;
+    }
+  }
+  return current;
+}
+
+/**
+ * Exchanges the stored refresh token for a new access token
+ * Concurrent callers share one in-flight refresh; requests issued while it is
+ * pending wait for it and then go out with the new token. The exchange times
+ * out after DEFAULT_TIMEOUT_MS so a hung refresh can't stall every request.
+ * @returns {Promise<string|null>} The new JWT, or null if refresh was not possible
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = performRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function performRefresh() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return null;
+  }
+
+  const refreshSignal = createRequestSignal(null, DEFAULT_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+      signal: refreshSignal.signal,
+    });
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    if (!data?.token) {
+      return null;
+    }
+
+    setToken(data.token);
+    // Backends that rotate refresh tokens send a new one with each refresh
+    if (data.refreshToken) {
+      setRefreshToken(data.refreshToken);
+    }
+    if (sessionRefreshedCallback) {
+      sessionRefreshedCallback(data.token);
+    }
+    return data.token;
+  } catch {
+    // Network failure or timeout - the caller decides whether to retry or log out
+    return null;
+  } finally {
+    refreshSignal.cleanup();
+  }
+}
+
 /**
  * Handles 401 responses from direct fetch/XHR calls that bypass the request() function.
  * Clears the token and triggers the logout callback.
@@ -73,25 +248,94 @@ export class AuthorizationError extends ApiError {
 }
 
 /**
- * Builds headers for API requests, including Authorization header with JWT
- * Requirement 1.4, 5.1: Attach JWT to all requests as "Authorization: Bearer <token>"
+ * Custom error class for requests that exceeded their timeout
+ * Status is 0 because no response was received from the server.
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = "Request timed out", timeoutMs = null) {
+    super(message, 0);
+    this.name = "TimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Custom error class for requests that never reached the server
+ * fetch rejects with a TypeError whose message differs by browser ("Failed
+ * to fetch", "NetworkError when attempting to fetch resource.", "Load
+ * failed"), so transport failures are wrapped in this instead.
+ */
+export class NetworkError extends ApiError {
+  constructor(message = "Unable to connect to server", cause = null) {
+    super(message, 0);
+    this.name = "NetworkError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Checks whether an error was caused by the caller aborting the request
+ * (as opposed to a timeout, which surfaces as TimeoutError)
+ * @param {any} error - Caught error
+ * @returns {boolean} True if the request was cancelled via its AbortSignal
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+/**
+ * Checks whether a body is sent as-is rather than JSON-encoded
+ * FormData and Blob bodies carry their own Content-Type (for FormData the
+ * browser generates the multipart boundary).
+ * @param {any} body - Request body
+ * @returns {boolean} True for FormData and Blob bodies
+ */
+function isRawBody(body) {
+  return (
+    (typeof FormData !== "undefined" && body instanceof FormData) ||
+    (typeof Blob !== "undefined" && body instanceof Blob)
+  );
+}
+
+/**
+ * Encodes helper data as a request body
+ * @param {any} data - Plain data, FormData or Blob
+ * @returns {string|FormData|Blob} Request body
+ */
+function encodeBody(data) {
+  return isRawBody(data) ? data : JSON.stringify(data);
+}
+
+/**
+ * Builds the default headers for a request
+ * @param {any} body - Request body (decides the Content-Type)
  * @param {object} additionalHeaders - Additional headers to include
  * @returns {object} Headers object
  */
-function buildHeaders(additionalHeaders = {}) {
-  const headers = {
+function buildHeaders(body, additionalHeaders = {}) {
+  if (isRawBody(body)) {
+    return { ...additionalHeaders };
+  }
+  return {
     "Content-Type": "application/json",
     ...additionalHeaders,
   };
+}
 
+/**
+ * Built-in request interceptor that attaches the JWT
+ * Requirement 1.4, 5.1: Attach JWT to all requests as "Authorization: Bearer <token>"
+ * @param {object} config - Request config
+ */
+function authInterceptor(config) {
   const token = getToken();
   if (token) {
-    headers["Authorization"] = `Bearer ${token}`;
+    config.headers["Authorization"] = `Bearer ${token}`;
   }
-
-  return headers;
 }
 
+addRequestInterceptor(authInterceptor);
+
 /**
  * Handles API response errors
  * Requirement 1.6, 2.4, 5.2: Handle 401 by triggering logout
@@ -135,23 +379,283 @@ async function handleResponseError(response) {
 }
 
 /**
- * Makes an authenticated API request
- * @param {string} endpoint - API endpoint (relative to base URL)
- * @param {object} options - Fetch options
- * @returns {Promise<any>} Response data
+ * Resolves the effective retry policy for a request
+ * Only idempotent methods are retried; `retry: false` opts out entirely.
+ * @param {string} method - HTTP method
+ * @param {boolean|object} [retry] - Per-call retry option
+ * @returns {object|null} Merged retry policy, or null if retries are disabled
  */
-async function request(endpoint, options = {}) {
-  const url = `${API_BASE_URL}${endpoint}`;
-
-  const config = {
-    ...options,
-    headers: buildHeaders(options.headers),
+function resolveRetryPolicy(method, retry) {
+  if (retry === false || !IDEMPOTENT_METHODS.includes(method)) {
+    return null;
+  }
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(typeof retry === "object" && retry !== null ? retry : {}),
   };
+}
 
-  const response = await fetch(url, config);
+/**
+ * Parses a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
 
-  if (!response.ok) {
-    await handleResponseError(response);
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : null;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes a "full jitter" exponential backoff delay for a retry attempt
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy) {
+  const ceiling = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** (attempt - 1),
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Resolves after `ms`, or rejects early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Resolves with the promise, or rejects early if the signal aborts
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Signal that cancels the wait
+ * @returns {Promise<any>}
+ */
+function waitUnlessAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Parses a raw XHR header block into a Headers object
+ * @param {string} raw - Result of getAllResponseHeaders()
+ * @returns {Headers}
+ */
+function parseXhrHeaders(raw) {
+  const headers = new Headers();
+  raw
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const index = line.indexOf(":");
+      if (index > 0) {
+        headers.append(
+          line.slice(0, index).trim(),
+          line.slice(index + 1).trim(),
+        );
+      }
+    });
+  return headers;
+}
+
+/**
+ * fetch-compatible transport over XMLHttpRequest
+ * Used for uploads that report progress, which fetch cannot do. Resolves with
+ * a standard Response so the rest of the pipeline is shared.
+ * @param {string} url - Absolute request URL
+ * @param {object} config - Request config (method, headers, body, signal)
+ * @param {Function} onProgress - Receives upload progress as 0-100
+ * @returns {Promise<Response>}
+ */
+function xhrFetch(url, config, onProgress) {
+  return new Promise((resolve, reject) => {
+    const { signal } = config;
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(config.method || "GET", url);
+    xhr.responseType = "blob";
+    Object.entries(config.headers || {}).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value),
+    );
+
+    xhr.upload.addEventListener("progress", (e) => {
+      if (e.lengthComputable) {
+        onProgress(Math.round((e.loaded / e.total) * 100));
+      }
+    });
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const settle = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.onload = () => {
+      settle();
+      const hasBody = ![204, 205, 304].includes(xhr.status);
+      resolve(
+        new Response(hasBody ? xhr.response : null, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+        }),
+      );
+    };
+    // Mirror fetch: network failures reject with a TypeError
+    xhr.onerror = () => {
+      settle();
+      reject(new TypeError("Failed to fetch"));
+    };
+    xhr.onabort = () => {
+      settle();
+      reject(signal?.reason);
+    };
+
+    xhr.send(config.body ?? null);
+  });
+}
+
+/**
+ * Sends the request, retrying transient failures according to the policy
+ * @param {object} config - Request config, including `url` and `signal`
+ * @param {object|null} policy - Retry policy (null = single attempt)
+ * @param {Function} send - Transport: (url, config) => Promise<Response>
+ * @returns {Promise<Response>} The final response
+ */
+async function fetchWithRetry(config, policy, send) {
+  const maxAttempts = policy ? Math.max(1, policy.attempts) : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    const canRetry = attempt < maxAttempts;
+    let response;
+
+    try {
+      response = await send(config.url, config);
+    } catch (error) {
+      // Network failure - back off and try again. Aborts (caller
+      // cancellation or timeout) are never retried.
+      if (config.signal?.aborted || !(error instanceof TypeError)) {
+        throw error;
+      }
+      if (!canRetry) {
+        throw new NetworkError(undefined, error);
+      }
+      await sleep(computeBackoffDelay(attempt, policy), config.signal);
+      continue;
+    }
+
+    if (
+      response.ok ||
+      !canRetry ||
+      !policy.retryOnStatus.includes(response.status)
+    ) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    if (retryAfter !== null && retryAfter > policy.maxRetryAfterMs) {
+      // Server asked us to wait longer than we're willing to - surface it now
+      return response;
+    }
+
+    await sleep(
+      retryAfter ?? computeBackoffDelay(attempt, policy),
+      config.signal,
+    );
+  }
+}
+
+/**
+ * Links a caller-supplied AbortSignal and a timeout into one controller
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @param {number} timeout - Timeout in milliseconds (0 disables)
+ * @returns {{ signal: AbortSignal, didTimeOut: () => boolean, cleanup: () => void }}
+ */
+function createRequestSignal(signal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  }
+
+  const timer =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+  return {
+    signal: controller.signal,
+    didTimeOut: () => timedOut,
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+/**
+ * Reads a successful response body in the requested format
+ * @param {Response} response - Successful response
+ * @param {string} responseType - "json", "text" or "blob"
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<any>} Parsed body
+ */
+async function parseResponse(response, responseType, signal) {
+  if (responseType === "blob") {
+    return response.blob();
+  }
+  if (responseType === "text") {
+    return response.text();
   }
 
   // Handle empty responses (e.g., 204 No Content)
@@ -165,53 +669,161 @@ async function request(endpoint, options = {}) {
   // Try to parse JSON response
   try {
     return await response.json();
-  } catch {
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
     return null;
   }
 }
 
 /**
- * GET request
+ * Makes an authenticated API request
+ * @param {string} endpoint - API endpoint (relative to base URL)
+ * @param {object} options - Fetch options
+ * @param {boolean|object} [options.retry] - Retry policy override, or false to disable
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {number} [options.timeout] - Timeout in ms (defaults to DEFAULT_TIMEOUT_MS)
+ * @param {string} [options.responseType] - "json" (default), "text" or "blob"
+ * @param {Function} [options.onProgress] - Upload progress (0-100); sends via XHR
+ * @returns {Promise<any>} Response data
+ * @throws {TimeoutError} If the request does not complete within the timeout
+ */
+async function request(endpoint, options = {}) {
+  const {
+    retry,
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    responseType = "json",
+    onProgress,
+    replayedAfterRefresh = false,
+    ...fetchOptions
+  } = options;
+
+  const requestSignal = createRequestSignal(signal, timeout);
+
+  let config = {
+    ...fetchOptions,
+    url: `${API_BASE_URL}${endpoint}`,
+    endpoint,
+    method: fetchOptions.method || "GET",
+    headers: buildHeaders(fetchOptions.body, fetchOptions.headers),
+    signal: requestSignal.signal,
+  };
+
+  try {
+    // Queue behind an in-flight token refresh so we send the new token; the
+    // caller's signal and timeout still apply while waiting
+    if (refreshPromise) {
+      await waitUnlessAborted(refreshPromise, requestSignal.signal);
+    }
+    config = await runInterceptors(requestInterceptors, config);
+
+    const send = onProgress
+      ? (url, init) => xhrFetch(url, init, onProgress)
+      : (url, init) => fetch(url, init);
+    const policy = resolveRetryPolicy(config.method, retry);
+    const response = await runInterceptors(
+      responseInterceptors,
+      await fetchWithRetry(config, policy, send),
+      config,
+    );
+
+    // Recover from a single 401 by refreshing the session; the replay
+    // happens below, outside this try, so its errors are intercepted once
+    const shouldReplay =
+      response.status === 401 &&
+      !replayedAfterRefresh &&
+      getRefreshToken() &&
+      (await refreshSession());
+
+    if (!shouldReplay) {
+      if (!response.ok) {
+        await handleResponseError(response);
+      }
+      return await parseResponse(response, responseType, config.signal);
+    }
+  } catch (error) {
+    const finalError = requestSignal.didTimeOut()
+      ? new TimeoutError(
+          "The server took too long to respond. Please try again.",
+          timeout,
+        )
+      : error;
+    throw await runInterceptors(errorInterceptors, finalError, config);
+  } finally {
+    requestSignal.cleanup();
+  }
+
+  return request(endpoint, { ...options, replayedAfterRefresh: true });
+}
+
+/**
+ * GET request (retried on transient failures by default)
  * @param {string} endpoint - API endpoint
+ * @param {object} [options] - Request options (`retry`, `signal`, `timeout`)
  * @returns {Promise<any>} Response data
  */
-export async function get(endpoint) {
-  return request(endpoint, { method: "GET" });
+export async function get(endpoint, options = {}) {
+  return request(endpoint, { ...options, method: "GET" });
 }
 
 /**
- * POST request
+ * POST request (never retried - POST is not idempotent)
  * @param {string} endpoint - API endpoint
- * @param {any} data - Request body data
+ * @param {any} data - Request body data (FormData and Blob are sent as-is)
+ * @param {object} [options] - Request options (`signal`, `timeout`)
  * @returns {Promise<any>} Response data
  */
-export async function post(endpoint, data) {
+export async function post(endpoint, data, options = {}) {
   return request(endpoint, {
+    ...options,
     method: "POST",
-    body: JSON.stringify(data),
+    body: encodeBody(data),
   });
 }
 
 /**
- * PUT request
+ * PUT request (retried on transient failures by default)
  * @param {string} endpoint - API endpoint
- * @param {any} data - Request body data
+ * @param {any} data - Request body data (FormData and Blob are sent as-is)
+ * @param {object} [options] - Request options (`retry`, `signal`, `timeout`)
  * @returns {Promise<any>} Response data
  */
-export async function put(endpoint, data) {
+export async function put(endpoint, data, options = {}) {
   return request(endpoint, {
+    ...options,
     method: "PUT",
-    body: JSON.stringify(data),
+    body: encodeBody(data),
   });
 }
 
 /**
- * DELETE request
+ * DELETE request (retried on transient failures by default)
  * @param {string} endpoint - API endpoint
+ * @param {object} [options] - Request options (`retry`, `signal`, `timeout`)
  * @returns {Promise<void>}
  */
-export async function del(endpoint) {
-  return request(endpoint, { method: "DELETE" });
+export async function del(endpoint, options = {}) {
+  return request(endpoint, { ...options, method: "DELETE" });
+}
+
+/**
+ * Multipart upload (POST with a FormData body)
+ * Uploads have no timeout by default since large files can take minutes;
+ * pass `onProgress` to receive upload progress (sent via XHR).
+ * @param {string} endpoint - API endpoint
+ * @param {FormData} formData - Multipart body
+ * @param {object} [options] - Request options (`onProgress`, `signal`, `timeout`)
+ * @returns {Promise<any>} Response data
+ */
+export async function upload(endpoint, formData, options = {}) {
+  return request(endpoint, {
+    timeout: 0,
+    ...options,
+    method: "POST",
+    body: formData,
+  });
 }
 
 // Export as default object for convenience
@@ -220,12 +832,21 @@ const apiClient = {
   post,
   put,
   delete: del,
+  upload,
+  addRequestInterceptor,
+  addResponseInterceptor,
+  addErrorInterceptor,
   setLogoutCallback,
   clearLogoutCallback,
+  setSessionRefreshedCallback,
+  clearSessionRefreshedCallback,
+  refreshSession,
   handleUnauthorized,
   ApiError,
   AuthenticationError,
   AuthorizationError,
+  TimeoutError,
+  isAbortError,
 };
 
 export default apiClient;
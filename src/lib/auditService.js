@@ -0,0 +1,133 @@
+/**
+ * Audit Service Module
+ * Reads the admin audit log: who created, changed or deleted which account
+ * or custom role, and when. Role entries use the role name as their target.
+ * Entries are written by the backend as admin actions happen; the frontend
+ * only lists and filters them.
+ */
+
+import { escapeCSVField } from "@/utils/csvExporter";
+import { get } from "./apiClient";
+import { withAppErrors } from "./errors";
+import { GRANTABLE_CAPABILITIES } from "./permissions";
+
+/** Action types and how they read in the log */
+export const AUDIT_ACTIONS = {
+  USER_CREATED: "Created user",
+  PASSWORD_RESET: "Reset password",
+  ROLES_CHANGED: "Changed roles",
+  USER_ENABLED: "Enabled user",
+  USER_DISABLED: "Disabled user",
+  USER_DELETED: "Deleted user",
+  SESSION_REVOKED: "Ended a session",
+  SESSIONS_REVOKED: "Signed out everywhere",
+  ROLE_CREATED: "Created role",
+  ROLE_UPDATED: "Changed role",
+  ROLE_DELETED: "Deleted role",
+  IMPERSONATION_STARTED: "Started viewing as user",
+  IMPERSONATION_ENDED: "Stopped viewing as user",
+  IMPERSONATED_CHANGE: "Changed data as user",
+};
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} id - Entry id
+ * @property {string} timestamp - When it happened (ISO 8601)
+ * @property {string} actor - Username of the admin who acted
+ * @property {string} action - One of the AUDIT_ACTIONS keys
+ * @property {string} targetId - Id of the user acted on
+ * @property {string} target - Username of the user acted on
+ * @property {object} details - Action-specific data, e.g. `{ from, to }` roles
+ */
+
+/**
+ * Fetches audit entries, newest first
+ * @param {object} [filters] - `actor` and `target` match part of a username;
+ *   `action` an AUDIT_ACTIONS key; `targetId` one user; `limit` a maximum
+ * @param {object} [options] - apiClient request options (e.g. `{ signal }`)
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function listAuditEntries(filters = {}, options = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, String(value));
+    }
+  });
+  const query = params.toString();
+
+  const data = await withAppErrors(
+    () => get(`/admin/audit${query ? `?${query}` : ""}`, options),
+    { operation: "load the audit log" },
+  );
+  return data.entries || [];
+}
+
+/**
+ * One-line summary of an entry's details, e.g. "USER → USER, ADMIN"
+ * @param {AuditEntry} entry
+ * @returns {string}
+ */
+export function describeAuditDetails(entry) {
+  const roleNames = (roles = []) =>
+    roles.map((role) => role.replace("ROLE_", "")).join(", ");
+  const grants = (capabilities = []) =>
+    capabilities
+      .map(
+        (capability) =>
+          GRANTABLE_CAPABILITIES.find((c) => c.capability === capability)
+            ?.label ?? capability,
+      )
+      .join(", ") || "nothing";
+
+  switch (entry.action) {
+    case "USER_CREATED": {
+      const roles = entry.details?.roles
+        ? `Roles: ${roleNames(entry.details.roles)}`
+        : "";
+      return entry.details?.imported ? `${roles} (imported)`.trim() : roles;
+    }
+    case "PASSWORD_RESET":
+      return entry.details?.requireChange ? "Must change at next login" : "";
+    case "ROLES_CHANGED":
+      return `${roleNames(entry.details?.from)} → ${roleNames(entry.details?.to)}`;
+    case "ROLE_CREATED":
+      return `Grants: ${grants(entry.details?.capabilities)}`;
+    case "ROLE_UPDATED":
+      return `${grants(entry.details?.from)} → ${grants(entry.details?.to)}`;
+    case "IMPERSONATION_STARTED":
+      return entry.details?.allowWrites ? "Changes allowed" : "Read-only";
+    case "IMPERSONATED_CHANGE":
+      return `${entry.details?.method} ${entry.details?.path}`;
+    case "ROLE_DELETED":
+      return entry.details?.users?.length
+        ? `Removed from: ${entry.details.users.join(", ")}`
+        : "";
+    default:
+      return "";
+  }
+}
+
+/**
+ * Serializes audit entries to CSV
+ * Columns: Time, Actor, Action (readable label), Target, Details
+ * @param {AuditEntry[]} entries
+ * @returns {string} CSV string with header row and one data row per entry
+ */
+export function exportAuditLogCSV(entries) {
+  const header = ["Time", "Actor", "Action", "Target", "Details"];
+  const rows = [header.join(",")];
+
+  for (const entry of entries) {
+    const row = [
+      escapeCSVField(entry.timestamp),
+      escapeCSVField(entry.actor),
+      escapeCSVField(AUDIT_ACTIONS[entry.action] ?? entry.action),
+      escapeCSVField(entry.target),
+      escapeCSVField(describeAuditDetails(entry)),
+    ];
+    rows.push(row.join(","));
+  }
+
+  return rows.join("\n");
+}
@@ -4,51 +4,29 @@
  */
 
 import { get } from "./apiClient";
-import { getToken } from "./tokenStorage";
-import { handleUnauthorized } from "./apiClient";
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
+/** Query cache key for the documentation tree (see queryCache.js) */
+export const DOCS_TREE_QUERY_KEY = "/docs/tree";
 
 /**
  * Fetches the full documentation file tree.
+ * @param {object} [options] - apiClient request options (e.g. `{ signal }`)
  * @returns {Promise<DocsTreeNode>} The root tree node
  */
-export async function fetchDocsTree() {
-  return get("/docs/tree");
+export async function fetchDocsTree(options = {}) {
+  return get(DOCS_TREE_QUERY_KEY, options);
 }
 
 /**
  * Fetches the raw markdown content of a documentation file.
- * Uses a custom fetch since apiClient.get() JSON-parses all responses.
  * @param {string} relativePath - Relative path from the docs root (e.g. "guides/getting-started.md")
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
  * @returns {Promise<string>} Raw markdown string
  */
-export async function fetchDocsFile(relativePath) {
-  const url = `${API_BASE_URL}/docs/file?path=${encodeURIComponent(relativePath)}`;
-
-  const headers = {};
-  const token = getToken();
-  if (token) {
-    headers["Authorization"] = `Bearer ${token}`;
-  }
-
-  const response = await fetch(url, { method: "GET", headers });
-
-  if (response.status === 401) {
-    handleUnauthorized();
-    throw new Error("Session expired");
-  }
-
-  if (!response.ok) {
-    let message = "Failed to fetch document";
-    try {
-      const errorData = await response.json();
-      message = errorData.message || message;
-    } catch {
-      // Response may not be JSON
-    }
-    throw new Error(message);
-  }
-
-  return response.text();
+export async function fetchDocsFile(relativePath, { signal } = {}) {
+  return get(`/docs/file?path=${encodeURIComponent(relativePath)}`, {
+    signal,
+    responseType: "text",
+  });
 }
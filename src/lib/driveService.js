@@ -1,174 +1,154 @@
 /**
  * Drive Service Module
  * Encapsulates all MyDrive API endpoint calls.
- * Delegates to apiClient for JSON requests, uses fetch directly for multipart uploads.
+ * Delegates every request to apiClient, including blob downloads and multipart uploads.
  * All functions require a userId parameter — sourced from the authenticated user's identity.
  */
 
 import * as apiClient from "./apiClient";
-import { getToken } from "./tokenStorage";
-
-const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
-
-const ERROR_MESSAGES = {
-  DRIVE_ACCESS_DENIED: "You do not have permission to access this drive.",
-  INVALID_DRIVE_KEY: "The selected drive is not valid.",
-  DRIVE_ITEM_NOT_FOUND: "This item no longer exists.",
-  DRIVE_UNAVAILABLE:
-    "The drive service is temporarily unavailable. Please try again later.",
-  DRIVE_ITEM_CONFLICT:
-    "An item with that name already exists in the destination folder, or the move would create a circular reference.",
-  DRIVE_ROOT_DELETION: "The root folder cannot be deleted.",
-  DRIVE_ROOT_MOVE: "The root folder cannot be moved.",
+import { ERROR_CATALOG, toAppError, withAppErrors } from "./errors";
+import { invalidateQueries } from "./queryCache";
+
+// Moves are reported by status alone; say what went wrong with the move
+const MOVE_ERROR_MESSAGES = {
+  NOT_FOUND: ERROR_CATALOG.DRIVE_ITEM_NOT_FOUND.message,
+  CONFLICT: ERROR_CATALOG.DRIVE_ITEM_CONFLICT.message,
+  VALIDATION_ERROR: ERROR_CATALOG.DRIVE_ROOT_MOVE.message,
+  FORBIDDEN: "You do not have permission to move this item.",
   DRIVE_ACCESS_DENIED: "You do not have permission to move this item.",
-  DOWNLOAD_FOLDER: "Folders cannot be downloaded.",
 };
 
+/**
+ * Runs a mutation on one drive, then invalidates that drive's cached listing.
+ */
+async function mutateDrive(userId, driveKey, call, messages) {
+  const result = await withAppErrors(call, { messages });
+  invalidateQueries(getDriveQueryKey(userId, driveKey));
+  return result;
+}
+
+/**
+ * Query cache key for a drive listing (see queryCache.js).
+ */
+export function getDriveQueryKey(userId, driveKey) {
+  return `/users/${userId}/drives/${driveKey}`;
+}
+
 /**
  * Extracts a user-facing error message from an API error.
  */
 export function getErrorMessage(error) {
-  if (error?.data?.code && ERROR_MESSAGES[error.data.code]) {
-    return ERROR_MESSAGES[error.data.code];
-  }
-  return error?.message || "An unexpected error occurred.";
+  return toAppError(error).message;
 }
 
 /**
- * Returns the error code from an API error, if present.
+ * Returns the catalog error code (e.g. "DRIVE_ITEM_NOT_FOUND") for an error.
  */
 export function getErrorCode(error) {
-  return error?.data?.code || null;
+  return toAppError(error).code || null;
 }
 
-/** GET /users/{userId}/drives/{driveKey} */
-export async function listDriveContents(userId, driveKey) {
-  return apiClient.get(`/users/${userId}/drives/${driveKey}`);
+/**
+ * GET /users/{userId}/drives/{driveKey}
+ * Accepts apiClient request options (e.g. `{ signal }`) so callers can cancel.
+ */
+export async function listDriveContents(userId, driveKey, options = {}) {
+  return withAppErrors(() =>
+    apiClient.get(getDriveQueryKey(userId, driveKey), options),
+  );
 }
 
 /** POST /users/{userId}/drives/{driveKey}/folders */
 export async function createFolder(userId, driveKey, name, parentId) {
-  return apiClient.post(`/users/${userId}/drives/${driveKey}/folders`, {
-    name,
-    parentId,
-  });
+  return mutateDrive(userId, driveKey, () =>
+    apiClient.post(`/users/${userId}/drives/${driveKey}/folders`, {
+      name,
+      parentId,
+    }),
+  );
 }
 
 /** PUT /users/{userId}/drives/{driveKey}/items/{itemId} */
 export async function updateItem(userId, driveKey, itemId, updates) {
-  return apiClient.put(
-    `/users/${userId}/drives/${driveKey}/items/${itemId}`,
-    updates,
+  return mutateDrive(userId, driveKey, () =>
+    apiClient.put(
+      `/users/${userId}/drives/${driveKey}/items/${itemId}`,
+      updates,
+    ),
   );
 }
 
 /** PUT /users/{userId}/drives/{driveKey}/items/{itemId}/move */
 export async function moveItem(userId, driveKey, itemId, parentId) {
-  return apiClient.put(
-    `/users/${userId}/drives/${driveKey}/items/${itemId}/move`,
-    { parentId },
+  return mutateDrive(
+    userId,
+    driveKey,
+    () =>
+      apiClient.put(
+        `/users/${userId}/drives/${driveKey}/items/${itemId}/move`,
+        {
+          parentId,
+        },
+      ),
+    MOVE_ERROR_MESSAGES,
   );
 }
 
 /** DELETE /users/{userId}/drives/{driveKey}/items/{itemId} */
 export async function deleteItem(userId, driveKey, itemId) {
-  return apiClient.del(`/users/${userId}/drives/${driveKey}/items/${itemId}`);
+  return mutateDrive(userId, driveKey, () =>
+    apiClient.del(`/users/${userId}/drives/${driveKey}/items/${itemId}`),
+  );
 }
 
-/** GET /users/{userId}/drives/{driveKey}/items/{itemId}/download — returns Blob */
+/**
+ * GET /users/{userId}/drives/{driveKey}/items/{itemId}/download — returns Blob
+ * No timeout, like uploads: large files can take minutes to arrive.
+ */
 export async function downloadFile(userId, driveKey, itemId) {
-  const url = `${API_BASE_URL}/users/${userId}/drives/${driveKey}/items/${itemId}/download`;
-  const headers = {};
-  const token = getToken();
-  if (token) headers["Authorization"] = `Bearer ${token}`;
-  const response = await fetch(url, { method: "GET", headers });
-  if (!response.ok) {
-    if (response.status === 401) {
-      apiClient.handleUnauthorized();
-      throw new apiClient.AuthenticationError("Session expired");
-    }
-    let errorData = null;
-    try {
-      errorData = await response.json();
-    } catch {
-      /* not JSON */
-    }
-    throw new apiClient.ApiError(
-      errorData?.message || "Download failed",
-      response.status,
-      errorData,
-    );
-  }
-  return response.blob();
+  return withAppErrors(() =>
+    apiClient.get(
+      `/users/${userId}/drives/${driveKey}/items/${itemId}/download`,
+      { responseType: "blob", timeout: 0 },
+    ),
+  );
 }
 
 /**
- * Internal helper: performs a multipart/form-data POST via XMLHttpRequest with progress tracking.
+ * Internal helper: multipart/form-data POST with progress tracking.
+ * Network failures are reported as "<label> failed" instead of the generic message.
  */
-function xhrUpload(url, formData, onProgress, errorLabel) {
-  const token = getToken();
-
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-    xhr.open("POST", url);
-    if (token) xhr.setRequestHeader("Authorization", `Bearer ${token}`);
-
-    if (onProgress) {
-      xhr.upload.addEventListener("progress", (e) => {
-        if (e.lengthComputable) {
-          onProgress(Math.round((e.loaded / e.total) * 100));
-        }
-      });
-    }
-
-    xhr.onload = () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        try {
-          resolve(JSON.parse(xhr.responseText));
-        } catch {
-          resolve(null);
-        }
-      } else {
-        if (xhr.status === 401) {
-          apiClient.handleUnauthorized();
-          reject(new apiClient.AuthenticationError("Session expired"));
-          return;
-        }
-        let errorData = null;
-        try {
-          errorData = JSON.parse(xhr.responseText);
-        } catch {
-          /* not JSON */
-        }
-        reject(
-          new apiClient.ApiError(
-            errorData?.message || `${errorLabel} failed`,
-            xhr.status,
-            errorData,
-          ),
-        );
-      }
-    };
-
-    xhr.onerror = () =>
-      reject(new apiClient.ApiError(`${errorLabel} failed`, 0, null));
-    xhr.send(formData);
-  });
+function uploadMultipart(endpoint, formData, onProgress, errorLabel) {
+  return withAppErrors(
+    () => apiClient.upload(endpoint, formData, { onProgress }),
+    { messages: { NETWORK_ERROR: `${errorLabel} failed. Please try again.` } },
+  );
 }
 
 /** POST /users/{userId}/drives/{driveKey}/files — multipart/form-data */
 export function uploadFile(userId, driveKey, file, parentId, onProgress) {
-  const url = `${API_BASE_URL}/users/${userId}/drives/${driveKey}/files`;
   const formData = new FormData();
   formData.append("file", file);
   formData.append("parentId", parentId);
-  return xhrUpload(url, formData, onProgress, "Upload");
+  return uploadMultipart(
+    `/users/${userId}/drives/${driveKey}/files`,
+    formData,
+    onProgress,
+    "Upload",
+  ).then((item) => {
+    invalidateQueries(getDriveQueryKey(userId, driveKey));
+    return item;
+  });
 }
 
 /** POST /users/{userId}/plex/upload — multipart/form-data */
 export function plexUpload(userId, file, onProgress) {
-  const url = `${API_BASE_URL}/users/${userId}/plex/upload`;
   const formData = new FormData();
   formData.append("file", file);
-  return xhrUpload(url, formData, onProgress, "Plex upload");
+  return uploadMultipart(
+    `/users/${userId}/plex/upload`,
+    formData,
+    onProgress,
+    "Plex upload",
+  );
 }
@@ -0,0 +1,359 @@
+/**
+ * Error Catalog Module
+ * One error model shared by every service. API failures are mapped into an
+ * AppError carrying a stable code, a severity, whether retrying can help, and
+ * the message to show the user. Toasts and page banners render AppErrors the
+ * same way and use `retryable` to decide whether to offer "Retry".
+ */
+
+import { isAbortError, NetworkError, TimeoutError } from "./apiClient";
+
+/**
+ * Severity levels; they double as ToastContainer toast types
+ */
+export const ErrorSeverity = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+/**
+ * Every known error code. `message: null` means the server's own message is
+ * shown (validation errors describe what to fix).
+ */
+export const ERROR_CATALOG = {
+  // Transport and generic HTTP errors
+  NETWORK_ERROR: {
+    message: "Unable to connect to server. Please try again.",
+    severity: ErrorSeverity.ERROR,
+    retryable: true,
+  },
+  TIMEOUT: {
+    message: "The server took too long to respond. Please try again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: true,
+  },
+  VALIDATION_ERROR: {
+    message: null,
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  UNAUTHORIZED: {
+    message: "Session expired. Please log in again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  FORBIDDEN: {
+    message: "You do not have permission to perform this action.",
+    severity: ErrorSeverity.ERROR,
+    retryable: false,
+  },
+  NOT_FOUND: {
+    message: "Resource not found.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  CONFLICT: {
+    message: "This item was changed elsewhere. Refresh and try again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  RATE_LIMITED: {
+    message: "Too many requests. Please wait a moment and try again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: true,
+  },
+  SERVER_ERROR: {
+    message: "Server error. Please try again later.",
+    severity: ErrorSeverity.ERROR,
+    retryable: true,
+  },
+  UNKNOWN: {
+    message: "Something went wrong. Please try again.",
+    severity: ErrorSeverity.ERROR,
+    retryable: true,
+  },
+
+  // Backend codes (sent as `code` or `errorCode` in the error body)
+  DRIVE_ACCESS_DENIED: {
+    message: "You do not have permission to access this drive.",
+    severity: ErrorSeverity.ERROR,
+    retryable: false,
+  },
+  INVALID_DRIVE_KEY: {
+    message: "The selected drive is not valid.",
+    severity: ErrorSeverity.ERROR,
+    retryable: false,
+  },
+  DRIVE_ITEM_NOT_FOUND: {
+    message: "This item no longer exists.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  DRIVE_UNAVAILABLE: {
+    message:
+      "The drive service is temporarily unavailable. Please try again later.",
+    severity: ErrorSeverity.ERROR,
+    retryable: true,
+  },
+  DRIVE_ITEM_CONFLICT: {
+    message:
+      "An item with that name already exists in the destination folder, or the move would create a circular reference.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  DRIVE_ROOT_DELETION: {
+    message: "The root folder cannot be deleted.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  DRIVE_ROOT_MOVE: {
+    message: "The root folder cannot be moved.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  DOWNLOAD_FOLDER: {
+    message: "Folders cannot be downloaded.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  ACTION_ALREADY_CREATED: {
+    message: "A TODO has already been created from this notification.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  NOTIFICATION_EXPIRED: {
+    message: "Cannot perform this action on an expired notification.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  HEALTH_VALIDATION_FAILED: {
+    message: null,
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  MFA_REQUIRED: {
+    message: "Enter the code from your authenticator app.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  MFA_INVALID_CODE: {
+    message:
+      "That code is not valid. Check your authenticator app and try again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  MFA_CHALLENGE_EXPIRED: {
+    message: "Verification timed out. Please log in again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  MFA_NOT_ENABLED: {
+    message: "Two-factor authentication is not enabled.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  MFA_ALREADY_ENABLED: {
+    message: "Two-factor authentication is already enabled.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  UNLOCK_FAILED: {
+    message: "Incorrect PIN or password.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  SESSION_LOCKED: {
+    message: "The app is locked. Unlock it to continue.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  PIN_NOT_SET: {
+    message: "No PIN is set. Unlock with your password.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  PIN_INVALID: {
+    message: "PIN must be 4 to 8 digits.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  PASSWORD_EXPIRED: {
+    message: "Your password has expired. Choose a new one.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  PASSWORD_CHANGE_EXPIRED: {
+    message: "That took too long. Please log in again.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  CURRENT_PASSWORD_INCORRECT: {
+    message: "Your current password is incorrect.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  PASSWORD_TOO_WEAK: {
+    message: null,
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+  IMPERSONATION_READ_ONLY: {
+    message: "You are viewing as another user. Changes are turned off.",
+    severity: ErrorSeverity.WARNING,
+    retryable: false,
+  },
+};
+
+/**
+ * Application error with a stable code and user-facing message
+ * `message` is always safe to show to the user.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {object} [details]
+   * @param {string} [details.code] - Key of ERROR_CATALOG
+   * @param {number|null} [details.status] - HTTP status (0 = no response)
+   * @param {string} [details.severity] - One of ErrorSeverity
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {any} [details.data] - Error body from the backend
+   * @param {any} [details.cause] - The original error
+   */
+  constructor(message, details = {}) {
+    const entry = ERROR_CATALOG[details.code] || ERROR_CATALOG.UNKNOWN;
+    super(message, { cause: details.cause });
+    this.name = "AppError";
+    this.code = details.code || "UNKNOWN";
+    this.status = details.status ?? null;
+    this.severity = details.severity || entry.severity;
+    this.retryable = details.retryable ?? entry.retryable;
+    this.data = details.data ?? null;
+  }
+}
+
+// What fetch's TypeError says when the request never got out, per browser
+// (Chrome, Firefox, Safari), for failures that didn't go through apiClient
+const FETCH_FAILURE_MESSAGES = [
+  "Failed to fetch",
+  "NetworkError when attempting to fetch resource.",
+  "Load failed",
+];
+
+/**
+ * Picks the catalog code for a raw error
+ * Backend codes win over the HTTP status so specific messages are kept.
+ * @param {any} error - Caught error
+ * @returns {string} Key of ERROR_CATALOG
+ */
+function resolveCode(error) {
+  if (error instanceof TimeoutError) return "TIMEOUT";
+  if (
+    error instanceof NetworkError ||
+    (error?.name === "TypeError" &&
+      FETCH_FAILURE_MESSAGES.includes(error.message))
+  ) {
+    return "NETWORK_ERROR";
+  }
+
+  const backendCode = error?.data?.code || error?.data?.errorCode;
+  if (backendCode && ERROR_CATALOG[backendCode]) return backendCode;
+
+  const status = error?.status;
+  if (status === 0) return "NETWORK_ERROR";
+  if (status === 400 || status === 422) return "VALIDATION_ERROR";
+  if (status === 401) return "UNAUTHORIZED";
+  if (status === 403) return "FORBIDDEN";
+  if (status === 404) return "NOT_FOUND";
+  if (status === 409) return "CONFLICT";
+  if (status === 429) return "RATE_LIMITED";
+  if (status >= 500) return "SERVER_ERROR";
+  return "UNKNOWN";
+}
+
+/**
+ * Maps any caught error into an AppError
+ * Cancellations (AbortError) are returned unchanged - they are not failures
+ * and callers check them with isAbortError().
+ * @param {any} error - Caught error
+ * @param {object} [options]
+ * @param {string} [options.operation] - e.g. "fetch tasks"; used for UNKNOWN errors
+ * @param {object} [options.messages] - Per-code message overrides
+ * @param {Function} [options.ErrorClass] - AppError subclass to construct
+ * @returns {AppError|Error} The mapped error
+ */
+export function toAppError(
+  error,
+  { operation, messages = {}, ErrorClass = AppError } = {},
+) {
+  if (isAbortError(error) || error instanceof ErrorClass) {
+    return error;
+  }
+
+  const code = resolveCode(error);
+  const entry = ERROR_CATALOG[code];
+
+  let message = messages[code] ?? entry.message;
+  if (message === null) {
+    message = error?.data?.message || error?.message || "Invalid request.";
+  } else if (code === "UNKNOWN" && operation && !messages[code]) {
+    message = `Failed to ${operation}. Please try again.`;
+  }
+
+  return new ErrorClass(message, {
+    code,
+    status: error?.status ?? (code === "NETWORK_ERROR" ? 0 : null),
+    severity: entry.severity,
+    retryable: entry.retryable,
+    data: error?.data ?? null,
+    cause: error,
+  });
+}
+
+/**
+ * Runs a service call, mapping anything it throws with toAppError
+ * @param {Function} call - () => Promise, e.g. an apiClient request
+ * @param {object} [options]
+ * @param {string} [options.operation] - e.g. "load roles"; used for UNKNOWN errors
+ * @param {object} [options.messages] - Per-code message overrides
+ * @returns {Promise<any>} The call's result
+ * @throws {AppError} The mapped error (cancellations are rethrown as they are)
+ */
+export async function withAppErrors(call, { operation, messages } = {}) {
+  try {
+    return await call();
+  } catch (error) {
+    throw toAppError(error, { operation, messages });
+  }
+}
+
+/**
+ * Returns the user-facing message for any caught error
+ * @param {any} error - Caught error
+ * @param {object} [messages] - Per-code message overrides
+ * @returns {string} Message safe to show the user
+ */
+export function getUserMessage(error, messages) {
+  return toAppError(error, { messages }).message;
+}
+
+// Gateway errors mean the home server is down behind the proxy
+const OFFLINE_STATUSES = [502, 503, 504];
+
+/**
+ * Checks whether an error means the backend is unreachable (as opposed to the
+ * backend rejecting the request), e.g. to queue a mutation instead of rolling
+ * it back, or to re-check the heartbeat
+ * @param {any} error - Caught error
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  if (isAbortError(error)) {
+    return false;
+  }
+  const appError = toAppError(error);
+  return (
+    appError.code === "NETWORK_ERROR" ||
+    appError.code === "TIMEOUT" ||
+    OFFLINE_STATUSES.includes(appError.status)
+  );
+}
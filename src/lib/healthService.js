@@ -1,40 +1,46 @@
 /**
  * Health Service Module
  * Centralized API service for all Health Portal endpoints under /api/health/*.
- * Uses the existing apiClient for JSON requests and fetch directly for multipart uploads.
+ * Uses the existing apiClient for JSON requests, multipart uploads and blob downloads.
  *
  * Requirements: 13.1, 13.2, 13.3, 13.4, 13.5
  */
 
 import apiClient from "./apiClient";
-import { getToken } from "./tokenStorage";
-import { handleUnauthorized } from "./apiClient";
+import { toAppError } from "./errors";
+import { invalidateQueries } from "./queryCache";
 
 function getBase(username) {
   return `/users/${username}/health`;
 }
 
 /**
- * Transforms API errors into user-friendly error messages.
+ * Query cache key for a health listing (see queryCache.js).
+ * @param {string} username - User identifier
+ * @param {string} resource - "metrics", "journal", "documents", ...
+ * @returns {string} The listing endpoint
+ */
+export function getHealthQueryKey(username, resource) {
+  return `${getBase(username)}/${resource}`;
+}
+
+/**
+ * Returns a mutation's result after invalidating the user's cached metrics.
+ */
+function invalidateMetrics(username, result) {
+  invalidateQueries(getHealthQueryKey(username, "metrics"));
+  return result;
+}
+
+/**
+ * Maps API errors into the shared AppError model (see errors.js).
+ * Backend validation codes (e.g. HEALTH_VALIDATION_FAILED) are kept as `code`.
  * @param {Error} error - The original error
  * @param {string} operation - Description of the failed operation
- * @returns {Error} A new Error with a user-friendly message
+ * @returns {AppError|Error} AppError, or the original error if the request was cancelled
  */
 function handleError(error, operation) {
-  if (error.name === "TypeError" && error.message === "Failed to fetch") {
-    return new Error("Unable to connect to server. Please try again.");
-  }
-  if (error.status === 404) return new Error("Resource not found.");
-  if (error.status === 400) {
-    const message = error.data?.message || error.message || "Invalid request";
-    const err = new Error(message);
-    if (error.data?.errorCode) {
-      err.errorCode = error.data.errorCode;
-    }
-    return err;
-  }
-  if (error.status >= 500) return new Error("Server error. Please try again later.");
-  return new Error(`Failed to ${operation}. Please try again.`);
+  return toAppError(error, { operation });
 }
 
 /**
@@ -65,11 +71,12 @@ export const healthService = {
 
   /**
    * Fetches all journal entries.
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<Array>} Array of journal entry objects
    */
-  getJournalEntries: async (username) => {
+  getJournalEntries: async (username, options = {}) => {
     try {
-      return await apiClient.get(`${getBase(username)}/journal`);
+      return await apiClient.get(`${getBase(username)}/journal`, options);
     } catch (error) {
       throw handleError(error, "fetch journal entries");
     }
@@ -119,11 +126,12 @@ export const healthService = {
 
   /**
    * Fetches all health metrics.
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<Array>} Array of metric objects
    */
-  getMetrics: async (username) => {
+  getMetrics: async (username, options = {}) => {
     try {
-      return await apiClient.get(`${getBase(username)}/metrics`);
+      return await apiClient.get(getHealthQueryKey(username, "metrics"), options);
     } catch (error) {
       throw handleError(error, "fetch metrics");
     }
@@ -136,7 +144,8 @@ export const healthService = {
    */
   createMetric: async (username, metric) => {
     try {
-      return await apiClient.post(`${getBase(username)}/metrics`, metric);
+      const result = await apiClient.post(`${getBase(username)}/metrics`, metric);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "create metric");
     }
@@ -150,7 +159,8 @@ export const healthService = {
    */
   addDataPoint: async (username, metricId, point) => {
     try {
-      return await apiClient.post(`${getBase(username)}/metrics/${metricId}/points`, point);
+      const result = await apiClient.post(`${getBase(username)}/metrics/${metricId}/points`, point);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "add data point");
     }
@@ -164,7 +174,8 @@ export const healthService = {
    */
   updateMetric: async (username, metricId, metric) => {
     try {
-      return await apiClient.put(`${getBase(username)}/metrics/${metricId}`, metric);
+      const result = await apiClient.put(`${getBase(username)}/metrics/${metricId}`, metric);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "update metric");
     }
@@ -177,7 +188,8 @@ export const healthService = {
    */
   deleteMetric: async (username, metricId) => {
     try {
-      return await apiClient.delete(`${getBase(username)}/metrics/${metricId}`);
+      const result = await apiClient.delete(`${getBase(username)}/metrics/${metricId}`);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "delete metric");
     }
@@ -192,7 +204,8 @@ export const healthService = {
    */
   updateDataPoint: async (username, metricId, index, point) => {
     try {
-      return await apiClient.put(`${getBase(username)}/metrics/${metricId}/points/${index}`, point);
+      const result = await apiClient.put(`${getBase(username)}/metrics/${metricId}/points/${index}`, point);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "update data point");
     }
@@ -206,7 +219,8 @@ export const healthService = {
    */
   deleteDataPoint: async (username, metricId, index) => {
     try {
-      return await apiClient.delete(`${getBase(username)}/metrics/${metricId}/points/${index}`);
+      const result = await apiClient.delete(`${getBase(username)}/metrics/${metricId}/points/${index}`);
+      return invalidateMetrics(username, result);
     } catch (error) {
       throw handleError(error, "delete data point");
     }
@@ -216,11 +230,12 @@ export const healthService = {
 
   /**
    * Fetches all health documents.
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<Array>} Array of document objects
    */
-  getDocuments: async (username) => {
+  getDocuments: async (username, options = {}) => {
     try {
-      const data = await apiClient.get(`${getBase(username)}/documents`);
+      const data = await apiClient.get(`${getBase(username)}/documents`, options);
       return Array.isArray(data) ? data.map((doc) => normalizeDocument(doc)) : [];
     } catch (error) {
       throw handleError(error, "fetch documents");
@@ -229,7 +244,6 @@ export const healthService = {
 
   /**
    * Uploads a document using multipart form data.
-   * Uses fetch directly instead of apiClient to support FormData.
    * Requirement 13.4: Multipart upload bypassing default JSON content-type.
    * @param {File} file - The file to upload
    * @param {string} category - Document category
@@ -242,66 +256,32 @@ export const healthService = {
     formData.append("category", category);
     formData.append("date", today);
 
-    const token = getToken();
-    const response = await fetch(
-      `${process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL}${getBase(username)}/documents`,
-      {
-        method: "POST",
-        headers: token ? { Authorization: `Bearer ${token}` } : {},
-        // No Content-Type header — browser sets multipart boundary automatically
-        body: formData,
-      }
-    );
-
-    if (!response.ok) {
-      if (response.status === 401) {
-        handleUnauthorized();
-        throw new Error("Session expired");
-      }
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || "Upload failed");
+    try {
+      const data = await apiClient.upload(`${getBase(username)}/documents`, formData);
+      return normalizeDocument(data, { fallbackDate: today });
+    } catch (error) {
+      throw handleError(error, "upload document");
     }
-
-    return normalizeDocument(await response.json(), { fallbackDate: today });
   },
 
   /**
    * Downloads a document's file bytes via the authenticated streaming endpoint.
    * The document record carries no public URL — bytes are served only behind
-   * auth at GET /documents/{id}/download — so this fetches with the Bearer token
-   * and returns a Blob the caller can turn into an object URL.
-   * Uses fetch directly (not apiClient) because the response is binary, not JSON.
+   * auth at GET /documents/{id}/download — so this returns a Blob the caller
+   * can turn into an object URL. No timeout, like uploads: large files can
+   * take minutes to arrive.
    * @param {string} id - Document ID
    * @returns {Promise<Blob>} The file contents
    */
   downloadDocument: async (username, id) => {
-    const token = getToken();
-    let response;
     try {
-      response = await fetch(
-        `${process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL}${getBase(username)}/documents/${id}/download`,
-        {
-          method: "GET",
-          headers: token ? { Authorization: `Bearer ${token}` } : {},
-        }
-      );
+      return await apiClient.get(`${getBase(username)}/documents/${id}/download`, {
+        responseType: "blob",
+        timeout: 0,
+      });
     } catch (error) {
       throw handleError(error, "download document");
     }
-
-    if (!response.ok) {
-      if (response.status === 401) {
-        handleUnauthorized();
-        throw new Error("Session expired");
-      }
-      const errorData = await response.json().catch(() => ({}));
-      throw handleError(
-        { status: response.status, data: errorData, message: errorData.message },
-        "download document"
-      );
-    }
-
-    return response.blob();
   },
 
   /**
@@ -321,11 +301,12 @@ export const healthService = {
 
   /**
    * Fetches all appointments.
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<Array>} Array of appointment objects
    */
-  getAppointments: async (username) => {
+  getAppointments: async (username, options = {}) => {
     try {
-      return await apiClient.get(`${getBase(username)}/appointments`);
+      return await apiClient.get(`${getBase(username)}/appointments`, options);
     } catch (error) {
       throw handleError(error, "fetch appointments");
     }
@@ -361,11 +342,12 @@ export const healthService = {
 
   /**
    * Fetches all health maintenance reminders.
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<Array>} Array of reminder objects
    */
-  getReminders: async (username) => {
+  getReminders: async (username, options = {}) => {
     try {
-      return await apiClient.get(`${getBase(username)}/reminders`);
+      return await apiClient.get(`${getBase(username)}/reminders`, options);
     } catch (error) {
       throw handleError(error, "fetch reminders");
     }
@@ -0,0 +1,190 @@
+/**
+ * Idle Lock Module
+ * Bookkeeping for the inactivity lock that AuthContext drives: when the user
+ * was last active, whether the app is locked, and how long to wait.
+ *
+ * Both are kept in localStorage so every open tab agrees - activity in one
+ * tab keeps the others unlocked, locking one locks them all, and a reload
+ * does not get past the lock screen. Unlocking (password or PIN) is checked
+ * by the backend; nothing secret is stored here. The backend also marks the
+ * session locked and holds back health data until the unlock (see
+ * lockService.js), so clearing these keys doesn't reveal it.
+ */
+
+export const LAST_ACTIVITY_KEY = "paradise_last_activity";
+export const LOCKED_KEY = "paradise_locked";
+const IDLE_TIMEOUT_KEY = "paradise_idle_timeout_ms";
+
+const MINUTE_MS = 60 * 1000;
+
+function minutesFromEnv(value, fallback) {
+  const minutes = Number(value);
+  return Number.isFinite(minutes) && value !== "" && value != null
+    ? minutes * MINUTE_MS
+    : fallback;
+}
+
+/**
+ * Lock after this much inactivity unless the user picks another period
+ * (NEXT_PUBLIC_IDLE_LOCK_MINUTES; 0 turns the lock off by default)
+ */
+export const DEFAULT_IDLE_TIMEOUT_MS = minutesFromEnv(
+  process.env.NEXT_PUBLIC_IDLE_LOCK_MINUTES,
+  15 * MINUTE_MS,
+);
+
+/**
+ * Stricter period applied while the health portal is open
+ * (NEXT_PUBLIC_HEALTH_IDLE_LOCK_MINUTES; 0 keeps the normal period)
+ */
+export const HEALTH_IDLE_TIMEOUT_MS = minutesFromEnv(
+  process.env.NEXT_PUBLIC_HEALTH_IDLE_LOCK_MINUTES,
+  5 * MINUTE_MS,
+);
+
+/** Periods offered on the security page; 0 = never lock */
+export const IDLE_TIMEOUT_OPTIONS = [
+  5 * MINUTE_MS,
+  15 * MINUTE_MS,
+  30 * MINUTE_MS,
+  60 * MINUTE_MS,
+  0,
+];
+
+/** DOM events that count as activity */
+export const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "wheel",
+  "touchstart",
+  "scroll",
+];
+
+// pointermove fires constantly; other tabs only need a rough timestamp
+const ACTIVITY_WRITE_INTERVAL_MS = 5 * 1000;
+
+let lastWrittenActivity = 0;
+
+function readStorage(key) {
+  try {
+    return typeof window !== "undefined"
+      ? window.localStorage.getItem(key)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch {
+    // Storage unavailable - the lock still works within this tab
+  }
+}
+
+/**
+ * Records user activity (throttled; pass `force` to write immediately)
+ * @param {number} [now=Date.now()] - Timestamp
+ * @param {boolean} [force=false] - Skip the throttle
+ */
+export function recordActivity(now = Date.now(), force = false) {
+  if (!force && now - lastWrittenActivity < ACTIVITY_WRITE_INTERVAL_MS) {
+    return;
+  }
+  lastWrittenActivity = now;
+  writeStorage(LAST_ACTIVITY_KEY, String(now));
+}
+
+/**
+ * Last activity in any tab
+ * @returns {number|null} Timestamp, or null if none recorded
+ */
+export function getLastActivity() {
+  const value = Number(readStorage(LAST_ACTIVITY_KEY));
+  return value > 0 ? value : null;
+}
+
+/**
+ * Whether the app is locked (in any tab)
+ * @returns {boolean}
+ */
+export function isLockedStored() {
+  return readStorage(LOCKED_KEY) === "true";
+}
+
+/**
+ * Locks or unlocks every tab
+ * @param {boolean} locked
+ */
+export function setLockedStored(locked) {
+  writeStorage(LOCKED_KEY, locked ? "true" : null);
+}
+
+/**
+ * The user's chosen idle period
+ * @returns {number} Milliseconds; 0 = never lock
+ */
+export function getIdleTimeoutPreference() {
+  const stored = readStorage(IDLE_TIMEOUT_KEY);
+  const value = Number(stored);
+  return stored !== null && Number.isFinite(value) && value >= 0
+    ? value
+    : DEFAULT_IDLE_TIMEOUT_MS;
+}
+
+/**
+ * Saves the user's idle period
+ * @param {number} timeoutMs - Milliseconds; 0 = never lock
+ */
+export function setIdleTimeoutPreference(timeoutMs) {
+  writeStorage(IDLE_TIMEOUT_KEY, String(timeoutMs));
+}
+
+/**
+ * The period that applies: the shortest of the user's choice and any
+ * stricter period requested by open pages (0 entries are ignored)
+ * @param {number} preferenceMs - User's period; 0 = never lock
+ * @param {number[]} [overridesMs] - Periods requested by pages
+ * @returns {number} Milliseconds; 0 = never lock
+ */
+export function getEffectiveIdleTimeout(preferenceMs, overridesMs = []) {
+  const periods = [preferenceMs, ...overridesMs].filter((ms) => ms > 0);
+  return periods.length > 0 ? Math.min(...periods) : 0;
+}
+
+/**
+ * Whether enough time has passed without activity to lock
+ * @param {number|null} lastActivity - Last activity timestamp
+ * @param {number} timeoutMs - Period; 0 = never lock
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {boolean}
+ */
+export function isIdleExpired(lastActivity, timeoutMs, now = Date.now()) {
+  return (
+    timeoutMs > 0 && lastActivity !== null && now - lastActivity >= timeoutMs
+  );
+}
+
+/**
+ * Subscribes to lock changes made in other tabs
+ * @param {Function} handler - Called with the new locked state
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToLockChanges(handler) {
+  if (typeof window === "undefined") {
+    return () => {};
+  }
+  const onStorage = (event) => {
+    if (event.key === LOCKED_KEY || event.key === null) {
+      handler(isLockedStored());
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
@@ -0,0 +1,101 @@
+/**
+ * Impersonation Service Module
+ * Lets an admin view the app as another user: pages that load per-user data
+ * (tasks, drives, health) use the impersonated username in place of the
+ * admin's own (see useEffectiveUser), so the admin sees what the user sees.
+ *
+ * Starting and ending are recorded in the audit log by the backend. Every
+ * request made while impersonating carries the IMPERSONATION_HEADER, so the
+ * backend can tie it to the impersonation. Impersonation is read-only unless
+ * started with `allowWrites`: changes to the user's data are refused before
+ * they are sent (and again by the backend).
+ */
+
+import { ApiError, post, del } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+export const IMPERSONATION_HEADER = "X-Impersonation-Id";
+
+/**
+ * @typedef {object} Impersonation
+ * @property {string} id - Impersonation id, sent in IMPERSONATION_HEADER
+ * @property {string} userId - Id of the impersonated user
+ * @property {string} username - Username of the impersonated user
+ * @property {string[]} capabilities - What the impersonated user may do
+ * @property {boolean} allowWrites - Whether the admin may change their data
+ * @property {string} startedAt - ISO 8601
+ */
+
+/**
+ * Starts viewing the app as a user
+ * @param {string} userId - Id of the user to impersonate
+ * @param {object} [options]
+ * @param {boolean} [options.allowWrites=false] - Allow changes to their data
+ * @returns {Promise<Impersonation>}
+ */
+export async function startImpersonation(userId, { allowWrites = false } = {}) {
+  return withAppErrors(
+    () => post("/admin/impersonation", { userId, allowWrites }),
+    { operation: "view as user" },
+  );
+}
+
+/**
+ * Ends an impersonation
+ * @param {string} id - Impersonation id
+ * @returns {Promise<void>}
+ */
+export async function endImpersonation(id) {
+  await withAppErrors(
+    () => del(`/admin/impersonation/${encodeURIComponent(id)}`),
+    { operation: "stop viewing as user" },
+  );
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Whether a request would change the impersonated user's data
+ * The services put the username into `/users/{userId}/...` as is, so it is
+ * compared decoded: encoded and raw paths match alike.
+ * @param {{method: string, endpoint: string}} config - apiClient request config
+ * @param {Impersonation} impersonation
+ * @returns {boolean}
+ */
+export function isImpersonatedWrite({ method, endpoint }, impersonation) {
+  const [, root, user, rest] = endpoint.split("/");
+  return (
+    method.toUpperCase() !== "GET" &&
+    root === "users" &&
+    rest !== undefined &&
+    decodeSegment(user) === impersonation.username
+  );
+}
+
+/**
+ * apiClient request interceptor for an impersonation: tags every request
+ * and refuses changes to the user's data when the impersonation is read-only
+ * @param {Impersonation} impersonation
+ * @returns {Function} (config) => config
+ * @throws {ApiError} 403 IMPERSONATION_READ_ONLY from the interceptor
+ */
+export function createImpersonationInterceptor(impersonation) {
+  return (config) => {
+    if (
+      !impersonation.allowWrites &&
+      isImpersonatedWrite(config, impersonation)
+    ) {
+      throw new ApiError("Viewing as another user is read-only", 403, {
+        code: "IMPERSONATION_READ_ONLY",
+      });
+    }
+    config.headers[IMPERSONATION_HEADER] = impersonation.id;
+    return config;
+  };
+}
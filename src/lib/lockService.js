@@ -0,0 +1,64 @@
+/**
+ * Lock Service Module
+ * Locking and unlocking the session behind the idle lock screen, and managing
+ * the short PIN that can be used instead of the password. The session stays
+ * valid while locked, so these are ordinary authenticated calls, but the
+ * backend refuses health data (423 SESSION_LOCKED) until the unlock.
+ *
+ * A wrong PIN or password comes back as 400 UNLOCK_FAILED rather than 401, so
+ * a typo does not look like an expired session to apiClient. Too many wrong
+ * answers revoke the session, and the next call logs the user out.
+ */
+
+import { get, post, put, del } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+/**
+ * Marks the session locked, so the backend holds back health data even from
+ * a tab that skips the lock screen
+ * @returns {Promise<void>}
+ */
+export function lockSession() {
+  return withAppErrors(() => post("/auth/lock"), { operation: "lock" });
+}
+
+/**
+ * Checks a PIN or password against the signed-in account
+ * @param {{password?: string, pin?: string}} credentials - One of the two
+ * @returns {Promise<{unlocked: boolean}>} The session is unlocked too
+ */
+export function unlock(credentials) {
+  return withAppErrors(() => post("/auth/unlock", credentials), {
+    operation: "unlock",
+  });
+}
+
+/**
+ * Fetches whether a PIN is set
+ * @returns {Promise<{enabled: boolean}>}
+ */
+export function getPinStatus() {
+  return withAppErrors(() => get("/auth/pin"), {
+    operation: "load PIN settings",
+  });
+}
+
+/**
+ * Sets or replaces the unlock PIN
+ * @param {string} pin - 4 to 8 digits
+ * @param {string} password - Current password, to confirm
+ * @returns {Promise<{enabled: boolean}>}
+ */
+export function setPin(pin, password) {
+  return withAppErrors(() => put("/auth/pin", { pin, password }), {
+    operation: "set PIN",
+  });
+}
+
+/**
+ * Removes the unlock PIN; only the password unlocks afterwards
+ * @returns {Promise<void>}
+ */
+export function removePin() {
+  return withAppErrors(() => del("/auth/pin"), { operation: "remove PIN" });
+}
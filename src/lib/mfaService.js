@@ -0,0 +1,67 @@
+/**
+ * MFA Service Module
+ * Two-factor (TOTP) enrollment and management for the signed-in user.
+ * The sign-in challenge itself (MFA_REQUIRED, /auth/mfa/verify) is handled by
+ * AuthContext, since it happens before there is an access token.
+ *
+ * Wrong codes come back as 400 MFA_INVALID_CODE rather than 401, so a typo
+ * does not look like an expired session to apiClient.
+ */
+
+import { get, post } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+/**
+ * Fetches whether MFA is on and how many recovery codes are left
+ * @returns {Promise<{enabled: boolean, recoveryCodesRemaining: number}>}
+ */
+export function getMfaStatus() {
+  return withAppErrors(() => get("/auth/mfa"), {
+    operation: "load two-factor settings",
+  });
+}
+
+/**
+ * Starts enrollment with a fresh secret; MFA stays off until confirmed
+ * @returns {Promise<{secret: string, otpauthUri: string}>} The secret and the
+ *   otpauth:// URI to show as a QR code
+ */
+export function startMfaEnrollment() {
+  return withAppErrors(() => post("/auth/mfa/enrollment"), {
+    operation: "start two-factor setup",
+  });
+}
+
+/**
+ * Confirms enrollment with a code from the new secret, turning MFA on
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<{recoveryCodes: string[]}>} One-time recovery codes,
+ *   shown to the user once
+ */
+export function confirmMfaEnrollment(code) {
+  return withAppErrors(() => post("/auth/mfa/enrollment/confirm", { code }), {
+    operation: "confirm two-factor setup",
+  });
+}
+
+/**
+ * Replaces every recovery code
+ * @param {string} code - Current 6-digit code
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+export function regenerateRecoveryCodes(code) {
+  return withAppErrors(() => post("/auth/mfa/recovery-codes", { code }), {
+    operation: "generate recovery codes",
+  });
+}
+
+/**
+ * Turns MFA off
+ * @param {string} code - Current 6-digit code
+ * @returns {Promise<void>}
+ */
+export function disableMfa(code) {
+  return withAppErrors(() => post("/auth/mfa/disable", { code }), {
+    operation: "turn off two-factor authentication",
+  });
+}
@@ -0,0 +1,398 @@
+/**
+ * Offline Queue Module
+ * Persistent outbox for task and journal mutations made while the backend is
+ * unreachable. Mutations are stored in IndexedDB (in memory where IndexedDB
+ * is unavailable) and replayed in the order they were made once the backend
+ * is healthy again.
+ *
+ * Conflicts are resolved with server timestamps: a queued update or delete is
+ * dropped when the server copy changed (`updatedAt`) after it was queued, or
+ * when the record no longer exists. Records without `updatedAt` are
+ * last-write-wins. If the server copy can't be loaded, the replay stops and
+ * the rest of the outbox waits for the next one.
+ */
+
+import { TaskService } from "./taskService";
+import { healthService } from "./healthService";
+import { isOfflineError, toAppError } from "./errors";
+import { invalidateQueries } from "./queryCache";
+import { generateUUID } from "@/utils/uuid";
+
+const DB_NAME = "paradise_offline";
+const STORE_NAME = "outbox";
+
+// Journal entries created offline get a temporary id until the server assigns one
+const TEMP_ID_PREFIX = "offline-";
+
+/**
+ * Mutation types and how each one is sent to the backend
+ * Executors take (userId, payload, options); options (e.g. the task updates'
+ * `invalidate`) apply only when sent right away and aren't stored in the outbox.
+ */
+export const MutationType = {
+  TASK_CREATE: "task.create",
+  TASK_UPDATE: "task.update",
+  TASK_DELETE: "task.delete",
+  DAILY_CREATE: "daily.create",
+  DAILY_UPDATE: "daily.update",
+  DAILY_DELETE: "daily.delete",
+  JOURNAL_SAVE: "journal.save",
+  JOURNAL_DELETE: "journal.delete",
+};
+
+const EXECUTORS = {
+  [MutationType.TASK_CREATE]: (userId, { task }) =>
+    TaskService.createTodoTask(userId, task),
+  [MutationType.TASK_UPDATE]: (userId, { taskId, updates }, options) =>
+    TaskService.updateTodoTask(userId, taskId, updates, options),
+  [MutationType.TASK_DELETE]: (userId, { taskId }) =>
+    TaskService.deleteTodoTask(userId, taskId),
+  [MutationType.DAILY_CREATE]: (userId, { task }) =>
+    TaskService.createDailyTask(userId, task),
+  [MutationType.DAILY_UPDATE]: (userId, { taskId, updates }, options) =>
+    TaskService.updateDailyTask(userId, taskId, updates, options),
+  [MutationType.DAILY_DELETE]: (userId, { taskId }) =>
+    TaskService.deleteDailyTask(userId, taskId),
+  [MutationType.JOURNAL_SAVE]: (userId, { entry }) =>
+    isTempId(entry.id)
+      ? healthService.createJournalEntry(userId, stripTempId(entry))
+      : healthService.updateJournalEntry(userId, entry.id, entry),
+  [MutationType.JOURNAL_DELETE]: (userId, { id }) =>
+    healthService.deleteJournalEntry(userId, id),
+};
+
+// --- Storage ---
+
+let dbPromise = null;
+let memoryEntries = [];
+let memorySeq = 0;
+const listeners = new Set();
+let replayPromise = null;
+
+/**
+ * Opens the outbox database
+ * @returns {Promise<IDBDatabase|null>} The database, or null to use memory
+ */
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: "seq",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      // e.g. disabled by the browser - fall back to memory
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs one request against the outbox store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<any>} The request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function addEntry(entry) {
+  if (!(await openDatabase())) {
+    const stored = { ...entry, seq: ++memorySeq };
+    memoryEntries.push(stored);
+    return stored;
+  }
+  const seq = await withStore("readwrite", (store) => store.add(entry));
+  return { ...entry, seq };
+}
+
+async function readEntries() {
+  if (!(await openDatabase())) {
+    return [...memoryEntries];
+  }
+  const entries = await withStore("readonly", (store) => store.getAll());
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+async function deleteEntry(seq) {
+  if (!(await openDatabase())) {
+    memoryEntries = memoryEntries.filter((entry) => entry.seq !== seq);
+    return;
+  }
+  await withStore("readwrite", (store) => store.delete(seq));
+}
+
+// --- Public API ---
+
+/**
+ * Creates a temporary id for a journal entry saved while offline
+ * @returns {string}
+ */
+export function createTempId() {
+  return `${TEMP_ID_PREFIX}${generateUUID()}`;
+}
+
+/**
+ * @param {string} id - Record id
+ * @returns {boolean} True for ids created by createTempId()
+ */
+export function isTempId(id) {
+  return typeof id === "string" && id.startsWith(TEMP_ID_PREFIX);
+}
+
+function stripTempId(entry) {
+  const { id: _tempId, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Subscribes to outbox changes
+ * The listener receives `{ type: "change" }` when mutations are queued or
+ * removed, and `{ type: "replayed", userId, result }` after a replay.
+ * @param {Function} listener - Event handler
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(event) {
+  listeners.forEach((listener) => listener(event));
+}
+
+/**
+ * Lists queued mutations in replay order
+ * @param {string} [userId] - Only this user's mutations
+ * @returns {Promise<Array>} Outbox entries
+ */
+export async function getPendingMutations(userId) {
+  const entries = await readEntries();
+  return userId ? entries.filter((entry) => entry.userId === userId) : entries;
+}
+
+/**
+ * Adds a mutation to the end of the outbox
+ * @param {string} userId - User the mutation belongs to
+ * @param {string} type - One of MutationType
+ * @param {object} payload - Arguments for the mutation's executor
+ * @returns {Promise<object>} The stored entry
+ */
+export async function enqueueMutation(userId, type, payload) {
+  if (!EXECUTORS[type]) {
+    throw new Error(`Unknown mutation type: ${type}`);
+  }
+  const entry = await addEntry({
+    userId,
+    type,
+    payload,
+    queuedAt: new Date().toISOString(),
+  });
+  notify({ type: "change" });
+  return entry;
+}
+
+/**
+ * Sends a mutation now, or queues it when the backend is unreachable
+ * While the user already has queued mutations, new ones are queued behind
+ * them so the server sees every change in the order it was made.
+ * @param {string} userId - User identifier
+ * @param {string} type - One of MutationType
+ * @param {object} payload - Arguments for the mutation's executor
+ * @param {object} [options] - Executor options when sent now; a replay
+ *   invalidates the user's queries once it's done instead
+ * @param {boolean} [options.queue=true] - false sends now and throws when the
+ *   backend is unreachable. Used while impersonating: the outbox is replayed
+ *   as the signed-in user (see useOfflineSync), not as the one viewed.
+ * @returns {Promise<{ queued: boolean, result?: any }>}
+ * @throws {AppError} Errors other than the backend being unreachable, and
+ *   that too with `queue: false`
+ */
+export async function sendOrQueue(
+  userId,
+  type,
+  payload,
+  { queue = true, ...options } = {},
+) {
+  if (queue && (await getPendingMutations(userId)).length > 0) {
+    await enqueueMutation(userId, type, payload);
+    return { queued: true };
+  }
+
+  try {
+    const result = await EXECUTORS[type](userId, payload, options);
+    return { queued: false, result };
+  } catch (error) {
+    if (!queue || !isOfflineError(error)) {
+      throw error;
+    }
+    await enqueueMutation(userId, type, payload);
+    return { queued: true };
+  }
+}
+
+/**
+ * Loads the server's current copies for conflict checks, once per domain
+ * @returns {Function} (domain) => Promise<Map<id, record>>
+ */
+function createServerSnapshot(userId) {
+  const cache = {};
+  const loaders = {
+    task: async () => {
+      const { todoTasks } = await TaskService.getAllTasks(userId);
+      return Object.values(todoTasks).flat();
+    },
+    daily: async () => (await TaskService.getAllTasks(userId)).dailyTasks,
+    journal: () => healthService.getJournalEntries(userId),
+  };
+
+  return (domain) => {
+    if (!cache[domain]) {
+      cache[domain] = loaders[domain]().then(
+        (records) => new Map((records || []).map((r) => [r.id, r])),
+      );
+    }
+    return cache[domain];
+  };
+}
+
+/**
+ * Decides whether a queued update/delete lost to a newer server change
+ * @param {object} entry - Outbox entry (payload with temp ids resolved)
+ * @param {Function} snapshot - From createServerSnapshot()
+ * @param {Set<string>} createdIds - Records created earlier in this replay
+ * @returns {Promise<"apply"|"skip">}
+ */
+async function checkConflict(entry, snapshot, createdIds) {
+  const [domain, action] = entry.type.split(".");
+  const recordId = getRecordId(entry);
+  if (action === "create" || isTempId(recordId) || createdIds.has(recordId)) {
+    return "apply";
+  }
+
+  const record = (await snapshot(domain)).get(recordId);
+  if (!record) {
+    // Deleted on the server in the meantime (or by an earlier mutation)
+    return "skip";
+  }
+  if (
+    record.updatedAt &&
+    new Date(record.updatedAt) > new Date(entry.queuedAt)
+  ) {
+    return "skip";
+  }
+  return "apply";
+}
+
+function getRecordId({ payload }) {
+  return (
+    payload.taskId ??
+    payload.id ??
+    payload.entry?.id ??
+    payload.task?.id ??
+    null
+  );
+}
+
+/**
+ * Rewrites temporary journal ids to the ids the server assigned
+ */
+function resolveTempIds(entry, idMap) {
+  const { payload } = entry;
+  if (payload.entry && idMap.has(payload.entry.id)) {
+    return {
+      ...payload,
+      entry: { ...payload.entry, id: idMap.get(payload.entry.id) },
+    };
+  }
+  if (payload.id && idMap.has(payload.id)) {
+    return { ...payload, id: idMap.get(payload.id) };
+  }
+  return payload;
+}
+
+async function performReplay(userId) {
+  const result = { replayed: 0, conflicts: 0, failed: 0, remaining: 0 };
+  const snapshot = createServerSnapshot(userId);
+  const idMap = new Map();
+  const createdIds = new Set();
+  const entries = await getPendingMutations(userId);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const payload = resolveTempIds(entry, idMap);
+    const resolved = { ...entry, payload };
+
+    let decision;
+    try {
+      decision = await checkConflict(resolved, snapshot, createdIds);
+    } catch {
+      // Couldn't load the server's copy (offline, 5xx, timeout...) - the
+      // mutation isn't at fault: keep it and later ones for the next replay
+      result.remaining = entries.length - i;
+      break;
+    }
+
+    try {
+      if (decision === "skip") {
+        result.conflicts++;
+      } else {
+        const response = await EXECUTORS[entry.type](userId, payload);
+        const recordId = getRecordId(resolved);
+        if (isTempId(recordId) && response?.id) {
+          idMap.set(recordId, response.id);
+          createdIds.add(response.id);
+        } else if (entry.type.endsWith(".create")) {
+          createdIds.add(recordId);
+        }
+        result.replayed++;
+      }
+    } catch (error) {
+      const appError = toAppError(error);
+      if (isOfflineError(error) || appError.code === "UNAUTHORIZED") {
+        // Still offline, or signed out: keep this and later mutations for next time
+        result.remaining = entries.length - i;
+        break;
+      }
+      // The server rejected it (validation, not found...) - replaying won't help
+      result.failed++;
+    }
+
+    await deleteEntry(entry.seq);
+    notify({ type: "change" });
+  }
+
+  // Conflicts leave optimistic local state behind: re-read the user's data
+  invalidateQueries(`/users/${userId}`);
+  notify({ type: "replayed", userId, result });
+  return result;
+}
+
+/**
+ * Replays the user's queued mutations in order
+ * Concurrent calls share one replay.
+ * @param {string} userId - User whose mutations to send
+ * @returns {Promise<{ replayed: number, conflicts: number, failed: number, remaining: number }>}
+ */
+export function replayOutbox(userId) {
+  if (!replayPromise) {
+    replayPromise = performReplay(userId).finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+}
@@ -0,0 +1,148 @@
+/**
+ * Password Policy Module
+ * The rules every new password must meet, shared by every screen that sets
+ * one (admin create/reset, bulk import, profile, expired-password login) and
+ * by the mock backend, which enforces the same rules server-side.
+ *
+ * A password needs a minimum length, a mix of character classes, must not be
+ * a well-known password (ignoring case and a trailing run of digits or
+ * symbols, so "Password1!" counts), and must not contain the username.
+ */
+
+export const PASSWORD_POLICY = Object.freeze({
+  minLength: 8,
+  minCharacterClasses: 3,
+});
+
+const CHARACTER_CLASSES = [
+  { label: "lowercase letters", pattern: /[a-z]/ },
+  { label: "uppercase letters", pattern: /[A-Z]/ },
+  { label: "digits", pattern: /\d/ },
+  { label: "symbols", pattern: /[^A-Za-z0-9]/ },
+];
+
+// Usernames shorter than this match too many passwords by accident
+const MIN_USERNAME_MATCH_LENGTH = 3;
+
+/** Lowercased passwords that top every leaked-password list */
+const COMMON_PASSWORDS = new Set([
+  "123456",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "abc123",
+  "admin",
+  "administrator",
+  "baseball",
+  "dragon",
+  "football",
+  "iloveyou",
+  "letmein",
+  "master",
+  "monkey",
+  "passw0rd",
+  "password",
+  "princess",
+  "qwerty",
+  "qwertyuiop",
+  "shadow",
+  "sunshine",
+  "superman",
+  "trustno1",
+  "welcome",
+]);
+
+/** Strength labels by score (see getPasswordStrength) */
+export const STRENGTH_LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+function countCharacterClasses(password) {
+  return CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password))
+    .length;
+}
+
+function isCommonPassword(password) {
+  const lower = password.toLowerCase();
+  return (
+    COMMON_PASSWORDS.has(lower) ||
+    COMMON_PASSWORDS.has(lower.replace(/[^a-z]+$/, ""))
+  );
+}
+
+function containsUsername(password, username) {
+  const name = (username || "").trim().toLowerCase();
+  return (
+    name.length >= MIN_USERNAME_MATCH_LENGTH &&
+    password.toLowerCase().includes(name)
+  );
+}
+
+/**
+ * @typedef {object} PasswordRule
+ * @property {string} id - "length" | "classes" | "common" | "username"
+ * @property {string} label - Requirement, phrased for a checklist
+ * @property {string} message - Error shown when the rule fails
+ * @property {boolean} passed
+ */
+
+/**
+ * Checks a password against every rule
+ * @param {string} password
+ * @param {object} [options]
+ * @param {string} [options.username] - Account the password is for
+ * @returns {{valid: boolean, rules: PasswordRule[], errors: string[]}}
+ *   `errors` holds the message of each failed rule, in rule order
+ */
+export function checkPassword(password, { username } = {}) {
+  const value = password || "";
+  const { minLength, minCharacterClasses } = PASSWORD_POLICY;
+  const classNames = CHARACTER_CLASSES.map((c) => c.label).join(", ");
+
+  const rules = [
+    {
+      id: "length",
+      label: `At least ${minLength} characters`,
+      message: `Password must be at least ${minLength} characters`,
+      passed: value.length >= minLength,
+    },
+    {
+      id: "classes",
+      label: `${minCharacterClasses} of: ${classNames}`,
+      message: `Password must use at least ${minCharacterClasses} of: ${classNames}`,
+      passed: countCharacterClasses(value) >= minCharacterClasses,
+    },
+    {
+      id: "common",
+      label: "Not a common password",
+      message: "Password is too common",
+      passed: value !== "" && !isCommonPassword(value),
+    },
+    {
+      id: "username",
+      label: "Does not contain the username",
+      message: "Password must not contain the username",
+      passed: !containsUsername(value, username),
+    },
+  ];
+  const errors = rules.filter((rule) => !rule.passed).map((r) => r.message);
+  return { valid: errors.length === 0, rules, errors };
+}
+
+/**
+ * Scores a password for the strength meter: 0 when it breaks the policy,
+ * otherwise 1-4 from its length and variety
+ * @param {string} password
+ * @param {object} [options]
+ * @param {string} [options.username] - Account the password is for
+ * @returns {{score: number, label: string}}
+ */
+export function getPasswordStrength(password, { username } = {}) {
+  const value = password || "";
+  let score = 0;
+  if (checkPassword(value, { username }).valid) {
+    score = 1;
+    if (value.length >= 12) score += 1;
+    if (value.length >= 16) score += 1;
+    if (countCharacterClasses(value) === CHARACTER_CLASSES.length) score += 1;
+  }
+  return { score, label: STRENGTH_LABELS[score] };
+}
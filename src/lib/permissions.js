@@ -0,0 +1,177 @@
+/**
+ * Permissions Module
+ * Maps the signed-in user's token onto capabilities: named things they may
+ * do, such as opening a drive or using the admin panel. UI code asks for a
+ * capability (useCan, <Can>, RouteGuard requiredCapabilities) instead of
+ * checking role strings.
+ *
+ * A token with a `permissions` claim is taken at its word. Otherwise
+ * capabilities are derived from its roles: every signed-in user gets the base
+ * set, and each role adds its own. Capabilities are "<area>:<action>" strings;
+ * a granted "<area>:*" covers the whole area and "*" covers everything.
+ *
+ * Besides the built-in roles, admins can define custom roles that grant any
+ * of GRANTABLE_CAPABILITIES. The backend resolves those into the token's
+ * `permissions` claim, since the client doesn't know custom roles.
+ */
+
+/**
+ * Every capability the UI checks
+ */
+export const Capability = Object.freeze({
+  HEALTH_PORTAL: "health:use",
+  DRIVE_MY: "drive:myDrive",
+  DRIVE_SHARED: "drive:sharedDrive",
+  DRIVE_ADMIN: "drive:adminDrive",
+  DRIVE_MEDIA_CACHE: "drive:mediaCache",
+  NOTIFICATIONS_MANAGE: "notifications:manage",
+  NOTIFICATIONS_BROADCAST: "notifications:broadcast",
+  ADMIN_PANEL: "admin:users",
+});
+
+// Granted to every signed-in user, whatever roles the token lists
+const BASE_CAPABILITIES = [
+  Capability.HEALTH_PORTAL,
+  Capability.DRIVE_MY,
+  Capability.DRIVE_SHARED,
+  Capability.DRIVE_MEDIA_CACHE,
+];
+
+/**
+ * Capabilities each role adds to the base set
+ */
+export const ROLE_CAPABILITIES = Object.freeze({
+  ROLE_USER: [],
+  ROLE_ADMIN: [
+    Capability.DRIVE_ADMIN,
+    Capability.NOTIFICATIONS_MANAGE,
+    Capability.NOTIFICATIONS_BROADCAST,
+    Capability.ADMIN_PANEL,
+  ],
+});
+
+/** Roles that always exist and can't be edited or deleted */
+export const BUILT_IN_ROLES = Object.freeze(Object.keys(ROLE_CAPABILITIES));
+
+/**
+ * Capabilities a custom role may grant, grouped for the role editor
+ * (the admin panel itself stays with ROLE_ADMIN)
+ */
+export const GRANTABLE_CAPABILITIES = Object.freeze([
+  { group: "Drives", capability: Capability.DRIVE_MY, label: "My Drive" },
+  {
+    group: "Drives",
+    capability: Capability.DRIVE_SHARED,
+    label: "Shared Drive",
+  },
+  { group: "Drives", capability: Capability.DRIVE_ADMIN, label: "Admin Drive" },
+  {
+    group: "Drives",
+    capability: Capability.DRIVE_MEDIA_CACHE,
+    label: "Media Cache",
+  },
+  {
+    group: "Portals",
+    capability: Capability.HEALTH_PORTAL,
+    label: "Health Portal",
+  },
+  {
+    group: "Notifications",
+    capability: Capability.NOTIFICATIONS_MANAGE,
+    label: "Manage notifications",
+  },
+  {
+    group: "Notifications",
+    capability: Capability.NOTIFICATIONS_BROADCAST,
+    label: "Broadcast to everyone",
+  },
+]);
+
+/**
+ * Role name for a display name: "Family members" -> "ROLE_FAMILY_MEMBERS"
+ * @param {string} name - Display name, with or without the ROLE_ prefix
+ * @returns {string} Role name, or "" if nothing usable is left
+ */
+export function toRoleName(name) {
+  const key = String(name ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/^ROLE_/, "")
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return key ? `ROLE_${key}` : "";
+}
+
+/**
+ * Short label for a role: "ROLE_FAMILY_MEMBERS" -> "FAMILY_MEMBERS"
+ * @param {string} role
+ * @returns {string}
+ */
+export function formatRoleName(role) {
+  return role.replace(/^ROLE_/, "");
+}
+
+/**
+ * Capability needed to open a drive
+ * @param {string} driveKey - e.g. "myDrive", "adminDrive"
+ * @returns {string}
+ */
+export function getDriveCapability(driveKey) {
+  return `drive:${driveKey}`;
+}
+
+/**
+ * Reads a `permissions` claim (array or space-separated string)
+ * @param {any} claim - Claim value from the JWT payload
+ * @returns {string[]|null} The permissions, or null if the token has none
+ */
+function parsePermissionsClaim(claim) {
+  if (Array.isArray(claim)) {
+    return claim.filter((p) => typeof p === "string");
+  }
+  if (typeof claim === "string") {
+    return claim.split(" ").filter(Boolean);
+  }
+  return null;
+}
+
+/**
+ * Resolves the capabilities granted by a token
+ * @param {string[]} roles - Roles extracted from the token
+ * @param {any} [permissionsClaim] - The token's `permissions` claim, if any
+ * @returns {string[]} Sorted, de-duplicated capabilities
+ */
+export function resolveCapabilities(roles, permissionsClaim) {
+  const granted =
+    parsePermissionsClaim(permissionsClaim) ??
+    roles.reduce(
+      (all, role) => all.concat(ROLE_CAPABILITIES[role] || []),
+      BASE_CAPABILITIES,
+    );
+  return [...new Set(granted)].sort();
+}
+
+/**
+ * Whether a set of capabilities covers the one asked for
+ * @param {string[]} capabilities - Granted capabilities
+ * @param {string} capability - Capability to check
+ * @returns {boolean}
+ */
+export function hasCapability(capabilities, capability) {
+  const area = capability.split(":")[0];
+  return capabilities.some(
+    (granted) =>
+      granted === capability || granted === "*" || granted === `${area}:*`,
+  );
+}
+
+/**
+ * Whether a set of capabilities covers every one asked for
+ * @param {string[]} capabilities - Granted capabilities
+ * @param {string|string[]} required - One capability or a list
+ * @returns {boolean}
+ */
+export function hasCapabilities(capabilities, required) {
+  const list = Array.isArray(required) ? required : [required];
+  return list.every((capability) => hasCapability(capabilities, capability));
+}
@@ -0,0 +1,92 @@
+/**
+ * Profile Service Module
+ * The signed-in user's own account settings: display name, display
+ * preferences (default task category and drive, date and time format) and
+ * password changes. PreferencesContext loads the profile and applies the
+ * preferences app-wide.
+ *
+ * A wrong current password comes back as 400 CURRENT_PASSWORD_INCORRECT
+ * rather than 401, so a typo does not look like an expired session.
+ */
+
+import { get, put } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+/** Preferences used until the profile loads, or for fields never set */
+export const DEFAULT_PREFERENCES = Object.freeze({
+  defaultTaskCategory: "personal",
+  defaultDrive: "myDrive",
+  dateFormat: "MDY",
+  timeFormat: "default",
+});
+
+const profilePath = (username) =>
+  `/users/${encodeURIComponent(username)}/profile`;
+
+/**
+ * @typedef {object} Profile
+ * @property {string} username
+ * @property {string} displayName - Empty when not set
+ * @property {typeof DEFAULT_PREFERENCES} preferences
+ */
+
+function withDefaults(profile) {
+  return {
+    ...profile,
+    displayName: profile?.displayName || "",
+    preferences: { ...DEFAULT_PREFERENCES, ...profile?.preferences },
+  };
+}
+
+/**
+ * Query cache key for a user's profile (see queryCache.js)
+ * @param {string} username
+ * @returns {string}
+ */
+export function getProfileQueryKey(username) {
+  return profilePath(username);
+}
+
+/**
+ * Fetches a user's profile, with unset preferences filled from the defaults
+ * @param {string} username
+ * @param {object} [options] - apiClient request options (e.g. `{ signal }`)
+ * @returns {Promise<Profile>}
+ */
+export async function getProfile(username, options = {}) {
+  const data = await withAppErrors(() => get(profilePath(username), options), {
+    operation: "load profile",
+  });
+  return withDefaults(data);
+}
+
+/**
+ * Saves the display name and/or preferences (omitted fields are kept)
+ * @param {string} username
+ * @param {{displayName?: string, preferences?: object}} changes
+ * @returns {Promise<Profile>}
+ */
+export async function updateProfile(username, changes) {
+  const data = await withAppErrors(() => put(profilePath(username), changes), {
+    operation: "save profile",
+  });
+  return withDefaults(data);
+}
+
+/**
+ * Changes the signed-in user's password
+ * @param {string} username
+ * @param {string} currentPassword - Checked by the backend
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ */
+export function changePassword(username, currentPassword, newPassword) {
+  return withAppErrors(
+    () =>
+      put(`/users/${encodeURIComponent(username)}/password`, {
+        currentPassword,
+        newPassword,
+      }),
+    { operation: "change password" },
+  );
+}
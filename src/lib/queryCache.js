@@ -0,0 +1,200 @@
+/**
+ * Query Cache Module
+ * Client-side stale-while-revalidate cache for read endpoints. Entries are
+ * keyed by the endpoint they were read from (e.g. "/users/alice/tasks"), so
+ * services can invalidate exactly the listings a mutation touched.
+ *
+ * Cached data is served immediately while a background request refreshes it.
+ * Concurrent reads of one key share a single request, and a request nobody is
+ * waiting for any more is aborted. Components read through hooks/useQuery.js.
+ */
+
+import { isAbortError } from "./apiClient";
+
+/** @typedef {{ data: any, error: Error|null, isFetching: boolean, updatedAt: number }} QueryState */
+
+const INITIAL_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  isFetching: false,
+  updatedAt: 0,
+});
+
+const entries = new Map();
+
+function getEntry(key) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      state: INITIAL_STATE,
+      listeners: new Set(),
+      fetcher: null,
+      promise: null,
+      controller: null,
+    };
+    entries.set(key, entry);
+  }
+  return entry;
+}
+
+function setState(entry, changes) {
+  // Replace rather than mutate: subscribers compare snapshots by reference
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach((listener) => listener());
+}
+
+function cancelFetch(entry) {
+  if (!entry.controller) return;
+  entry.controller.abort();
+  entry.controller = null;
+  entry.promise = null;
+  entry.state = { ...entry.state, isFetching: false };
+}
+
+/**
+ * Whether a key falls under an invalidation prefix
+ * "/users/a/tasks" matches "/users/a/tasks", "/users/a/tasks/daily/x" and
+ * "/users/a/tasks?year=2025", but not "/users/a/tasksArchive".
+ */
+function matchesPrefix(key, prefix) {
+  return (
+    key === prefix ||
+    key.startsWith(`${prefix}/`) ||
+    key.startsWith(`${prefix}?`)
+  );
+}
+
+/**
+ * Current state of a cached query
+ * @param {string} key - Query key (endpoint)
+ * @returns {QueryState} Same object until the entry changes
+ */
+export function getQueryState(key) {
+  return entries.get(key)?.state ?? INITIAL_STATE;
+}
+
+/**
+ * Subscribes to changes of one query
+ * When the last subscriber leaves, its in-flight request is aborted.
+ * @param {string} key - Query key
+ * @param {Function} listener - Called after every state change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToQuery(key, listener) {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      cancelFetch(entry);
+    }
+  };
+}
+
+/**
+ * Fetches a query into the cache, sharing an in-flight request for the key
+ * @param {string} key - Query key
+ * @param {Function} [fetcher] - ({ signal }) => Promise<data>; defaults to the
+ *   key's last fetcher
+ * @returns {Promise<any>} The fetched data
+ */
+export function fetchQuery(key, fetcher) {
+  const entry = getEntry(key);
+  if (fetcher) {
+    entry.fetcher = fetcher;
+  }
+  if (entry.promise) {
+    return entry.promise;
+  }
+
+  const controller = new AbortController();
+  const promise = entry.fetcher({ signal: controller.signal }).then(
+    (data) => {
+      // Ignore responses from requests that were cancelled or superseded
+      if (entry.promise === promise) {
+        entry.promise = null;
+        entry.controller = null;
+        setState(entry, {
+          data,
+          error: null,
+          isFetching: false,
+          updatedAt: Date.now(),
+        });
+      }
+      return data;
+    },
+    (error) => {
+      if (entry.promise === promise) {
+        entry.promise = null;
+        entry.controller = null;
+        setState(entry, {
+          error: isAbortError(error) ? entry.state.error : error,
+          isFetching: false,
+        });
+      }
+      throw error;
+    },
+  );
+
+  entry.promise = promise;
+  entry.controller = controller;
+  setState(entry, { error: null, isFetching: true });
+  return promise;
+}
+
+/**
+ * Writes data into the cache (e.g. after an optimistic update)
+ * @param {string} key - Query key
+ * @param {any|Function} updater - New data, or (previous) => new data
+ */
+export function setQueryData(key, updater) {
+  const entry = getEntry(key);
+  const data =
+    typeof updater === "function" ? updater(entry.state.data) : updater;
+  setState(entry, { data, updatedAt: Date.now() });
+}
+
+/**
+ * Marks queries stale after a mutation
+ * Queries on screen refetch right away (an older in-flight request is
+ * replaced, since it may predate the mutation); the rest revalidate the next
+ * time they are read.
+ * @param {string} prefix - Endpoint prefix, e.g. "/users/alice/drives/myDrive"
+ */
+export function invalidateQueries(prefix) {
+  entries.forEach((entry, key) => {
+    if (matchesPrefix(key, prefix)) {
+      invalidateEntry(entry, key);
+    }
+  });
+}
+
+/**
+ * Marks every query stale (e.g. when the backend becomes reachable again)
+ */
+export function invalidateAllQueries() {
+  entries.forEach(invalidateEntry);
+}
+
+function invalidateEntry(entry, key) {
+  cancelFetch(entry);
+  if (entry.listeners.size > 0 && entry.fetcher) {
+    fetchQuery(key).catch(() => {
+      // Reported through the entry's error state
+    });
+  }
+}
+
+/**
+ * Drops every cached response (e.g. on logout)
+ */
+export function clearQueryCache() {
+  entries.forEach((entry, key) => {
+    cancelFetch(entry);
+    if (entry.listeners.size > 0) {
+      setState(entry, INITIAL_STATE);
+    } else {
+      entries.delete(key);
+    }
+  });
+}
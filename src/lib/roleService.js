@@ -0,0 +1,94 @@
+/**
+ * Role Service Module
+ * Custom roles for the admin panel: list, create, edit and delete roles, and
+ * assign or revoke roles across several users at once. Built-in roles are
+ * listed too (with `builtIn: true`) but can't be changed.
+ *
+ * Role names are normalized by the backend the same way toRoleName does, so
+ * "Family members" becomes ROLE_FAMILY_MEMBERS.
+ */
+
+import { get, post, put, del } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+/** Query cache key for the role list (see queryCache.js) */
+export const ROLES_QUERY_KEY = "/admin/roles";
+
+const ROLE_ERROR_MESSAGES = {
+  NOT_FOUND: "That role or user no longer exists.",
+  CONFLICT: "A role with that name already exists.",
+};
+
+const rolePath = (name) => `${ROLES_QUERY_KEY}/${encodeURIComponent(name)}`;
+
+/**
+ * @typedef {object} Role
+ * @property {string} name - e.g. "ROLE_FAMILY"
+ * @property {string} description
+ * @property {string[]} capabilities - What the role grants
+ * @property {boolean} builtIn - ROLE_USER and ROLE_ADMIN; read-only
+ * @property {number} userCount - Users holding the role
+ */
+
+/**
+ * Fetches every role, built-in first
+ * @param {object} [options] - apiClient request options (e.g. `{ signal }`)
+ * @returns {Promise<Role[]>}
+ */
+export async function listRoles(options = {}) {
+  const data = await withAppErrors(() => get(ROLES_QUERY_KEY, options), {
+    operation: "load roles",
+    messages: ROLE_ERROR_MESSAGES,
+  });
+  return data.roles || [];
+}
+
+/**
+ * Creates a custom role
+ * @param {{name: string, description: string, capabilities: string[]}} role
+ * @returns {Promise<Role>}
+ */
+export function createRole(role) {
+  return withAppErrors(() => post(ROLES_QUERY_KEY, role), {
+    operation: "create role",
+    messages: ROLE_ERROR_MESSAGES,
+  });
+}
+
+/**
+ * Changes a custom role's description and capabilities
+ * @param {string} name - Role name
+ * @param {{description: string, capabilities: string[]}} changes
+ * @returns {Promise<Role>}
+ */
+export function updateRole(name, changes) {
+  return withAppErrors(() => put(rolePath(name), changes), {
+    operation: "update role",
+    messages: ROLE_ERROR_MESSAGES,
+  });
+}
+
+/**
+ * Deletes a custom role; users holding it lose it
+ * @param {string} name - Role name
+ * @returns {Promise<void>}
+ */
+export function deleteRole(name) {
+  return withAppErrors(() => del(rolePath(name)), {
+    operation: "delete role",
+    messages: ROLE_ERROR_MESSAGES,
+  });
+}
+
+/**
+ * Assigns and/or revokes roles for several users
+ * @param {string[]} userIds
+ * @param {{add?: string[], remove?: string[]}} changes
+ * @returns {Promise<{updated: string[]}>} Ids of the users whose roles changed
+ */
+export function bulkUpdateUserRoles(userIds, { add = [], remove = [] }) {
+  return withAppErrors(
+    () => post("/admin/users/roles/bulk", { userIds, add, remove }),
+    { operation: "update roles", messages: ROLE_ERROR_MESSAGES },
+  );
+}
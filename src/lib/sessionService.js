@@ -0,0 +1,104 @@
+/**
+ * Session Service Module
+ * Lists and revokes the places an account is signed in. Each session is one
+ * login on one device; its id is the access token's `sid` claim, which
+ * AuthContext exposes as `sessionId` so the current device can be marked.
+ * The /admin/users/{id}/sessions variants do the same for any user.
+ */
+
+import { get, post, del } from "./apiClient";
+import { withAppErrors } from "./errors";
+
+/** Query cache key for the signed-in user's sessions (see queryCache.js) */
+export const SESSIONS_QUERY_KEY = "/auth/sessions";
+
+const SESSION_ERROR_MESSAGES = {
+  NOT_FOUND: "That session has already ended.",
+};
+
+/**
+ * @typedef {object} Session
+ * @property {string} id - Session id (the `sid` claim of its tokens)
+ * @property {string} device - e.g. "Firefox on Linux"
+ * @property {string} userAgent - Full User-Agent string
+ * @property {string} ipAddress - Address the session was last used from
+ * @property {string} createdAt - Sign-in time (ISO 8601)
+ * @property {string} lastSeenAt - Last token refresh (ISO 8601)
+ * @property {boolean} current - Whether this is the calling session
+ */
+
+/**
+ * Fetches the signed-in user's sessions, most recently seen first
+ * @param {object} [options] - apiClient request options (e.g. `{ signal }`)
+ * @returns {Promise<Session[]>}
+ */
+export async function listSessions(options = {}) {
+  const data = await withAppErrors(() => get(SESSIONS_QUERY_KEY, options), {
+    operation: "load sessions",
+    messages: SESSION_ERROR_MESSAGES,
+  });
+  return data.sessions || [];
+}
+
+/**
+ * Ends one of the signed-in user's sessions
+ * @param {string} sessionId - Session id
+ * @returns {Promise<void>}
+ */
+export function revokeSession(sessionId) {
+  return withAppErrors(
+    () => del(`/auth/sessions/${encodeURIComponent(sessionId)}`),
+    { operation: "revoke session", messages: SESSION_ERROR_MESSAGES },
+  );
+}
+
+/**
+ * Ends every session of the signed-in user, the current one included
+ * @returns {Promise<void>}
+ */
+export function revokeAllSessions() {
+  return withAppErrors(() => post("/auth/sessions/revoke-all"), {
+    operation: "sign out everywhere",
+    messages: SESSION_ERROR_MESSAGES,
+  });
+}
+
+/**
+ * Fetches a user's sessions (admin)
+ * @param {string} userId - User id
+ * @param {object} [options] - apiClient request options
+ * @returns {Promise<Session[]>}
+ */
+export async function listUserSessions(userId, options = {}) {
+  const data = await withAppErrors(
+    () => get(`/admin/users/${userId}/sessions`, options),
+    { operation: "load sessions", messages: SESSION_ERROR_MESSAGES },
+  );
+  return data.sessions || [];
+}
+
+/**
+ * Ends one of a user's sessions (admin)
+ * @param {string} userId - User id
+ * @param {string} sessionId - Session id
+ * @returns {Promise<void>}
+ */
+export function revokeUserSession(userId, sessionId) {
+  return withAppErrors(
+    () =>
+      del(`/admin/users/${userId}/sessions/${encodeURIComponent(sessionId)}`),
+    { operation: "revoke session", messages: SESSION_ERROR_MESSAGES },
+  );
+}
+
+/**
+ * Ends every session of a user (admin)
+ * @param {string} userId - User id
+ * @returns {Promise<void>}
+ */
+export function revokeAllUserSessions(userId) {
+  return withAppErrors(() => del(`/admin/users/${userId}/sessions`), {
+    operation: "sign the user out everywhere",
+    messages: SESSION_ERROR_MESSAGES,
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Session Sync Module
+ * Keeps authentication state consistent across open Paradise tabs.
+ *
+ * Login, logout and token refresh are broadcast over a BroadcastChannel.
+ * Where BroadcastChannel is unavailable, the `storage` event fired when
+ * another tab writes the token to localStorage is used instead. Tokens are
+ * never sent over the channel - receivers re-read them from localStorage.
+ */
+
+import { TOKEN_KEY } from "./tokenStorage";
+
+const CHANNEL_NAME = "paradise_session";
+
+/**
+ * Session event types shared between tabs
+ */
+export const SessionEvent = {
+  LOGIN: "login",
+  LOGOUT: "logout",
+  REFRESH: "refresh",
+};
+
+let channel = null;
+
+/**
+ * Lazily opens the shared BroadcastChannel
+ * @returns {BroadcastChannel|null} The channel, or null if unsupported
+ */
+function getChannel() {
+  if (typeof BroadcastChannel === "undefined") {
+    return null;
+  }
+  if (!channel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Notifies other tabs of a session change
+ * Without BroadcastChannel this is a no-op: the localStorage write made by
+ * tokenStorage already fires a `storage` event in the other tabs.
+ * @param {string} type - One of SessionEvent
+ */
+export function broadcastSessionEvent(type) {
+  const ch = getChannel();
+  if (ch) {
+    ch.postMessage({ type });
+  }
+}
+
+/**
+ * Subscribes to session changes made in other tabs
+ * @param {Function} handler - Called with a SessionEvent type
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSessionEvents(handler) {
+  if (typeof window === "undefined") {
+    return () => {};
+  }
+
+  const ch = getChannel();
+  if (ch) {
+    const onMessage = (event) => {
+      if (Object.values(SessionEvent).includes(event.data?.type)) {
+        handler(event.data.type);
+      }
+    };
+    ch.addEventListener("message", onMessage);
+    return () => ch.removeEventListener("message", onMessage);
+  }
+
+  // Fallback: infer the event from the token write (key is null on clear())
+  const onStorage = (event) => {
+    if (event.key !== TOKEN_KEY && event.key !== null) {
+      return;
+    }
+    if (!event.newValue) {
+      handler(SessionEvent.LOGOUT);
+    } else {
+      handler(event.oldValue ? SessionEvent.REFRESH : SessionEvent.LOGIN);
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
@@ -0,0 +1,84 @@
+/**
+ * Task Categories Module
+ * A user's TODO lists ("categories"): every TODO task's `category` is the id
+ * of one of them. Users create, rename, recolor, reorder and delete their
+ * own lists; shared by the tasks page, the profile page and the mock backend.
+ *
+ * Every user starts with the built-in Personal and Work lists, whose ids are
+ * the old fixed category names, so tasks saved before lists existed keep
+ * their category unchanged.
+ */
+
+export const MAX_CATEGORY_NAME_LENGTH = 40;
+
+/** Color given to a new list until the user picks one */
+export const DEFAULT_CATEGORY_COLOR = "#f80206";
+
+/**
+ * @typedef {Object} TaskCategory
+ * @property {string} id - Stored in each task's `category`
+ * @property {string} name - Shown in the list switcher, e.g. "Groceries"
+ * @property {string} color - Hex color, e.g. "#f80206"
+ * @property {number} order - Position in the list switcher
+ */
+
+/** @type {ReadonlyArray<TaskCategory>} */
+export const DEFAULT_TASK_CATEGORIES = Object.freeze([
+  Object.freeze({
+    id: "personal",
+    name: "Personal",
+    color: "#f80206",
+    order: 0,
+  }),
+  Object.freeze({ id: "work", name: "Work", color: "#ff6600", order: 1 }),
+]);
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Checks a list's name and color before they are saved
+ * @param {{name?: string, color?: string}} category - Fields being saved
+ * @param {TaskCategory[]} categories - The user's lists
+ * @param {string} [ownId] - Id of the list being renamed, if any
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCategory({ name, color }, categories, ownId) {
+  if (name !== undefined) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) {
+      return "List name is required";
+    }
+    if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) {
+      return `List names are at most ${MAX_CATEGORY_NAME_LENGTH} characters`;
+    }
+    const taken = categories.some(
+      (c) => c.id !== ownId && c.name.toLowerCase() === trimmed.toLowerCase(),
+    );
+    if (taken) {
+      return `You already have a list named "${trimmed}"`;
+    }
+  }
+  if (color !== undefined && !HEX_COLOR.test(color)) {
+    return "Invalid list color";
+  }
+  return null;
+}
+
+/**
+ * Sorts lists into switcher order
+ * @param {TaskCategory[]} categories
+ * @returns {TaskCategory[]} A sorted copy
+ */
+export function sortCategories(categories) {
+  return [...categories].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * A list's name, falling back to its id for lists that no longer exist
+ * @param {TaskCategory[]} categories
+ * @param {string} id
+ * @returns {string}
+ */
+export function getCategoryName(categories, id) {
+  return categories.find((c) => c.id === id)?.name ?? id;
+}
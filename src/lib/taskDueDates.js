@@ -0,0 +1,136 @@
+/**
+ * Task Due Dates Module
+ * Due dates and reminders for TODO tasks, shared by the tasks page (inline
+ * editor, "Due soon / Overdue" list) and by the mock backend, which sends the
+ * reminders as notifications.
+ *
+ * A task's `dueAt` is an ISO 8601 timestamp (or null), and `reminders` lists
+ * how many minutes before the due time to remind the user (0 = at due time).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/** Tasks due within this window count as "due soon" */
+export const DUE_SOON_MS = 24 * 60 * MINUTE_MS;
+
+/** Reminder offsets offered by the editor, in minutes before the due time */
+export const REMINDER_OPTIONS = Object.freeze([
+  0,
+  15,
+  60,
+  24 * 60,
+  7 * 24 * 60,
+]);
+
+// Largest unit that divides the offset evenly, so 90 minutes stays minutes
+const OFFSET_UNITS = [
+  { minutes: 7 * 24 * 60, name: "week" },
+  { minutes: 24 * 60, name: "day" },
+  { minutes: 60, name: "hour" },
+  { minutes: 1, name: "minute" },
+];
+
+/**
+ * Formats a reminder offset as a duration, e.g. 60 -> "1 hour"
+ * @param {number} minutes - Minutes before the due time (> 0)
+ * @returns {string}
+ */
+export function formatReminderOffset(minutes) {
+  const unit = OFFSET_UNITS.find((u) => minutes % u.minutes === 0);
+  const count = minutes / unit.minutes;
+  return `${count} ${unit.name}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Label for a reminder offset, e.g. 0 -> "At due time", 60 -> "1 hour before"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function describeReminder(minutes) {
+  return minutes === 0
+    ? "At due time"
+    : `${formatReminderOffset(minutes)} before`;
+}
+
+/**
+ * Checks a due date and reminders from a client before they are saved
+ * @param {string|null} dueAt - ISO 8601, or null for no due date
+ * @param {number[]} [reminders]
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDueDate(dueAt, reminders = []) {
+  if (dueAt !== null && Number.isNaN(Date.parse(dueAt))) {
+    return "Invalid due date";
+  }
+  if (
+    !Array.isArray(reminders) ||
+    !reminders.every((m) => Number.isInteger(m) && m >= 0)
+  ) {
+    return "Reminders must be whole minutes before the due time";
+  }
+  return null;
+}
+
+/**
+ * When a reminder is due
+ * @param {string} dueAt - ISO 8601
+ * @param {number} minutes - Minutes before the due time
+ * @returns {number} Milliseconds since the epoch
+ */
+export function getReminderTime(dueAt, minutes) {
+  return new Date(dueAt).getTime() - minutes * MINUTE_MS;
+}
+
+/**
+ * Whether an open task is overdue or due soon
+ * @param {{dueAt?: string|null, completed?: boolean}} task
+ * @param {number} [now=Date.now()]
+ * @returns {"overdue"|"dueSoon"|null}
+ */
+export function getDueStatus(task, now = Date.now()) {
+  if (!task.dueAt || task.completed) {
+    return null;
+  }
+  const dueTime = new Date(task.dueAt).getTime();
+  if (dueTime < now) {
+    return "overdue";
+  }
+  return dueTime - now <= DUE_SOON_MS ? "dueSoon" : null;
+}
+
+/**
+ * The "Due soon / Overdue" list across categories, soonest due first
+ * @param {Object<string, Object[]>} tasksByCategory - Open tasks per category
+ * @param {number} [now=Date.now()]
+ * @returns {{overdue: Object[], dueSoon: Object[]}}
+ */
+export function getDueTasks(tasksByCategory, now = Date.now()) {
+  const due = { overdue: [], dueSoon: [] };
+  Object.values(tasksByCategory)
+    .flat()
+    .forEach((task) => {
+      const status = getDueStatus(task, now);
+      if (status) {
+        due[status].push(task);
+      }
+    });
+  const byDueAt = (a, b) => new Date(a.dueAt) - new Date(b.dueAt);
+  due.overdue.sort(byDueAt);
+  due.dueSoon.sort(byDueAt);
+  return due;
+}
+
+/**
+ * Formats a timestamp as the value of an <input type="datetime-local">
+ * @param {string|null} iso - ISO 8601
+ * @returns {string} "YYYY-MM-DDTHH:mm" in local time, or "" for none
+ */
+export function toDateTimeInputValue(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
@@ -4,6 +4,9 @@
  */
 
 import apiClient from "./apiClient";
+import { toAppError } from "./errors";
+import { invalidateQueries } from "./queryCache";
+import { DEFAULT_TASK_CATEGORIES, sortCategories } from "./taskCategories";
 
 /**
  * Constructs an API endpoint path for the given user and endpoint
@@ -16,14 +19,61 @@ export function buildApiEndpoint(userId, endpoint) {
   return `/users/${userId}/${cleanEndpoint}`;
 }
 
+/**
+ * Query cache key for a user's task listing (see queryCache.js)
+ * @param {string} userId - User identifier
+ * @returns {string} The getAllTasks endpoint
+ */
+export function getTasksQueryKey(userId) {
+  return buildApiEndpoint(userId, "tasks");
+}
+
+/**
+ * Query cache key for a user's archived TODO tasks (see queryCache.js)
+ * Nested under getTasksQueryKey, so every task change revalidates it too
+ * @param {string} userId - User identifier
+ * @param {DoneTaskFilters} [filters]
+ * @returns {string} The getDoneTasks endpoint
+ */
+export function getDoneTasksQueryKey(userId, filters = {}) {
+  const params = new URLSearchParams();
+  ["category", "search", "since"].forEach((name) => {
+    if (filters[name]) {
+      params.set(name, filters[name]);
+    }
+  });
+  const query = params.toString();
+  return buildApiEndpoint(userId, `tasks/done${query ? `?${query}` : ""}`);
+}
+
+/**
+ * @typedef {Object} DoneTaskFilters
+ * @property {string} [category] - Task list id
+ * @property {string} [search] - Matches the task's or a subtask's description
+ * @property {string} [since] - ISO 8601; only tasks completed since then
+ */
+
 /**
  * @typedef {Object} TodoTask
  * @property {string} id - Unique task identifier
  * @property {string} description - Task description
- * @property {string} category - 'personal' or 'work'
+ * @property {string} category - Id of the task's list (see taskCategories.js)
  * @property {boolean} completed - Completion status
+ * @property {string} [completedAt] - ISO 8601; set while the task is archived
  * @property {number} order - Display order
- * @property {string} [parentId] - Optional parent task ID for hierarchy
+ * @property {string} [parentId] - Parent task ID; subtasks nest to any depth
+ * @property {boolean} [isSection] - Shown as a section heading
+ * @property {boolean} [collapsed] - Subtasks hidden in the list
+ * @property {number} [completedSubtasks] - Direct subtasks already completed,
+ *   for progress counts (see taskTree.js)
+ * @property {string|null} [dueAt] - ISO 8601 due date and time
+ * @property {number[]} [reminders] - Minutes before dueAt to send a reminder
+ *   notification (see taskDueDates.js)
+ */
+
+/**
+ * @typedef {TodoTask & {subtasks: TodoTask[]}} DoneTask - An archived task
+ *   with the subtasks archived under it
  */
 
 /**
@@ -37,91 +87,134 @@ export function buildApiEndpoint(userId, endpoint) {
 
 /**
  * @typedef {Object} UserTasksResponse
- * @property {Object} todoTasks - TODO tasks grouped by category
- * @property {TodoTask[]} todoTasks.personal - Personal category tasks
- * @property {TodoTask[]} todoTasks.work - Work category tasks
+ * @property {import("./taskCategories").TaskCategory[]} categories - The
+ *   user's task lists, in switcher order
+ * @property {Object<string, TodoTask[]>} todoTasks - Open TODO tasks keyed
+ *   by list id (every list has an entry)
  * @property {DailyTask[]} dailyTasks - Daily tasks array
  */
 
+// Task-specific wording for catalog codes
+const TASK_ERROR_MESSAGES = {
+  NOT_FOUND: "Task not found. It may have been deleted.",
+};
+
+// Wording for task list (category) requests
+const CATEGORY_ERROR_MESSAGES = {
+  NOT_FOUND: "Task list not found. It may have been deleted.",
+};
+
 /**
- * Handles API errors and transforms them into user-friendly messages
+ * Maps API errors into the shared AppError model (see errors.js)
  * @param {Error} error - The error object
  * @param {string} operation - Description of the operation that failed
- * @returns {Error} Transformed error with user-friendly message
+ * @returns {AppError|Error} AppError, or the original error if the request was cancelled
  */
 function handleApiError(error, operation) {
-  // Handle network errors
-  if (error.name === "TypeError" && error.message === "Failed to fetch") {
-    return new Error(
-      "Unable to connect to server. Please check that the EPIC-SERVER is running",
-    );
-  }
-
-  // Handle API client errors with status codes
-  if (error.status === 404) {
-    return new Error("Task not found. It may have been deleted.");
-  }
-
-  if (error.status === 400) {
-    return new Error(`Invalid request: ${error.message}`);
-  }
-
-  if (error.status === 401) {
-    return new Error("Session expired. Please log in again.");
-  }
-
-  if (error.status === 403) {
-    return new Error("You do not have permission to perform this action.");
-  }
+  return toAppError(error, { operation, messages: TASK_ERROR_MESSAGES });
+}
 
-  if (error.status >= 500) {
-    return new Error("Server error. Please try again later.");
-  }
+/**
+ * Marks the sections of a list saved before sections had their own flag
+ * Tasks with subtasks used to be shown as sections; tasks saved since always
+ * carry `isSection`, so only those without it are mapped.
+ * @param {Object[]} tasks - One list's TODO tasks
+ * @returns {Object[]}
+ */
+function mapLegacySections(tasks) {
+  const parentIds = new Set(tasks.map((t) => t.parentId).filter(Boolean));
+  return tasks.map((task) =>
+    task.isSection === undefined && parentIds.has(task.id)
+      ? { ...task, isSection: true }
+      : task,
+  );
+}
 
-  return new Error(`Failed to ${operation}. Please try again.`);
+/**
+ * Moves the tasks grouped under a list that no longer exists into another
+ * list, after its own top-level tasks
+ * @param {Object[]} tasks - The list's TODO tasks
+ * @param {Object[]} orphans - TODO tasks from one unknown list
+ * @param {string} category - The list's id
+ * @returns {Object[]}
+ */
+function adoptOrphans(tasks, orphans, category) {
+  const rootOrders = tasks.filter((t) => !t.parentId).map((t) => t.order);
+  const offset = rootOrders.length > 0 ? Math.max(...rootOrders) + 1 : 0;
+  return [
+    ...tasks,
+    ...orphans.map((task) => ({
+      ...task,
+      category,
+      order: task.parentId ? task.order : task.order + offset,
+    })),
+  ];
 }
 
 /**
- * Parses the backend response into grouped TODO tasks and daily tasks
+ * Parses the backend response into task lists, grouped TODO tasks and daily tasks
+ * Responses without lists (from before lists existed) get the built-in
+ * Personal and Work lists, which their categories already match. Tasks
+ * grouped under any other unknown list show in the first list. Completed
+ * TODO tasks belong to the Done archive, so any sent along are left out.
  * @param {Object} response - Raw backend response
  * @returns {UserTasksResponse} Parsed response with grouped tasks
  */
 export function parseTasksResponse(response) {
-  const todoTasks = {
-    personal: [],
-    work: [],
-  };
+  const categories =
+    Array.isArray(response.categories) && response.categories.length > 0
+      ? sortCategories(response.categories)
+      : DEFAULT_TASK_CATEGORIES.map((c) => ({ ...c }));
+  const todoTasks = {};
   const dailyTasks = [];
 
-  // Parse TODO tasks grouped by category
-  if (response.todoTasks) {
-    if (Array.isArray(response.todoTasks.personal)) {
-      todoTasks.personal = response.todoTasks.personal;
-    }
-    if (Array.isArray(response.todoTasks.work)) {
-      todoTasks.work = response.todoTasks.work;
-    }
-  }
+  // Parse TODO tasks grouped by list
+  const grouped = response.todoTasks ?? {};
+  const orphanGroups = Object.entries(grouped)
+    .filter(
+      ([id, tasks]) =>
+        Array.isArray(tasks) && !categories.some((c) => c.id === id),
+    )
+    .map(([, tasks]) => tasks);
+  categories.forEach(({ id }, index) => {
+    const tasks = Array.isArray(grouped[id]) ? grouped[id] : [];
+    const listed =
+      index === 0
+        ? orphanGroups.reduce(
+            (list, orphans) => adoptOrphans(list, orphans, id),
+            tasks,
+          )
+        : tasks;
+    todoTasks[id] = mapLegacySections(
+      listed.filter((task) => task.completed !== true),
+    );
+  });
 
   // Parse daily tasks
   if (Array.isArray(response.dailyTasks)) {
     dailyTasks.push(...response.dailyTasks);
   }
 
-  return { todoTasks, dailyTasks };
+  return { categories, todoTasks, dailyTasks };
+}
+
+/** handleApiError for task list requests */
+function handleCategoryError(error, operation) {
+  return toAppError(error, { operation, messages: CATEGORY_ERROR_MESSAGES });
 }
 
 export const TaskService = {
   /**
    * Fetches all tasks for a user
    * @param {string} userId - User identifier
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
    * @returns {Promise<UserTasksResponse>}
    */
-  getAllTasks: async (userId) => {
-    const endpoint = buildApiEndpoint(userId, "tasks");
+  getAllTasks: async (userId, options = {}) => {
+    const endpoint = getTasksQueryKey(userId);
 
     try {
-      const data = await apiClient.get(endpoint);
+      const data = await apiClient.get(endpoint, options);
       return parseTasksResponse(data);
     } catch (error) {
       throw handleApiError(error, "fetch tasks");
@@ -131,7 +224,7 @@ export const TaskService = {
   /**
    * Creates a new TODO task
    * @param {string} userId - User identifier
-   * @param {Object} task - Task data with id, description, category, order, and optional parentId
+   * @param {Object} task - Task data with id, description, category, order, and optional parentId and isSection
    * @returns {Promise<TodoTask>}
    */
   createTodoTask: async (userId, task) => {
@@ -142,6 +235,8 @@ export const TaskService = {
       description: task.description,
       category: task.category,
       order: task.order,
+      // Always sent so new parents aren't read back as legacy sections
+      isSection: task.isSection === true,
     };
 
     // Include parentId only if provided
@@ -150,7 +245,9 @@ export const TaskService = {
     }
 
     try {
-      return await apiClient.post(endpoint, requestBody);
+      const saved = await apiClient.post(endpoint, requestBody);
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
     } catch (error) {
       throw handleApiError(error, "create TODO task");
     }
@@ -158,6 +255,7 @@ export const TaskService = {
 
   /**
    * Creates a new Daily task
+   * Creating a deleted task again with its id restores its completion history.
    * @param {string} userId - User identifier
    * @param {Object} task - Task data with id, description, and order
    * @returns {Promise<DailyTask>}
@@ -172,7 +270,9 @@ export const TaskService = {
     };
 
     try {
-      return await apiClient.post(endpoint, requestBody);
+      const saved = await apiClient.post(endpoint, requestBody);
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
     } catch (error) {
       throw handleApiError(error, "create daily task");
     }
@@ -183,13 +283,23 @@ export const TaskService = {
    * @param {string} userId - User identifier
    * @param {string} taskId - Task identifier
    * @param {Partial<TodoTask>} updates - Fields to update
+   * @param {Object} [options]
+   * @param {boolean} [options.invalidate=true] - false when the caller
+   *   invalidates the tasks query once after a batch of updates
    * @returns {Promise<TodoTask>}
    */
-  updateTodoTask: async (userId, taskId, updates) => {
+  updateTodoTask: async (
+    userId,
+    taskId,
+    updates,
+    { invalidate = true } = {},
+  ) => {
     const endpoint = buildApiEndpoint(userId, `tasks/todo/${taskId}`);
 
     try {
-      return await apiClient.put(endpoint, updates);
+      const saved = await apiClient.put(endpoint, updates);
+      if (invalidate) invalidateQueries(getTasksQueryKey(userId));
+      return saved;
     } catch (error) {
       throw handleApiError(error, "update TODO task");
     }
@@ -200,13 +310,21 @@ export const TaskService = {
    * @param {string} userId - User identifier
    * @param {string} taskId - Task identifier
    * @param {Partial<DailyTask>} updates - Fields to update
+   * @param {Object} [options] - See updateTodoTask
    * @returns {Promise<DailyTask>}
    */
-  updateDailyTask: async (userId, taskId, updates) => {
+  updateDailyTask: async (
+    userId,
+    taskId,
+    updates,
+    { invalidate = true } = {},
+  ) => {
     const endpoint = buildApiEndpoint(userId, `tasks/daily/${taskId}`);
 
     try {
-      return await apiClient.put(endpoint, updates);
+      const saved = await apiClient.put(endpoint, updates);
+      if (invalidate) invalidateQueries(getTasksQueryKey(userId));
+      return saved;
     } catch (error) {
       throw handleApiError(error, "update daily task");
     }
@@ -223,11 +341,151 @@ export const TaskService = {
 
     try {
       await apiClient.delete(endpoint);
+      invalidateQueries(getTasksQueryKey(userId));
     } catch (error) {
       throw handleApiError(error, "delete TODO task");
     }
   },
 
+  /**
+   * Fetches archived (completed) TODO tasks, most recently completed first
+   * @param {string} userId - User identifier
+   * @param {DoneTaskFilters} [filters]
+   * @param {Object} [options] - apiClient request options (e.g. { signal })
+   * @returns {Promise<DoneTask[]>}
+   */
+  getDoneTasks: async (userId, filters = {}, options = {}) => {
+    const endpoint = getDoneTasksQueryKey(userId, filters);
+
+    try {
+      const data = await apiClient.get(endpoint, options);
+      return data || [];
+    } catch (error) {
+      throw handleApiError(error, "fetch completed tasks");
+    }
+  },
+
+  /**
+   * Restores an archived TODO task (with the subtasks archived along with it)
+   * @param {string} userId - User identifier
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<TodoTask>}
+   */
+  restoreTodoTask: async (userId, taskId) => {
+    const endpoint = buildApiEndpoint(userId, `tasks/todo/${taskId}`);
+
+    try {
+      const saved = await apiClient.put(endpoint, { completed: false });
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
+    } catch (error) {
+      throw handleApiError(error, "restore TODO task");
+    }
+  },
+
+  /**
+   * Permanently deletes every archived TODO task in a category
+   * @param {string} userId - User identifier
+   * @param {string} [category] - Task list id; all lists if omitted
+   * @returns {Promise<{purged: number}>}
+   */
+  purgeDoneTasks: async (userId, category) => {
+    const endpoint = getDoneTasksQueryKey(userId, { category });
+
+    try {
+      const result = await apiClient.delete(endpoint);
+      invalidateQueries(getTasksQueryKey(userId));
+      return result;
+    } catch (error) {
+      throw handleApiError(error, "purge completed tasks");
+    }
+  },
+
+  /**
+   * Creates a task list
+   * @param {string} userId - User identifier
+   * @param {{id?: string, name: string, color?: string}} category - `id`
+   *   is generated by the server if omitted
+   * @returns {Promise<import("./taskCategories").TaskCategory>}
+   */
+  createTaskCategory: async (userId, { id, name, color }) => {
+    const endpoint = buildApiEndpoint(userId, "tasks/categories");
+
+    try {
+      const saved = await apiClient.post(endpoint, { id, name, color });
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
+    } catch (error) {
+      throw handleCategoryError(error, "create task list");
+    }
+  },
+
+  /**
+   * Renames and/or recolors a task list
+   * @param {string} userId - User identifier
+   * @param {string} categoryId - Task list id
+   * @param {{name?: string, color?: string}} updates
+   * @returns {Promise<import("./taskCategories").TaskCategory>}
+   */
+  updateTaskCategory: async (userId, categoryId, updates) => {
+    const endpoint = buildApiEndpoint(
+      userId,
+      `tasks/categories/${encodeURIComponent(categoryId)}`,
+    );
+
+    try {
+      const saved = await apiClient.put(endpoint, updates);
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
+    } catch (error) {
+      throw handleCategoryError(error, "update task list");
+    }
+  },
+
+  /**
+   * Saves the order of the task lists
+   * @param {string} userId - User identifier
+   * @param {string[]} ids - Every list id, in the new order
+   * @returns {Promise<import("./taskCategories").TaskCategory[]>}
+   */
+  reorderTaskCategories: async (userId, ids) => {
+    const endpoint = buildApiEndpoint(userId, "tasks/categories");
+
+    try {
+      const saved = await apiClient.put(endpoint, { ids });
+      invalidateQueries(getTasksQueryKey(userId));
+      return saved;
+    } catch (error) {
+      throw handleCategoryError(error, "reorder task lists");
+    }
+  },
+
+  /**
+   * Deletes a task list
+   * @param {string} userId - User identifier
+   * @param {string} categoryId - Task list id
+   * @param {Object} [options]
+   * @param {string} [options.moveTasksTo] - List to move its tasks to; the
+   *   tasks are deleted with the list if omitted
+   * @returns {Promise<void>}
+   */
+  deleteTaskCategory: async (userId, categoryId, { moveTasksTo } = {}) => {
+    const query = moveTasksTo
+      ? `?moveTasksTo=${encodeURIComponent(moveTasksTo)}`
+      : "";
+    const endpoint = buildApiEndpoint(
+      userId,
+      `tasks/categories/${encodeURIComponent(categoryId)}${query}`,
+    );
+
+    try {
+      await apiClient.delete(endpoint);
+      invalidateQueries(getTasksQueryKey(userId));
+    } catch (error) {
+      throw handleCategoryError(error, "delete task list");
+    }
+  },
+
   /**
    * Deletes a Daily task
    * @param {string} userId - User identifier
@@ -239,6 +497,7 @@ export const TaskService = {
 
     try {
       await apiClient.delete(endpoint);
+      invalidateQueries(getTasksQueryKey(userId));
     } catch (error) {
       throw handleApiError(error, "delete daily task");
     }
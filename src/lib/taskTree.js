@@ -0,0 +1,148 @@
+/**
+ * Task Tree Module
+ * TODO tasks nest to any depth through `parentId`. These helpers turn a
+ * list's flat task array into display order and compute the re-parenting
+ * for indent/outdent; shared by useTaskManager and TaskContainer.
+ *
+ * A task whose parent is missing from the array (e.g. still loading, or in
+ * another list) is treated as top-level.
+ */
+
+const byOrder = (a, b) => a.order - b.order;
+
+/**
+ * Groups tasks by parent id ("" for top-level tasks), each group in order
+ * @param {Array} tasks - One list's tasks
+ * @returns {Map<string, Array>}
+ */
+function groupByParent(tasks) {
+  const ids = new Set(tasks.map((t) => t.id));
+  const groups = new Map();
+  tasks.forEach((task) => {
+    const key = task.parentId && ids.has(task.parentId) ? task.parentId : "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+  });
+  groups.forEach((group) => group.sort(byOrder));
+  return groups;
+}
+
+/**
+ * Ids of a task's subtasks, at any depth
+ * @param {Array} tasks - One list's tasks
+ * @param {string} taskId
+ * @returns {Set<string>}
+ */
+export function getSubtaskIds(tasks, taskId) {
+  const groups = groupByParent(tasks);
+  const ids = new Set();
+  const visit = (id) => {
+    (groups.get(id) || []).forEach((child) => {
+      if (!ids.has(child.id) && child.id !== taskId) {
+        ids.add(child.id);
+        visit(child.id);
+      }
+    });
+  };
+  visit(taskId);
+  return ids;
+}
+
+/**
+ * Tasks in display order: depth-first, skipping the subtasks of collapsed
+ * tasks. Each entry is a copy with:
+ * - `depth` - 0 for top-level tasks
+ * - `hasChildren` - Has open subtasks (shown or collapsed)
+ * - `progress` - `{ done, total }` over direct subtasks, counting those
+ *   already completed (`completedSubtasks`), or null without any
+ * @param {Array} tasks - One list's tasks
+ * @returns {Array}
+ */
+export function flattenTaskTree(tasks) {
+  const groups = groupByParent(tasks);
+  const result = [];
+  const seen = new Set();
+
+  const visit = (parentKey, depth) => {
+    (groups.get(parentKey) || []).forEach((task) => {
+      if (seen.has(task.id)) return; // Guards against parentId cycles
+      seen.add(task.id);
+      const children = groups.get(task.id) || [];
+      const done = task.completedSubtasks ?? 0;
+      const total = children.length + done;
+      result.push({
+        ...task,
+        depth,
+        hasChildren: children.length > 0,
+        progress: total > 0 ? { done, total } : null,
+      });
+      if (!task.collapsed) {
+        visit(task.id, depth + 1);
+      }
+    });
+  };
+  visit("", 0);
+  return result;
+}
+
+/**
+ * Renumbers one group of siblings 1..n in the given order
+ * @returns {Map<string, number>} Task id to new order
+ */
+function renumber(siblings) {
+  return new Map(siblings.map((t, index) => [t.id, index + 1]));
+}
+
+function applyMove(tasks, taskId, parentId, orders) {
+  return tasks.map((t) => {
+    const order = orders.get(t.id);
+    if (t.id === taskId) return { ...t, parentId, order };
+    return order !== undefined && order !== t.order ? { ...t, order } : t;
+  });
+}
+
+/**
+ * Indent: the task becomes the last subtask of the sibling above it
+ * @param {Array} tasks - One list's tasks
+ * @param {string} taskId
+ * @returns {Array|null} The list with the task moved, or null if it is the
+ *   first of its siblings
+ */
+export function indentInTree(tasks, taskId) {
+  const task = tasks.find((t) => t.id === taskId);
+  if (!task) return null;
+  const groups = groupByParent(tasks);
+  const siblings = [...groups.values()].find((g) => g.includes(task));
+  const index = siblings.indexOf(task);
+  if (index < 1) return null;
+
+  const newParent = siblings[index - 1];
+  const newSiblings = [...(groups.get(newParent.id) || []), task];
+  return applyMove(tasks, taskId, newParent.id, renumber(newSiblings));
+}
+
+/**
+ * Outdent: the task moves out of its parent, right below it
+ * @param {Array} tasks - One list's tasks
+ * @param {string} taskId
+ * @returns {Array|null} The list with the task moved, or null if it is
+ *   already top-level
+ */
+export function outdentInTree(tasks, taskId) {
+  const task = tasks.find((t) => t.id === taskId);
+  const parent = task && tasks.find((t) => t.id === task.parentId);
+  if (!parent) return null;
+  const groups = groupByParent(tasks);
+  const parentKey = [...groups.keys()].find((key) =>
+    groups.get(key).includes(parent),
+  );
+
+  const newSiblings = [...groups.get(parentKey)];
+  newSiblings.splice(newSiblings.indexOf(parent) + 1, 0, task);
+  return applyMove(
+    tasks,
+    taskId,
+    parentKey || undefined,
+    renumber(newSiblings),
+  );
+}
@@ -4,10 +4,12 @@
  * and localStorage fallback for persistence across page refreshes.
  */
 
-const TOKEN_KEY = "paradise_auth_token";
+export const TOKEN_KEY = "paradise_auth_token";
+const REFRESH_TOKEN_KEY = "paradise_refresh_token";
 
 // In-memory storage (primary)
 let inMemoryToken = null;
+let inMemoryRefreshToken = null;
 
 /**
  * Decodes a JWT token payload (base64url decoding)
@@ -90,16 +92,63 @@ export function getToken() {
 }
 
 /**
- * Clears the stored JWT token from all storage locations
+ * Stores the refresh token used to obtain new access tokens
+ * @param {string} refreshToken - Opaque refresh token from the backend
+ */
+export function setRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return;
+  }
+
+  inMemoryRefreshToken = refreshToken;
+
+  if (typeof window !== "undefined" && window.localStorage) {
+    try {
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    } catch {
+      // localStorage might be unavailable or full
+    }
+  }
+}
+
+/**
+ * Retrieves the stored refresh token
+ * Checks in-memory first, falls back to localStorage
+ * @returns {string|null} The stored refresh token or null
+ */
+export function getRefreshToken() {
+  if (inMemoryRefreshToken) {
+    return inMemoryRefreshToken;
+  }
+
+  if (typeof window !== "undefined" && window.localStorage) {
+    try {
+      const storedToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (storedToken) {
+        inMemoryRefreshToken = storedToken;
+        return storedToken;
+      }
+    } catch {
+      // localStorage might be unavailable
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clears the stored JWT token (and its refresh token) from all storage locations
  */
 export function clearToken() {
   // Clear in-memory
   inMemoryToken = null;
+  inMemoryRefreshToken = null;
 
   // Clear localStorage
   if (typeof window !== "undefined" && window.localStorage) {
     try {
       localStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
     } catch {
       // localStorage might be unavailable
     }
@@ -126,10 +175,22 @@ export function isTokenExpired() {
   return payload.exp <= currentTime;
 }
 
+/**
+ * Re-reads both tokens from localStorage, replacing the in-memory copies
+ * Used when another tab has logged in, refreshed or logged out.
+ * @returns {string|null} The access token now in storage, or null
+ */
+export function reloadTokenFromStorage() {
+  inMemoryToken = null;
+  inMemoryRefreshToken = null;
+  return getToken();
+}
+
 /**
  * Clears only the in-memory token storage
  * Useful for testing localStorage fallback behavior
  */
 export function clearInMemoryToken() {
   inMemoryToken = null;
+  inMemoryRefreshToken = null;
 }
@@ -0,0 +1,150 @@
+/**
+ * Undo History Module
+ * Undo/redo stacks for task operations (see useUndoHistory). Entries hold
+ * closures rather than state snapshots: each one reverses (or repeats) its
+ * operation against the current state, typically with an optimistic reducer
+ * action plus the compensating TaskService call.
+ *
+ * Undo and redo run one at a time in the order requested. An entry whose
+ * undo or redo fails stays where it was.
+ */
+
+export const MAX_UNDO_ENTRIES = 50;
+
+/**
+ * @typedef {Object} UndoEntry
+ * @property {string} label - Describes the operation, e.g. 'Completed "Stretch"'
+ * @property {boolean} [destructive] - Removes something from view (completing,
+ *   deleting); the tasks page offers "Undo" in a toast for these
+ * @property {Function} undo - () => Promise, rejects if it failed
+ * @property {Function} redo - () => Promise, rejects if it failed
+ */
+
+/**
+ * Creates an empty history
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Oldest entries are dropped past this
+ * @returns {Object} History API
+ */
+export function createUndoHistory({ limit = MAX_UNDO_ENTRIES } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  let running = Promise.resolve();
+  const listeners = new Set();
+  let snapshot = { canUndo: false, canRedo: false, lastEntry: null };
+
+  function notify(lastEntry = snapshot.lastEntry) {
+    snapshot = {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      lastEntry,
+    };
+    listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Runs one entry's undo or redo after any still in flight, moving the
+   * entry between the stacks only if it succeeds
+   */
+  function run(pick, from, to, direction) {
+    running = running.then(async () => {
+      const entry = pick();
+      if (!entry) return null;
+      try {
+        await entry[direction]();
+      } catch {
+        return null;
+      }
+      // Pushes made meanwhile may have cleared the stacks; only move it if still there
+      if (!from().includes(entry)) return null;
+      to(entry);
+      notify();
+      return entry;
+    });
+    return running;
+  }
+
+  return {
+    /**
+     * Records a completed operation; clears the redo stack
+     * @param {UndoEntry} entry
+     * @returns {UndoEntry} The entry, for discard()
+     */
+    push(entry) {
+      undoStack = [...undoStack, entry].slice(-limit);
+      redoStack = [];
+      notify(entry);
+      return entry;
+    },
+
+    /**
+     * Forgets an entry, e.g. when its operation was rolled back
+     * @param {UndoEntry} entry
+     */
+    discard(entry) {
+      undoStack = undoStack.filter((e) => e !== entry);
+      redoStack = redoStack.filter((e) => e !== entry);
+      notify(snapshot.lastEntry === entry ? null : snapshot.lastEntry);
+    },
+
+    /**
+     * Undoes the most recent entry, or a specific one (e.g. from its toast)
+     * even if later operations were recorded after it
+     * @param {UndoEntry} [entry]
+     * @returns {Promise<UndoEntry|null>} The undone entry, or null
+     */
+    undo(entry) {
+      return run(
+        () => (entry ? undoStack.find((e) => e === entry) : undoStack.at(-1)),
+        () => undoStack,
+        (done) => {
+          undoStack = undoStack.filter((e) => e !== done);
+          redoStack = [...redoStack, done];
+        },
+        "undo",
+      );
+    },
+
+    /**
+     * Redoes the most recently undone entry
+     * @returns {Promise<UndoEntry|null>} The redone entry, or null
+     */
+    redo() {
+      return run(
+        () => redoStack.at(-1),
+        () => redoStack,
+        (done) => {
+          redoStack = redoStack.filter((e) => e !== done);
+          undoStack = [...undoStack, done];
+        },
+        "redo",
+      );
+    },
+
+    /** Empties both stacks, e.g. when the user changes */
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      notify(null);
+    },
+
+    /**
+     * Current state; a new object only after changes
+     * @returns {{canUndo: boolean, canRedo: boolean, lastEntry: UndoEntry|null}}
+     *   lastEntry is the entry most recently pushed
+     */
+    getSnapshot() {
+      return snapshot;
+    },
+
+    /**
+     * Subscribes to changes
+     * @param {Function} listener - Called with no arguments
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * User Import Module
+ * Bulk user creation for the admin panel: parse a CSV or JSON file into rows,
+ * check each row before sending, then submit them to /admin/users/import
+ * (optionally as a dry run). Also serializes the user list for export.
+ *
+ * CSV files need a header row; columns are matched by name:
+ *   username,password,roles,enabled
+ *   grandma,correct-horse-9,USER,true
+ * Roles are separated by ";" (or "|"), with or without the ROLE_ prefix, and
+ * may name custom roles ("Family members" is ROLE_FAMILY_MEMBERS).
+ * JSON files hold an array of users, or an object with a `users` array.
+ */
+
+import { escapeCSVField } from "@/utils/csvExporter";
+import { post } from "./apiClient";
+import { withAppErrors } from "./errors";
+import { checkPassword } from "./passwordPolicy";
+import { BUILT_IN_ROLES, toRoleName } from "./permissions";
+
+/** Roles an imported user may be given when no custom roles are known */
+export const IMPORTABLE_ROLES = BUILT_IN_ROLES;
+
+/** Most rows accepted in one import */
+export const MAX_IMPORT_ROWS = 500;
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} row - 1-based position in the file (data rows only)
+ * @property {string} username
+ * @property {string} password
+ * @property {string[]} roles - Normalized, e.g. ["ROLE_USER"]
+ * @property {boolean} enabled
+ * @property {string[]} errors - Problems found before sending; empty if valid
+ */
+
+/**
+ * Splits CSV text into records, honouring quoted fields ("" is a quote)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not users
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Normalizes a roles cell or array: "user; admin" -> ["ROLE_USER", "ROLE_ADMIN"]
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function normalizeRoles(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[;|]/);
+  const roles = list.map(toRoleName).filter(Boolean);
+  return [...new Set(roles)];
+}
+
+function parseEnabled(value) {
+  if (value === undefined || value === null || value === "") {
+    return true;
+  }
+  if (typeof value === "boolean") {
+    return value;
+  }
+  return !["false", "no", "0", "disabled"].includes(
+    String(value).trim().toLowerCase(),
+  );
+}
+
+function toRow(record, index) {
+  const roles = normalizeRoles(record.roles);
+  return {
+    row: index + 1,
+    username: String(record.username ?? "").trim(),
+    password: String(record.password ?? ""),
+    // A user without roles gets the default one
+    roles: roles.length > 0 ? roles : ["ROLE_USER"],
+    enabled: parseEnabled(record.enabled),
+    errors: [],
+  };
+}
+
+/**
+ * Guesses the format of pasted or uploaded text
+ * @param {string} text
+ * @returns {"csv"|"json"}
+ */
+export function detectImportFormat(text) {
+  return /^\s*[[{]/.test(text) ? "json" : "csv";
+}
+
+/**
+ * Parses an import file
+ * @param {string} text - File contents
+ * @param {"csv"|"json"} [format] - Detected from the text when omitted
+ * @returns {ImportRow[]} Rows (not yet validated)
+ * @throws {Error} If the file cannot be read as that format
+ */
+export function parseUserImport(text, format = detectImportFormat(text)) {
+  let records;
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("The file is not valid JSON.");
+    }
+    records = Array.isArray(data) ? data : data?.users;
+    if (!Array.isArray(records)) {
+      throw new Error('Expected an array of users or { "users": [...] }.');
+    }
+  } else {
+    // Spreadsheet apps often save a byte-order mark before the header
+    const [header, ...rows] = parseCSVRecords(text.replace(/^\uFEFF/, ""));
+    const columns = (header || []).map((name) => name.trim().toLowerCase());
+    if (!columns.includes("username")) {
+      throw new Error('The CSV needs a header row with a "username" column.');
+    }
+    records = rows.map((values) =>
+      Object.fromEntries(columns.map((name, i) => [name, values[i]])),
+    );
+  }
+
+  if (records.length === 0) {
+    throw new Error("The file contains no users.");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import at most ${MAX_IMPORT_ROWS} users at a time.`);
+  }
+  return records.map(toRow);
+}
+
+/**
+ * Checks rows before they are sent: required fields, duplicate or existing
+ * usernames, unknown roles and passwords that break the password policy
+ * @param {ImportRow[]} rows - Parsed rows
+ * @param {string[]} existingUsernames - Usernames already taken
+ * @param {string[]} [knownRoles] - Roles that exist, custom ones included
+ * @returns {ImportRow[]} The rows with `errors` filled in
+ */
+export function validateImportRows(
+  rows,
+  existingUsernames = [],
+  knownRoles = IMPORTABLE_ROLES,
+) {
+  const taken = new Set(existingUsernames.map((name) => name.toLowerCase()));
+  const seen = new Set();
+
+  return rows.map((row) => {
+    const errors = [];
+    const key = row.username.toLowerCase();
+
+    if (!row.username) {
+      errors.push("Username is required");
+    } else if (taken.has(key)) {
+      errors.push("Username already exists");
+    } else if (seen.has(key)) {
+      errors.push("Username appears more than once in the file");
+    }
+    seen.add(key);
+
+    const unknown = row.roles.filter((role) => !knownRoles.includes(role));
+    if (unknown.length > 0) {
+      errors.push(`Unknown role: ${unknown.join(", ")}`);
+    }
+
+    // The first broken rule is enough to fix the row
+    const [passwordError] = checkPassword(row.password, {
+      username: row.username,
+    }).errors;
+    if (passwordError) {
+      errors.push(passwordError);
+    }
+
+    return { ...row, errors };
+  });
+}
+
+/**
+ * @typedef {object} ImportResult
+ * @property {number} row - Row the result is for
+ * @property {string} username
+ * @property {"created"|"valid"|"failed"} status - "valid" = would be created
+ *   (dry run)
+ * @property {string} [error] - Why the row failed
+ */
+
+/**
+ * Submits rows for creation; invalid rows fail without stopping the others
+ * @param {ImportRow[]} rows - Rows to create
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only check the rows server-side
+ * @returns {Promise<{dryRun: boolean, results: ImportResult[]}>}
+ */
+export async function importUsers(rows, { dryRun = false } = {}) {
+  const users = rows.map(({ row, username, password, roles, enabled }) => ({
+    row,
+    username,
+    password,
+    roles,
+    enabled,
+  }));
+  return withAppErrors(() => post("/admin/users/import", { dryRun, users }), {
+    operation: "import users",
+  });
+}
+
+/**
+ * Serializes the user list to CSV in the import format, minus passwords
+ * Columns: username, roles, enabled
+ * @param {Array<{username: string, roles: string[], enabled: boolean}>} users
+ * @returns {string} CSV string with header row and one data row per user
+ */
+export function exportUsersCSV(users) {
+  const rows = ["username,roles,enabled"];
+  for (const user of users) {
+    rows.push(
+      [
+        escapeCSVField(user.username),
+        escapeCSVField(
+          user.roles.map((role) => role.replace(/^ROLE_/, "")).join(";"),
+        ),
+        escapeCSVField(user.enabled ? "true" : "false"),
+      ].join(","),
+    );
+  }
+  return rows.join("\n");
+}
@@ -0,0 +1,750 @@
+/**
+ * Mock backend tests
+ *
+ * The mock speaks the same contracts as the backend: bearer-token auth,
+ * per-user data, catalog error codes, and state that survives a reload
+ * through its storage. Failed mutations leave the data untouched. Accounts
+ * with MFA need a TOTP or recovery code after the password. Each login is a
+ * session that can be revoked, and a locked one gets no health data until it
+ * is unlocked. New passwords must meet the password policy.
+ * Custom roles grant capabilities through the token's permissions claim.
+ * Admins can view as a user, read-only unless they allow changes. Completed
+ * TODOs are archived, and their reminders arrive as notifications. Users
+ * manage their own TODO lists, and subtasks nest to any depth. Uploads sent
+ * over XMLHttpRequest reach the mock too. A deleted daily task created again
+ * gets its completion history back.
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { decodeJWT } from "@/src/lib/tokenStorage";
+import { MOCK_DB_STORAGE_KEY, createMockBackend } from "../mockBackend";
+import { toDateKey } from "../mockSeed";
+import { createMockXMLHttpRequest } from "../mockXhr";
+import { generateTotp } from "../totp";
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+let storage;
+let backend;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+  backend = createMockBackend({ storage, baseUrl: "http://api.test" });
+});
+
+async function signIn(username = "demo", password = username) {
+  const response = await backend.fetch("http://api.test/auth/login", {
+    method: "POST",
+    body: JSON.stringify({ username, password }),
+  });
+  return response.json();
+}
+
+async function login(username, password) {
+  return (await signIn(username, password)).token;
+}
+
+async function request(token, method, path, body) {
+  const response = await backend.fetch(`http://api.test${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+describe("mockBackend", () => {
+  it("issues tokens the app can decode and rejects bad passwords", async () => {
+    const token = await login("admin");
+    expect(decodeJWT(token)).toMatchObject({
+      sub: "admin",
+      roles: ["ROLE_USER", "ROLE_ADMIN"],
+    });
+
+    const rejected = await backend.fetch("http://api.test/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username: "demo", password: "wrong" }),
+    });
+    expect(rejected.status).toBe(401);
+  });
+
+  it("requires a token and keeps users out of each other's data", async () => {
+    const token = await login("demo");
+
+    expect((await request("nope", "GET", "/users/demo/tasks")).status).toBe(
+      401,
+    );
+    expect((await request(token, "GET", "/users/admin/tasks")).status).toBe(
+      403,
+    );
+    expect((await request(token, "GET", "/admin/users")).status).toBe(403);
+  });
+
+  it("persists changes across reloads", async () => {
+    const token = await login();
+    await request(token, "POST", "/users/demo/tasks/todo", {
+      id: "task-new",
+      description: "Try the mock",
+      category: "work",
+      order: 9,
+    });
+
+    const reloaded = createMockBackend({ storage, baseUrl: "http://api.test" });
+    const response = await reloaded.fetch("http://api.test/users/demo/tasks", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const { todoTasks } = await response.json();
+    expect(todoTasks.work.map((task) => task.id)).toContain("task-new");
+  });
+
+  it("serves drives from the seed data with the backend's error codes", async () => {
+    const token = await login();
+    const { data: drive } = await request(
+      token,
+      "GET",
+      "/users/demo/drives/myDrive",
+    );
+    expect(drive.root.children).toContain("folder-documents");
+
+    const saved = storage.getItem(MOCK_DB_STORAGE_KEY);
+    const { status, data } = await request(
+      token,
+      "PUT",
+      "/users/demo/drives/myDrive/items/folder-documents/move",
+      { parentId: "folder-documents" },
+    );
+    expect(status).toBe(409);
+    expect(data.code).toBe("DRIVE_ITEM_CONFLICT");
+    expect(storage.getItem(MOCK_DB_STORAGE_KEY)).toBe(saved);
+  });
+
+  it("answers XMLHttpRequest uploads to mocked routes", async () => {
+    const token = await login();
+    const MockXMLHttpRequest = createMockXMLHttpRequest(
+      backend,
+      XMLHttpRequest,
+    );
+    const body = new FormData();
+    body.append("file", new File(["hello"], "notes.txt"));
+
+    const xhr = new MockXMLHttpRequest();
+    const progress = [];
+    xhr.upload.addEventListener("progress", (e) =>
+      progress.push(e.loaded / e.total),
+    );
+    xhr.open("POST", "http://api.test/users/demo/drives/myDrive/files");
+    xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+    await new Promise((resolve, reject) => {
+      xhr.onload = resolve;
+      xhr.onerror = reject;
+      xhr.send(body);
+    });
+
+    expect(xhr.status).toBe(200);
+    expect(progress).toEqual([1]);
+    expect(JSON.parse(await xhr.response.text()).name).toBe("notes.txt");
+  });
+
+  it("asks enrolled users for a second factor", async () => {
+    const token = await login();
+    const { data: enrollment } = await request(
+      token,
+      "POST",
+      "/auth/mfa/enrollment",
+    );
+    expect(enrollment.otpauthUri).toContain(`secret=${enrollment.secret}`);
+    const { data: confirmed } = await request(
+      token,
+      "POST",
+      "/auth/mfa/enrollment/confirm",
+      { code: generateTotp(enrollment.secret, Date.now()) },
+    );
+    expect(confirmed.recoveryCodes).toHaveLength(10);
+
+    const challenge = await backend.fetch("http://api.test/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username: "demo", password: "demo" }),
+    });
+    const { code, mfaToken } = await challenge.json();
+    expect(challenge.status).toBe(401);
+    expect(code).toBe("MFA_REQUIRED");
+
+    const verify = (body) =>
+      backend.fetch("http://api.test/auth/mfa/verify", {
+        method: "POST",
+        body: JSON.stringify({ mfaToken, ...body }),
+      });
+    const wrong = await verify({ code: "000000" });
+    expect((await wrong.json()).code).toBe("MFA_INVALID_CODE");
+
+    const [recoveryCode] = confirmed.recoveryCodes;
+    const verified = await verify({ recoveryCode });
+    expect(decodeJWT((await verified.json()).token).sub).toBe("demo");
+    // The challenge and the recovery code are both used up
+    expect((await verify({ recoveryCode })).status).toBe(401);
+  });
+
+  it("ends revoked sessions and their refresh tokens", async () => {
+    const laptop = await signIn();
+    const phone = await signIn();
+
+    const { data } = await request(laptop.token, "GET", "/auth/sessions");
+    const phoneSession = data.sessions.find((session) => !session.current);
+    expect(data.sessions).toHaveLength(2);
+    expect(phoneSession.id).toBe(decodeJWT(phone.token).sid);
+
+    await request(laptop.token, "DELETE", `/auth/sessions/${phoneSession.id}`);
+    expect((await request(phone.token, "GET", "/auth/sessions")).status).toBe(
+      401,
+    );
+    const refreshed = await backend.fetch("http://api.test/auth/refresh", {
+      method: "POST",
+      body: JSON.stringify({ refreshToken: phone.refreshToken }),
+    });
+    expect(refreshed.status).toBe(401);
+
+    await request(laptop.token, "POST", "/auth/logout");
+    expect((await request(laptop.token, "GET", "/auth/sessions")).status).toBe(
+      401,
+    );
+  });
+
+  it("unlocks with a PIN and ends the session after repeated failures", async () => {
+    const token = await login();
+    const unlock = (body) => request(token, "POST", "/auth/unlock", body);
+
+    expect((await unlock({ pin: "1234" })).data.code).toBe("PIN_NOT_SET");
+    expect((await unlock({ password: "demo" })).status).toBe(200);
+    expect(
+      (
+        await request(token, "PUT", "/auth/pin", {
+          pin: "12",
+          password: "demo",
+        })
+      ).status,
+    ).toBe(400);
+    await request(token, "PUT", "/auth/pin", { pin: "2468", password: "demo" });
+    expect((await unlock({ pin: "2468" })).status).toBe(200);
+
+    // Wrong answers are 400s until the limit, which revokes the session
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect((await unlock({ pin: "0000" })).status).toBe(400);
+    }
+    expect((await unlock({ pin: "0000" })).status).toBe(401);
+    expect((await request(token, "GET", "/auth/pin")).status).toBe(401);
+  });
+
+  it("holds back health data from a locked session until it is unlocked", async () => {
+    const token = await login();
+    const journal = () => request(token, "GET", "/users/demo/health/journal");
+
+    await request(token, "POST", "/auth/lock");
+    const locked = await journal();
+    expect(locked.status).toBe(423);
+    expect(locked.data.code).toBe("SESSION_LOCKED");
+    // Other data stays available behind the lock screen
+    expect((await request(token, "GET", "/users/demo/tasks")).status).toBe(200);
+
+    await request(token, "POST", "/auth/unlock", { password: "demo" });
+    expect((await journal()).status).toBe(200);
+  });
+
+  it("saves profile preferences and changes passwords only with the current one", async () => {
+    const token = await login();
+    const profile = await request(token, "PUT", "/users/demo/profile", {
+      displayName: "  Demo User ",
+      preferences: { dateFormat: "ISO" },
+    });
+    expect(profile.data).toEqual({
+      username: "demo",
+      displayName: "Demo User",
+      preferences: { dateFormat: "ISO" },
+    });
+    expect((await request(token, "GET", "/users/admin/profile")).status).toBe(
+      403,
+    );
+
+    const change = (body) =>
+      request(token, "PUT", "/users/demo/password", body);
+    const wrong = await change({
+      currentPassword: "nope",
+      newPassword: "Longer-pass-9",
+    });
+    expect(wrong.status).toBe(400);
+    expect(wrong.data.code).toBe("CURRENT_PASSWORD_INCORRECT");
+    expect(
+      (await change({ currentPassword: "demo", newPassword: "short" })).data
+        .code,
+    ).toBe("PASSWORD_TOO_WEAK");
+    expect(
+      (
+        await change({
+          currentPassword: "demo",
+          newPassword: "Longer-pass-9",
+        })
+      ).status,
+    ).toBe(204);
+    expect((await signIn("demo", "Longer-pass-9")).token).toBeTruthy();
+  });
+
+  it("enforces the password policy and makes reset passwords temporary", async () => {
+    const token = await login("admin");
+    const weak = await request(token, "POST", "/admin/users", {
+      username: "nephew",
+      password: "password",
+      roles: ["ROLE_USER"],
+    });
+    expect(weak.status).toBe(400);
+    expect(weak.data.code).toBe("PASSWORD_TOO_WEAK");
+
+    await request(token, "PUT", "/admin/users/user-demo/password", {
+      newPassword: "Temporary-pass-1",
+      requireChange: true,
+    });
+    const expired = await signIn("demo", "Temporary-pass-1");
+    expect(expired.code).toBe("PASSWORD_EXPIRED");
+    expect(expired.token).toBeUndefined();
+
+    const change = (newPassword) =>
+      backend.fetch("http://api.test/auth/password/expired", {
+        method: "POST",
+        body: JSON.stringify({
+          passwordChangeToken: expired.passwordChangeToken,
+          newPassword,
+        }),
+      });
+    expect((await change("demo-Pass-1")).status).toBe(400);
+    expect((await change("Chosen-by-me-7")).status).toBe(204);
+    expect((await change("Chosen-again-7")).status).toBe(401);
+    expect((await signIn("demo", "Chosen-by-me-7")).token).toBeTruthy();
+  });
+
+  it("records admin actions in a filterable audit log", async () => {
+    const token = await login("admin");
+    const { data: created } = await request(token, "POST", "/admin/users", {
+      username: "guest",
+      password: "Visitor-pass-1",
+      roles: ["ROLE_USER"],
+    });
+    await request(token, "PUT", `/admin/users/${created.id}/roles`, {
+      roles: ["ROLE_USER", "ROLE_ADMIN"],
+    });
+    await request(token, "DELETE", `/admin/users/${created.id}`);
+
+    const { data } = await request(token, "GET", "/admin/audit?target=gue");
+    expect(data.entries.map((entry) => entry.action)).toEqual([
+      "USER_DELETED",
+      "ROLES_CHANGED",
+      "USER_CREATED",
+    ]);
+    expect(data.entries[1]).toMatchObject({
+      actor: "admin",
+      target: "guest",
+      details: { from: ["ROLE_USER"], to: ["ROLE_USER", "ROLE_ADMIN"] },
+    });
+
+    const filtered = await request(
+      token,
+      "GET",
+      "/admin/audit?action=USER_CREATED&limit=1",
+    );
+    expect(filtered.data.entries).toHaveLength(1);
+    expect((await request(await login(), "GET", "/admin/audit")).status).toBe(
+      403,
+    );
+  });
+
+  it("grants custom roles' capabilities and assigns roles in bulk", async () => {
+    const token = await login("admin");
+    const created = await request(token, "POST", "/admin/roles", {
+      name: "Family",
+      description: "Close relatives",
+      capabilities: ["drive:adminDrive"],
+    });
+    expect(created.data).toMatchObject({ name: "ROLE_FAMILY", userCount: 0 });
+    expect(
+      (
+        await request(token, "POST", "/admin/roles", {
+          name: "family",
+          capabilities: ["admin:users"],
+        })
+      ).status,
+    ).toBe(409);
+
+    const bulk = await request(token, "POST", "/admin/users/roles/bulk", {
+      userIds: ["user-admin", "user-demo"],
+      add: ["ROLE_FAMILY"],
+    });
+    expect(bulk.data.updated).toEqual(["user-admin", "user-demo"]);
+    const demo = await login();
+    expect(decodeJWT(demo).permissions).toContain("drive:adminDrive");
+    expect(
+      (await request(demo, "GET", "/users/demo/drives/adminDrive")).status,
+    ).toBe(200);
+
+    // Removing the caller's own admin role is refused as a whole
+    const selfDemotion = await request(
+      token,
+      "POST",
+      "/admin/users/roles/bulk",
+      { userIds: ["user-demo", "user-admin"], remove: ["ROLE_ADMIN"] },
+    );
+    expect(selfDemotion.status).toBe(400);
+
+    await request(token, "DELETE", "/admin/roles/ROLE_FAMILY");
+    const { data } = await request(token, "GET", "/admin/users");
+    expect(data.users.find((u) => u.username === "demo").roles).toEqual([
+      "ROLE_USER",
+    ]);
+    expect(
+      (await request(demo, "GET", "/users/demo/drives/adminDrive")).status,
+    ).toBe(403);
+  });
+
+  it("lets admins view as a user, read-only unless allowed, and audits it", async () => {
+    const token = await login("admin");
+    const viewAs = async (allowWrites) =>
+      (
+        await request(token, "POST", "/admin/impersonation", {
+          userId: "user-demo",
+          allowWrites,
+        })
+      ).data;
+    const asDemo = (impersonation, method, path, body) =>
+      backend.fetch(`http://api.test${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "X-Impersonation-Id": impersonation.id,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+
+    const readOnly = await viewAs(false);
+    expect(readOnly).toMatchObject({ username: "demo", allowWrites: false });
+    expect(readOnly.capabilities).not.toContain("drive:adminDrive");
+    expect((await asDemo(readOnly, "GET", "/users/demo/tasks")).status).toBe(
+      200,
+    );
+    // The admin sees what demo sees, not their own drives
+    expect(
+      (await asDemo(readOnly, "GET", "/users/demo/drives/adminDrive")).status,
+    ).toBe(403);
+    const write = await asDemo(
+      readOnly,
+      "PUT",
+      "/users/demo/tasks/daily/daily-1",
+      { completed: true },
+    );
+    expect((await write.json()).code).toBe("IMPERSONATION_READ_ONLY");
+    await request(token, "DELETE", `/admin/impersonation/${readOnly.id}`);
+    expect((await asDemo(readOnly, "GET", "/users/demo/tasks")).status).toBe(
+      403,
+    );
+
+    const writable = await viewAs(true);
+    expect(
+      (
+        await asDemo(writable, "PUT", "/users/demo/tasks/daily/daily-1", {
+          completed: true,
+        })
+      ).status,
+    ).toBe(200);
+    const { data } = await request(token, "GET", "/admin/audit?target=demo");
+    expect(data.entries.map((entry) => entry.action)).toEqual([
+      "IMPERSONATED_CHANGE",
+      "IMPERSONATION_STARTED",
+      "IMPERSONATION_ENDED",
+      "IMPERSONATION_STARTED",
+    ]);
+    expect(data.entries[0].details).toEqual({
+      method: "PUT",
+      path: "/users/demo/tasks/daily/daily-1",
+    });
+  });
+
+  it("imports users row by row, with a dry run that changes nothing", async () => {
+    const token = await login("admin");
+    const users = [
+      {
+        row: 1,
+        username: "cousin",
+        password: "long-enough-1",
+        roles: ["ROLE_USER"],
+      },
+      {
+        row: 2,
+        username: "demo",
+        password: "long-enough-1",
+        roles: ["ROLE_USER"],
+      },
+      { row: 3, username: "uncle", password: "short", roles: ["ROLE_USER"] },
+    ];
+    const statuses = (data) => data.results.map((r) => r.status);
+
+    const dry = await request(token, "POST", "/admin/users/import", {
+      users,
+      dryRun: true,
+    });
+    expect(statuses(dry.data)).toEqual(["valid", "failed", "failed"]);
+    expect(dry.data.results[1].error).toBe("Username already exists");
+
+    const real = await request(token, "POST", "/admin/users/import", { users });
+    expect(statuses(real.data)).toEqual(["created", "failed", "failed"]);
+    const { data } = await request(token, "GET", "/admin/users");
+    expect(data.users.map((u) => u.username)).toEqual([
+      "admin",
+      "demo",
+      "cousin",
+    ]);
+  });
+
+  it("archives completed TODO tasks until they are restored or purged", async () => {
+    const token = await login();
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-3", {
+      completed: true,
+    });
+
+    const { data: tasks } = await request(token, "GET", "/users/demo/tasks");
+    const openIds = tasks.todoTasks.personal.map((t) => t.id);
+    expect(openIds).not.toContain("todo-3");
+    expect(openIds).not.toContain("todo-6");
+
+    const { data: done } = await request(
+      token,
+      "GET",
+      "/users/demo/tasks/done?category=personal&search=hike",
+    );
+    expect(done.map((t) => t.id)).toEqual(["todo-3"]);
+    expect(done[0].completedAt).toBeTruthy();
+    expect(done[0].subtasks.map((t) => t.id)).toEqual(["todo-6"]);
+
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-6", {
+      completed: false,
+    });
+    const { data: restored } = await request(token, "GET", "/users/demo/tasks");
+    expect(restored.todoTasks.personal.map((t) => t.id)).toEqual(
+      expect.arrayContaining(["todo-3", "todo-6"]),
+    );
+
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-1", {
+      completed: true,
+    });
+    const { data: purge } = await request(
+      token,
+      "DELETE",
+      "/users/demo/tasks/done?category=personal",
+    );
+    expect(purge.purged).toBe(1);
+    const { data: empty } = await request(
+      token,
+      "GET",
+      "/users/demo/tasks/done",
+    );
+    expect(empty).toEqual([]);
+  });
+
+  it("sends task reminders as notifications once they come due", async () => {
+    let clock = Date.now();
+    backend = createMockBackend({
+      storage,
+      baseUrl: "http://api.test",
+      now: () => clock,
+    });
+    const token = await login();
+    const dueAt = new Date(clock + 30 * 60 * 1000).toISOString();
+    const { data: task } = await request(
+      token,
+      "PUT",
+      "/users/demo/tasks/todo/todo-2",
+      { dueAt, reminders: [15, 0] },
+    );
+    expect(task).toMatchObject({ dueAt, reminders: [0, 15] });
+
+    const reminders = async () =>
+      (await request(token, "GET", "/api/notifications")).data
+        .filter((n) => n.taskId === "todo-2")
+        .map((n) => n.messageBody);
+    expect(await reminders()).toEqual([]);
+
+    clock += 20 * 60 * 1000;
+    expect(await reminders()).toEqual([
+      '"Book dentist appointment" is due in 15 minutes.',
+    ]);
+    clock += 20 * 60 * 1000;
+    expect(await reminders()).toEqual([
+      '"Book dentist appointment" is due now.',
+      '"Book dentist appointment" is due in 15 minutes.',
+    ]);
+
+    const { status } = await request(
+      token,
+      "PUT",
+      "/users/demo/tasks/todo/todo-2",
+      { dueAt: "someday" },
+    );
+    expect(status).toBe(400);
+  });
+
+  it("lets users manage their own task lists and move tasks between them", async () => {
+    const token = await login();
+    const { data: initial } = await request(token, "GET", "/users/demo/tasks");
+    expect(initial.categories.map((c) => c.name)).toEqual(["Personal", "Work"]);
+
+    const { data: errands } = await request(
+      token,
+      "POST",
+      "/users/demo/tasks/categories",
+      { name: "Errands", color: "#00cc66" },
+    );
+    const duplicate = await request(
+      token,
+      "POST",
+      "/users/demo/tasks/categories",
+      { name: "errands" },
+    );
+    expect(duplicate.status).toBe(400);
+
+    await request(token, "PUT", `/users/demo/tasks/categories/${errands.id}`, {
+      name: "Chores",
+    });
+    await request(token, "PUT", "/users/demo/tasks/categories", {
+      ids: [errands.id, "personal", "work"],
+    });
+    // A section moves with its subtasks
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-3", {
+      category: errands.id,
+    });
+
+    const { data: moved } = await request(token, "GET", "/users/demo/tasks");
+    expect(moved.categories.map((c) => c.name)).toEqual([
+      "Chores",
+      "Personal",
+      "Work",
+    ]);
+    expect(moved.todoTasks[errands.id].map((t) => t.id)).toEqual([
+      "todo-3",
+      "todo-6",
+    ]);
+
+    await request(
+      token,
+      "DELETE",
+      `/users/demo/tasks/categories/${errands.id}?moveTasksTo=work`,
+    );
+    const { data: merged } = await request(token, "GET", "/users/demo/tasks");
+    expect(merged.categories.map((c) => c.id)).toEqual(["personal", "work"]);
+    expect(merged.todoTasks.work.map((t) => t.id)).toEqual(
+      expect.arrayContaining(["todo-3", "todo-4", "todo-5", "todo-6"]),
+    );
+
+    await request(token, "DELETE", "/users/demo/tasks/categories/work");
+    const last = await request(
+      token,
+      "DELETE",
+      "/users/demo/tasks/categories/personal",
+    );
+    expect(last.status).toBe(400);
+    const { data: remaining } = await request(
+      token,
+      "GET",
+      "/users/demo/tasks",
+    );
+    expect(Object.keys(remaining.todoTasks)).toEqual(["personal"]);
+  });
+
+  it("nests subtasks to any depth and counts completed ones", async () => {
+    const token = await login();
+    await request(token, "POST", "/users/demo/tasks/todo", {
+      id: "boots-laces",
+      description: "Buy laces",
+      category: "personal",
+      parentId: "todo-6",
+    });
+    const cycle = await request(token, "PUT", "/users/demo/tasks/todo/todo-3", {
+      parentId: "boots-laces",
+    });
+    expect(cycle.status).toBe(400);
+
+    await request(token, "PUT", "/users/demo/tasks/todo/boots-laces", {
+      completed: true,
+    });
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-3", {
+      isSection: true,
+      collapsed: true,
+    });
+
+    const { data } = await request(token, "GET", "/users/demo/tasks");
+    const byId = Object.fromEntries(
+      data.todoTasks.personal.map((t) => [t.id, t]),
+    );
+    expect(byId["boots-laces"]).toBeUndefined();
+    expect(byId["todo-6"].completedSubtasks).toBe(1);
+    expect(byId["todo-3"]).toMatchObject({
+      isSection: true,
+      collapsed: true,
+      completedSubtasks: 0,
+    });
+
+    // Completing the top task archives the whole subtree under it
+    await request(token, "PUT", "/users/demo/tasks/todo/todo-3", {
+      completed: true,
+    });
+    const { data: done } = await request(
+      token,
+      "GET",
+      "/users/demo/tasks/done?category=personal",
+    );
+    expect(done[0].subtasks.map((t) => t.id).sort()).toEqual([
+      "boots-laces",
+      "todo-6",
+    ]);
+  });
+
+  it("keeps a daily task's completion history", async () => {
+    const token = await login();
+    await request(token, "PUT", "/users/demo/tasks/daily/daily-1", {
+      completed: true,
+    });
+
+    const { data: tasks } = await request(token, "GET", "/users/demo/tasks");
+    const { data: history } = await request(
+      token,
+      "GET",
+      "/users/demo/tasks/daily/daily-1/completions",
+    );
+    expect(tasks.dailyTasks.find((t) => t.id === "daily-1").completed).toBe(
+      true,
+    );
+    expect(history).toContain(toDateKey(Date.now()));
+  });
+
+  it("restores a deleted daily task's history when it is created again", async () => {
+    const token = await login();
+    const path = "/users/demo/tasks/daily/daily-1";
+    await request(token, "PUT", path, { completed: true });
+    const { data: before } = await request(token, "GET", `${path}/completions`);
+
+    await request(token, "DELETE", path);
+    expect((await request(token, "GET", `${path}/completions`)).status).toBe(
+      404,
+    );
+
+    const { data: restored } = await request(
+      token,
+      "POST",
+      "/users/demo/tasks/daily",
+      { id: "daily-1", description: "Restored", order: 0 },
+    );
+    const { data: after } = await request(token, "GET", `${path}/completions`);
+    expect(restored.completed).toBe(true);
+    expect(after).toEqual(before);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * TOTP tests
+ *
+ * Codes match the RFC 6238 SHA-1 test vectors, and verification allows one
+ * 30-second step of clock drift either way.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  base32Decode,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+} from "../totp";
+
+// "12345678901234567890" in base32, the RFC 6238 SHA-1 test key
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("totp", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe("287082");
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe("081804");
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe("005924");
+    expect(generateTotp(RFC_SECRET, 20000000000 * 1000)).toBe("353130");
+  });
+
+  it("accepts codes one step either side of now", () => {
+    const secret = generateTotpSecret();
+    const now = 1700000000000;
+
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(verifyTotp(secret, generateTotp(secret, now - 30000), now)).toBe(
+      true,
+    );
+    expect(verifyTotp(secret, generateTotp(secret, now + 30000), now)).toBe(
+      true,
+    );
+    expect(verifyTotp(secret, generateTotp(secret, now + 90000), now)).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Mock Backend Module
+ * An in-browser stand-in for the Paradise API, so every screen can be demoed
+ * and tested without the Java backend running.
+ *
+ * When enabled it replaces window.fetch: requests for API routes it knows
+ * (auth, sessions, tasks, drives, health, notifications, docs, admin users
+ * and roles) are answered locally, everything else goes to the network as usual.
+ * Data is seeded from data/driveData.js plus a small sample set (see
+ * mockSeed.js) and persisted to localStorage, so changes survive a reload.
+ *
+ * Enable it with NEXT_PUBLIC_USE_MOCK_BACKEND=true at build time; otherwise
+ * this module is left out of the bundle (see MockBackendLoader). Sign in as
+ * admin/admin or demo/demo.
+ */
+
+import { MockHttpError, jsonResponse } from "./mockHttp";
+import { createMockXMLHttpRequest } from "./mockXhr";
+import { createSeedState } from "./mockSeed";
+import { adminRoutes } from "./routes/admin";
+import { auditRoutes } from "./routes/audit";
+import { authRoutes, authenticate } from "./routes/auth";
+import { docsRoutes } from "./routes/docs";
+import { driveRoutes } from "./routes/drives";
+import { healthRoutes } from "./routes/health";
+import {
+  applyImpersonation,
+  impersonationRoutes,
+  recordImpersonatedChange,
+} from "./routes/impersonation";
+import { lockRoutes, requireUnlocked } from "./routes/lock";
+import { notificationRoutes } from "./routes/notifications";
+import { profileRoutes } from "./routes/profile";
+import { roleRoutes } from "./routes/roles";
+import { sessionRoutes } from "./routes/sessions";
+import { taskCategoryRoutes } from "./routes/taskCategories";
+import { taskRoutes } from "./routes/tasks";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_PARADISE_API_BASE_URL || "";
+
+export const MOCK_DB_STORAGE_KEY = "paradise_mock_db";
+
+// Bump when the shape of the stored database changes; older copies are reseeded
+const MOCK_DB_VERSION = 5;
+
+// Enough latency for loading states to show, as they would against a server
+const DEFAULT_DELAY_MS = 150;
+
+const ROUTES = [
+  ...authRoutes,
+  ...sessionRoutes,
+  ...lockRoutes,
+  ...profileRoutes,
+  ...taskRoutes,
+  ...taskCategoryRoutes,
+  ...driveRoutes,
+  ...healthRoutes,
+  ...notificationRoutes,
+  ...docsRoutes,
+  ...adminRoutes,
+  ...auditRoutes,
+  ...roleRoutes,
+  ...impersonationRoutes,
+].map(compileRoute);
+
+/**
+ * Turns ["GET", "/users/:userId/tasks", handler, options] into a matcher
+ */
+function compileRoute([method, pattern, handler, options = {}]) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { method, regex: new RegExp(`^${source}$`), names, handler, options };
+}
+
+function findRoute(method, path) {
+  for (const route of ROUTES) {
+    const match = route.method === method && route.regex.exec(path);
+    if (match) {
+      const params = {};
+      route.names.forEach((name, i) => {
+        params[name] = decodeURIComponent(match[i + 1]);
+      });
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+}
+
+function parseBody(body) {
+  if (typeof body !== "string") {
+    // FormData (uploads) is handed to routes as is
+    return body ?? {};
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Creates a mock backend instance
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage] - Where the database persists
+ *   (defaults to localStorage; null keeps it in memory)
+ * @param {string} [options.baseUrl] - API base URL requests are matched against
+ * @param {number} [options.delayMs=0] - Simulated latency per request
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {{ handles: Function, fetch: Function, reset: Function }}
+ */
+export function createMockBackend({
+  storage = getDefaultStorage(),
+  baseUrl = API_BASE_URL,
+  delayMs = 0,
+  now = Date.now,
+} = {}) {
+  let state = load();
+
+  function seed() {
+    return { version: MOCK_DB_VERSION, ...createSeedState(now()) };
+  }
+
+  function load() {
+    try {
+      const stored = JSON.parse(storage?.getItem(MOCK_DB_STORAGE_KEY));
+      if (stored?.version === MOCK_DB_VERSION) {
+        return stored;
+      }
+    } catch {
+      // Unreadable copy - start over
+    }
+    return seed();
+  }
+
+  function save() {
+    try {
+      storage?.setItem(MOCK_DB_STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage full or unavailable - keep the in-memory copy
+    }
+  }
+
+  /** The API path for a URL, or null if it isn't an API URL */
+  function toPath(url) {
+    const href = String(url);
+    if (baseUrl ? !href.startsWith(baseUrl) : !href.startsWith("/")) {
+      return null;
+    }
+    return new URL(href.slice(baseUrl.length), "http://mock.invalid");
+  }
+
+  /**
+   * Whether a URL is one of the routes the mock implements
+   * @param {string} url - Request URL
+   * @returns {boolean}
+   */
+  function handles(url) {
+    const parsed = toPath(url);
+    return Boolean(
+      parsed && ROUTES.some((route) => route.regex.test(parsed.pathname)),
+    );
+  }
+
+  async function dispatch(method, url, headers, body) {
+    const parsed = toPath(url);
+    const found = parsed && findRoute(method, parsed.pathname);
+    if (!found) {
+      throw new MockHttpError(404, `No mock for ${method} ${url}`);
+    }
+    const { route, params } = found;
+
+    let user = authenticate(state, headers.get("Authorization"), now());
+    if (!route.options.public) {
+      if (!user) {
+        throw new MockHttpError(401, "Unauthorized");
+      }
+      const isAdmin = user.roles.includes("ROLE_ADMIN");
+      if (route.options.role && !user.roles.includes(route.options.role)) {
+        throw new MockHttpError(403, "Access denied");
+      }
+      // Users may only touch their own /users/{userId} data
+      if (params.userId && params.userId !== user.sub && !isAdmin) {
+        throw new MockHttpError(403, "Access denied");
+      }
+      requireUnlocked(state, user, parsed.pathname);
+    }
+
+    // An admin viewing as a user is answered as that user
+    const impersonated = applyImpersonation(state, {
+      method,
+      params,
+      headers,
+      user,
+    });
+    if (impersonated) {
+      user = impersonated.user;
+    }
+
+    // Mutations run on a copy, so a request that fails changes nothing
+    const draft = method === "GET" ? state : structuredClone(state);
+    const ctx = {
+      params,
+      query: parsed.searchParams,
+      headers,
+      body: parseBody(body),
+      user,
+      state: draft,
+      now: now(),
+    };
+    const result = await route.handler(ctx);
+    if (impersonated && draft !== state) {
+      recordImpersonatedChange(
+        ctx,
+        impersonated.impersonation,
+        method,
+        parsed.pathname,
+      );
+    }
+    if (draft !== state) {
+      state = draft;
+      save();
+    }
+
+    if (result instanceof Response) {
+      return result;
+    }
+    return result === undefined
+      ? new Response(null, { status: 204 })
+      : jsonResponse(result);
+  }
+
+  /**
+   * fetch-compatible handler for mocked routes
+   * @param {string|Request} input - URL or Request
+   * @param {Object} [init] - fetch options
+   * @returns {Promise<Response>}
+   */
+  async function mockFetch(input, init = {}) {
+    const isRequest =
+      typeof Request !== "undefined" && input instanceof Request;
+    const url = isRequest ? input.url : String(input);
+    const method = (
+      init.method ||
+      (isRequest && input.method) ||
+      "GET"
+    ).toUpperCase();
+    const headers = new Headers(
+      init.headers || (isRequest ? input.headers : {}),
+    );
+    const body =
+      init.body ??
+      (isRequest && method !== "GET" ? await input.clone().text() : undefined);
+    const signal = init.signal || (isRequest ? input.signal : undefined);
+
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    if (delayMs > 0) {
+      await wait(delayMs, signal);
+    }
+
+    try {
+      return await dispatch(method, url, headers, body);
+    } catch (error) {
+      if (error instanceof MockHttpError) {
+        return jsonResponse(
+          { message: error.message, code: error.code, status: error.status },
+          error.status,
+        );
+      }
+      return jsonResponse({ message: error.message, status: 500 }, 500);
+    }
+  }
+
+  return {
+    handles,
+    fetch: mockFetch,
+    /** Restores the seed data */
+    reset() {
+      state = seed();
+      save();
+    },
+  };
+}
+
+let installedBackend = null;
+
+/**
+ * Replaces window.fetch (and XMLHttpRequest, which apiClient uses for upload
+ * progress) so mocked API routes are answered in the browser
+ * Safe to call more than once; later calls return the installed instance.
+ * @param {Object} [options] - createMockBackend options
+ * @returns {Object} The installed mock backend
+ */
+export function installMockBackend(options = {}) {
+  if (installedBackend) {
+    return installedBackend;
+  }
+
+  const backend = createMockBackend({ delayMs: DEFAULT_DELAY_MS, ...options });
+  const networkFetch = globalThis.fetch.bind(globalThis);
+  const fetchWithMock = (input, init) => {
+    const url = typeof input === "object" && "url" in input ? input.url : input;
+    return backend.handles(url)
+      ? backend.fetch(input, init)
+      : networkFetch(input, init);
+  };
+  globalThis.fetch = fetchWithMock;
+  if (globalThis.XMLHttpRequest) {
+    globalThis.XMLHttpRequest = createMockXMLHttpRequest(
+      backend,
+      globalThis.XMLHttpRequest,
+    );
+  }
+
+  installedBackend = backend;
+  return backend;
+}
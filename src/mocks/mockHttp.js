@@ -0,0 +1,101 @@
+/**
+ * Mock HTTP Helpers
+ * Shared by the mock backend's route modules: an error type that becomes an
+ * error response, and builders for the responses the real API sends.
+ */
+
+/**
+ * Error thrown by a mock route; sent as `{ message, code }` with its status,
+ * the same body the backend uses so toAppError maps it to a catalog code
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {string} [code] - Backend error code (see ERROR_CATALOG)
+   */
+  constructor(status, message, code) {
+    super(message);
+    this.name = "MockHttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Throws a 404 for a missing record
+ * @param {string} what - Record description, e.g. "Task"
+ * @param {string} [code] - Backend error code
+ */
+export function notFound(what, code) {
+  throw new MockHttpError(404, `${what} not found`, code);
+}
+
+/**
+ * Throws a 400 for an invalid request body
+ * @param {string} message - What is wrong
+ * @param {string} [code] - Backend error code
+ */
+export function badRequest(message, code) {
+  throw new MockHttpError(400, message, code);
+}
+
+/**
+ * Builds a JSON response
+ * @param {any} data - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response}
+ */
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Builds a plain-text response (e.g. markdown from /docs/file)
+ * @param {string} text - Response body
+ * @param {string} [contentType="text/plain"] - Content type
+ * @returns {Response}
+ */
+export function textResponse(text, contentType = "text/plain") {
+  return new Response(text, {
+    status: 200,
+    headers: { "Content-Type": contentType },
+  });
+}
+
+/**
+ * Builds a file download response
+ * The mock keeps file metadata only, so downloads are a short placeholder
+ * @param {string} name - File name
+ * @returns {Response}
+ */
+export function fileResponse(name) {
+  return new Response(`Mock backend placeholder for "${name}".\n`, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/plain",
+      "Content-Disposition": `attachment; filename="${name}"`,
+    },
+  });
+}
+
+/**
+ * Formats a byte count the way the drive listings show sizes ("2.4 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
@@ -0,0 +1,328 @@
+/**
+ * Mock Backend Seed Data
+ * The initial contents of the mock backend's database. Drives come from
+ * data/driveData.js; everything else is a small, believable sample so every
+ * screen has something to show. Per-user records are created the first time
+ * a user touches them, so any account added through /admin/users works too.
+ */
+
+import {
+  myDriveData,
+  sharedDriveData,
+  adminDriveData,
+  mediaCacheDriveData,
+} from "@/data/driveData";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date as a local YYYY-MM-DD key (the format tasks and health use)
+ * @param {Date|number} date - Date or timestamp
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+function daysAgo(now, days) {
+  return toDateKey(now - days * DAY_MS);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Accounts that can sign in to the mock backend (password = username)
+ */
+const SEED_USERS = [
+  {
+    id: "user-admin",
+    username: "admin",
+    password: "admin",
+    roles: ["ROLE_USER", "ROLE_ADMIN"],
+    enabled: true,
+  },
+  {
+    id: "user-demo",
+    username: "demo",
+    password: "demo",
+    roles: ["ROLE_USER"],
+    enabled: true,
+  },
+];
+
+/**
+ * Drives shared by every user, keyed by drive key
+ */
+const SHARED_DRIVE_SEEDS = {
+  sharedDrive: sharedDriveData,
+  adminDrive: adminDriveData,
+  mediaCache: mediaCacheDriveData,
+};
+
+/**
+ * A user's own "My Drive"
+ * @returns {Object} Flat map of drive items
+ */
+export function seedPersonalDrive() {
+  return clone(myDriveData);
+}
+
+/**
+ * Sample TODO and daily tasks, with a month of daily completions so the
+ * contribution chart and perfect days have data, and a TODO due in two days
+ * @param {number} now - Current timestamp
+ * @returns {Object} { todo: TodoTask[], daily: DailyTask[], completions,
+ *   sentReminders } — sentReminders maps task ids to reminder offsets sent
+ */
+export function seedUserTasks(now) {
+  const createdAt = new Date(now - 30 * DAY_MS).toISOString();
+  const updatedAt = createdAt;
+  const todo = [
+    ["todo-1", "Renew car registration", "personal"],
+    ["todo-2", "Book dentist appointment", "personal"],
+    ["todo-3", "Plan weekend hike", "personal"],
+    ["todo-4", "Review pull requests", "work"],
+    ["todo-5", "Write sprint summary", "work"],
+  ].map(([id, description, category], index) => ({
+    id,
+    description,
+    category,
+    completed: false,
+    order: index,
+    updatedAt,
+  }));
+  Object.assign(todo[0], {
+    dueAt: new Date(now + 2 * DAY_MS).toISOString(),
+    reminders: [24 * 60],
+  });
+  todo.push({
+    id: "todo-6",
+    description: "Pack boots",
+    category: "personal",
+    completed: false,
+    order: 0,
+    parentId: "todo-3",
+    updatedAt,
+  });
+
+  const daily = ["Drink water", "Stretch", "Read 20 pages"].map(
+    (description, index) => ({
+      id: `daily-${index + 1}`,
+      description,
+      completed: false,
+      order: index,
+      createdAt,
+      updatedAt,
+    }),
+  );
+
+  // Every daily task done on most days of the past month
+  const completions = {};
+  daily.forEach((task, index) => {
+    completions[task.id] = [];
+    for (let day = 30; day >= 1; day--) {
+      if ((day + index) % 4 !== 0) {
+        completions[task.id].push(daysAgo(now, day));
+      }
+    }
+  });
+
+  return { todo, daily, completions, sentReminders: {} };
+}
+
+/**
+ * Sample journal, metrics, documents, appointments and reminders
+ * @param {number} now - Current timestamp
+ * @returns {Object} Health records for one user
+ */
+export function seedUserHealth(now) {
+  const updatedAt = new Date(now - DAY_MS).toISOString();
+  const recentDays = [6, 5, 4, 3, 2, 1].map((day) => daysAgo(now, day));
+
+  const journal = recentDays.slice(-3).map((date, index) => ({
+    id: `journal-${index + 1}`,
+    date,
+    weightLbs: 181 - index,
+    bedTime: "23:00",
+    wakeTime: "07:00",
+    energy: 2 + (index % 3),
+    mood: 3 + (index % 2),
+    thoughts: "",
+    updatedAt,
+  }));
+
+  const metrics = [
+    {
+      id: "weight",
+      name: "Weight",
+      type: "line",
+      unit: "lbs",
+      colors: ["#00e5ff"],
+      labels: recentDays,
+      data: [183, 182.5, 182, 181, 180, 179.5],
+    },
+    {
+      id: "blood-pressure",
+      name: "Blood Pressure",
+      type: "dual-line",
+      unit: "mmHg",
+      colors: ["#ff4444", "#60a5fa"],
+      labels: recentDays,
+      datasets: [
+        { label: "Systolic", data: [122, 118, 120, 119, 121, 117] },
+        { label: "Diastolic", data: [80, 78, 79, 77, 80, 76] },
+      ],
+    },
+    {
+      id: "mood",
+      name: "Mood",
+      type: "bar",
+      unit: "",
+      colors: ["#e040fb"],
+      labels: journal.map((entry) => entry.date),
+      data: journal.map((entry) => entry.mood),
+    },
+  ];
+
+  return {
+    journal,
+    metrics,
+    documents: [
+      {
+        id: "doc-1",
+        name: "annual-bloodwork.pdf",
+        category: "Blood Test",
+        date: daysAgo(now, 40),
+        size: "220 KB",
+      },
+    ],
+    appointments: [
+      {
+        id: "appt-1",
+        date: daysAgo(now, -14),
+        doctor: "Dr. Rivera",
+        specialty: "Primary Care",
+        notes: "Annual physical",
+      },
+    ],
+    reminders: [
+      {
+        id: "reminder-1",
+        text: "Take vitamin D",
+        trigger: "With breakfast",
+        notes: "",
+      },
+    ],
+  };
+}
+
+/**
+ * Sample notifications (one global, one for the demo user)
+ * @param {number} now - Current timestamp
+ * @returns {Object[]}
+ */
+function seedNotifications(now) {
+  const createdAt = new Date(now - 2 * 60 * 60 * 1000).toISOString();
+  return [
+    {
+      id: "notification-welcome",
+      subject: "Welcome to the mock backend",
+      messageBody:
+        "Everything you change here is saved in this browser only. Clear the paradise_mock_db entry in localStorage to start over.",
+      isGlobal: true,
+      targetUserIds: [],
+      hasActionItem: false,
+      createdAt,
+      expiresAt: null,
+      recurrenceRule: null,
+    },
+    {
+      id: "notification-demo",
+      subject: "Water the plants",
+      messageBody: "The ferns by the window are looking thirsty.",
+      isGlobal: false,
+      targetUserIds: ["user-demo"],
+      hasActionItem: true,
+      actionItem: { description: "Water the plants", category: "personal" },
+      createdAt,
+      expiresAt: null,
+      recurrenceRule: { type: "WEEKLY" },
+    },
+  ];
+}
+
+const GETTING_STARTED = `# Getting Started
+
+This documentation is served by the **mock backend**. Sign in as \`admin\` or
+\`demo\` (the password is the username) to explore every screen offline.
+
+See [[Mock Backend]] for how the mock is switched on and where it keeps data.
+`;
+
+const MOCK_BACKEND_DOC = `# Mock Backend
+
+The mock answers API requests inside the browser instead of the Java backend.
+
+- Enable it by building with \`NEXT_PUBLIC_USE_MOCK_BACKEND=true\`.
+- Changes persist to the \`paradise_mock_db\` localStorage key.
+- Uploaded files keep their name and size only; downloads return a placeholder.
+`;
+
+function seedDocs() {
+  return {
+    tree: {
+      name: "docs",
+      type: "folder",
+      path: "",
+      children: [
+        {
+          name: "Guides",
+          type: "folder",
+          path: "Guides",
+          children: [
+            {
+              name: "Mock Backend.md",
+              type: "file",
+              path: "Guides/Mock Backend.md",
+            },
+          ],
+        },
+        {
+          name: "Getting Started.md",
+          type: "file",
+          path: "Getting Started.md",
+        },
+      ],
+    },
+    files: {
+      "Getting Started.md": GETTING_STARTED,
+      "Guides/Mock Backend.md": MOCK_BACKEND_DOC,
+    },
+  };
+}
+
+/**
+ * A fresh mock database
+ * @param {number} now - Current timestamp
+ * @returns {Object}
+ */
+export function createSeedState(now) {
+  return {
+    users: clone(SEED_USERS),
+    sessions: [],
+    auditLog: [],
+    roles: [],
+    impersonations: [],
+    tasks: {},
+    health: {},
+    drives: { personal: {}, shared: clone(SHARED_DRIVE_SEEDS) },
+    notifications: seedNotifications(now),
+    notificationState: {},
+    docs: seedDocs(),
+  };
+}
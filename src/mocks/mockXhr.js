@@ -0,0 +1,115 @@
+/**
+ * Mock XMLHttpRequest
+ * apiClient sends uploads that report progress over XMLHttpRequest, which the
+ * mock backend's fetch replacement never sees. installMockBackend swaps in
+ * this subclass: mocked API routes are answered by the mock backend (upload
+ * progress jumps straight to 100%), every other request goes to the network.
+ */
+
+function formatHeaders(headers) {
+  return [...headers.entries()]
+    .map(([name, value]) => `${name}: ${value}\r\n`)
+    .join("");
+}
+
+/**
+ * Creates an XMLHttpRequest class that answers mocked routes locally
+ * @param {Object} backend - From createMockBackend()
+ * @param {Function} NativeXMLHttpRequest - The browser's XMLHttpRequest
+ * @returns {Function} XMLHttpRequest subclass
+ */
+export function createMockXMLHttpRequest(backend, NativeXMLHttpRequest) {
+  return class MockXMLHttpRequest extends NativeXMLHttpRequest {
+    // Set between open() and the next open() when the mock handles the URL
+    #mock = null;
+
+    open(method, url, ...rest) {
+      if (!backend.handles(url)) {
+        this.#mock = null;
+        super.open(method, url, ...rest);
+        return;
+      }
+      this.#mock = {
+        method,
+        url,
+        headers: {},
+        controller: new AbortController(),
+        response: null,
+      };
+    }
+
+    setRequestHeader(name, value) {
+      if (!this.#mock) {
+        super.setRequestHeader(name, value);
+        return;
+      }
+      this.#mock.headers[name] = value;
+    }
+
+    send(body) {
+      const mock = this.#mock;
+      if (!mock) {
+        super.send(body);
+        return;
+      }
+      backend
+        .fetch(mock.url, {
+          method: mock.method,
+          headers: mock.headers,
+          body,
+          signal: mock.controller.signal,
+        })
+        .then(async (response) => {
+          this.upload.dispatchEvent(
+            new ProgressEvent("progress", {
+              lengthComputable: true,
+              loaded: 1,
+              total: 1,
+            }),
+          );
+          mock.response = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: formatHeaders(response.headers),
+            body: await response.blob(),
+          };
+          this.onload?.();
+        })
+        .catch(() => {
+          if (mock.controller.signal.aborted) {
+            this.onabort?.();
+          } else {
+            this.onerror?.();
+          }
+        });
+    }
+
+    abort() {
+      if (!this.#mock) {
+        super.abort();
+        return;
+      }
+      this.#mock.controller.abort();
+    }
+
+    get status() {
+      return this.#mock ? (this.#mock.response?.status ?? 0) : super.status;
+    }
+
+    get statusText() {
+      return this.#mock
+        ? (this.#mock.response?.statusText ?? "")
+        : super.statusText;
+    }
+
+    get response() {
+      return this.#mock ? (this.#mock.response?.body ?? null) : super.response;
+    }
+
+    getAllResponseHeaders() {
+      return this.#mock
+        ? (this.#mock.response?.headers ?? "")
+        : super.getAllResponseHeaders();
+    }
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Mock user administration routes: /admin/users (admins only)
+ * Every change is written to the audit log (see ./audit.js).
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { checkPassword } from "@/src/lib/passwordPolicy";
+import { MockHttpError, badRequest, notFound } from "../mockHttp";
+import { recordAudit } from "./audit";
+import { requireStrongPassword } from "./profile";
+import { getKnownRoles } from "./roles";
+
+const MAX_IMPORT_ROWS = 500;
+
+/** A user record without its password, PIN or MFA secrets */
+function toUserResponse({ password, mfa, pin, ...user }) {
+  return { ...user, mfaEnabled: Boolean(mfa?.enabled) };
+}
+
+function findUser(ctx) {
+  const user = ctx.state.users.find((u) => u.id === ctx.params.id);
+  if (!user) {
+    notFound("User");
+  }
+  return user;
+}
+
+function validateRoles(ctx, roles) {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    badRequest("At least one role is required");
+  }
+  const known = getKnownRoles(ctx.state);
+  const unknown = roles.find((role) => !known.includes(role));
+  if (unknown) {
+    badRequest(`Unknown role: ${unknown}`);
+  }
+}
+
+/** Admins can't lock themselves out */
+function assertNotSelf(ctx, user, action) {
+  if (user.username === ctx.user.sub) {
+    badRequest(`You cannot ${action} your own account`);
+  }
+}
+
+/** GET /admin/users */
+function listUsers(ctx) {
+  return { users: ctx.state.users.map(toUserResponse) };
+}
+
+/** POST /admin/users */
+function createUser(ctx) {
+  const { username, password, roles } = ctx.body || {};
+  if (!username?.trim() || !password) {
+    badRequest("Username and password are required");
+  }
+  requireStrongPassword(password, username.trim());
+  validateRoles(ctx, roles);
+  if (ctx.state.users.some((u) => u.username === username.trim())) {
+    throw new MockHttpError(409, `User "${username}" already exists`);
+  }
+  const user = {
+    id: generateUUID(),
+    username: username.trim(),
+    password,
+    roles,
+    enabled: true,
+  };
+  ctx.state.users.push(user);
+  recordAudit(ctx, "USER_CREATED", user, { roles });
+  return toUserResponse(user);
+}
+
+/** Why an imported row can't be created, or null if it can */
+function checkImportRow(ctx, entry, seen) {
+  const username = String(entry?.username ?? "").trim();
+  const key = username.toLowerCase();
+  if (!username) {
+    return "Username is required";
+  }
+  if (ctx.state.users.some((u) => u.username.toLowerCase() === key)) {
+    return "Username already exists";
+  }
+  if (seen.has(key)) {
+    return "Username appears more than once in the file";
+  }
+  seen.add(key);
+  const roles = entry.roles;
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return "At least one role is required";
+  }
+  const known = getKnownRoles(ctx.state);
+  const unknown = roles.find((role) => !known.includes(role));
+  if (unknown) {
+    return `Unknown role: ${unknown}`;
+  }
+  const { errors } = checkPassword(String(entry.password ?? ""), {
+    username,
+  });
+  return errors[0] ?? null;
+}
+
+/**
+ * POST /admin/users/import — { users, dryRun }
+ * Each row is checked on its own; valid rows are created (unless dryRun) and
+ * invalid ones reported, so one bad row doesn't block the rest.
+ */
+function importUsers(ctx) {
+  const { users, dryRun = false } = ctx.body || {};
+  if (!Array.isArray(users) || users.length === 0) {
+    badRequest("No users to import");
+  }
+  if (users.length > MAX_IMPORT_ROWS) {
+    badRequest(`Import at most ${MAX_IMPORT_ROWS} users at a time`);
+  }
+
+  const seen = new Set();
+  const results = users.map((entry, index) => {
+    const row = entry?.row ?? index + 1;
+    const username = String(entry?.username ?? "").trim();
+    const error = checkImportRow(ctx, entry, seen);
+    if (error) {
+      return { row, username, status: "failed", error };
+    }
+    if (dryRun) {
+      return { row, username, status: "valid" };
+    }
+    const user = {
+      id: generateUUID(),
+      username,
+      password: String(entry.password),
+      roles: entry.roles,
+      enabled: entry.enabled !== false,
+    };
+    ctx.state.users.push(user);
+    recordAudit(ctx, "USER_CREATED", user, {
+      roles: user.roles,
+      imported: true,
+    });
+    return { row, username, status: "created" };
+  });
+
+  return { dryRun: Boolean(dryRun), results };
+}
+
+/**
+ * PUT /admin/users/{id}/password — { newPassword, requireChange }
+ * With requireChange the password is temporary: the user's next login
+ * answers PASSWORD_EXPIRED until they choose their own.
+ */
+function resetPassword(ctx) {
+  const user = findUser(ctx);
+  const { newPassword, requireChange = false } = ctx.body || {};
+  if (!newPassword) {
+    badRequest("Password is required");
+  }
+  requireStrongPassword(newPassword, user.username);
+  user.password = newPassword;
+  if (requireChange) {
+    user.passwordExpired = true;
+  } else {
+    delete user.passwordExpired;
+  }
+  recordAudit(ctx, "PASSWORD_RESET", user, { requireChange });
+  return toUserResponse(user);
+}
+
+/** PUT /admin/users/{id}/roles */
+function updateRoles(ctx) {
+  const user = findUser(ctx);
+  validateRoles(ctx, ctx.body?.roles);
+  if (!ctx.body.roles.includes("ROLE_ADMIN")) {
+    assertNotSelf(ctx, user, "remove admin from");
+  }
+  recordAudit(ctx, "ROLES_CHANGED", user, {
+    from: user.roles,
+    to: ctx.body.roles,
+  });
+  user.roles = ctx.body.roles;
+  return toUserResponse(user);
+}
+
+/** PUT /admin/users/{id}/status */
+function updateStatus(ctx) {
+  const user = findUser(ctx);
+  if (!ctx.body?.enabled) {
+    assertNotSelf(ctx, user, "disable");
+  }
+  user.enabled = Boolean(ctx.body?.enabled);
+  recordAudit(ctx, user.enabled ? "USER_ENABLED" : "USER_DISABLED", user);
+  return toUserResponse(user);
+}
+
+/** DELETE /admin/users/{id} */
+function deleteUser(ctx) {
+  const user = findUser(ctx);
+  assertNotSelf(ctx, user, "delete");
+  ctx.state.users = ctx.state.users.filter((u) => u.id !== user.id);
+  ctx.state.sessions = ctx.state.sessions.filter((s) => s.userId !== user.id);
+  recordAudit(ctx, "USER_DELETED", user);
+}
+
+const ADMIN = { role: "ROLE_ADMIN" };
+
+export const adminRoutes = [
+  ["GET", "/admin/users", listUsers, ADMIN],
+  ["POST", "/admin/users", createUser, ADMIN],
+  ["POST", "/admin/users/import", importUsers, ADMIN],
+  ["PUT", "/admin/users/:id/password", resetPassword, ADMIN],
+  ["PUT", "/admin/users/:id/roles", updateRoles, ADMIN],
+  ["PUT", "/admin/users/:id/status", updateStatus, ADMIN],
+  ["DELETE", "/admin/users/:id", deleteUser, ADMIN],
+];
@@ -0,0 +1,63 @@
+/**
+ * Mock audit log: /admin/audit (admins only)
+ * Admin actions on user accounts call recordAudit, which appends who did what
+ * to whom. Entries keep the target's username so they stay readable after the
+ * account is deleted.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+
+// Oldest entries are dropped past this, so localStorage doesn't fill up
+const MAX_AUDIT_ENTRIES = 1000;
+
+/**
+ * Records an admin action
+ * @param {Object} ctx - Route context (the acting admin is ctx.user)
+ * @param {string} action - e.g. "USER_CREATED"
+ * @param {Object} target - Mock user record acted on
+ * @param {Object} [details] - Action-specific data (never secrets)
+ */
+export function recordAudit(ctx, action, target, details = {}) {
+  ctx.state.auditLog.unshift({
+    id: generateUUID(),
+    timestamp: new Date(ctx.now).toISOString(),
+    actor: ctx.user.sub,
+    action,
+    targetId: target.id,
+    target: target.username,
+    details,
+  });
+  ctx.state.auditLog.length = Math.min(
+    ctx.state.auditLog.length,
+    MAX_AUDIT_ENTRIES,
+  );
+}
+
+function contains(value, search) {
+  return value.toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * GET /admin/audit — newest first; optional actor, target (substring),
+ * action, targetId and limit query parameters
+ */
+function listAudit(ctx) {
+  const actor = ctx.query.get("actor");
+  const target = ctx.query.get("target");
+  const action = ctx.query.get("action");
+  const targetId = ctx.query.get("targetId");
+  const limit = Number(ctx.query.get("limit")) || MAX_AUDIT_ENTRIES;
+
+  const entries = ctx.state.auditLog.filter(
+    (entry) =>
+      (!actor || contains(entry.actor, actor)) &&
+      (!target || contains(entry.target, target)) &&
+      (!action || entry.action === action) &&
+      (!targetId || entry.targetId === targetId),
+  );
+  return { entries: entries.slice(0, limit) };
+}
+
+export const auditRoutes = [
+  ["GET", "/admin/audit", listAudit, { role: "ROLE_ADMIN" }],
+];
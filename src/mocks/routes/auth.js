@@ -0,0 +1,363 @@
+/**
+ * Mock auth routes: /auth/login, /auth/refresh, /auth/mfa/* and /heartbeat
+ * Tokens are real JWTs in shape (decodeJWT and AuthContext read them as
+ * usual) but carry a fixed signature the mock checks instead of a real one.
+ *
+ * Users who enroll in MFA get a TOTP secret (see ../totp.js) and ten one-time
+ * recovery codes. Their password login then answers 401 MFA_REQUIRED with a
+ * short-lived mfaToken, which /auth/mfa/verify exchanges for tokens.
+ *
+ * Users whose password has expired (an admin reset it as temporary) get 401
+ * PASSWORD_EXPIRED with a passwordChangeToken instead, and must choose a new
+ * password through /auth/password/expired before logging in with it.
+ *
+ * Users holding a custom role (see ./roles.js) get a `permissions` claim
+ * listing what their roles grant, since the app only knows built-in roles.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { decodeJWT } from "@/src/lib/tokenStorage";
+import { MockHttpError, badRequest, jsonResponse } from "../mockHttp";
+import { generateTotpSecret, verifyTotp } from "../totp";
+import { requireStrongPassword } from "./profile";
+import { getPermissionsClaim, resolveRoleCapabilities } from "./roles";
+import { createSession, findSession } from "./sessions";
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+const MOCK_SIGNATURE = "mock-signature";
+const REFRESH_PREFIX = "mock-refresh.";
+
+const MFA_ISSUER = "Paradise";
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MFA_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const PASSWORD_CHANGE_TTL_MS = 10 * 60 * 1000;
+
+function encodeSegment(value) {
+  return btoa(JSON.stringify(value))
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+/**
+ * Issues an access token for a user
+ * @param {Object} user - Mock user record
+ * @param {number} now - Current timestamp
+ * @param {string} sessionId - Session the token belongs to
+ * @param {string[]} [permissions] - Capabilities for the `permissions` claim
+ * @returns {string} JWT with sub, sid, roles, iat and exp claims, plus
+ *   permissions when given
+ */
+export function createMockToken(user, now, sessionId, permissions) {
+  const issuedAt = Math.floor(now / 1000);
+  return [
+    encodeSegment({ alg: "none", typ: "JWT" }),
+    encodeSegment({
+      sub: user.username,
+      sid: sessionId,
+      roles: user.roles,
+      ...(permissions && { permissions }),
+      iat: issuedAt,
+      exp: issuedAt + TOKEN_TTL_SECONDS,
+    }),
+    MOCK_SIGNATURE,
+  ].join(".");
+}
+
+/**
+ * Resolves the user behind an Authorization header
+ * @param {Object} state - Mock database state
+ * @param {string|null} header - Authorization header value
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} { id, sub, roles, capabilities, sessionId } or null
+ *   if the token is missing, forged, expired, revoked or belongs to a
+ *   disabled account
+ */
+export function authenticate(state, header, now) {
+  const token = header?.startsWith("Bearer ") ? header.slice(7) : null;
+  if (!token || !token.endsWith(`.${MOCK_SIGNATURE}`)) {
+    return null;
+  }
+  const payload = decodeJWT(token);
+  if (!payload || payload.exp * 1000 <= now) {
+    return null;
+  }
+  const user = state.users.find((u) => u.username === payload.sub);
+  const session = findSession(state, payload.sid);
+  if (!user || !user.enabled || session?.userId !== user.id) {
+    return null;
+  }
+  return {
+    id: user.id,
+    sub: user.username,
+    roles: user.roles,
+    // From the current roles, so role changes apply without a new token
+    capabilities: resolveRoleCapabilities(state, user.roles),
+    sessionId: session.id,
+  };
+}
+
+/** Tokens for a session; a new session is started when none is given */
+function issueTokens(ctx, user, session = createSession(ctx, user)) {
+  session.lastSeenAt = new Date(ctx.now).toISOString();
+  return {
+    token: createMockToken(
+      user,
+      ctx.now,
+      session.id,
+      getPermissionsClaim(ctx.state, user),
+    ),
+    refreshToken: `${REFRESH_PREFIX}${session.id}`,
+  };
+}
+
+/** Ten codes like "k3f9-x2qm"; each signs in once in place of a TOTP code */
+function generateRecoveryCodes() {
+  const alphabet = "abcdefghijkmnpqrstuvwxyz23456789";
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(
+      crypto.getRandomValues(new Uint8Array(8)),
+      (byte) => alphabet[byte % alphabet.length],
+    ).join("");
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+}
+
+function findCurrentUser(ctx) {
+  return ctx.state.users.find((u) => u.id === ctx.user.id);
+}
+
+/** Checks a TOTP code for an enrolled user; a wrong code is a 400, not a 401 */
+function requireTotp(user, code, now) {
+  if (!user.mfa?.enabled) {
+    badRequest("Two-factor authentication is not enabled", "MFA_NOT_ENABLED");
+  }
+  if (!verifyTotp(user.mfa.secret, code, now)) {
+    badRequest("Invalid verification code", "MFA_INVALID_CODE");
+  }
+}
+
+/**
+ * POST /auth/login — answers PASSWORD_EXPIRED for temporary passwords and
+ * MFA_REQUIRED for users enrolled in MFA
+ */
+function login(ctx) {
+  const { username, password } = ctx.body || {};
+  if (!username || !password) {
+    badRequest("Username and password are required");
+  }
+  const user = ctx.state.users.find((u) => u.username === username);
+  if (!user || user.password !== password || !user.enabled) {
+    throw new MockHttpError(401, "Invalid username or password");
+  }
+  if (user.passwordExpired) {
+    const passwordChangeToken = `mock-password.${generateUUID()}`;
+    ctx.state.passwordChanges ??= {};
+    ctx.state.passwordChanges[passwordChangeToken] = {
+      username: user.username,
+      expiresAt: ctx.now + PASSWORD_CHANGE_TTL_MS,
+    };
+    return jsonResponse(
+      {
+        message: "Password has expired",
+        code: "PASSWORD_EXPIRED",
+        passwordChangeToken,
+        status: 401,
+      },
+      401,
+    );
+  }
+  if (user.mfa?.enabled) {
+    const mfaToken = `mock-mfa.${generateUUID()}`;
+    ctx.state.mfaChallenges ??= {};
+    ctx.state.mfaChallenges[mfaToken] = {
+      username: user.username,
+      expiresAt: ctx.now + MFA_CHALLENGE_TTL_MS,
+      attempts: 0,
+    };
+    return jsonResponse(
+      {
+        message: "Verification code required",
+        code: "MFA_REQUIRED",
+        mfaToken,
+        status: 401,
+      },
+      401,
+    );
+  }
+  return issueTokens(ctx, user);
+}
+
+/** POST /auth/mfa/verify — { mfaToken, code } or { mfaToken, recoveryCode } */
+function verifyMfa(ctx) {
+  const { mfaToken, code, recoveryCode } = ctx.body || {};
+  const challenges = (ctx.state.mfaChallenges ??= {});
+  const challenge = challenges[mfaToken];
+  if (!challenge || challenge.expiresAt <= ctx.now) {
+    delete challenges[mfaToken];
+    throw new MockHttpError(
+      401,
+      "Verification timed out",
+      "MFA_CHALLENGE_EXPIRED",
+    );
+  }
+  const user = ctx.state.users.find((u) => u.username === challenge.username);
+  if (!user?.enabled || !user.mfa?.enabled) {
+    delete challenges[mfaToken];
+    throw new MockHttpError(
+      401,
+      "Verification timed out",
+      "MFA_CHALLENGE_EXPIRED",
+    );
+  }
+
+  let verified = false;
+  if (recoveryCode) {
+    const normalized = recoveryCode.trim().toLowerCase();
+    verified = user.mfa.recoveryCodes.includes(normalized);
+    if (verified) {
+      user.mfa.recoveryCodes = user.mfa.recoveryCodes.filter(
+        (c) => c !== normalized,
+      );
+    }
+  } else {
+    verified = verifyTotp(user.mfa.secret, code, ctx.now);
+  }
+
+  if (!verified) {
+    challenge.attempts += 1;
+    if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+      delete challenges[mfaToken];
+    }
+    // Returned rather than thrown so the attempt count is saved
+    return jsonResponse(
+      {
+        message: "Invalid verification code",
+        code: "MFA_INVALID_CODE",
+        status: 401,
+      },
+      401,
+    );
+  }
+
+  delete challenges[mfaToken];
+  return issueTokens(ctx, user);
+}
+
+/**
+ * POST /auth/password/expired — { passwordChangeToken, newPassword }
+ * Replaces an expired password; the user then logs in with the new one
+ * (which still asks enrolled users for their second factor).
+ */
+function changeExpiredPassword(ctx) {
+  const { passwordChangeToken, newPassword } = ctx.body || {};
+  const changes = (ctx.state.passwordChanges ??= {});
+  const change = changes[passwordChangeToken];
+  const user = ctx.state.users.find((u) => u.username === change?.username);
+  if (!change || change.expiresAt <= ctx.now || !user?.enabled) {
+    throw new MockHttpError(
+      401,
+      "Password change timed out",
+      "PASSWORD_CHANGE_EXPIRED",
+    );
+  }
+  requireStrongPassword(newPassword, user.username);
+  if (newPassword === user.password) {
+    badRequest(
+      "New password must differ from the current one",
+      "PASSWORD_TOO_WEAK",
+    );
+  }
+  user.password = newPassword;
+  delete user.passwordExpired;
+  delete changes[passwordChangeToken];
+}
+
+/** GET /auth/mfa */
+function getMfaStatus(ctx) {
+  const user = findCurrentUser(ctx);
+  return {
+    enabled: Boolean(user.mfa?.enabled),
+    recoveryCodesRemaining: user.mfa?.enabled
+      ? user.mfa.recoveryCodes.length
+      : 0,
+  };
+}
+
+/** POST /auth/mfa/enrollment — new secret, active once confirmed */
+function startEnrollment(ctx) {
+  const user = findCurrentUser(ctx);
+  if (user.mfa?.enabled) {
+    badRequest(
+      "Two-factor authentication is already enabled",
+      "MFA_ALREADY_ENABLED",
+    );
+  }
+  const secret = generateTotpSecret();
+  user.mfa = { enabled: false, pendingSecret: secret, recoveryCodes: [] };
+  const label = encodeURIComponent(`${MFA_ISSUER}:${user.username}`);
+  return {
+    secret,
+    otpauthUri: `otpauth://totp/${label}?secret=${secret}&issuer=${MFA_ISSUER}&algorithm=SHA1&digits=6&period=30`,
+  };
+}
+
+/** POST /auth/mfa/enrollment/confirm — { code } from the new secret */
+function confirmEnrollment(ctx) {
+  const user = findCurrentUser(ctx);
+  const secret = user.mfa?.pendingSecret;
+  if (!secret) {
+    badRequest("Start enrollment first", "MFA_NOT_ENABLED");
+  }
+  if (!verifyTotp(secret, ctx.body?.code, ctx.now)) {
+    badRequest("Invalid verification code", "MFA_INVALID_CODE");
+  }
+  const recoveryCodes = generateRecoveryCodes();
+  user.mfa = { enabled: true, secret, recoveryCodes };
+  return { recoveryCodes };
+}
+
+/** POST /auth/mfa/recovery-codes — { code }; replaces every recovery code */
+function regenerateRecoveryCodes(ctx) {
+  const user = findCurrentUser(ctx);
+  requireTotp(user, ctx.body?.code, ctx.now);
+  user.mfa.recoveryCodes = generateRecoveryCodes();
+  return { recoveryCodes: user.mfa.recoveryCodes };
+}
+
+/** POST /auth/mfa/disable — { code } */
+function disableMfa(ctx) {
+  const user = findCurrentUser(ctx);
+  requireTotp(user, ctx.body?.code, ctx.now);
+  delete user.mfa;
+}
+
+/** POST /auth/refresh — fails once the session is revoked */
+function refresh(ctx) {
+  const refreshToken = ctx.body?.refreshToken || "";
+  const session = refreshToken.startsWith(REFRESH_PREFIX)
+    ? findSession(ctx.state, refreshToken.slice(REFRESH_PREFIX.length))
+    : null;
+  const user = ctx.state.users.find((u) => u.id === session?.userId);
+  if (!user || !user.enabled) {
+    throw new MockHttpError(401, "Invalid refresh token");
+  }
+  return issueTokens(ctx, user, session);
+}
+
+const PUBLIC = { public: true };
+
+export const authRoutes = [
+  ["POST", "/auth/login", login, PUBLIC],
+  ["POST", "/auth/refresh", refresh, PUBLIC],
+  ["POST", "/auth/mfa/verify", verifyMfa, PUBLIC],
+  ["POST", "/auth/password/expired", changeExpiredPassword, PUBLIC],
+  ["GET", "/auth/mfa", getMfaStatus],
+  ["POST", "/auth/mfa/enrollment", startEnrollment],
+  ["POST", "/auth/mfa/enrollment/confirm", confirmEnrollment],
+  ["POST", "/auth/mfa/recovery-codes", regenerateRecoveryCodes],
+  ["POST", "/auth/mfa/disable", disableMfa],
+  ["GET", "/heartbeat", () => ({ status: "UP" }), PUBLIC],
+];
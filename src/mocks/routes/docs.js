@@ -0,0 +1,24 @@
+/**
+ * Mock documentation routes: /docs/tree and /docs/file
+ */
+
+import { notFound, textResponse } from "../mockHttp";
+
+/** GET /docs/tree */
+function getTree(ctx) {
+  return ctx.state.docs.tree;
+}
+
+/** GET /docs/file?path= — raw markdown */
+function getFile(ctx) {
+  const content = ctx.state.docs.files[ctx.query.get("path")];
+  if (content === undefined) {
+    notFound("Document");
+  }
+  return textResponse(content, "text/markdown");
+}
+
+export const docsRoutes = [
+  ["GET", "/docs/tree", getTree],
+  ["GET", "/docs/file", getFile],
+];
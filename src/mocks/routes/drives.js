@@ -0,0 +1,243 @@
+/**
+ * Mock drive routes: /users/{userId}/drives/{driveKey} and Plex uploads
+ * "myDrive" is per user; the shared, admin and media cache drives are one
+ * copy for everyone, and only users granted drive:adminDrive (admins, or a
+ * custom role) may open the admin drive.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { Capability, hasCapability } from "@/src/lib/permissions";
+import {
+  MockHttpError,
+  badRequest,
+  fileResponse,
+  formatSize,
+} from "../mockHttp";
+import { seedPersonalDrive } from "../mockSeed";
+
+function getDrive(ctx) {
+  const { state, params, user } = ctx;
+  const { driveKey } = params;
+  if (driveKey === "myDrive") {
+    state.drives.personal[params.userId] ??= seedPersonalDrive();
+    return state.drives.personal[params.userId];
+  }
+  if (!state.drives.shared[driveKey]) {
+    throw new MockHttpError(
+      400,
+      `Unknown drive: ${driveKey}`,
+      "INVALID_DRIVE_KEY",
+    );
+  }
+  if (
+    driveKey === "adminDrive" &&
+    !hasCapability(user.capabilities, Capability.DRIVE_ADMIN)
+  ) {
+    throw new MockHttpError(
+      403,
+      "You do not have access to this drive",
+      "DRIVE_ACCESS_DENIED",
+    );
+  }
+  return state.drives.shared[driveKey];
+}
+
+function findItem(drive, itemId) {
+  const item = drive[itemId];
+  if (!item) {
+    throw new MockHttpError(404, "Item not found", "DRIVE_ITEM_NOT_FOUND");
+  }
+  return item;
+}
+
+function findFolder(drive, folderId) {
+  const folder = findItem(drive, folderId || "root");
+  if (folder.type !== "folder") {
+    badRequest("Items can only be placed in folders");
+  }
+  return folder;
+}
+
+function assertUniqueName(drive, folder, name, exceptId) {
+  const taken = folder.children.some(
+    (childId) => childId !== exceptId && drive[childId]?.name === name,
+  );
+  if (taken) {
+    throw new MockHttpError(
+      409,
+      `An item named "${name}" already exists here`,
+      "DRIVE_ITEM_CONFLICT",
+    );
+  }
+}
+
+function addItem(drive, folder, item) {
+  drive[item.id] = item;
+  folder.children.push(item.id);
+  return item;
+}
+
+function getExtension(name) {
+  const lastDot = name.lastIndexOf(".");
+  return lastDot > 0 ? name.slice(lastDot + 1).toLowerCase() : null;
+}
+
+function collectIds(drive, itemId) {
+  const item = drive[itemId];
+  return [
+    itemId,
+    ...(item?.children || []).flatMap((childId) => collectIds(drive, childId)),
+  ];
+}
+
+/** GET /users/{userId}/drives/{driveKey} — the whole drive as a flat map */
+function listDrive(ctx) {
+  return getDrive(ctx);
+}
+
+/** POST /users/{userId}/drives/{driveKey}/folders */
+function createFolder(ctx) {
+  const name = ctx.body?.name?.trim();
+  if (!name) {
+    badRequest("Folder name is required");
+  }
+  const drive = getDrive(ctx);
+  const parent = findFolder(drive, ctx.body.parentId);
+  assertUniqueName(drive, parent, name);
+  return addItem(drive, parent, {
+    id: generateUUID(),
+    name,
+    type: "folder",
+    fileType: null,
+    size: null,
+    color: null,
+    children: [],
+    parentId: parent.id,
+  });
+}
+
+/** POST /users/{userId}/drives/{driveKey}/files — multipart (file, parentId) */
+function uploadFile(ctx) {
+  const file = ctx.body?.get?.("file");
+  if (!file) {
+    badRequest("A file is required");
+  }
+  const drive = getDrive(ctx);
+  const parent = findFolder(drive, ctx.body.get("parentId"));
+  assertUniqueName(drive, parent, file.name);
+  return addItem(drive, parent, {
+    id: generateUUID(),
+    name: file.name,
+    type: "file",
+    fileType: getExtension(file.name),
+    size: formatSize(file.size),
+    color: null,
+    children: [],
+    parentId: parent.id,
+  });
+}
+
+/** PUT /users/{userId}/drives/{driveKey}/items/{itemId} — rename or recolor */
+function updateItem(ctx) {
+  const drive = getDrive(ctx);
+  const item = findItem(drive, ctx.params.itemId);
+  const { name, color } = ctx.body || {};
+  if (name !== undefined) {
+    if (!name.trim()) {
+      badRequest("Name is required");
+    }
+    if (item.parentId) {
+      assertUniqueName(drive, drive[item.parentId], name.trim(), item.id);
+    }
+    item.name = name.trim();
+  }
+  if (color !== undefined) {
+    item.color = color;
+  }
+  return item;
+}
+
+/** PUT /users/{userId}/drives/{driveKey}/items/{itemId}/move */
+function moveItem(ctx) {
+  const drive = getDrive(ctx);
+  const item = findItem(drive, ctx.params.itemId);
+  if (item.id === "root") {
+    throw new MockHttpError(
+      400,
+      "The root folder cannot be moved",
+      "DRIVE_ROOT_MOVE",
+    );
+  }
+  const destination = findFolder(drive, ctx.body?.parentId);
+  if (collectIds(drive, item.id).includes(destination.id)) {
+    throw new MockHttpError(
+      409,
+      "A folder cannot be moved into itself",
+      "DRIVE_ITEM_CONFLICT",
+    );
+  }
+  assertUniqueName(drive, destination, item.name, item.id);
+
+  const source = drive[item.parentId];
+  if (source) {
+    source.children = source.children.filter((id) => id !== item.id);
+  }
+  destination.children.push(item.id);
+  item.parentId = destination.id;
+  return item;
+}
+
+/** DELETE /users/{userId}/drives/{driveKey}/items/{itemId} — folders recursively */
+function deleteItem(ctx) {
+  const drive = getDrive(ctx);
+  const item = findItem(drive, ctx.params.itemId);
+  if (item.id === "root") {
+    throw new MockHttpError(
+      400,
+      "The root folder cannot be deleted",
+      "DRIVE_ROOT_DELETION",
+    );
+  }
+  const parent = drive[item.parentId];
+  if (parent) {
+    parent.children = parent.children.filter((id) => id !== item.id);
+  }
+  collectIds(drive, item.id).forEach((id) => delete drive[id]);
+}
+
+/** GET /users/{userId}/drives/{driveKey}/items/{itemId}/download */
+function downloadItem(ctx) {
+  const item = findItem(getDrive(ctx), ctx.params.itemId);
+  if (item.type !== "file") {
+    throw new MockHttpError(
+      400,
+      "Folders cannot be downloaded",
+      "DOWNLOAD_FOLDER",
+    );
+  }
+  return fileResponse(item.name);
+}
+
+/** POST /users/{userId}/plex/upload — accepted and dropped */
+function plexUpload(ctx) {
+  const file = ctx.body?.get?.("file");
+  if (!file) {
+    badRequest("A file is required");
+  }
+  return { name: file.name, size: formatSize(file.size), status: "queued" };
+}
+
+export const driveRoutes = [
+  ["GET", "/users/:userId/drives/:driveKey", listDrive],
+  ["POST", "/users/:userId/drives/:driveKey/folders", createFolder],
+  ["POST", "/users/:userId/drives/:driveKey/files", uploadFile],
+  ["PUT", "/users/:userId/drives/:driveKey/items/:itemId", updateItem],
+  ["PUT", "/users/:userId/drives/:driveKey/items/:itemId/move", moveItem],
+  ["DELETE", "/users/:userId/drives/:driveKey/items/:itemId", deleteItem],
+  [
+    "GET",
+    "/users/:userId/drives/:driveKey/items/:itemId/download",
+    downloadItem,
+  ],
+  ["POST", "/users/:userId/plex/upload", plexUpload],
+];
@@ -0,0 +1,323 @@
+/**
+ * Mock health routes: /users/{userId}/health
+ * Metric data points are addressed by index in label-sorted order, and saving
+ * a journal entry with a mood upserts that day's point on the "mood" metric,
+ * matching the backend.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { MockHttpError, fileResponse, formatSize, notFound } from "../mockHttp";
+import { seedUserHealth } from "../mockSeed";
+
+const MULTI_SERIES_TYPES = ["dual-line", "multi-line"];
+
+function getHealth(ctx) {
+  const { state, params, now } = ctx;
+  state.health[params.userId] ??= seedUserHealth(now);
+  return state.health[params.userId];
+}
+
+function validationError(message) {
+  throw new MockHttpError(400, message, "HEALTH_VALIDATION_FAILED");
+}
+
+function findRecord(list, id, what) {
+  const record = list.find((r) => r.id === id);
+  if (!record) {
+    notFound(what);
+  }
+  return record;
+}
+
+/** GET a whole collection */
+function listRecords(resource) {
+  return (ctx) => getHealth(ctx)[resource];
+}
+
+/** POST to a simple collection: the body is stored as sent, with an id */
+function createRecord(resource) {
+  return (ctx) => {
+    const record = { ...ctx.body, id: generateUUID() };
+    getHealth(ctx)[resource].push(record);
+    return record;
+  };
+}
+
+/** DELETE from a simple collection */
+function deleteRecord(resource, what) {
+  return (ctx) => {
+    const health = getHealth(ctx);
+    findRecord(health[resource], ctx.params.id, what);
+    health[resource] = health[resource].filter((r) => r.id !== ctx.params.id);
+  };
+}
+
+// --- Metrics ---
+
+function isMultiSeries(metric) {
+  return MULTI_SERIES_TYPES.includes(metric.type);
+}
+
+/** Points of a metric as [{ label, values: [{ label, value }] }], label-sorted */
+function getPoints(metric) {
+  const labels = metric.labels || [];
+  const points = labels.map((label, i) => ({
+    label,
+    values: isMultiSeries(metric)
+      ? (metric.datasets || []).map((ds) => ({
+          label: ds.label,
+          value: ds.data[i] ?? null,
+        }))
+      : [{ label: metric.name, value: (metric.data || [])[i] ?? null }],
+  }));
+  return points.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function setPoints(metric, points) {
+  const sorted = [...points].sort((a, b) => a.label.localeCompare(b.label));
+  metric.labels = sorted.map((point) => point.label);
+  if (isMultiSeries(metric)) {
+    metric.datasets = (metric.datasets || []).map((ds, i) => ({
+      ...ds,
+      data: sorted.map((point) => point.values[i]?.value ?? null),
+    }));
+  } else {
+    metric.data = sorted.map((point) => point.values[0]?.value ?? null);
+  }
+}
+
+/** Validates a { label, value } or { label, values } payload into a point */
+function toPoint(metric, body) {
+  const label = body?.label?.trim();
+  if (!label) {
+    validationError("Label is required");
+  }
+  if (isMultiSeries(metric)) {
+    const values = (metric.datasets || []).map((ds) => {
+      const value = body.values?.find((v) => v.label === ds.label)?.value;
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        validationError(`${ds.label} must be a valid number`);
+      }
+      return { label: ds.label, value };
+    });
+    return { label, values };
+  }
+  if (typeof body.value !== "number" || Number.isNaN(body.value)) {
+    validationError("A valid number is required");
+  }
+  return { label, values: [{ label: metric.name, value: body.value }] };
+}
+
+function getPointIndex(points, index) {
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0 || i >= points.length) {
+    notFound("Data point");
+  }
+  return i;
+}
+
+function findMetric(ctx) {
+  return findRecord(getHealth(ctx).metrics, ctx.params.metricId, "Metric");
+}
+
+function createMetric(ctx) {
+  const { name, type = "line", unit = "", colors = [] } = ctx.body || {};
+  if (!name?.trim()) {
+    validationError("Metric name is required");
+  }
+  const metric = {
+    id: generateUUID(),
+    name: name.trim(),
+    type,
+    unit,
+    colors,
+    labels: [],
+  };
+  if (isMultiSeries(metric)) {
+    const series =
+      type === "dual-line" ? ["Series 1", "Series 2"] : ["Series 1"];
+    metric.datasets = series.map((label) => ({ label, data: [] }));
+  } else {
+    metric.data = [];
+  }
+  getHealth(ctx).metrics.push(metric);
+  return metric;
+}
+
+function updateMetric(ctx) {
+  const metric = findMetric(ctx);
+  const { name, unit, colors } = ctx.body || {};
+  if (name !== undefined) {
+    if (!name.trim()) {
+      validationError("Metric name is required");
+    }
+    metric.name = name.trim();
+  }
+  if (unit !== undefined) metric.unit = unit;
+  if (colors !== undefined) metric.colors = colors;
+  return metric;
+}
+
+function deleteMetric(ctx) {
+  const health = getHealth(ctx);
+  findMetric(ctx);
+  health.metrics = health.metrics.filter((m) => m.id !== ctx.params.metricId);
+}
+
+function addDataPoint(ctx) {
+  const metric = findMetric(ctx);
+  const point = toPoint(metric, ctx.body);
+  const points = getPoints(metric);
+  if (points.some((p) => p.label === point.label)) {
+    validationError(`A data point labelled "${point.label}" already exists`);
+  }
+  setPoints(metric, [...points, point]);
+  return metric;
+}
+
+function updateDataPoint(ctx) {
+  const metric = findMetric(ctx);
+  const points = getPoints(metric);
+  const index = getPointIndex(points, ctx.params.index);
+  const point = toPoint(metric, ctx.body);
+  if (points.some((p, i) => i !== index && p.label === point.label)) {
+    validationError(`A data point labelled "${point.label}" already exists`);
+  }
+  points[index] = point;
+  setPoints(metric, points);
+  return metric;
+}
+
+function deleteDataPoint(ctx) {
+  const metric = findMetric(ctx);
+  const points = getPoints(metric);
+  const index = getPointIndex(points, ctx.params.index);
+  setPoints(
+    metric,
+    points.filter((_, i) => i !== index),
+  );
+  return metric;
+}
+
+// --- Journal ---
+
+/** Keeps the "mood" metric's point for the entry's day in step with the entry */
+function syncMoodPoint(health, entry, removed = false) {
+  const metric = health.metrics.find((m) => m.id === "mood");
+  if (!metric || !entry.date) return;
+  const points = getPoints(metric).filter((p) => p.label !== entry.date);
+  if (!removed && typeof entry.mood === "number") {
+    points.push({
+      label: entry.date,
+      values: [{ label: metric.name, value: entry.mood }],
+    });
+  }
+  setPoints(metric, points);
+}
+
+function validateEntry(body) {
+  if (!body?.date) {
+    validationError("Date is required");
+  }
+}
+
+/** POST /journal — one entry per day: a second save for a date replaces it */
+function createJournalEntry(ctx) {
+  validateEntry(ctx.body);
+  const health = getHealth(ctx);
+  const sameDay = health.journal.find((e) => e.date === ctx.body.date);
+  const entry = {
+    ...ctx.body,
+    id: sameDay?.id || generateUUID(),
+    updatedAt: new Date(ctx.now).toISOString(),
+  };
+  health.journal = [entry, ...health.journal.filter((e) => e.id !== entry.id)];
+  syncMoodPoint(health, entry);
+  return entry;
+}
+
+function updateJournalEntry(ctx) {
+  validateEntry(ctx.body);
+  const health = getHealth(ctx);
+  const existing = findRecord(health.journal, ctx.params.id, "Journal entry");
+  if (existing.date !== ctx.body.date) {
+    syncMoodPoint(health, existing, true);
+  }
+  const entry = {
+    ...ctx.body,
+    id: existing.id,
+    updatedAt: new Date(ctx.now).toISOString(),
+  };
+  health.journal = health.journal.map((e) => (e.id === entry.id ? entry : e));
+  syncMoodPoint(health, entry);
+  return entry;
+}
+
+function deleteJournalEntry(ctx) {
+  const health = getHealth(ctx);
+  const entry = findRecord(health.journal, ctx.params.id, "Journal entry");
+  health.journal = health.journal.filter((e) => e.id !== entry.id);
+  syncMoodPoint(health, entry, true);
+}
+
+// --- Documents ---
+
+/** POST /documents — multipart (file, category, date); keeps metadata only */
+function uploadDocument(ctx) {
+  const file = ctx.body?.get?.("file");
+  if (!file) {
+    validationError("A file is required");
+  }
+  const document = {
+    id: generateUUID(),
+    name: file.name,
+    category: ctx.body.get("category") || "Other",
+    date: ctx.body.get("date"),
+    size: formatSize(file.size),
+  };
+  getHealth(ctx).documents.push(document);
+  return document;
+}
+
+function downloadDocument(ctx) {
+  const document = findRecord(
+    getHealth(ctx).documents,
+    ctx.params.id,
+    "Document",
+  );
+  return fileResponse(document.name);
+}
+
+const base = "/users/:userId/health";
+
+export const healthRoutes = [
+  ["GET", `${base}/journal`, listRecords("journal")],
+  ["POST", `${base}/journal`, createJournalEntry],
+  ["PUT", `${base}/journal/:id`, updateJournalEntry],
+  ["DELETE", `${base}/journal/:id`, deleteJournalEntry],
+
+  ["GET", `${base}/metrics`, listRecords("metrics")],
+  ["POST", `${base}/metrics`, createMetric],
+  ["PUT", `${base}/metrics/:metricId`, updateMetric],
+  ["DELETE", `${base}/metrics/:metricId`, deleteMetric],
+  ["POST", `${base}/metrics/:metricId/points`, addDataPoint],
+  ["PUT", `${base}/metrics/:metricId/points/:index`, updateDataPoint],
+  ["DELETE", `${base}/metrics/:metricId/points/:index`, deleteDataPoint],
+
+  ["GET", `${base}/documents`, listRecords("documents")],
+  ["POST", `${base}/documents`, uploadDocument],
+  ["GET", `${base}/documents/:id/download`, downloadDocument],
+  ["DELETE", `${base}/documents/:id`, deleteRecord("documents", "Document")],
+
+  ["GET", `${base}/appointments`, listRecords("appointments")],
+  ["POST", `${base}/appointments`, createRecord("appointments")],
+  [
+    "DELETE",
+    `${base}/appointments/:id`,
+    deleteRecord("appointments", "Appointment"),
+  ],
+
+  ["GET", `${base}/reminders`, listRecords("reminders")],
+  ["POST", `${base}/reminders`, createRecord("reminders")],
+  ["DELETE", `${base}/reminders/:id`, deleteRecord("reminders", "Reminder")],
+];
@@ -0,0 +1,149 @@
+/**
+ * Mock impersonation routes: /admin/impersonation (admins only)
+ * An admin "views as" a user; starting and ending are audited. Requests made
+ * meanwhile carry the X-Impersonation-Id header, and the dispatcher calls
+ * applyImpersonation for them: requests for the user's own data are
+ * answered with the user's capabilities (so the admin sees what they see),
+ * changes are refused unless the impersonation allows writes, and allowed
+ * changes are audited one by one.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { IMPERSONATION_HEADER } from "@/src/lib/impersonationService";
+import { MockHttpError, badRequest, notFound } from "../mockHttp";
+import { recordAudit } from "./audit";
+import { resolveRoleCapabilities } from "./roles";
+
+function findTarget(state, impersonation) {
+  return state.users.find((u) => u.id === impersonation.userId);
+}
+
+function toImpersonationResponse(state, impersonation) {
+  const target = findTarget(state, impersonation);
+  return {
+    id: impersonation.id,
+    userId: impersonation.userId,
+    username: impersonation.username,
+    capabilities: resolveRoleCapabilities(state, target?.roles ?? []),
+    allowWrites: impersonation.allowWrites,
+    startedAt: impersonation.startedAt,
+  };
+}
+
+/** The caller's live impersonation with this id, if any */
+function findActive(state, user, id) {
+  return state.impersonations.find(
+    (i) =>
+      i.id === id &&
+      !i.endedAt &&
+      i.adminId === user.id &&
+      i.sessionId === user.sessionId,
+  );
+}
+
+/**
+ * Applies the impersonation a request is tagged with
+ * @param {Object} state - Mock database state
+ * @param {Object} request - { method, params, headers, user }
+ * @returns {{impersonation: Object, user: Object}|null} The impersonation and
+ *   the user to answer as, or null when the request isn't impersonated
+ * @throws {MockHttpError} 403 when the impersonation has ended, or when it is
+ *   read-only and the request would change the user's data
+ */
+export function applyImpersonation(state, { method, params, headers, user }) {
+  const id = headers.get(IMPERSONATION_HEADER);
+  if (!id || !user) {
+    return null;
+  }
+  const impersonation = findActive(state, user, id);
+  if (!impersonation) {
+    throw new MockHttpError(
+      403,
+      "This view-as session has ended",
+      "IMPERSONATION_ENDED",
+    );
+  }
+  if (params.userId !== impersonation.username) {
+    return null;
+  }
+  if (method !== "GET" && !impersonation.allowWrites) {
+    throw new MockHttpError(
+      403,
+      "Viewing as another user is read-only",
+      "IMPERSONATION_READ_ONLY",
+    );
+  }
+  const target = findTarget(state, impersonation);
+  return {
+    impersonation,
+    user: {
+      ...user,
+      capabilities: resolveRoleCapabilities(state, target?.roles ?? []),
+    },
+  };
+}
+
+/**
+ * Audits a change made to the user's data while impersonating
+ * @param {Object} ctx - Route context (ctx.state is the draft being saved)
+ * @param {Object} impersonation
+ * @param {string} method
+ * @param {string} path
+ */
+export function recordImpersonatedChange(ctx, impersonation, method, path) {
+  recordAudit(
+    ctx,
+    "IMPERSONATED_CHANGE",
+    { id: impersonation.userId, username: impersonation.username },
+    { method, path },
+  );
+}
+
+/** POST /admin/impersonation — { userId, allowWrites } */
+function startImpersonation(ctx) {
+  const { userId, allowWrites = false } = ctx.body || {};
+  const target = ctx.state.users.find((u) => u.id === userId);
+  if (!target) {
+    notFound("User");
+  }
+  if (target.username === ctx.user.sub) {
+    badRequest("You cannot view as yourself");
+  }
+  const impersonation = {
+    id: generateUUID(),
+    adminId: ctx.user.id,
+    sessionId: ctx.user.sessionId,
+    userId: target.id,
+    username: target.username,
+    allowWrites: Boolean(allowWrites),
+    startedAt: new Date(ctx.now).toISOString(),
+    endedAt: null,
+  };
+  ctx.state.impersonations.push(impersonation);
+  recordAudit(ctx, "IMPERSONATION_STARTED", target, {
+    allowWrites: impersonation.allowWrites,
+  });
+  return toImpersonationResponse(ctx.state, impersonation);
+}
+
+/** DELETE /admin/impersonation/{id} */
+function endImpersonation(ctx) {
+  const impersonation = ctx.state.impersonations.find(
+    (i) => i.id === ctx.params.id && i.adminId === ctx.user.id && !i.endedAt,
+  );
+  if (!impersonation) {
+    notFound("Impersonation");
+  }
+  impersonation.endedAt = new Date(ctx.now).toISOString();
+  recordAudit(ctx, "IMPERSONATION_ENDED", {
+    id: impersonation.userId,
+    username: impersonation.username,
+  });
+}
+
+const ADMIN = { role: "ROLE_ADMIN" };
+
+export const impersonationRoutes = [
+  ["POST", "/admin/impersonation", startImpersonation, ADMIN],
+  ["DELETE", "/admin/impersonation/:id", endImpersonation, ADMIN],
+];
@@ -0,0 +1,109 @@
+/**
+ * Mock lock-screen routes: /auth/lock, /auth/unlock and /auth/pin
+ * The lock screen keeps the session, so these are ordinary authenticated
+ * calls. A locked session is refused health data (423 SESSION_LOCKED, see
+ * requireUnlocked) until it is unlocked. Wrong answers are 400s (a 401 would
+ * end the session); after too many the session is revoked and the next
+ * request logs the user out.
+ */
+
+import { MockHttpError, badRequest, jsonResponse } from "../mockHttp";
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_UNLOCK_FAILURES = 5;
+const HEALTH_PATH = /^\/users\/[^/]+\/health(\/|$)/;
+
+function findCurrentUser(ctx) {
+  return ctx.state.users.find((u) => u.id === ctx.user.id);
+}
+
+function findCurrentSession(ctx) {
+  return ctx.state.sessions.find((s) => s.id === ctx.user.sessionId);
+}
+
+/**
+ * Refuses health data to a locked session
+ * @param {Object} state - Mock database state
+ * @param {Object|null} user - The authenticated caller
+ * @param {string} pathname - Request path
+ * @throws {MockHttpError} 423 SESSION_LOCKED
+ */
+export function requireUnlocked(state, user, pathname) {
+  const session = user && state.sessions.find((s) => s.id === user.sessionId);
+  if (session?.locked && HEALTH_PATH.test(pathname)) {
+    throw new MockHttpError(423, "Unlock the app first", "SESSION_LOCKED");
+  }
+}
+
+/** GET /auth/pin */
+function getPinStatus(ctx) {
+  return { enabled: Boolean(findCurrentUser(ctx).pin) };
+}
+
+/** PUT /auth/pin — { pin, password } */
+function setPin(ctx) {
+  const { pin, password } = ctx.body || {};
+  const user = findCurrentUser(ctx);
+  if (user.password !== password) {
+    badRequest("Incorrect password", "UNLOCK_FAILED");
+  }
+  if (!PIN_PATTERN.test(String(pin ?? ""))) {
+    badRequest("PIN must be 4 to 8 digits", "PIN_INVALID");
+  }
+  user.pin = String(pin);
+  return { enabled: true };
+}
+
+/** DELETE /auth/pin */
+function removePin(ctx) {
+  delete findCurrentUser(ctx).pin;
+}
+
+/** POST /auth/lock */
+function lock(ctx) {
+  findCurrentSession(ctx).locked = true;
+}
+
+/** POST /auth/unlock — { password } or { pin } */
+function unlock(ctx) {
+  const { password, pin } = ctx.body || {};
+  const user = findCurrentUser(ctx);
+  const session = findCurrentSession(ctx);
+
+  if (pin !== undefined && !user.pin) {
+    badRequest("No PIN is set", "PIN_NOT_SET");
+  }
+  const matches =
+    pin !== undefined ? String(pin) === user.pin : password === user.password;
+  if (matches) {
+    session.unlockFailures = 0;
+    delete session.locked;
+    return { unlocked: true };
+  }
+
+  // Returned rather than thrown so the failure count (or revocation) is saved
+  session.unlockFailures = (session.unlockFailures || 0) + 1;
+  if (session.unlockFailures >= MAX_UNLOCK_FAILURES) {
+    ctx.state.sessions = ctx.state.sessions.filter((s) => s !== session);
+    return jsonResponse(
+      { message: "Too many unlock attempts", status: 401 },
+      401,
+    );
+  }
+  return jsonResponse(
+    {
+      message: "Incorrect PIN or password",
+      code: "UNLOCK_FAILED",
+      status: 400,
+    },
+    400,
+  );
+}
+
+export const lockRoutes = [
+  ["GET", "/auth/pin", getPinStatus],
+  ["PUT", "/auth/pin", setPin],
+  ["DELETE", "/auth/pin", removePin],
+  ["POST", "/auth/lock", lock],
+  ["POST", "/auth/unlock", unlock],
+];
@@ -0,0 +1,222 @@
+/**
+ * Mock notification routes: /api/notifications
+ * Notifications are shared records; whether one is read (or has had its
+ * TODO created) is tracked per user, as on the backend.
+ *
+ * Managing everyone's notifications and sending global ones are capabilities
+ * (admins have both; custom roles may grant either).
+ *
+ * Task reminders that have come due are sent when the user's notifications
+ * are listed, standing in for the backend's reminder scheduler.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { Capability, hasCapability } from "@/src/lib/permissions";
+import { MockHttpError, badRequest, notFound } from "../mockHttp";
+import { sortCategories } from "@/src/lib/taskCategories";
+import { deliverTaskReminders, getUserTasks } from "./tasks";
+
+function canManage(user) {
+  return hasCapability(user.capabilities, Capability.NOTIFICATIONS_MANAGE);
+}
+
+function canBroadcast(user) {
+  return hasCapability(user.capabilities, Capability.NOTIFICATIONS_BROADCAST);
+}
+
+function isExpired(notification, now) {
+  return Boolean(
+    notification.expiresAt && new Date(notification.expiresAt) < new Date(now),
+  );
+}
+
+function isVisibleTo(notification, user) {
+  return (
+    notification.isGlobal ||
+    notification.targetUserIds.includes(user.id) ||
+    notification.targetUserIds.includes(user.sub)
+  );
+}
+
+function getUserState(ctx) {
+  const { state, user } = ctx;
+  state.notificationState[user.sub] ??= { read: [], actioned: [] };
+  return state.notificationState[user.sub];
+}
+
+/** The notification as the signed-in user sees it */
+function present(ctx, notification) {
+  const userState = getUserState(ctx);
+  return {
+    ...notification,
+    isRead: userState.read.includes(notification.id),
+    actionCreated: userState.actioned.includes(notification.id),
+  };
+}
+
+function findNotification(ctx) {
+  const notification = ctx.state.notifications.find(
+    (n) => n.id === ctx.params.id,
+  );
+  if (
+    !notification ||
+    !(isVisibleTo(notification, ctx.user) || canManage(ctx.user))
+  ) {
+    notFound("Notification");
+  }
+  return notification;
+}
+
+/** GET /api/notifications[?includeExpired=true] — newest first */
+function listNotifications(ctx) {
+  const includeExpired = ctx.query.get("includeExpired") === "true";
+  deliverTaskReminders(ctx.state, ctx.user.sub, ctx.now);
+  return ctx.state.notifications
+    .filter((n) =>
+      // The manage screen (includeExpired) shows admins every notification
+      includeExpired && canManage(ctx.user) ? true : isVisibleTo(n, ctx.user),
+    )
+    .filter((n) => includeExpired || !isExpired(n, ctx.now))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((n) => present(ctx, n));
+}
+
+function getNotification(ctx) {
+  return present(ctx, findNotification(ctx));
+}
+
+function setRead(read) {
+  return (ctx) => {
+    const notification = findNotification(ctx);
+    const userState = getUserState(ctx);
+    userState.read = userState.read.filter((id) => id !== notification.id);
+    if (read) {
+      userState.read.push(notification.id);
+    }
+  };
+}
+
+/** POST /api/notifications/{id}/action — adds the action item as a TODO */
+function createActionTodo(ctx) {
+  const notification = findNotification(ctx);
+  const userState = getUserState(ctx);
+  if (!notification.actionItem) {
+    badRequest("This notification has no action item");
+  }
+  if (isExpired(notification, ctx.now)) {
+    throw new MockHttpError(
+      400,
+      "Notification has expired",
+      "NOTIFICATION_EXPIRED",
+    );
+  }
+  if (userState.actioned.includes(notification.id)) {
+    throw new MockHttpError(
+      409,
+      "A TODO was already created from this notification",
+      "ACTION_ALREADY_CREATED",
+    );
+  }
+
+  const { state, user, now } = ctx;
+  const { todo, categories } = getUserTasks(state, user.sub, now);
+  // Into the named list if the user has it, otherwise their first list
+  const requested = notification.actionItem.category;
+  const category = categories.some((c) => c.id === requested)
+    ? requested
+    : sortCategories(categories)[0].id;
+  todo.push({
+    id: generateUUID(),
+    description: notification.actionItem.description,
+    category,
+    completed: false,
+    order: todo.filter((t) => t.category === category && !t.parentId).length,
+    updatedAt: new Date(now).toISOString(),
+  });
+  userState.actioned.push(notification.id);
+}
+
+/** POST /api/notifications — global notifications need the broadcast capability */
+function createNotification(ctx) {
+  const { body, user } = ctx;
+  if (!body?.subject?.trim() || !body?.messageBody?.trim()) {
+    badRequest("Subject and message are required");
+  }
+  if (body.isGlobal && !canBroadcast(user)) {
+    throw new MockHttpError(
+      403,
+      "You are not allowed to send global notifications",
+    );
+  }
+  const notification = {
+    id: generateUUID(),
+    subject: body.subject,
+    messageBody: body.messageBody,
+    isGlobal: Boolean(body.isGlobal),
+    // Users may only notify themselves
+    targetUserIds: canManage(user) ? body.targetUserIds || [] : [user.sub],
+    hasActionItem: Boolean(body.hasActionItem),
+    actionItem: body.actionItem || null,
+    createdAt: new Date(ctx.now).toISOString(),
+    expiresAt: body.expiresAt || null,
+    recurrenceRule: body.recurrenceRule || null,
+    createdBy: user.sub,
+  };
+  ctx.state.notifications.push(notification);
+  return present(ctx, notification);
+}
+
+function deleteNotification(ctx) {
+  const notification = findNotification(ctx);
+  if (!canManage(ctx.user) && notification.createdBy !== ctx.user.sub) {
+    throw new MockHttpError(403, "You cannot delete this notification");
+  }
+  ctx.state.notifications = ctx.state.notifications.filter(
+    (n) => n.id !== notification.id,
+  );
+}
+
+/**
+ * POST /api/notifications/process-recurring
+ * Re-delivers every live recurring notification: it becomes unread again and
+ * its TODO can be created again
+ */
+function processRecurring(ctx) {
+  const { state, user, now } = ctx;
+  if (!canManage(user)) {
+    throw new MockHttpError(
+      403,
+      "You are not allowed to process recurring notifications",
+    );
+  }
+  const recurring = state.notifications.filter(
+    (n) => n.recurrenceRule && !isExpired(n, now),
+  );
+  const ids = new Set(recurring.map((n) => n.id));
+  recurring.forEach((n) => {
+    n.createdAt = new Date(now).toISOString();
+  });
+  Object.values(state.notificationState).forEach((userState) => {
+    userState.read = userState.read.filter((id) => !ids.has(id));
+    userState.actioned = userState.actioned.filter((id) => !ids.has(id));
+  });
+  return {
+    notificationsProcessed: recurring.length,
+    todosCreated: 0,
+    errors: 0,
+    errorMessages: [],
+  };
+}
+
+const base = "/api/notifications";
+
+export const notificationRoutes = [
+  ["GET", base, listNotifications],
+  ["POST", base, createNotification],
+  ["POST", `${base}/process-recurring`, processRecurring],
+  ["GET", `${base}/:id`, getNotification],
+  ["DELETE", `${base}/:id`, deleteNotification],
+  ["POST", `${base}/:id/read`, setRead(true)],
+  ["POST", `${base}/:id/unread`, setRead(false)],
+  ["POST", `${base}/:id/action`, createActionTodo],
+];
@@ -0,0 +1,102 @@
+/**
+ * Mock profile routes: /users/{userId}/profile and /users/{userId}/password
+ * The profile (display name and display preferences) is stored on the user
+ * record. A wrong current password is a 400, not a 401, so a typo does not
+ * end the session. New passwords must meet the shared password policy.
+ */
+
+import { checkPassword } from "@/src/lib/passwordPolicy";
+import { badRequest, notFound } from "../mockHttp";
+
+const MAX_DISPLAY_NAME_LENGTH = 60;
+const PREFERENCE_KEYS = [
+  "defaultTaskCategory",
+  "defaultDrive",
+  "dateFormat",
+  "timeFormat",
+];
+
+/**
+ * Rejects a new password that breaks the password policy (400 PASSWORD_TOO_WEAK)
+ * @param {string} password - New password
+ * @param {string} username - Account it is for
+ */
+export function requireStrongPassword(password, username) {
+  const { valid, errors } = checkPassword(String(password ?? ""), {
+    username,
+  });
+  if (!valid) {
+    badRequest(errors[0], "PASSWORD_TOO_WEAK");
+  }
+}
+
+function findUser(ctx) {
+  const user = ctx.state.users.find((u) => u.username === ctx.params.userId);
+  if (!user) {
+    notFound("User");
+  }
+  return user;
+}
+
+function toProfileResponse(user) {
+  return {
+    username: user.username,
+    displayName: user.displayName || "",
+    preferences: { ...user.preferences },
+  };
+}
+
+/** GET /users/{userId}/profile */
+function getProfile(ctx) {
+  return toProfileResponse(findUser(ctx));
+}
+
+/** PUT /users/{userId}/profile — { displayName?, preferences? } */
+function updateProfile(ctx) {
+  const { displayName, preferences } = ctx.body || {};
+  const user = findUser(ctx);
+
+  if (displayName !== undefined) {
+    const trimmed = String(displayName ?? "").trim();
+    if (trimmed.length > MAX_DISPLAY_NAME_LENGTH) {
+      badRequest(
+        `Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`,
+      );
+    }
+    user.displayName = trimmed;
+  }
+  if (preferences !== undefined) {
+    const next = { ...user.preferences };
+    for (const key of PREFERENCE_KEYS) {
+      if (preferences[key] !== undefined) {
+        next[key] = preferences[key];
+      }
+    }
+    user.preferences = next;
+  }
+  return toProfileResponse(user);
+}
+
+/** PUT /users/{userId}/password — { currentPassword, newPassword } */
+function changePassword(ctx) {
+  const { currentPassword, newPassword } = ctx.body || {};
+  const user = findUser(ctx);
+  if (user.password !== currentPassword) {
+    badRequest("Current password is incorrect", "CURRENT_PASSWORD_INCORRECT");
+  }
+  requireStrongPassword(newPassword, user.username);
+  if (newPassword === currentPassword) {
+    badRequest(
+      "New password must differ from the current one",
+      "PASSWORD_TOO_WEAK",
+    );
+  }
+  user.password = newPassword;
+  delete user.passwordExpired;
+}
+
+export const profileRoutes = [
+  ["GET", "/users/:userId/profile", getProfile],
+  ["PUT", "/users/:userId/profile", updateProfile],
+  ["PUT", "/users/:userId/password", changePassword],
+];
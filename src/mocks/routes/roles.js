@@ -0,0 +1,222 @@
+/**
+ * Mock role routes: /admin/roles and bulk role assignment (admins only)
+ * Besides the built-in ROLE_USER and ROLE_ADMIN, admins can define custom
+ * roles that grant drives, portals and notification abilities (see
+ * GRANTABLE_CAPABILITIES). Users holding a custom role get a `permissions`
+ * claim in their token, resolved here, which the app uses as is.
+ */
+
+import {
+  BUILT_IN_ROLES,
+  GRANTABLE_CAPABILITIES,
+  resolveCapabilities,
+  toRoleName,
+} from "@/src/lib/permissions";
+import { MockHttpError, badRequest, notFound } from "../mockHttp";
+import { recordAudit } from "./audit";
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const GRANTABLE = GRANTABLE_CAPABILITIES.map((entry) => entry.capability);
+
+/** Every role a user can be given, built-in first */
+export function getKnownRoles(state) {
+  return [...BUILT_IN_ROLES, ...state.roles.map((role) => role.name)];
+}
+
+/**
+ * Capabilities a user's roles grant: the built-in roles' as the app resolves
+ * them, plus whatever their custom roles grant
+ * @param {Object} state - Mock database state
+ * @param {string[]} roles - The user's roles
+ * @returns {string[]} Sorted, de-duplicated capabilities
+ */
+export function resolveRoleCapabilities(state, roles) {
+  const custom = state.roles
+    .filter((role) => roles.includes(role.name))
+    .flatMap((role) => role.capabilities);
+  return [...new Set([...resolveCapabilities(roles), ...custom])].sort();
+}
+
+/**
+ * The token's `permissions` claim for a user, or undefined when their roles
+ * are all built-in (the app derives those itself)
+ * @param {Object} state - Mock database state
+ * @param {Object} user - Mock user record
+ * @returns {string[]|undefined}
+ */
+export function getPermissionsClaim(state, user) {
+  const hasCustomRole = user.roles.some(
+    (role) => !BUILT_IN_ROLES.includes(role),
+  );
+  return hasCustomRole ? resolveRoleCapabilities(state, user.roles) : undefined;
+}
+
+/** Audit target for a role */
+function auditTarget(role) {
+  return { id: role.name, username: role.name };
+}
+
+function toRoleResponse(state, role, builtIn = false) {
+  return {
+    name: role.name,
+    description: role.description,
+    capabilities: role.capabilities,
+    builtIn,
+    userCount: state.users.filter((u) => u.roles.includes(role.name)).length,
+  };
+}
+
+function findCustomRole(ctx) {
+  if (BUILT_IN_ROLES.includes(ctx.params.name)) {
+    badRequest("Built-in roles cannot be changed");
+  }
+  const role = ctx.state.roles.find((r) => r.name === ctx.params.name);
+  if (!role) {
+    notFound("Role");
+  }
+  return role;
+}
+
+function validateRoleBody(body) {
+  const description = String(body?.description ?? "").trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    badRequest(
+      `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`,
+    );
+  }
+  const capabilities = body?.capabilities ?? [];
+  if (!Array.isArray(capabilities)) {
+    badRequest("Capabilities must be a list");
+  }
+  const unknown = capabilities.find((c) => !GRANTABLE.includes(c));
+  if (unknown) {
+    badRequest(`Unknown capability: ${unknown}`);
+  }
+  return { description, capabilities: [...new Set(capabilities)].sort() };
+}
+
+/** GET /admin/roles */
+function listRoles(ctx) {
+  const builtIn = BUILT_IN_ROLES.map((name) =>
+    toRoleResponse(
+      ctx.state,
+      {
+        name,
+        description:
+          name === "ROLE_ADMIN"
+            ? "Everything, including the admin panel"
+            : "Every signed-in user",
+        capabilities: resolveRoleCapabilities(ctx.state, [name]),
+      },
+      true,
+    ),
+  );
+  const custom = ctx.state.roles.map((role) => toRoleResponse(ctx.state, role));
+  return { roles: [...builtIn, ...custom] };
+}
+
+/** POST /admin/roles — { name, description, capabilities } */
+function createRole(ctx) {
+  const name = toRoleName(ctx.body?.name);
+  if (!name) {
+    badRequest("Role name is required");
+  }
+  if (getKnownRoles(ctx.state).includes(name)) {
+    throw new MockHttpError(409, `Role "${name}" already exists`);
+  }
+  const role = { name, ...validateRoleBody(ctx.body) };
+  ctx.state.roles.push(role);
+  recordAudit(ctx, "ROLE_CREATED", auditTarget(role), {
+    capabilities: role.capabilities,
+  });
+  return toRoleResponse(ctx.state, role);
+}
+
+/** PUT /admin/roles/{name} — { description, capabilities } */
+function updateRole(ctx) {
+  const role = findCustomRole(ctx);
+  const changes = validateRoleBody(ctx.body);
+  recordAudit(ctx, "ROLE_UPDATED", auditTarget(role), {
+    from: role.capabilities,
+    to: changes.capabilities,
+  });
+  Object.assign(role, changes);
+  return toRoleResponse(ctx.state, role);
+}
+
+/** DELETE /admin/roles/{name} — holders lose the role (and keep ROLE_USER) */
+function deleteRole(ctx) {
+  const role = findCustomRole(ctx);
+  ctx.state.roles = ctx.state.roles.filter((r) => r.name !== role.name);
+  const holders = ctx.state.users.filter((u) => u.roles.includes(role.name));
+  for (const user of holders) {
+    const roles = user.roles.filter((r) => r !== role.name);
+    user.roles = roles.length > 0 ? roles : ["ROLE_USER"];
+  }
+  recordAudit(ctx, "ROLE_DELETED", auditTarget(role), {
+    users: holders.map((u) => u.username),
+  });
+}
+
+/**
+ * POST /admin/users/roles/bulk — { userIds, add, remove }
+ * Adds and removes roles across several users at once. Users whose roles
+ * don't change are skipped; each changed user gets a ROLES_CHANGED entry.
+ */
+function bulkUpdateRoles(ctx) {
+  const { userIds, add = [], remove = [] } = ctx.body || {};
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    badRequest("Select at least one user");
+  }
+  if (!Array.isArray(add) || !Array.isArray(remove)) {
+    badRequest("Roles to add and remove must be lists");
+  }
+  if (add.length === 0 && remove.length === 0) {
+    badRequest("Choose a role to assign or revoke");
+  }
+  const known = getKnownRoles(ctx.state);
+  const unknown = [...add, ...remove].find((role) => !known.includes(role));
+  if (unknown) {
+    badRequest(`Unknown role: ${unknown}`);
+  }
+
+  const users = userIds.map((id) => {
+    const user = ctx.state.users.find((u) => u.id === id);
+    if (!user) {
+      notFound("User");
+    }
+    return user;
+  });
+
+  const updated = [];
+  for (const user of users) {
+    const roles = [
+      ...new Set([...user.roles.filter((r) => !remove.includes(r)), ...add]),
+    ];
+    if (roles.length === 0) {
+      badRequest(`${user.username} would be left without a role`);
+    }
+    if (user.username === ctx.user.sub && !roles.includes("ROLE_ADMIN")) {
+      badRequest("You cannot remove admin from your own account");
+    }
+    const changed =
+      roles.length !== user.roles.length ||
+      roles.some((role) => !user.roles.includes(role));
+    if (changed) {
+      recordAudit(ctx, "ROLES_CHANGED", user, { from: user.roles, to: roles });
+      user.roles = roles;
+      updated.push(user.id);
+    }
+  }
+  return { updated };
+}
+
+const ADMIN = { role: "ROLE_ADMIN" };
+
+export const roleRoutes = [
+  ["GET", "/admin/roles", listRoles, ADMIN],
+  ["POST", "/admin/roles", createRole, ADMIN],
+  ["PUT", "/admin/roles/:name", updateRole, ADMIN],
+  ["DELETE", "/admin/roles/:name", deleteRole, ADMIN],
+  ["POST", "/admin/users/roles/bulk", bulkUpdateRoles, ADMIN],
+];
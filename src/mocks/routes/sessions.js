@@ -0,0 +1,169 @@
+/**
+ * Mock session routes: /auth/sessions, /auth/logout and
+ * /admin/users/{id}/sessions
+ * Every login creates a session; its id is the access token's `sid` claim
+ * and part of its refresh token, so revoking a session ends both.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import { notFound } from "../mockHttp";
+import { recordAudit } from "./audit";
+
+// Requests never leave the browser, so every session is "local"
+const MOCK_IP_ADDRESS = "127.0.0.1";
+
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Firefox/", "Firefox"],
+  ["Chrome/", "Chrome"],
+  ["Safari/", "Safari"],
+];
+
+const PLATFORMS = [
+  ["iPhone", "iPhone"],
+  ["iPad", "iPad"],
+  ["Android", "Android"],
+  ["Windows", "Windows"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+/**
+ * Short device description from a User-Agent, e.g. "Firefox on Linux"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+export function describeDevice(userAgent = "") {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token));
+  if (!browser && !platform) {
+    return "Unknown device";
+  }
+  return [browser?.[1] || "Browser", platform?.[1]]
+    .filter(Boolean)
+    .join(" on ");
+}
+
+/**
+ * Starts a session for a user who just signed in
+ * @param {Object} ctx - Route context (state, headers, now)
+ * @param {Object} user - Mock user record
+ * @returns {Object} The session record
+ */
+export function createSession(ctx, user) {
+  const userAgent =
+    ctx.headers?.get("User-Agent") ||
+    (typeof navigator !== "undefined" ? navigator.userAgent : "");
+  const timestamp = new Date(ctx.now).toISOString();
+  const session = {
+    id: generateUUID(),
+    userId: user.id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: MOCK_IP_ADDRESS,
+    createdAt: timestamp,
+    lastSeenAt: timestamp,
+  };
+  ctx.state.sessions.push(session);
+  return session;
+}
+
+/**
+ * Finds a live session by id
+ * @param {Object} state - Mock database state
+ * @param {string} sessionId - Session id
+ * @returns {Object|undefined}
+ */
+export function findSession(state, sessionId) {
+  return state.sessions.find((session) => session.id === sessionId);
+}
+
+function toSessionResponse(session, currentSessionId) {
+  const { userId, ...rest } = session;
+  return { ...rest, current: session.id === currentSessionId };
+}
+
+function listFor(ctx, userId) {
+  return {
+    sessions: ctx.state.sessions
+      .filter((session) => session.userId === userId)
+      .map((session) => toSessionResponse(session, ctx.user.sessionId))
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)),
+  };
+}
+
+function revoke(ctx, userId, sessionId) {
+  const session = findSession(ctx.state, sessionId);
+  if (!session || session.userId !== userId) {
+    notFound("Session");
+  }
+  ctx.state.sessions = ctx.state.sessions.filter((s) => s.id !== sessionId);
+}
+
+function revokeAll(ctx, userId) {
+  ctx.state.sessions = ctx.state.sessions.filter((s) => s.userId !== userId);
+}
+
+function findUser(ctx) {
+  const user = ctx.state.users.find((u) => u.id === ctx.params.id);
+  if (!user) {
+    notFound("User");
+  }
+  return user;
+}
+
+/** GET /auth/sessions */
+function listOwnSessions(ctx) {
+  return listFor(ctx, ctx.user.id);
+}
+
+/** DELETE /auth/sessions/{sessionId} */
+function revokeOwnSession(ctx) {
+  revoke(ctx, ctx.user.id, ctx.params.sessionId);
+}
+
+/** POST /auth/sessions/revoke-all — signs out every device, this one too */
+function revokeOwnSessions(ctx) {
+  revokeAll(ctx, ctx.user.id);
+}
+
+/** POST /auth/logout — ends the calling session */
+function logout(ctx) {
+  ctx.state.sessions = ctx.state.sessions.filter(
+    (s) => s.id !== ctx.user.sessionId,
+  );
+}
+
+/** GET /admin/users/{id}/sessions */
+function listUserSessions(ctx) {
+  return listFor(ctx, findUser(ctx).id);
+}
+
+/** DELETE /admin/users/{id}/sessions/{sessionId} */
+function revokeUserSession(ctx) {
+  const user = findUser(ctx);
+  revoke(ctx, user.id, ctx.params.sessionId);
+  recordAudit(ctx, "SESSION_REVOKED", user, {
+    sessionId: ctx.params.sessionId,
+  });
+}
+
+/** DELETE /admin/users/{id}/sessions */
+function revokeUserSessions(ctx) {
+  const user = findUser(ctx);
+  revokeAll(ctx, user.id);
+  recordAudit(ctx, "SESSIONS_REVOKED", user);
+}
+
+const ADMIN = { role: "ROLE_ADMIN" };
+
+export const sessionRoutes = [
+  ["GET", "/auth/sessions", listOwnSessions],
+  ["POST", "/auth/sessions/revoke-all", revokeOwnSessions],
+  ["DELETE", "/auth/sessions/:sessionId", revokeOwnSession],
+  ["POST", "/auth/logout", logout],
+  ["GET", "/admin/users/:id/sessions", listUserSessions, ADMIN],
+  ["DELETE", "/admin/users/:id/sessions", revokeUserSessions, ADMIN],
+  ["DELETE", "/admin/users/:id/sessions/:sessionId", revokeUserSession, ADMIN],
+];
@@ -0,0 +1,137 @@
+/**
+ * Mock task list routes: /users/{userId}/tasks/categories
+ * Users create, rename, recolor, reorder and delete their own TODO lists.
+ * Deleting a list moves its tasks (open and archived) to another list when
+ * `moveTasksTo` is given, and deletes them otherwise; the last list stays.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import {
+  DEFAULT_CATEGORY_COLOR,
+  sortCategories,
+  validateCategory,
+} from "@/src/lib/taskCategories";
+import { badRequest, notFound } from "../mockHttp";
+import { getUserTasks, requireCategory } from "./tasks";
+
+function getTasks(ctx) {
+  return getUserTasks(ctx.state, ctx.params.userId, ctx.now);
+}
+
+function findCategory(tasks, id) {
+  const category = tasks.categories.find((c) => c.id === id);
+  if (!category) {
+    notFound("Task list");
+  }
+  return category;
+}
+
+function validate(tasks, fields, ownId) {
+  const error = validateCategory(fields, tasks.categories, ownId);
+  if (error) {
+    badRequest(error);
+  }
+}
+
+/** GET /users/{userId}/tasks/categories */
+function listCategories(ctx) {
+  return sortCategories(getTasks(ctx).categories);
+}
+
+/** POST /users/{userId}/tasks/categories — { id?, name, color } */
+function createCategory(ctx) {
+  const tasks = getTasks(ctx);
+  const { id, name, color = DEFAULT_CATEGORY_COLOR } = ctx.body || {};
+  validate(tasks, { name: name ?? "", color });
+  if (id && tasks.categories.some((c) => c.id === id)) {
+    badRequest("Task list already exists");
+  }
+  const category = {
+    id: id || generateUUID(),
+    name: name.trim(),
+    color,
+    order: Math.max(-1, ...tasks.categories.map((c) => c.order)) + 1,
+  };
+  tasks.categories.push(category);
+  return category;
+}
+
+/** PUT /users/{userId}/tasks/categories/{categoryId} — { name?, color? } */
+function updateCategory(ctx) {
+  const tasks = getTasks(ctx);
+  const category = findCategory(tasks, ctx.params.categoryId);
+  const { name, color } = ctx.body || {};
+  validate(tasks, { name, color }, category.id);
+  if (name !== undefined) {
+    category.name = name.trim();
+  }
+  if (color !== undefined) {
+    category.color = color;
+  }
+  return category;
+}
+
+/** PUT /users/{userId}/tasks/categories — { ids } in their new order */
+function reorderCategories(ctx) {
+  const tasks = getTasks(ctx);
+  const { ids } = ctx.body || {};
+  const known = tasks.categories.map((c) => c.id);
+  if (
+    !Array.isArray(ids) ||
+    ids.length !== known.length ||
+    !known.every((id) => ids.includes(id))
+  ) {
+    badRequest("The new order must list every task list once");
+  }
+  tasks.categories.forEach((c) => {
+    c.order = ids.indexOf(c.id);
+  });
+  return sortCategories(tasks.categories);
+}
+
+/** DELETE /users/{userId}/tasks/categories/{categoryId}?moveTasksTo= */
+function deleteCategory(ctx) {
+  const tasks = getTasks(ctx);
+  const category = findCategory(tasks, ctx.params.categoryId);
+  if (tasks.categories.length === 1) {
+    badRequest("You need at least one task list");
+  }
+  const moveTasksTo = ctx.query.get("moveTasksTo");
+  if (moveTasksTo) {
+    if (moveTasksTo === category.id) {
+      badRequest("Move the tasks to a different list");
+    }
+    requireCategory(tasks, moveTasksTo);
+    // Appended after the target list's own top-level tasks
+    const offset =
+      Math.max(
+        -1,
+        ...tasks.todo
+          .filter((t) => t.category === moveTasksTo && !t.parentId)
+          .map((t) => t.order),
+      ) + 1;
+    tasks.todo
+      .filter((t) => t.category === category.id)
+      .forEach((t) => {
+        t.category = moveTasksTo;
+        if (!t.parentId) {
+          t.order += offset;
+        }
+      });
+  } else {
+    const removed = tasks.todo.filter((t) => t.category === category.id);
+    removed.forEach((t) => delete tasks.sentReminders[t.id]);
+    tasks.todo = tasks.todo.filter((t) => t.category !== category.id);
+  }
+  tasks.categories = tasks.categories.filter((c) => c.id !== category.id);
+}
+
+const base = "/users/:userId/tasks/categories";
+
+export const taskCategoryRoutes = [
+  ["GET", base, listCategories],
+  ["POST", base, createCategory],
+  ["PUT", base, reorderCategories],
+  ["PUT", `${base}/:categoryId`, updateCategory],
+  ["DELETE", `${base}/:categoryId`, deleteCategory],
+];
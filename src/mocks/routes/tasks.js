@@ -0,0 +1,510 @@
+/**
+ * Mock task routes: /users/{userId}/tasks
+ * A daily task counts as completed when today's date is in its completion
+ * history, so tasks reset at midnight the way the backend's do. Deleted daily
+ * tasks are set aside with their history: creating one again with the same
+ * id (undoing the delete) brings the history back.
+ * Completing a TODO task archives it (and its subtasks) with a completedAt
+ * timestamp; archived tasks are listed by /tasks/done until restored or purged.
+ *
+ * TODO tasks may have a due date and reminders. The backend sends reminders
+ * from a scheduler; the mock sends the ones that have come due whenever the
+ * user's notifications are fetched (see deliverTaskReminders).
+ *
+ * TODO tasks nest to any depth through `parentId`; `isSection` marks a
+ * heading task and `collapsed` hides its subtasks in the list. Open tasks
+ * report how many of their direct subtasks are already completed
+ * (`completedSubtasks`) for progress counts.
+ *
+ * A TODO task's category is the id of one of the user's lists (managed by
+ * the taskCategories routes). Users without saved lists get the built-in
+ * Personal and Work lists, whose ids match the old fixed categories.
+ */
+
+import { generateUUID } from "@/utils/uuid";
+import {
+  formatReminderOffset,
+  getReminderTime,
+  validateDueDate,
+} from "@/src/lib/taskDueDates";
+import {
+  DEFAULT_TASK_CATEGORIES,
+  sortCategories,
+} from "@/src/lib/taskCategories";
+import { badRequest, notFound } from "../mockHttp";
+import { seedUserTasks, toDateKey } from "../mockSeed";
+
+/**
+ * A user's task data, seeded on first use
+ * @param {Object} state - Mock database state
+ * @param {string} username
+ * @param {number} now - Current timestamp
+ * @returns {Object} { todo, daily, completions, deletedDaily, sentReminders, categories }
+ */
+export function getUserTasks(state, username, now) {
+  state.tasks[username] ??= seedUserTasks(now);
+  const tasks = state.tasks[username];
+  tasks.sentReminders ??= {};
+  tasks.deletedDaily ??= {};
+  tasks.categories ??= DEFAULT_TASK_CATEGORIES.map((c) => ({ ...c }));
+  return tasks;
+}
+
+function getTasks(ctx) {
+  return getUserTasks(ctx.state, ctx.params.userId, ctx.now);
+}
+
+/** Throws 400 unless the user has a list with this id */
+export function requireCategory(tasks, category) {
+  if (!tasks.categories.some((c) => c.id === category)) {
+    badRequest(`Unknown task list: ${category}`);
+  }
+}
+
+function findTask(list, taskId) {
+  const task = list.find((t) => t.id === taskId);
+  if (!task) {
+    notFound("Task");
+  }
+  return task;
+}
+
+/** Ids of a task's subtasks, at any depth */
+function collectSubtaskIds(list, taskId) {
+  const ids = new Set();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    list.forEach((task) => {
+      if (
+        (task.parentId === taskId || ids.has(task.parentId)) &&
+        !ids.has(task.id)
+      ) {
+        ids.add(task.id);
+        grew = true;
+      }
+    });
+  }
+  return ids;
+}
+
+function parseCategory(ctx, tasks) {
+  const category = ctx.query.get("category");
+  if (category) {
+    requireCategory(tasks, category);
+  }
+  return category;
+}
+
+/**
+ * Throws 400 unless `parentId` is an open task in the same list that is not
+ * the task itself or one of its subtasks
+ */
+function requireParent(list, task, parentId) {
+  const parent = list.find((t) => t.id === parentId);
+  if (!parent || parent.completed || parent.category !== task.category) {
+    badRequest("Parent task not found in this list");
+  }
+  if (parentId === task.id || collectSubtaskIds(list, task.id).has(parentId)) {
+    badRequest("A task cannot be nested under itself");
+  }
+}
+
+/** Next order for a top-level task in a list */
+function nextRootOrder(list, category) {
+  const orders = list
+    .filter((t) => t.category === category && !t.parentId)
+    .map((t) => t.order);
+  return orders.length > 0 ? Math.max(...orders) + 1 : 0;
+}
+
+/**
+ * Moves a task and its subtasks to another list. A subtask moved on its own
+ * becomes a top-level task there.
+ */
+function moveTodoTask(list, task, category) {
+  const subtaskIds = collectSubtaskIds(list, task.id);
+  const parent = list.find((t) => t.id === task.parentId);
+  if (!parent || parent.category !== category) {
+    delete task.parentId;
+    task.order = nextRootOrder(list, category);
+  }
+  list
+    .filter((t) => t === task || subtaskIds.has(t.id))
+    .forEach((t) => {
+      t.category = category;
+    });
+}
+
+function withCompletion(task, completions, today) {
+  return {
+    ...task,
+    completed: (completions[task.id] || []).includes(today),
+  };
+}
+
+function byOrder(a, b) {
+  return a.order - b.order;
+}
+
+/** GET /users/{userId}/tasks */
+function listTasks(ctx) {
+  const tasks = getTasks(ctx);
+  const today = toDateKey(ctx.now);
+  const categories = sortCategories(tasks.categories);
+  const todoTasks = {};
+  const completedSubtasks = {};
+  tasks.todo
+    .filter((task) => task.completed && task.parentId)
+    .forEach((task) => {
+      completedSubtasks[task.parentId] =
+        (completedSubtasks[task.parentId] ?? 0) + 1;
+    });
+  categories.forEach(({ id }) => {
+    todoTasks[id] = tasks.todo
+      .filter((task) => task.category === id && !task.completed)
+      .map((task) => ({
+        ...task,
+        completedSubtasks: completedSubtasks[task.id] ?? 0,
+      }))
+      .sort(byOrder);
+  });
+  return {
+    categories,
+    todoTasks,
+    dailyTasks: tasks.daily
+      .map((task) => withCompletion(task, tasks.completions, today))
+      .sort(byOrder),
+  };
+}
+
+/**
+ * Sets a task's due date and reminders. Reminders that have already come due
+ * count as sent, so a due date set in the past doesn't send a reminder.
+ */
+function setDueDate(tasks, task, body, now) {
+  const dueAt = body.dueAt !== undefined ? body.dueAt : (task.dueAt ?? null);
+  const reminders =
+    body.reminders !== undefined ? body.reminders : (task.reminders ?? []);
+  const error = validateDueDate(dueAt, reminders);
+  if (error) {
+    badRequest(error);
+  }
+  task.dueAt = dueAt;
+  task.reminders = [...new Set(reminders)].sort((a, b) => a - b);
+  tasks.sentReminders[task.id] = dueAt
+    ? task.reminders.filter((m) => getReminderTime(dueAt, m) <= now)
+    : [];
+}
+
+/** POST /users/{userId}/tasks/todo */
+function createTodoTask(ctx) {
+  const { body } = ctx;
+  if (!body?.description?.trim()) {
+    badRequest("Task description is required");
+  }
+  const tasks = getTasks(ctx);
+  requireCategory(tasks, body.category);
+  const task = {
+    id: body.id || generateUUID(),
+    description: body.description,
+    category: body.category,
+    completed: false,
+    order: body.order ?? 0,
+    isSection: body.isSection === true,
+    updatedAt: new Date(ctx.now).toISOString(),
+  };
+  if (body.parentId) {
+    requireParent(tasks.todo, task, body.parentId);
+    task.parentId = body.parentId;
+  }
+  if (body.dueAt !== undefined || body.reminders !== undefined) {
+    setDueDate(tasks, task, body, ctx.now);
+  }
+  tasks.todo.push(task);
+  return task;
+}
+
+/** Archives a task and its open subtasks */
+function completeTodoTask(list, task, timestamp) {
+  const subtaskIds = collectSubtaskIds(list, task.id);
+  list
+    .filter((t) => t === task || (subtaskIds.has(t.id) && !t.completed))
+    .forEach((t) => {
+      t.completed = true;
+      t.completedAt = timestamp;
+      t.updatedAt = timestamp;
+    });
+}
+
+/**
+ * Reopens a task with the subtasks archived along with it, and any archived
+ * parents so the task shows up in the list again
+ */
+function restoreTodoTask(list, task, timestamp) {
+  const subtaskIds = collectSubtaskIds(list, task.id);
+  const reopened = list.filter(
+    (t) => subtaskIds.has(t.id) && t.completedAt === task.completedAt,
+  );
+  for (
+    let parent = list.find((t) => t.id === task.parentId);
+    parent?.completed;
+    parent = list.find((t) => t.id === parent.parentId)
+  ) {
+    reopened.push(parent);
+  }
+  [task, ...reopened].forEach((t) => {
+    t.completed = false;
+    delete t.completedAt;
+    t.updatedAt = timestamp;
+  });
+}
+
+/**
+ * PUT /users/{userId}/tasks/todo/{taskId} — `completed` archives or restores;
+ * a new `category` moves the task and its subtasks to that list
+ */
+function updateTodoTask(ctx) {
+  const { params } = ctx;
+  const {
+    completed,
+    completedAt,
+    completedSubtasks,
+    dueAt,
+    reminders,
+    category,
+    ...body
+  } = ctx.body || {};
+  const tasks = getTasks(ctx);
+  const task = findTask(tasks.todo, params.taskId);
+  if (category !== undefined) {
+    requireCategory(tasks, category);
+  }
+  if (body.parentId) {
+    requireParent(
+      tasks.todo,
+      { ...task, category: category ?? task.category },
+      body.parentId,
+    );
+  }
+  if (dueAt !== undefined || reminders !== undefined) {
+    setDueDate(tasks, task, { dueAt, reminders }, ctx.now);
+  }
+  const timestamp = new Date(ctx.now).toISOString();
+  Object.assign(task, body, {
+    id: task.id,
+    updatedAt: timestamp,
+  });
+  if (category !== undefined && category !== task.category) {
+    moveTodoTask(tasks.todo, task, category);
+  }
+  if (completed === true && !task.completed) {
+    completeTodoTask(tasks.todo, task, timestamp);
+  } else if (completed === false && task.completed) {
+    restoreTodoTask(tasks.todo, task, timestamp);
+  }
+  return task;
+}
+
+/** DELETE /users/{userId}/tasks/todo/{taskId} — removes subtasks too */
+function deleteTodoTask(ctx) {
+  const tasks = getTasks(ctx);
+  findTask(tasks.todo, ctx.params.taskId);
+  const removed = collectSubtaskIds(tasks.todo, ctx.params.taskId);
+  removed.add(ctx.params.taskId);
+  tasks.todo = tasks.todo.filter((task) => !removed.has(task.id));
+  removed.forEach((id) => delete tasks.sentReminders[id]);
+}
+
+/**
+ * GET /users/{userId}/tasks/done?category=&search=&since= — archived tasks,
+ * most recently completed first. Archived subtasks are listed under their
+ * archived parent rather than on their own.
+ */
+function listDoneTasks(ctx) {
+  const tasks = getTasks(ctx);
+  const { todo } = tasks;
+  const category = parseCategory(ctx, tasks);
+  const search = (ctx.query.get("search") || "").trim().toLowerCase();
+  const since = ctx.query.get("since");
+  if (since && Number.isNaN(Date.parse(since))) {
+    badRequest("Invalid since date");
+  }
+  const done = todo.filter((task) => task.completed);
+  const doneIds = new Set(done.map((task) => task.id));
+  const matches = (task) => task.description.toLowerCase().includes(search);
+
+  return done
+    .filter((task) => !doneIds.has(task.parentId))
+    .filter((task) => !category || task.category === category)
+    .filter((task) => !since || new Date(task.completedAt) >= new Date(since))
+    .map((task) => {
+      const subtaskIds = collectSubtaskIds(todo, task.id);
+      return {
+        ...task,
+        subtasks: done.filter((t) => subtaskIds.has(t.id)).sort(byOrder),
+      };
+    })
+    .filter((task) => !search || matches(task) || task.subtasks.some(matches))
+    .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+}
+
+/** DELETE /users/{userId}/tasks/done?category= — purges archived tasks */
+function purgeDoneTasks(ctx) {
+  const tasks = getTasks(ctx);
+  const category = parseCategory(ctx, tasks);
+  const removed = new Set();
+  tasks.todo
+    .filter(
+      (task) => task.completed && (!category || task.category === category),
+    )
+    .forEach((task) => {
+      removed.add(task.id);
+      collectSubtaskIds(tasks.todo, task.id).forEach((id) => removed.add(id));
+    });
+  tasks.todo = tasks.todo.filter((task) => !removed.has(task.id));
+  removed.forEach((id) => delete tasks.sentReminders[id]);
+  return { purged: removed.size };
+}
+
+/**
+ * Sends a user's reminders that have come due as notifications. When several
+ * of a task's reminders are due at once, only the latest is sent.
+ * @param {Object} state - Mock database state (the request's draft)
+ * @param {string} username - User whose reminders to send
+ * @param {number} now - Current timestamp
+ */
+export function deliverTaskReminders(state, username, now) {
+  if (!state.tasks[username]) {
+    return;
+  }
+  const tasks = getUserTasks(state, username, now);
+  tasks.todo
+    .filter((task) => task.dueAt && !task.completed && task.reminders?.length)
+    .forEach((task) => {
+      const sent = tasks.sentReminders[task.id] || [];
+      const pending = task.reminders.filter(
+        (m) => !sent.includes(m) && getReminderTime(task.dueAt, m) <= now,
+      );
+      if (pending.length === 0) {
+        return;
+      }
+      const minutes = Math.min(...pending);
+      state.notifications.push({
+        id: generateUUID(),
+        subject: `Reminder: ${task.description}`,
+        messageBody:
+          minutes === 0
+            ? `"${task.description}" is due now.`
+            : `"${task.description}" is due in ${formatReminderOffset(minutes)}.`,
+        isGlobal: false,
+        targetUserIds: [username],
+        hasActionItem: false,
+        actionItem: null,
+        createdAt: new Date(getReminderTime(task.dueAt, minutes)).toISOString(),
+        expiresAt: null,
+        recurrenceRule: null,
+        createdBy: username,
+        taskId: task.id,
+      });
+      tasks.sentReminders[task.id] = [...sent, ...pending];
+    });
+}
+
+/** POST /users/{userId}/tasks/daily — restores a deleted task with the same id */
+function createDailyTask(ctx) {
+  const { body } = ctx;
+  if (!body?.description?.trim()) {
+    badRequest("Task description is required");
+  }
+  const tasks = getTasks(ctx);
+  const timestamp = new Date(ctx.now).toISOString();
+  const deleted = body.id ? tasks.deletedDaily[body.id] : undefined;
+  const task = {
+    id: body.id || generateUUID(),
+    description: body.description,
+    completed: false,
+    order: body.order ?? 0,
+    createdAt: deleted?.task.createdAt ?? timestamp,
+    updatedAt: timestamp,
+  };
+  if (deleted) {
+    tasks.completions[task.id] = deleted.completions;
+    delete tasks.deletedDaily[task.id];
+  }
+  tasks.daily.push(task);
+  return withCompletion(task, tasks.completions, toDateKey(ctx.now));
+}
+
+/** PUT /users/{userId}/tasks/daily/{taskId} — `completed` records today */
+function updateDailyTask(ctx) {
+  const { body, params } = ctx;
+  const tasks = getTasks(ctx);
+  const task = findTask(tasks.daily, params.taskId);
+  const { completed, ...updates } = body;
+  Object.assign(task, updates, {
+    id: task.id,
+    updatedAt: new Date(ctx.now).toISOString(),
+  });
+
+  const today = toDateKey(ctx.now);
+  if (completed !== undefined) {
+    const history = (tasks.completions[task.id] || []).filter(
+      (date) => date !== today,
+    );
+    tasks.completions[task.id] = completed ? [...history, today] : history;
+  }
+  return withCompletion(task, tasks.completions, today);
+}
+
+/** DELETE /users/{userId}/tasks/daily/{taskId} */
+function deleteDailyTask(ctx) {
+  const tasks = getTasks(ctx);
+  const task = findTask(tasks.daily, ctx.params.taskId);
+  tasks.daily = tasks.daily.filter((t) => t !== task);
+  tasks.deletedDaily[task.id] = {
+    task,
+    completions: tasks.completions[task.id] || [],
+  };
+  delete tasks.completions[task.id];
+}
+
+/** GET /users/{userId}/tasks/daily/{taskId}/completions */
+function getCompletions(ctx) {
+  const tasks = getTasks(ctx);
+  findTask(tasks.daily, ctx.params.taskId);
+  return [...(tasks.completions[ctx.params.taskId] || [])].sort();
+}
+
+/** GET /users/{userId}/tasks/daily/perfect-days?year= — days every daily task was done */
+function getPerfectDays(ctx) {
+  const year = Number(ctx.query.get("year") || new Date(ctx.now).getFullYear());
+  if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+    badRequest("Invalid year");
+  }
+  const tasks = getTasks(ctx);
+  if (tasks.daily.length === 0) {
+    return [];
+  }
+  const [first, ...rest] = tasks.daily.map(
+    (task) => new Set(tasks.completions[task.id] || []),
+  );
+  return [...first]
+    .filter((date) => date.startsWith(`${year}-`))
+    .filter((date) => rest.every((dates) => dates.has(date)))
+    .sort();
+}
+
+export const taskRoutes = [
+  ["GET", "/users/:userId/tasks", listTasks],
+  ["POST", "/users/:userId/tasks/todo", createTodoTask],
+  ["PUT", "/users/:userId/tasks/todo/:taskId", updateTodoTask],
+  ["DELETE", "/users/:userId/tasks/todo/:taskId", deleteTodoTask],
+  ["GET", "/users/:userId/tasks/done", listDoneTasks],
+  ["DELETE", "/users/:userId/tasks/done", purgeDoneTasks],
+  ["GET", "/users/:userId/tasks/daily/perfect-days", getPerfectDays],
+  ["POST", "/users/:userId/tasks/daily", createDailyTask],
+  ["PUT", "/users/:userId/tasks/daily/:taskId", updateDailyTask],
+  ["DELETE", "/users/:userId/tasks/daily/:taskId", deleteDailyTask],
+  ["GET", "/users/:userId/tasks/daily/:taskId/completions", getCompletions],
+];
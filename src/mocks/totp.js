@@ -0,0 +1,171 @@
+/**
+ * TOTP for the mock backend (RFC 6238: HMAC-SHA1, 30-second steps, 6 digits)
+ * Lets the MFA screens be exercised with a real authenticator app. SHA-1 is
+ * implemented here because crypto.subtle is missing on plain-HTTP LAN
+ * addresses, where the app is often opened.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function rotl(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * SHA-1 digest
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 20-byte digest
+ */
+function sha1(bytes) {
+  const bitLength = bytes.length * 8;
+  const padded = new Uint8Array((((bytes.length + 8) >> 6) + 1) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 2 ** 32));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const out = new DataView(digest.buffer);
+  h.forEach((word, i) => out.setUint32(i * 4, word));
+  return digest;
+}
+
+function hmacSha1(key, message) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+}
+
+/**
+ * Decodes an RFC 4648 base32 string (padding and case ignored)
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array}
+ */
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Generates a random 160-bit secret, base32 encoded
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  let secret = "";
+  let buffer = 0;
+  let bits = 0;
+  bytes.forEach((byte) => {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      secret += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+  });
+  return secret;
+}
+
+/**
+ * Computes the code for a secret at a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} now - Timestamp (ms)
+ * @returns {string} Zero-padded 6-digit code
+ */
+export function generateTotp(secret, now) {
+  const counter = Math.floor(now / 1000 / STEP_SECONDS);
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 2 ** 32));
+  view.setUint32(4, counter >>> 0);
+
+  const hash = hmacSha1(base32Decode(secret), message);
+  const offset = hash[19] & 0x0f;
+  const binary =
+    ((hash[offset] & 0x7f) << 24) |
+    (hash[offset + 1] << 16) |
+    (hash[offset + 2] << 8) |
+    hash[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Checks a code, accepting one step either side for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean}
+ */
+export function verifyTotp(secret, code, now) {
+  const entered = String(code || "").replace(/\s/g, "");
+  return [-1, 0, 1].some(
+    (drift) =>
+      generateTotp(secret, now + drift * STEP_SECONDS * 1000) === entered,
+  );
+}
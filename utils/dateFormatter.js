@@ -1,6 +1,9 @@
 /**
- * Date formatting utilities for the Health Portal.
+ * Date formatting utilities for the Health Portal and account pages.
  * Formats ISO date strings and Date objects for display.
+ *
+ * The date order and 12/24-hour clock follow the signed-in user's profile
+ * preferences; PreferencesContext sets them through setDateDisplayFormat.
  */
 
 const MONTH_NAMES_SHORT = [
@@ -21,6 +24,78 @@ const WEEKDAY_NAMES = [
 /** Displayed when a date is missing or unparseable, so a bad record can't crash the page. */
 const INVALID_DATE_PLACEHOLDER = "—";
 
+/** Date orders users can pick, with an example of each */
+export const DATE_FORMATS = {
+  MDY: "Apr 21, 2026",
+  DMY: "21 Apr 2026",
+  ISO: "2026-04-21",
+};
+
+/**
+ * Clock styles users can pick, with an example of each
+ * "default" leaves each clock its own style (see formatClockTime).
+ */
+export const TIME_FORMATS = {
+  default: "Default (15:45:00 in the status bar, 3:45 PM elsewhere)",
+  "12h": "3:45 PM",
+  "24h": "15:45",
+};
+
+const DEFAULT_DISPLAY_FORMAT = { dateFormat: "MDY", timeFormat: "default" };
+
+let displayFormat = DEFAULT_DISPLAY_FORMAT;
+const displayFormatListeners = new Set();
+
+/**
+ * Sets the date order and clock style used by every formatter below
+ * Unknown values fall back to the defaults (MDY, default clocks).
+ * @param {{dateFormat?: string, timeFormat?: string}} [format]
+ */
+export function setDateDisplayFormat({ dateFormat, timeFormat } = {}) {
+  const next = {
+    dateFormat:
+      dateFormat in DATE_FORMATS
+        ? dateFormat
+        : DEFAULT_DISPLAY_FORMAT.dateFormat,
+    timeFormat:
+      timeFormat in TIME_FORMATS
+        ? timeFormat
+        : DEFAULT_DISPLAY_FORMAT.timeFormat,
+  };
+  if (
+    next.dateFormat === displayFormat.dateFormat &&
+    next.timeFormat === displayFormat.timeFormat
+  ) {
+    return;
+  }
+  displayFormat = next;
+  displayFormatListeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribes to display format changes (see hooks/useDateDisplayFormat)
+ * @param {Function} listener - Called after the format changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToDateDisplayFormat(listener) {
+  displayFormatListeners.add(listener);
+  return () => displayFormatListeners.delete(listener);
+}
+
+/**
+ * The date order and clock style currently in use
+ * @returns {{dateFormat: string, timeFormat: string}}
+ */
+export function getDateDisplayFormat() {
+  return displayFormat;
+}
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+function toISODate(year, month, day) {
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
 /**
  * Parses an ISO date string (YYYY-MM-DD) into year, month, day parts.
  * Splits the string to avoid timezone offset issues that occur with new Date(dateStr).
@@ -58,7 +133,14 @@ export function formatShortDate(dateStr) {
   if (!parts) return INVALID_DATE_PLACEHOLDER;
   const { year, month, day } = parts;
   const monthAbbr = MONTH_NAMES_SHORT[month - 1];
-  return `${monthAbbr} ${day}, ${year}`;
+  switch (displayFormat.dateFormat) {
+    case "DMY":
+      return `${day} ${monthAbbr} ${year}`;
+    case "ISO":
+      return toISODate(year, month, day);
+    default:
+      return `${monthAbbr} ${day}, ${year}`;
+  }
 }
 
 /**
@@ -74,17 +156,89 @@ export function formatLongDate(dateStr) {
   const date = new Date(year, month - 1, day);
   const weekday = WEEKDAY_NAMES[date.getDay()];
   const monthName = MONTH_NAMES_FULL[month - 1];
-  return `${weekday}, ${monthName} ${day}, ${year}`;
+  switch (displayFormat.dateFormat) {
+    case "DMY":
+      return `${weekday}, ${day} ${monthName} ${year}`;
+    case "ISO":
+      return `${weekday}, ${toISODate(year, month, day)}`;
+    default:
+      return `${weekday}, ${monthName} ${day}, ${year}`;
+  }
 }
 
 /**
- * Formats a date as MM/DD/YY for the StatusBar display
+ * Formats a date as MM/DD/YY (DD/MM/YY, or YYYY-MM-DD) for the StatusBar display
  * @param {Date} date - Date object
  * @returns {string} Formatted date
  */
 export function formatStatusDate(date) {
-  const mm = String(date.getMonth() + 1).padStart(2, "0");
-  const dd = String(date.getDate()).padStart(2, "0");
+  const mm = pad2(date.getMonth() + 1);
+  const dd = pad2(date.getDate());
   const yy = String(date.getFullYear()).slice(-2);
-  return `${mm}/${dd}/${yy}`;
+  switch (displayFormat.dateFormat) {
+    case "DMY":
+      return `${dd}/${mm}/${yy}`;
+    case "ISO":
+      return toISODate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    default:
+      return `${mm}/${dd}/${yy}`;
+  }
+}
+
+/**
+ * Formats a clock time as "3:45 PM" or "15:45"
+ * @param {Date} date - Date object
+ * @param {Object} [options]
+ * @param {boolean} [options.seconds=false] - Include seconds (live clocks)
+ * @param {string} [options.defaultFormat="12h"] - Clock style used until the
+ *   user picks one
+ * @returns {string} Formatted time
+ */
+export function formatClockTime(
+  date,
+  { seconds = false, defaultFormat = "12h" } = {},
+) {
+  const minutes = pad2(date.getMinutes());
+  const rest = seconds ? `:${pad2(date.getSeconds())}` : "";
+  const timeFormat =
+    displayFormat.timeFormat === "default"
+      ? defaultFormat
+      : displayFormat.timeFormat;
+  if (timeFormat === "24h") {
+    return `${pad2(date.getHours())}:${minutes}${rest}`;
+  }
+  const hours = date.getHours() % 12 || 12;
+  const period = date.getHours() < 12 ? "AM" : "PM";
+  return `${hours}:${minutes}${rest} ${period}`;
+}
+
+/**
+ * Formats a timestamp as "Mon D, h:mm AM" (the year is added when it isn't
+ * the current one), e.g. for sign-ins and audit entries
+ * @param {string|number|null} value - ISO timestamp or milliseconds
+ * @returns {string} Formatted date and time, "Unknown" if missing, or a
+ *   placeholder if unparseable
+ */
+export function formatDateTime(value) {
+  if (!value) return "Unknown";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return INVALID_DATE_PLACEHOLDER;
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  const showYear = year !== new Date().getFullYear();
+  const monthAbbr = MONTH_NAMES_SHORT[month - 1];
+
+  let datePart;
+  switch (displayFormat.dateFormat) {
+    case "DMY":
+      datePart = `${day} ${monthAbbr}${showYear ? ` ${year}` : ""}`;
+      break;
+    case "ISO":
+      datePart = toISODate(year, month, day);
+      break;
+    default:
+      datePart = `${monthAbbr} ${day}${showYear ? `, ${year}` : ""}`;
+  }
+  return `${datePart}, ${formatClockTime(date)}`;
 }